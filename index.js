@@ -13,50 +13,254 @@
 const fastify = require('fastify')({ 
   // logger設定を環境に応じて変更
   logger: {
-    level: process.env.LOG_LEVEL || 'info'
+    level: process.env.LOG_LEVEL || 'info',
     // 注: prettyPrintは非推奨。開発環境では pino-pretty を使用してください
     // 実行例: NODE_ENV=development node index.js | npx pino-pretty
-  }
+    
+    // セッションID・APIトークン・CSRFトークンをログに残さない
+    redact: {
+      paths: [
+        'req.headers.authorization',
+        'req.headers.cookie',
+        'req.headers["x-csrf-token"]',
+        'request.headers.authorization',
+        'request.headers.cookie',
+        'request.headers["x-csrf-token"]',
+        'res.headers["set-cookie"]'
+      ],
+      censor: '[REDACTED]'
+    }
+  },
+  // リバースプロキシの後ろで動かす場合は true にして、X-Forwarded-For から利用者のIPアドレスを取る
+  // （リクエスト数の制限はIPアドレスごとに数えるため）
+  trustProxy: process.env.TRUST_PROXY === 'true'
 });
 
-// Node.jsの標準ファイルシステムモジュール（Promise版）
-const fs = require('fs').promises;
-
 // Node.jsの標準パスモジュール
 const path = require('path');
+const fs = require('fs');
+
+// 共通ユーティリティ（HTMLエスケープなど）
+const { createHttpError } = require('./lib/utils');
+
+// 破損データを示すエラーコード（JSONストレージ）
+const { CORRUPT_ERROR_CODE } = require('./lib/storage');
+
+// ストレージドライバーの切り替えと日本語対応の全文検索
+const { createDriver, createMemoStore } = require('./lib/memo-store');
+
+// メモの変更履歴（リビジョン）
+const { createRevisionLog } = require('./lib/revisions');
+
+// ユーザーアカウントとセッション
+const { createAuth, publicUser } = require('./lib/auth');
+
+// タグとフォルダ
+const {
+  normalizeName,
+  normalizeTags,
+  normalizeFolder,
+  countTags,
+  countFolders,
+  matchesFilter,
+  replaceTags
+} = require('./lib/tags');
+
+// メモ一覧の並べ替え・ページ分割
+const {
+  SORT_FIELDS,
+  MEMO_FIELDS,
+  INVALID_CURSOR_CODE,
+  paginate,
+  projectFields
+} = require('./lib/pagination');
+
+// メモ本文のMarkdown表示
+const { renderMarkdown, setTaskChecked } = require('./lib/markdown');
+
+// エクスポート
+const { EXPORT_FORMATS, exportMemos } = require('./lib/export');
+
+// 個人用APIトークン
+const { createTokenService, publicToken, TOKEN_SCOPES } = require('./lib/tokens');
+
+// メモの変更の通知（Server-Sent Events）
+const { createEventBus, formatEvent } = require('./lib/events');
+
+// 編集が競合したときの3方向マージ
+const { mergeLines } = require('./lib/diff');
+
+// APIドキュメント（OpenAPI）
+const { createApiDocument } = require('./lib/openapi');
+
+// 画面のテンプレートと、静的ファイルのハッシュ付きURL
+const { createViews } = require('./lib/views');
+const { createAssetManifest } = require('./lib/assets');
+
+// IPアドレスごとのリクエスト数の制限と、CSRF対策
+const { createRateLimiter } = require('./lib/rate-limit');
+const {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  createCsrfToken,
+  verifyCsrfToken,
+  isSafeMethod
+} = require('./lib/csrf');
+
+// 条件付きリクエスト（ETag・Last-Modified と 304）
+const { createEtag, matchesIfNoneMatch, toHttpDate, isNotModified } = require('./lib/http-cache');
+
+// メモの添付ファイル
+const {
+  ATTACHMENT_TYPES,
+  ATTACHMENT_ID_PATTERN,
+  detectType,
+  createAttachmentStore
+} = require('./lib/attachments');
+
+// 期限・リマインダー（日本語の日時の入力、指定した日時の実行、Webhook の送信）
+const { parseDateInput } = require('./lib/natural-date');
+const { createScheduler } = require('./lib/scheduler');
+const { isWebhookUrl, postJson } = require('./lib/webhook');
+
+// メモの変更を知らせる Webhook（購読と配信のキュー）
+const {
+  WEBHOOK_EVENTS,
+  publicWebhook,
+  publicDelivery,
+  createWebhookService
+} = require('./lib/webhooks');
+
+// メモの共有リンク（ログインしていない人への読み取り専用の公開）
+const { publicShare, createShareService } = require('./lib/shares');
+
+// 監視用のメトリクス（Prometheus形式）
+const { createMetrics } = require('./lib/metrics');
 
 // ============================================
 // 2. 設定の定義（環境変数対応）
 // ============================================
 
+// 0以上の整数を表す環境変数（未指定や数値として読めない場合は defaultValue）
+function parseCount(value, defaultValue) {
+  return /^\s*\d+\s*$/.test(value || '') ? parseInt(value) : defaultValue;
+}
+
+// APIトークンの上限のデフォルト
+// 読めない値を parseInt すると NaN になり、上限の判定がすべて通ってしまう（無制限になる）ため、その場合もこの値を使う
+const DEFAULT_API_TOKEN_RATE_LIMIT = 60;
+
+// RATE_LIMITS（ルートごとの上限のJSON）を読む
+// 読めない場合は、どの環境変数を直せばよいかわかるメッセージで起動を止める（start() でログに出す）
+function parseRateLimits(value) {
+  if (!value) {
+    return {};
+  }
+  let limits;
+  try {
+    limits = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`RATE_LIMITS をJSONとして読み取れません（${error.message}）。例: RATE_LIMITS='{"POST /api/import": 5}'`);
+  }
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new Error('RATE_LIMITS には「"メソッド URL"」をキーにしたJSONのオブジェクトを指定してください。');
+  }
+  return limits;
+}
+
 const config = {
   port: parseInt(process.env.PORT) || 3000,
   host: process.env.HOST || '0.0.0.0',
   dataFile: process.env.DATA_FILE || path.join(__dirname, 'data.json'),
+  // 保存先のドライバー（json または sqlite）
+  storageDriver: process.env.STORAGE_DRIVER || 'json',
+  sqliteFile: process.env.SQLITE_FILE || path.join(__dirname, 'data.sqlite'),
   isDevelopment: process.env.NODE_ENV === 'development',
   cacheEnabled: process.env.CACHE_ENABLED !== 'false',
-  cacheDuration: parseInt(process.env.CACHE_DURATION) || 5000
+  cacheDuration: parseInt(process.env.CACHE_DURATION) || 5000,
+  // キャッシュを使う前に、データファイルがアプリの外で変更されていないか確かめる
+  cacheCheckFile: process.env.CACHE_CHECK_FILE !== 'false',
+  // インポートで受け付けるリクエストの最大サイズ（バイト）
+  importBodyLimit: parseInt(process.env.IMPORT_BODY_LIMIT) || 10 * 1024 * 1024,
+  // 添付ファイルの保存先（未指定なら data.json と同じ場所の data.attachments/）
+  attachmentDir: process.env.ATTACHMENT_DIR || '',
+  // 添付ファイル1つあたりの最大サイズ（バイト）と、メモ1件あたりの最大数
+  attachmentMaxSize: parseInt(process.env.ATTACHMENT_MAX_SIZE) || 10 * 1024 * 1024,
+  attachmentMaxCount: parseInt(process.env.ATTACHMENT_MAX_COUNT) || 20,
+  // リマインダーの日時になったときに通知を送るWebhookのURL（未指定なら画面の通知だけ）と、応答を待つ時間（ミリ秒）
+  reminderWebhookUrl: process.env.REMINDER_WEBHOOK_URL || '',
+  reminderWebhookTimeout: parseInt(process.env.REMINDER_WEBHOOK_TIMEOUT) || 5000,
+  // メモの変更を知らせる Webhook の応答を待つ時間（ミリ秒）、送る回数の上限、最初に送り直すまでの時間（ミリ秒）
+  webhookTimeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 5000,
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  webhookRetryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 10 * 1000,
+  // Webhook ごとに残す配信履歴の数（0で無制限）
+  webhookLogLimit: process.env.WEBHOOK_LOG_LIMIT !== undefined ?
+    parseInt(process.env.WEBHOOK_LOG_LIMIT) || 0 : 100,
+  // メイン画面の1ページあたりのメモ数
+  pageSize: parseInt(process.env.PAGE_SIZE) || 20,
+  backupEnabled: process.env.BACKUP_ENABLED === 'true',
+  // 保存のたびに残す過去世代の数（破損時の自動復旧に使用）
+  backupGenerations: process.env.BACKUP_GENERATIONS !== undefined ?
+    parseInt(process.env.BACKUP_GENERATIONS) || 0 : 3,
+  // メモ1件あたりに残す変更履歴の数（0で無制限）
+  revisionLimit: process.env.REVISION_LIMIT !== undefined ?
+    parseInt(process.env.REVISION_LIMIT) || 0 : 50,
+  // ゴミ箱のメモを完全に削除するまでの日数（0で自動削除しない）
+  trashRetentionDays: process.env.TRASH_RETENTION_DAYS !== undefined ?
+    parseInt(process.env.TRASH_RETENTION_DAYS) || 0 : 30,
+  // ゴミ箱の期限切れチェックの間隔（ミリ秒）
+  trashPurgeInterval: parseInt(process.env.TRASH_PURGE_INTERVAL) || 60 * 60 * 1000,
+  // 新規登録を受け付けるかどうか
+  registrationEnabled: process.env.REGISTRATION_ENABLED !== 'false',
+  // 初回起動時に作成する管理者アカウント（パスワード未指定なら自動生成してログに表示）
+  adminUsername: process.env.ADMIN_USERNAME || 'admin',
+  adminPassword: process.env.ADMIN_PASSWORD || '',
+  // ログインの有効期間（日）
+  sessionTtlDays: parseInt(process.env.SESSION_TTL_DAYS) || 7,
+  // HTTPSで運用する場合は true にしてCookieにSecure属性を付ける
+  cookieSecure: process.env.COOKIE_SECURE === 'true',
+  // 利用者がアクセスするURL（例: https://memo.example.com）。共有リンクの完全なURLに使う（末尾の / は除く）
+  publicBaseUrl: (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, ''),
+  // APIトークン1つあたりのリクエスト数の上限（0で無制限）と、数える期間（ミリ秒）
+  apiTokenRateLimit: parseCount(process.env.API_TOKEN_RATE_LIMIT, DEFAULT_API_TOKEN_RATE_LIMIT),
+  apiTokenRateWindow: parseInt(process.env.API_TOKEN_RATE_WINDOW) || 60 * 1000,
+  // 再接続したクライアントに送り直すため、メモリに残しておくイベントの数
+  eventBufferSize: process.env.EVENT_BUFFER_SIZE !== undefined ?
+    parseInt(process.env.EVENT_BUFFER_SIZE) || 0 : 1000,
+  // イベントの接続を保つために空のメッセージを送る間隔（ミリ秒）
+  eventHeartbeatInterval: parseInt(process.env.EVENT_HEARTBEAT_INTERVAL) || 30 * 1000,
+  // ハッシュ付きのURLの静的ファイルをブラウザにキャッシュさせる期間
+  assetMaxAge: process.env.ASSET_MAX_AGE || '365d',
+  // IPアドレスごと・ルートごとのリクエスト数の上限（0で無制限）と、数える期間（ミリ秒）
+  rateLimitMax: process.env.RATE_LIMIT_MAX !== undefined ?
+    parseInt(process.env.RATE_LIMIT_MAX) || 0 : 300,
+  rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 60 * 1000,
+  // ログイン・新規登録の上限（パスワードの総当たりを防ぐため少なくする）
+  authRateLimitMax: process.env.AUTH_RATE_LIMIT_MAX !== undefined ?
+    parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 0 : 10,
+  // ルートごとに上限を変える場合のJSON（例: {"POST /api/import": 5, "GET /api/memos": {"max": 600, "window": 60000}}）
+  // 読み取れるかどうかは start() で確かめてから設定する
+  rateLimits: {},
+  // /metrics を別のポートで配信する場合のポート番号とホスト（未指定ならアプリと同じポートで配信）
+  metricsPort: parseInt(process.env.METRICS_PORT) || null,
+  metricsHost: process.env.METRICS_HOST || process.env.HOST || '0.0.0.0'
 };
 
 // データファイルのパスを定義
 const DATA_FILE = config.dataFile;
 
+// 添付ファイルの保存先
+const ATTACHMENT_DIR = config.attachmentDir || path.join(
+  path.dirname(DATA_FILE),
+  `${path.basename(DATA_FILE, path.extname(DATA_FILE))}.attachments`
+);
+
 // ============================================
 // 3. ユーティリティ関数
 // ============================================
 
-// HTMLエスケープ関数（XSS対策）
-function escapeHtml(unsafe) {
-  if (typeof unsafe !== 'string') {
-    return unsafe;
-  }
-  return unsafe
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
-}
+// HTMLエスケープ関数（XSS対策）は lib/utils.js に定義しています
 
 // ============================================
 // 4. キャッシュ管理
@@ -66,51 +270,191 @@ let memosCache = null;
 let cacheTimestamp = null;
 
 // キャッシュをクリアする関数
-function clearCache() {
+// reason: メトリクスに記録する理由（write: アプリでの保存、external: アプリの外での変更、expired: 期限切れ）
+function clearCache(reason = 'write') {
+  if (memosCache) {
+    cacheInvalidations.inc({ reason });
+  }
   memosCache = null;
   cacheTimestamp = null;
 }
 
+// ============================================
+// 4.5 メトリクス
+// ============================================
+// /metrics で返す値です。名前にはすべて memo_app_ を付けます。
+
+const metrics = createMetrics({ prefix: 'memo_app_' });
+
+// ルートごとのレスポンスまでの時間
+const requestDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'リクエストを受けてからレスポンスを返すまでの時間（秒）'
+);
+
+// loadDataWithCache() でキャッシュを使えたかどうか（キャッシュが無効な場合は miss）
+const cacheRequests = metrics.counter(
+  'cache_requests_total',
+  'メモの読み込みでキャッシュを使えた回数（hit）と使えなかった回数（miss）'
+);
+
+// saveData() の書き込みにかかった時間と、失敗した回数
+const saveDuration = metrics.histogram(
+  'save_duration_seconds',
+  'メモの保存にかかった時間（秒）'
+);
+const saveFailures = metrics.counter(
+  'save_failures_total',
+  'メモの保存に失敗した回数（corrupt: データファイルの破損、error: その他）'
+);
+
+// キャッシュを破棄した回数と、キャッシュしているメモの数・経過時間
+const cacheInvalidations = metrics.counter(
+  'cache_invalidations_total',
+  'キャッシュを破棄した回数（write: アプリでの保存、external: アプリの外での変更、expired: 期限切れ）'
+);
+metrics.gauge('cache_entries', 'キャッシュしているメモの数', () => memosCache ? memosCache.length : 0);
+metrics.gauge('cache_age_seconds', 'キャッシュを読み込んでからの経過時間（秒）', () =>
+  cacheTimestamp ? (Date.now() - cacheTimestamp) / 1000 : 0);
+
+// リマインダーの Webhook を送った回数（再送を含まない）
+const reminderWebhooks = metrics.counter(
+  'reminder_webhooks_total',
+  'リマインダーの Webhook を送った回数（success: 成功、failure: 再送しても失敗）'
+);
+
+// メモの変更を知らせる Webhook を送った回数（送り直しを含む）
+const webhookDeliveries = metrics.counter(
+  'webhook_deliveries_total',
+  'メモの変更を知らせる Webhook を送った回数（success: 成功、retry: 失敗して後で送り直す、failure: 送り直しても失敗）'
+);
+
+// まだ一度も起きていない値も 0 として出力する（増え方を計算できるように）
+['hit', 'miss'].forEach(result => cacheRequests.inc({ result }, 0));
+['success', 'failure'].forEach(result => reminderWebhooks.inc({ result }, 0));
+['success', 'retry', 'failure'].forEach(result => webhookDeliveries.inc({ result }, 0));
+['write', 'external', 'expired'].forEach(reason => cacheInvalidations.inc({ reason }, 0));
+['corrupt', 'error'].forEach(reason => saveFailures.inc({ reason }, 0));
+
 // ============================================
 // 5. データ管理用のヘルパー関数（改善版）
 // ============================================
 
+// メモの読み書きを担当するストア
+// （JSONドライバーでは書き込みの直列化・アトミックな置き換え・破損時の自動復旧を行う）
+const memoStore = createMemoStore(createDriver(config.storageDriver, {
+  dataFile: DATA_FILE,
+  sqliteFile: config.sqliteFile,
+  logger: fastify.log,
+  generations: config.backupGenerations,
+  backupFile: config.backupEnabled ? `${DATA_FILE}.backup` : null
+}));
+
+// メモの変更履歴（保存のたびに1リビジョン）
+const revisionLog = createRevisionLog(memoStore.collection('revisions'), {
+  limit: config.revisionLimit
+});
+
+// ユーザーアカウントとログインセッション
+const auth = createAuth({
+  users: memoStore.collection('users'),
+  sessions: memoStore.collection('sessions'),
+  sessionTtl: config.sessionTtlDays * 24 * 60 * 60 * 1000,
+  logger: fastify.log
+});
+
+// スクリプトからのアクセス用のAPIトークン
+const tokenService = createTokenService({
+  collection: memoStore.collection('tokens'),
+  rateLimit: config.apiTokenRateLimit,
+  rateWindow: config.apiTokenRateWindow,
+  logger: fastify.log
+});
+
+// メモの変更を外部のツールに知らせる Webhook
+const webhookService = createWebhookService({
+  webhooks: memoStore.collection('webhooks'),
+  deliveries: memoStore.collection('webhookDeliveries'),
+  timeout: config.webhookTimeout,
+  maxAttempts: config.webhookMaxAttempts,
+  retryDelay: config.webhookRetryDelay,
+  logLimit: config.webhookLogLimit,
+  onResult: result => webhookDeliveries.inc({ result }),
+  logger: fastify.log
+});
+fastify.addHook('onClose', async () => {
+  webhookService.stop();
+});
+
+// メモを読み取り専用で公開する共有リンク
+const shareService = createShareService({
+  collection: memoStore.collection('shares'),
+  logger: fastify.log
+});
+
+// メモの変更を接続中のクライアント（別のタブ・端末）に通知する
+const eventBus = createEventBus({
+  bufferSize: config.eventBufferSize,
+  logger: fastify.log
+});
+
+// メモの添付ファイル（ファイルの情報はメモの attachments に記録する）
+const attachmentStore = createAttachmentStore({
+  root: ATTACHMENT_DIR,
+  logger: fastify.log
+});
+
+// サーバー終了時にストアを閉じる（SQLiteの接続を解放）
+fastify.addHook('onClose', async () => {
+  await memoStore.close();
+});
+
+// ストレージの読み込みエラーを利用者向けのエラーに変換する
+function toLoadError(error) {
+  if (error.code === CORRUPT_ERROR_CODE) {
+    // JSONが壊れていて、復旧できるバックアップもなかった場合
+    fastify.log.error({ err: error }, 'データファイルを復旧できませんでした');
+    return new Error('データファイルが破損しています。管理者に連絡してください。');
+  }
+  fastify.log.error({ err: error }, 'データ読み込みエラー');
+  return error;
+}
+
 // データファイルからメモデータを読み込む非同期関数
 async function loadData() {
   try {
-    // UTF-8エンコーディングでファイルを読み込む
-    const data = await fs.readFile(DATA_FILE, 'utf8');
-    
-    // JSON文字列をJavaScriptオブジェクトに変換
-    const parsedData = JSON.parse(data);
-    
-    // データの検証
-    if (!Array.isArray(parsedData)) {
-      throw new Error('データファイルの形式が不正です');
-    }
-    
-    return parsedData;
+    return await memoStore.list();
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      // ファイルが存在しない場合は空配列を返す
-      fastify.log.info('データファイルが存在しません。新規作成します。');
-      return [];
-    } else if (error instanceof SyntaxError) {
-      // JSONパースエラーの場合
-      fastify.log.error('データファイルのJSONが不正です:', error);
-      throw new Error('データファイルが破損しています。管理者に連絡してください。');
-    } else {
-      // その他のエラー
-      fastify.log.error('データ読み込みエラー:', error);
-      throw error;
-    }
+    throw toLoadError(error);
+  }
+}
+
+// データファイルがアプリの外で変更されていれば（手で編集した場合など）、キャッシュを捨てる
+// （検索インデックスは memoStore.refresh() が作り直す）
+async function checkExternalChanges() {
+  if (!config.cacheCheckFile) {
+    return;
+  }
+  let changed;
+  try {
+    changed = await memoStore.refresh();
+  } catch (error) {
+    throw toLoadError(error);
+  }
+  if (changed) {
+    fastify.log.info('データファイルがアプリの外で変更されたため、読み込み直します');
+    clearCache('external');
+    await scheduleReminders();
   }
 }
 
 // キャッシュ機能付きのデータ読み込み
 async function loadDataWithCache() {
+  await checkExternalChanges();
+  
   // キャッシュが無効な場合は直接読み込む
   if (!config.cacheEnabled) {
+    cacheRequests.inc({ result: 'miss' });
     return await loadData();
   }
 
@@ -119,8 +463,11 @@ async function loadDataWithCache() {
   // キャッシュが有効な場合はそれを返す
   if (memosCache && cacheTimestamp && (now - cacheTimestamp < config.cacheDuration)) {
     fastify.log.debug('キャッシュからデータを返します');
+    cacheRequests.inc({ result: 'hit' });
     return memosCache;
   }
+  cacheRequests.inc({ result: 'miss' });
+  clearCache('expired');
   
   // キャッシュが無効な場合は新しく読み込む
   fastify.log.debug('ファイルからデータを読み込みます');
@@ -129,673 +476,3646 @@ async function loadDataWithCache() {
   return memosCache;
 }
 
-// データをファイルに保存する非同期関数
-async function saveData(data) {
+// ストアへの書き込みを実行し、キャッシュをクリアする
+// operation にはメモストアが渡されるので、create / update / delete を呼び出す
+async function saveData(operation) {
   try {
-    // バックアップを作成（オプション）
-    if (process.env.BACKUP_ENABLED === 'true') {
-      try {
-        const backupPath = `${DATA_FILE}.backup`;
-        await fs.copyFile(DATA_FILE, backupPath);
-      } catch (backupError) {
-        fastify.log.warn('バックアップの作成に失敗しました:', backupError);
-      }
-    }
-    
-    // データを保存
-    await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2), 'utf8');
+    const result = await saveDuration.time({}, () => operation(memoStore));
     
     // キャッシュをクリア
     clearCache();
     
     fastify.log.debug('データを保存しました');
+    return result;
   } catch (error) {
-    fastify.log.error('データ保存エラー:', error);
+    // 404などハンドラーが意図して投げたエラーはそのまま返す
+    if (error.statusCode) {
+      throw error;
+    }
+    if (error.code === CORRUPT_ERROR_CODE) {
+      saveFailures.inc({ reason: 'corrupt' });
+      throw toLoadError(error);
+    }
+    saveFailures.inc({ reason: 'error' });
+    fastify.log.error({ err: error }, 'データ保存エラー');
     throw new Error('データの保存に失敗しました。');
   }
 }
 
-// ============================================
-// 6. ID管理の改善
-// ============================================
+// メモを変更して保存し、タイトルか内容が変わった場合は変更履歴に記録する
+// apply にはメモが渡されるので、タイトルや内容を書き換える
+async function saveMemoChanges(id, user, apply, revisionInfo = {}) {
+  let previous = null;
+  const updatedMemo = await saveData(store => store.update(id, (memo) => {
+    // 他のユーザーのメモやゴミ箱にあるメモは変更できない
+    if (!isOwnedBy(memo, user) || memo.deletedAt) {
+      throw createHttpError(404, 'メモが見つかりません');
+    }
+    previous = { ...memo };
+    apply(memo);
+    memo.version = (memo.version || 1) + 1;
+    memo.updatedAt = new Date().toISOString();
+  }));
+  
+  if (!updatedMemo) {
+    throw createHttpError(404, 'メモが見つかりません');
+  }
+  
+  await revisionLog.recordUpdate(previous, updatedMemo, revisionInfo);
+  publishMemoEvent('memo.updated', updatedMemo);
+  
+  return updatedMemo;
+}
 
-let lastId = 0;
+// メモの変更を持ち主のクライアントと Webhook に通知し、リマインダーの予定を変更後のメモに合わせる
+// 画面の一覧をその場で書き換えられるよう、表示用のHTML（ゴミ箱のメモはゴミ箱用）も送る
+// Webhook はキューに追加するだけで、送り終わるのを待たない
+function publishMemoEvent(type, memo, details = {}) {
+  const snapshot = { ...memo };
+  syncReminder(snapshot, details.purged);
+  webhookService.dispatch(memo.ownerId, type, { ...details, memo: snapshot }).catch((error) => {
+    fastify.log.error({ err: error, memoId: snapshot.id, event: type }, 'Webhook の配信をキューに追加できませんでした');
+  });
+  eventBus.publish(memo.ownerId, type, () => ({
+    id: snapshot.id,
+    ...details,
+    memo: snapshot,
+    html: details.purged ? null :
+      snapshot.deletedAt ? renderTrashItem(snapshot) : renderMemoItem(snapshot)
+  }));
+}
 
-async function initializeLastId() {
-  const memos = await loadData();
-  if (memos.length > 0) {
-    lastId = Math.max(...memos.map(m => m.id));
+// メモがユーザーのものかどうか
+function isOwnedBy(memo, user) {
+  return memo.ownerId === user.id;
+}
+
+// ユーザーのメモだけを返す
+function ownMemos(memos, user) {
+  return memos.filter(m => isOwnedBy(m, user));
+}
+
+// IDで自分のメモを取得する（見つからない・他人のメモ・ゴミ箱にある場合は404）
+// 他人のメモも「見つからない」として扱い、存在するかどうかを推測されないようにする
+async function findMemo(id, user) {
+  const memo = await memoStore.get(id);
+  if (!memo || !isOwnedBy(memo, user) || memo.deletedAt) {
+    throw createHttpError(404, 'メモが見つかりません');
   }
+  return memo;
 }
 
-function getNextId() {
-  return ++lastId;
+// メモのETag（メモのIDと版番号）
+function memoEtag(memo) {
+  return `"${memo.id}-${memo.version || 1}"`;
 }
 
-// ============================================
-// 7. バリデーションスキーマ
-// ============================================
+// サーバーを起動した日時
+// 画面のテンプレートなどは起動し直すと変わることがあるため、Last-Modified はこれより前にしない
+const startedAt = new Date();
 
-// メモの作成・更新用スキーマ
-const memoBodySchema = {
-  type: 'object',
-  required: ['title', 'content'],
-  properties: {
-    title: { 
-      type: 'string',
-      minLength: 1,
-      maxLength: 200,
-      pattern: '^[^<>]*$' // 基本的なHTMLタグを拒否
-    },
-    content: { 
-      type: 'string',
-      minLength: 1,
-      maxLength: 5000
+// メイン画面・メモ一覧の Last-Modified（データファイルの更新日時と起動日時の新しいほう）
+async function setLastModified(reply) {
+  const { modifiedAt } = await memoStore.stat();
+  reply.header('Last-Modified', toHttpDate(modifiedAt && modifiedAt > startedAt ? modifiedAt : startedAt));
+}
+
+// 本文から強いETagを作って付け、条件付きリクエストの条件に合えば本文なしの 304 を返す
+// （ルートの onSend に指定する。本文はユーザーや絞り込みの条件ごとに違うため、ブラウザだけにキャッシュさせる）
+async function conditionalGet(request, reply, payload) {
+  if (reply.statusCode !== 200 || (typeof payload !== 'string' && !Buffer.isBuffer(payload))) {
+    return payload;
+  }
+  const etag = createEtag(payload);
+  reply.header('ETag', etag);
+  reply.header('Cache-Control', 'private, no-cache');
+  if (isNotModified(request.headers, { etag, lastModified: reply.getHeader('last-modified') })) {
+    reply.code(304).removeHeader('content-type');
+    return null;
+  }
+  return payload;
+}
+
+// If-Match ヘッダー（カンマ区切りで複数指定可、* は常に一致）がETagと一致するか
+function matchesIfMatch(header, etag) {
+  return header.split(',').some(value => value.trim() === '*' || value.trim() === etag);
+}
+
+// 版が一致しない場合のエラー（現在のメモを一緒に返す）
+function createConflictError(statusCode, memo) {
+  const error = createHttpError(statusCode, 'このメモは他の場所で更新されています。最新の内容を確認してください。');
+  error.current = { ...memo };
+  return error;
+}
+
+// 変更する前に、クライアントが編集を始めた版と現在の版が同じか確かめる
+// If-Match ヘッダーが一致しなければ412、本文の version が一致しなければ409
+// どちらも指定されていなければ確かめずに上書きする
+function checkMemoVersion(request, memo) {
+  const ifMatch = request.headers['if-match'];
+  if (ifMatch && !matchesIfMatch(ifMatch, memoEtag(memo))) {
+    throw createConflictError(412, memo);
+  }
+  const version = request.body ? request.body.version : undefined;
+  if (version !== undefined && version !== (memo.version || 1)) {
+    throw createConflictError(409, memo);
+  }
+}
+
+// クライアントが編集を始めた版の番号（本文の version、または If-Match のETagから）
+function requestedVersion(request) {
+  if (request.body && request.body.version !== undefined) {
+    return request.body.version;
+  }
+  const match = /^"\d+-(\d+)"$/.exec((request.headers['if-match'] || '').trim());
+  return match ? Number(match[1]) : null;
+}
+
+// 競合した変更を、編集を始めた版を元に現在のメモとマージした案を作る
+// タイトル・フォルダは片方だけが変えていればその値（両方なら送られた値）、
+// 本文は行単位でマージし、タグは両方のタグを合わせる
+// 期限・リマインダーは送られていればその入力、なければ現在の値
+// 編集を始めた版が履歴に残っていない場合は null
+async function suggestMerge(current, changes, baseVersion) {
+  const base = baseVersion ? await revisionLog.get(current, baseVersion) : null;
+  if (!base) {
+    return null;
+  }
+  const title = changes.title === undefined ? current.title : changes.title.trim();
+  const content = mergeLines(base.content,
+    changes.content === undefined ? base.content : changes.content.trim(), current.content);
+  return {
+    title: title === base.title ? current.title : title,
+    content: content.text,
+    tags: normalizeTags([...(changes.tags || []), ...(current.tags || [])]),
+    folder: changes.folder === undefined ? current.folder : normalizeFolder(changes.folder),
+    dueAt: changes.dueAt === undefined ? current.dueAt || null : changes.dueAt,
+    remindAt: changes.remindAt === undefined ? current.remindAt || null : changes.remindAt,
+    conflicts: content.conflicts
+  };
+}
+
+// 部分更新（JSON Merge Patch）をメモに適用する（指定されていない項目は変更しない）
+function applyMemoPatch(memo, patch) {
+  if (patch.title !== undefined) {
+    memo.title = patch.title.trim();
+  }
+  if (patch.content !== undefined) {
+    memo.content = patch.content.trim();
+  }
+  if (patch.tags !== undefined) {
+    memo.tags = normalizeTags(patch.tags);
+  }
+  if (patch.folder !== undefined) {
+    memo.folder = normalizeFolder(patch.folder);
+  }
+  applyMemoDates(memo, patch);
+}
+
+// 期限・リマインダーの入力を日時（ISO 8601）にする
+// 「明日15時」などの日本語も受け付け、読み取れない場合は400
+function toDateValue(value, label) {
+  const date = parseDateInput(value);
+  if (!date) {
+    throw createHttpError(400, `${label}の「${value}」を日時として読み取れません（例: 明日15時、3日後、来週月曜10時、10/25 9:00）。`);
+  }
+  return date.toISOString();
+}
+
+// 期限（dueAt）・リマインダー（remindAt）をメモに反映する（指定されていない項目は変更しない、null で解除）
+// リマインダーの日時を変えた場合は、もう一度通知する
+function applyMemoDates(memo, { dueAt, remindAt }) {
+  if (dueAt !== undefined) {
+    if (dueAt === null) {
+      delete memo.dueAt;
+    } else {
+      memo.dueAt = toDateValue(dueAt, '期限');
     }
-  },
-  additionalProperties: false
-};
+  }
+  if (remindAt !== undefined) {
+    const value = remindAt === null ? null : toDateValue(remindAt, 'リマインダー');
+    if (value === (memo.remindAt || null)) {
+      return;
+    }
+    if (value && new Date(value) <= new Date()) {
+      throw createHttpError(400, 'リマインダーの日時が過ぎています。これから先の日時を指定してください。');
+    }
+    if (value) {
+      memo.remindAt = value;
+    } else {
+      delete memo.remindAt;
+    }
+    delete memo.remindedAt;
+  }
+}
 
-// IDパラメータのスキーマ
-const idParamSchema = {
-  type: 'object',
-  properties: {
-    id: { 
-      type: 'string',
-      pattern: '^[0-9]+$'
+// 複数のメモの作成・更新・削除（ゴミ箱へ移動）をまとめて実行する
+// 1つでも失敗した場合は、どの変更も保存しない
+async function runBatch(user, operations) {
+  const now = new Date().toISOString();
+  const results = await saveData(store => store.transaction(memos => operations.map((operation, index) => {
+    try {
+      if (operation.op === 'create') {
+        const { title, content, tags, folder } = operation.memo;
+        const memo = {
+          id: getNextId(),
+          title: title.trim(),
+          content: content.trim(),
+          tags: normalizeTags(tags),
+          folder: normalizeFolder(folder),
+          ownerId: user.id,
+          version: 1,
+          createdAt: now,
+          updatedAt: now
+        };
+        applyMemoDates(memo, operation.memo);
+        return { op: 'create', memo: memos.put(memo) };
+      }
+      
+      const memo = memos.get(operation.id);
+      if (!memo || !isOwnedBy(memo, user) || memo.deletedAt) {
+        throw createHttpError(404, 'メモが見つかりません');
+      }
+      if (operation.version !== undefined && operation.version !== (memo.version || 1)) {
+        throw createConflictError(409, memo);
+      }
+      
+      if (operation.op === 'delete') {
+        return { op: 'delete', memo: memos.put({ ...memo, deletedAt: now }) };
+      }
+      
+      const previous = { ...memo };
+      applyMemoPatch(memo, operation.memo);
+      memo.version = (memo.version || 1) + 1;
+      memo.updatedAt = now;
+      return { op: 'update', memo: memos.put(memo), previous };
+    } catch (error) {
+      // どの操作で失敗したかがわかるようにする
+      error.message = `${index + 1}件目の操作（${operation.op}）: ${error.message}`;
+      throw error;
     }
-  },
-  required: ['id']
-};
+  })));
+  
+  // 保存できた後で、変更履歴の記録と変更の通知を行う
+  for (const { op, memo, previous } of results) {
+    if (op === 'create') {
+      await revisionLog.record(memo);
+      publishMemoEvent('memo.created', memo);
+    } else if (op === 'update') {
+      await revisionLog.recordUpdate(previous, memo);
+      publishMemoEvent('memo.updated', memo);
+    } else {
+      publishMemoEvent('memo.deleted', memo, { purged: false });
+    }
+  }
+  
+  return results.map(({ op, memo }) => ({ op, memo }));
+}
 
-// ============================================
-// 8. 静的ファイル配信の設定
-// ============================================
+// ゴミ箱に入っていないメモだけを返す
+function activeMemos(memos) {
+  return memos.filter(m => !m.deletedAt);
+}
 
-// @fastify/staticプラグインを登録
-fastify.register(require('@fastify/static'), {
-  root: path.join(__dirname, 'public'),
-  prefix: '/public/',
-  cacheControl: true,
-  maxAge: config.isDevelopment ? 0 : '7d'
-});
+// 一覧に表示するメモ（アーカイブしたメモは archived が true の場合だけ含める）
+function listedMemos(memos, { archived = false } = {}) {
+  return activeMemos(memos).filter(m => archived || !m.archived);
+}
 
-// ============================================
-// 9. グローバルエラーハンドラー
-// ============================================
+// メモの色ラベル（値と画面に表示する名前）
+const MEMO_COLORS = {
+  red: '赤',
+  orange: 'オレンジ',
+  yellow: '黄',
+  green: '緑',
+  blue: '青',
+  purple: '紫',
+  gray: 'グレー'
+};
 
-// カスタムエラーハンドラーを設定
-fastify.setErrorHandler(async (error, request, reply) => {
-  // エラーをログに記録
-  fastify.log.error({
-    err: error,
-    request: {
-      method: request.method,
-      url: request.url,
-      headers: request.headers
-    }
-  });
+// メモの状態（アーカイブしたメモはピン留めできないので、どちらか1つ）
+function memoState(memo) {
+  if (memo.archived) {
+    return 'archived';
+  }
+  return memo.pinned ? 'pinned' : 'normal';
+}
 
-  // バリデーションエラーの場合
-  if (error.validation) {
-    return reply.status(400).send({
-      error: 'バリデーションエラー',
-      message: '入力内容に誤りがあります。',
-      details: config.isDevelopment ? error.validation : undefined
+// 状態ごとのメモの数
+function countStates(memos) {
+  const counts = { pinned: 0, normal: 0, archived: 0 };
+  memos.forEach(memo => counts[memoState(memo)]++);
+  return counts;
+}
+
+// 自分のメモに付いているタグを置き換える（名前の変更・統合）
+// ゴミ箱のメモは対象外。変更したメモの件数を返す
+async function renameTags(user, sources, target) {
+  const from = sources.map(normalizeName);
+  const targets = activeMemos(ownMemos(await loadData(), user))
+    .filter(memo => (memo.tags || []).some(name => from.includes(name)));
+  
+  for (const memo of targets) {
+    await saveMemoChanges(memo.id, user, (m) => {
+      m.tags = replaceTags(m.tags, from, target);
     });
   }
+  return targets.length;
+}
 
-  // その他のエラー
-  const statusCode = error.statusCode || 500;
-  const message = statusCode === 500 ? 
-    'サーバーエラーが発生しました。' : 
-    error.message;
+// インポートするメモの、ファイルに含まれていれば戻す項目（含まれていなければ変更しない、null で外す）
+// 期限・リマインダーはエクスポートしたときの値をそのまま戻すので、過ぎたリマインダーも受け付ける
+// 通知済み（remindedAt）のリマインダーは、読み込んだあとに通知し直さない
+// アーカイブしたメモはピン留めできないので、両方 true ならピン留めを外す
+function importedOptionalFields(record) {
+  const values = {};
+  if (record.dueAt !== undefined) {
+    values.dueAt = record.dueAt === null ? null : toDateValue(record.dueAt, '期限');
+  }
+  if (record.remindAt !== undefined) {
+    values.remindAt = record.remindAt === null ? null : toDateValue(record.remindAt, 'リマインダー');
+    values.remindedAt = values.remindAt && record.remindedAt ? record.remindedAt : null;
+  }
+  for (const key of ['pinned', 'archived']) {
+    if (record[key] !== undefined) {
+      values[key] = record[key] || null;
+    }
+  }
+  if (values.archived) {
+    values.pinned = null;
+  }
+  if (record.color !== undefined) {
+    values.color = record.color;
+  }
+  return values;
+}
 
-  reply.status(statusCode).send({
-    error: message,
-    ...(config.isDevelopment && { 
-      stack: error.stack,
-      details: error.message 
-    })
-  });
-});
+// 値が null の項目はメモから外し、それ以外は設定する
+function assignOptionalFields(memo, values) {
+  for (const [key, value] of Object.entries(values)) {
+    if (value === null) {
+      delete memo[key];
+    } else {
+      memo[key] = value;
+    }
+  }
+  return memo;
+}
 
+// エクスポートしたメモを読み込む
+// IDが既存の自分のメモ（ゴミ箱を含む）と重複した場合は onConflict に従う
+// 他のユーザーのメモとIDが重複した場合は、新しいIDを割り当てる
+async function importMemos(user, records, onConflict) {
+  const summary = { created: 0, overwritten: 0, duplicated: 0, skipped: 0 };
+  
+  // 日時を読み取れないメモがあれば、1件も読み込まずに400を返す
+  const prepared = records.map(record => ({
+    record,
+    fields: {
+      title: record.title.trim(),
+      content: record.content.trim(),
+      tags: normalizeTags(record.tags),
+      folder: normalizeFolder(record.folder)
+    },
+    optional: importedOptionalFields(record)
+  }));
+  
+  for (const { record, fields, optional } of prepared) {
+    const existing = record.id ? await memoStore.get(record.id) : null;
+    const conflict = existing && isOwnedBy(existing, user);
+    
+    if (conflict && onConflict === 'skip') {
+      summary.skipped++;
+      continue;
+    }
+    
+    if (conflict && onConflict === 'overwrite') {
+      // ゴミ箱にある場合は元に戻してから上書きする
+      if (existing.deletedAt) {
+        await saveData(store => store.update(existing.id, (memo) => {
+          delete memo.deletedAt;
+        }));
+      }
+      await saveMemoChanges(existing.id, user, (memo) => {
+        Object.assign(memo, fields);
+        assignOptionalFields(memo, optional);
+      });
+      summary.overwritten++;
+      continue;
+    }
+    
+    // 重複がなければエクスポート元のIDをそのまま使う
+    let id;
+    if (record.id && !existing) {
+      id = record.id;
+      reserveId(id);
+      summary.created++;
+    } else {
+      id = getNextId();
+      if (existing) {
+        summary.duplicated++;
+      } else {
+        summary.created++;
+      }
+    }
+    
+    const now = new Date().toISOString();
+    const memo = await saveData(store => store.create(assignOptionalFields({
+      id,
+      ...fields,
+      ownerId: user.id,
+      version: 1,
+      createdAt: record.createdAt || now,
+      updatedAt: record.updatedAt || record.createdAt || now
+    }, optional)));
+    await revisionLog.record(memo);
+    publishMemoEvent('memo.created', memo);
+  }
+  
+  return summary;
+}
+
+// ============================================
+// 5.5 ゴミ箱の自動削除
+// ============================================
+
+// ゴミ箱に入れたメモが完全に削除される日時
+function getPurgeAt(memo) {
+  if (config.trashRetentionDays <= 0) {
+    return null;
+  }
+  const deletedAt = new Date(memo.deletedAt).getTime();
+  return new Date(deletedAt + config.trashRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// メモを完全に削除する（変更履歴と添付ファイルも削除）
+async function purgeMemo(id) {
+  const purgedMemo = await saveData(store => store.delete(id));
+  if (purgedMemo) {
+    await revisionLog.removeAll(purgedMemo.id);
+    await attachmentStore.removeAll(purgedMemo.id);
+    await shareService.revokeAll(purgedMemo.id);
+    publishMemoEvent('memo.deleted', purgedMemo, { purged: true });
+  }
+  return purgedMemo;
+}
+
+// 保存期間を過ぎたゴミ箱のメモを完全に削除する
+async function purgeExpiredTrash() {
+  if (config.trashRetentionDays <= 0) {
+    return 0;
+  }
+  
+  const now = Date.now();
+  const memos = await loadData();
+  const expired = memos.filter(m => m.deletedAt && new Date(getPurgeAt(m)).getTime() <= now);
+  
+  for (const memo of expired) {
+    await purgeMemo(memo.id);
+  }
+  
+  if (expired.length > 0) {
+    fastify.log.info({ count: expired.length }, 'ゴミ箱の期限切れメモを削除しました');
+  }
+  return expired.length;
+}
+
+let purgeTimer = null;
+
+// 定期的にゴミ箱と、使われていない添付ファイル・期限の切れた共有リンクを掃除する（起動時にも1回実行）
+async function schedulePurge() {
+  const run = async () => {
+    try {
+      await purgeExpiredTrash();
+      await attachmentStore.sweep(await loadData());
+      await shareService.removeExpired();
+    } catch (error) {
+      fastify.log.error({ err: error }, 'ゴミ箱の自動削除に失敗しました');
+    }
+  };
+  
+  await run();
+  purgeTimer = setInterval(run, config.trashPurgeInterval);
+  // タイマーがプロセスの終了を妨げないようにする
+  purgeTimer.unref();
+}
+
+fastify.addHook('onClose', async () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+  }
+});
+
+// ============================================
+// 5.6 リマインダー
+// ============================================
+// remindAt の日時になったメモを、画面（メモの変更の通知の memo.reminder）と
+// REMINDER_WEBHOOK_URL への Webhook で知らせます。
+// 予定はメモリ上のスケジューラーで管理し、起動時に保存されているメモから登録し直すので、
+// サーバーが止まっている間に過ぎたリマインダーも、起動したときに通知します。
+// 通知したメモには remindedAt を記録し、同じリマインダーを二度通知しないようにします。
+
+const reminderScheduler = createScheduler({ logger: fastify.log });
+
+// Webhook を送り直す回数と、最初に送り直すまでの時間（ミリ秒、送り直すたびに2倍にする）
+const REMINDER_WEBHOOK_RETRIES = 2;
+const REMINDER_WEBHOOK_RETRY_DELAY = 1000;
+
+// まだ通知していないリマインダーがあるか
+function hasPendingReminder(memo) {
+  return Boolean(memo.remindAt) && !memo.remindedAt && !memo.deletedAt;
+}
+
+// メモのリマインダーの予定を登録し直す
+// （解除した場合・ゴミ箱に移動した場合・完全に削除した場合は取り消す）
+function syncReminder(memo, purged = false) {
+  if (!purged && hasPendingReminder(memo)) {
+    const { id, remindAt } = memo;
+    reminderScheduler.schedule(id, new Date(remindAt), () => fireReminder(id, remindAt));
+  } else {
+    reminderScheduler.cancel(memo.id);
+  }
+}
+
+// 保存されているメモから、まだ通知していないリマインダーをすべて登録し直す
+async function scheduleReminders() {
+  reminderScheduler.clear();
+  const pending = (await loadData()).filter(hasPendingReminder);
+  pending.forEach(memo => syncReminder(memo));
+  return pending.length;
+}
+
+// Webhook で送る内容
+// Slack などの Incoming Webhook にそのまま送っても読めるよう、text も付ける
+function reminderPayload(memo) {
+  const owner = auth.getUser(memo.ownerId);
+  return {
+    type: 'memo.reminder',
+    text: `🔔 リマインダー: ${memo.title}`,
+    sentAt: new Date().toISOString(),
+    user: owner ? { id: owner.id, username: owner.username } : { id: memo.ownerId },
+    memo: {
+      id: memo.id,
+      title: memo.title,
+      content: memo.content,
+      tags: memo.tags || [],
+      folder: memo.folder || null,
+      dueAt: memo.dueAt || null,
+      remindAt: memo.remindAt
+    }
+  };
+}
+
+// Webhook を送る（失敗した場合は間隔を空けて送り直し、それでも失敗すればログに残す）
+async function sendReminderWebhook(memo) {
+  const payload = reminderPayload(memo);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await postJson(config.reminderWebhookUrl, payload, { timeout: config.reminderWebhookTimeout });
+      reminderWebhooks.inc({ result: 'success' });
+      return;
+    } catch (error) {
+      if (attempt >= REMINDER_WEBHOOK_RETRIES) {
+        reminderWebhooks.inc({ result: 'failure' });
+        fastify.log.error({ err: error, memoId: memo.id }, 'リマインダーの Webhook を送れませんでした');
+        return;
+      }
+      fastify.log.warn({ err: error, memoId: memo.id }, 'リマインダーの Webhook を送れなかったため、送り直します');
+      await new Promise(resolve => setTimeout(resolve, REMINDER_WEBHOOK_RETRY_DELAY * 2 ** attempt));
+    }
+  }
+}
+
+// リマインダーの日時になったメモを通知する
+// 予定を登録した後でリマインダーを変更・解除した場合や、メモを削除した場合は何もしない
+async function fireReminder(id, remindAt) {
+  const memo = await memoStore.get(id);
+  if (!memo || !hasPendingReminder(memo) || memo.remindAt !== remindAt) {
+    return;
+  }
+  
+  fastify.log.info({ memoId: id, remindAt }, 'リマインダーを通知します');
+  eventBus.publish(memo.ownerId, 'memo.reminder', { id: memo.id, memo: { ...memo } });
+  if (config.reminderWebhookUrl) {
+    await sendReminderWebhook(memo);
+  }
+  
+  // 通知したことを記録する（内容の変更ではないため、版は変えない）
+  let reminded = false;
+  const updatedMemo = await saveData(store => store.update(id, (current) => {
+    if (hasPendingReminder(current) && current.remindAt === remindAt) {
+      current.remindedAt = new Date().toISOString();
+      reminded = true;
+    }
+  }));
+  if (reminded) {
+    publishMemoEvent('memo.updated', updatedMemo);
+  }
+}
+
+fastify.addHook('onClose', async () => {
+  reminderScheduler.clear();
+});
+
+// ============================================
+// 6. ID管理の改善
+// ============================================
+
+let lastId = 0;
+
+async function initializeLastId() {
+  const memos = await loadData();
+  if (memos.length > 0) {
+    lastId = Math.max(...memos.map(m => m.id));
+  }
+}
+
+function getNextId() {
+  return ++lastId;
+}
+
+// 指定したIDを使用済みにする（インポートでIDをそのまま使う場合）
+function reserveId(id) {
+  lastId = Math.max(lastId, id);
+}
+
+// ============================================
+// 7. バリデーションスキーマ
+// ============================================
+
+// タグ名のスキーマ（区切りに使うカンマとHTMLタグは不可）
+const tagNameSchema = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 30,
+  pattern: '^[^<>,、，]*[^<>,、，\\s][^<>,、，]*$'
+};
+
+// 期限・リマインダーの日時のスキーマ
+// ISO 8601 の日時のほか「明日15時」「3日後」などの日本語も受け付ける（null で解除）
+const dateInputSchema = {
+  type: ['string', 'null'],
+  minLength: 1,
+  maxLength: 50,
+  pattern: '^[^<>]*$'
+};
+
+// メモの作成・更新用スキーマ
+const memoBodySchema = {
+  type: 'object',
+  required: ['title', 'content'],
+  properties: {
+    title: { 
+      type: 'string',
+      minLength: 1,
+      maxLength: 200,
+      pattern: '^[^<>]*$' // 基本的なHTMLタグを拒否
+    },
+    content: { 
+      type: 'string',
+      minLength: 1,
+      maxLength: 5000
+    },
+    // タグ（省略可、更新時に省略した場合は変更しない）
+    tags: {
+      type: 'array',
+      maxItems: 20,
+      items: tagNameSchema
+    },
+    // フォルダ（省略可、空文字でフォルダなし）
+    folder: {
+      type: 'string',
+      maxLength: 50,
+      pattern: '^[^<>]*$'
+    },
+    // 期限とリマインダーの日時（省略可、更新時に省略した場合は変更しない）
+    dueAt: dateInputSchema,
+    remindAt: dateInputSchema
+  },
+  additionalProperties: false
+};
+
+// メモ更新用スキーマ（version を指定すると、その版から変更されていない場合だけ更新する）
+const memoUpdateSchema = {
+  ...memoBodySchema,
+  properties: {
+    ...memoBodySchema.properties,
+    version: {
+      type: 'integer',
+      minimum: 1
+    }
+  }
+};
+
+// メモの部分更新用スキーマ（JSON Merge Patch: 指定した項目だけを変更する）
+// null を指定すると、タグは空に、フォルダはフォルダなしに、期限・リマインダーはなしになる（タイトル・内容は消せない）
+const memoPatchSchema = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    title: memoBodySchema.properties.title,
+    content: memoBodySchema.properties.content,
+    tags: {
+      ...memoBodySchema.properties.tags,
+      type: ['array', 'null']
+    },
+    folder: {
+      ...memoBodySchema.properties.folder,
+      type: ['string', 'null']
+    },
+    dueAt: dateInputSchema,
+    remindAt: dateInputSchema
+  },
+  additionalProperties: false
+};
+
+// まとめて変更する操作1件のスキーマ
+//   create: memo（メモ追加と同じ項目）で作成する
+//   update: id のメモに memo（部分更新と同じ項目）を適用する
+//   delete: id のメモをゴミ箱に移動する
+// update / delete は version を指定すると、その版から変更されていない場合だけ実行する
+const batchOperationSchema = {
+  type: 'object',
+  required: ['op'],
+  properties: {
+    op: {
+      type: 'string',
+      enum: ['create', 'update', 'delete']
+    },
+    id: {
+      type: 'integer',
+      minimum: 1
+    },
+    version: {
+      type: 'integer',
+      minimum: 1
+    },
+    memo: {
+      type: 'object'
+    }
+  },
+  additionalProperties: false,
+  allOf: [
+    {
+      if: { properties: { op: { const: 'create' } } },
+      then: { required: ['memo'], properties: { memo: memoBodySchema } }
+    },
+    {
+      if: { properties: { op: { const: 'update' } } },
+      then: { required: ['id', 'memo'], properties: { memo: memoPatchSchema } }
+    },
+    {
+      if: { properties: { op: { const: 'delete' } } },
+      then: { required: ['id'] }
+    }
+  ]
+};
+
+const batchBodySchema = {
+  type: 'object',
+  required: ['operations'],
+  properties: {
+    operations: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 100,
+      items: batchOperationSchema
+    }
+  },
+  additionalProperties: false
+};
+
+// ============================================
+// レスポンスのスキーマ
+// ============================================
+// レスポンスはスキーマに合わせて高速にシリアライズされ、OpenAPIドキュメントにも使われる。
+// スキーマにない項目はレスポンスから取り除かれるため、返す項目を増やすときは忘れずに追加する。
+
+// メモの添付ファイル
+const attachmentResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string', description: 'アップロードしたときのファイル名' },
+    type: { type: 'string', enum: ATTACHMENT_TYPES, description: 'ファイルの中身から判定した種類' },
+    size: { type: 'integer', description: '大きさ（バイト）' },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+// レスポンスのメモ
+const memoResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    title: { type: 'string' },
+    content: { type: 'string', description: 'Markdown形式の本文' },
+    tags: { type: 'array', items: { type: 'string' } },
+    folder: { type: ['string', 'null'], description: 'フォルダ（フォルダなしは null）' },
+    ownerId: { type: 'string' },
+    version: { type: 'integer', description: '版番号（更新のたびに1増える）' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    deletedAt: { type: 'string', format: 'date-time', description: 'ゴミ箱に移動した日時（ゴミ箱のメモのみ）' },
+    dueAt: { type: 'string', format: 'date-time', description: '期限（設定したメモのみ）' },
+    remindAt: { type: 'string', format: 'date-time', description: 'リマインダーの日時（設定したメモのみ）' },
+    remindedAt: { type: 'string', format: 'date-time', description: 'リマインダーを通知した日時（通知済みのメモのみ）' },
+    pinned: { type: 'boolean', description: 'ピン留めしたメモのみ true' },
+    archived: { type: 'boolean', description: 'アーカイブしたメモのみ true' },
+    color: { type: 'string', enum: Object.keys(MEMO_COLORS), description: '色ラベル（設定したメモのみ）' },
+    attachments: {
+      type: 'array',
+      description: '添付ファイル（GET /api/memos/{id}/attachments/{attachmentId} で取得）',
+      items: attachmentResponseSchema
+    }
+  }
+};
+
+// 添付ファイルの追加の結果
+const attachmentUploadResponseSchema = {
+  type: 'object',
+  properties: {
+    attachments: { type: 'array', items: attachmentResponseSchema, description: '追加した添付ファイル' },
+    memo: memoResponseSchema
+  }
+};
+
+// エラーのレスポンス（グローバルエラーハンドラーが返す形式）
+const errorResponseSchema = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: { type: 'string', description: 'エラーメッセージ' },
+    message: { type: 'string', description: '補足のメッセージ（バリデーションエラーのみ）' },
+    // 版の競合（409・412）のときだけ返す
+    current: { ...memoResponseSchema, description: '現在のメモ（版の競合のみ）' },
+    merged: {
+      type: ['object', 'null'],
+      description: '送った内容と現在の内容をマージした案（版の競合のみ。作れない場合は null）',
+      properties: {
+        title: { type: 'string' },
+        content: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        folder: { type: ['string', 'null'] },
+        dueAt: { type: ['string', 'null'] },
+        remindAt: { type: ['string', 'null'] },
+        conflicts: { type: 'integer', description: '自動でマージできなかった箇所の数' }
+      }
+    },
+    // 開発モード（NODE_ENV=development）のときだけ返す
+    stack: { type: 'string' },
+    details: {}
+  }
+};
+
+const successResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' }
+  }
+};
+
+const userResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    username: { type: 'string' },
+    role: { type: 'string', enum: ['admin', 'user'] },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+// APIトークン（トークンの値は発行時のレスポンスにしか含まれない）
+const tokenResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    scopes: { type: 'array', items: { type: 'string' } },
+    hint: { type: 'string', description: 'トークンを見分けるための末尾の数文字' },
+    createdAt: { type: 'string', format: 'date-time' },
+    expiresAt: { type: ['string', 'null'], format: 'date-time' },
+    lastUsedAt: { type: ['string', 'null'], format: 'date-time' },
+    token: { type: 'string', description: 'トークンの値（発行時のみ）' }
+  }
+};
+
+const tokenListResponseSchema = {
+  type: 'object',
+  properties: {
+    scopes: {
+      type: 'object',
+      description: '指定できるスコープとその説明',
+      additionalProperties: { type: 'string' }
+    },
+    tokens: { type: 'array', items: tokenResponseSchema }
+  }
+};
+
+const tokenRevokeResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    token: tokenResponseSchema
+  }
+};
+
+// Webhook（secret は登録時のレスポンスにしか含まれない）
+const webhookResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    url: { type: 'string' },
+    events: { type: 'array', items: { type: 'string' } },
+    description: { type: 'string' },
+    active: { type: 'boolean', description: 'false の間はイベントを送らない' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    secret: { type: 'string', description: '署名の検証に使う鍵（登録時のみ）' }
+  }
+};
+
+const webhookListResponseSchema = {
+  type: 'object',
+  properties: {
+    events: { type: 'array', description: '購読できるイベント', items: { type: 'string' } },
+    webhooks: { type: 'array', items: webhookResponseSchema }
+  }
+};
+
+const webhookDeleteResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    webhook: webhookResponseSchema
+  }
+};
+
+// Webhook の配信（pending: 送信待ち・送り直し待ち、succeeded: 成功、failed: 送り直しても失敗）
+const webhookDeliveryResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    webhookId: { type: 'string' },
+    event: { type: 'string' },
+    status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+    attempts: { type: 'integer', description: '送った回数' },
+    createdAt: { type: 'string', format: 'date-time' },
+    nextAttemptAt: { type: ['string', 'null'], format: 'date-time', description: '次に送る日時（送信待ちのみ）' },
+    completedAt: { type: ['string', 'null'], format: 'date-time' },
+    history: {
+      type: 'array',
+      description: '送った結果（古い順）',
+      items: {
+        type: 'object',
+        properties: {
+          at: { type: 'string', format: 'date-time' },
+          responseStatus: { type: ['integer', 'null'], description: '送信先が返したステータスコード（応答がなければ null）' },
+          error: { type: ['string', 'null'] },
+          duration: { type: 'integer', description: '応答までの時間（ミリ秒）' }
+        }
+      }
+    },
+    payload: { type: 'object', additionalProperties: true, description: '送った本文' }
+  }
+};
+
+const webhookDeliveryListResponseSchema = {
+  type: 'object',
+  properties: {
+    deliveries: { type: 'array', items: webhookDeliveryResponseSchema }
+  }
+};
+
+// 共有リンク（url は PUBLIC_BASE_URL を設定していれば /s/<token> の完全なURL、なければパスだけ）
+const shareResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    memoId: { type: 'integer' },
+    token: { type: 'string' },
+    url: { type: 'string', description: 'ログインしていない人にも見せられる読み取り専用のページ（PUBLIC_BASE_URL を設定していない場合は /s/<token> のパスだけ）' },
+    hasPassword: { type: 'boolean', description: '閲覧にパスワードが必要か' },
+    createdAt: { type: 'string', format: 'date-time' },
+    expiresAt: { type: ['string', 'null'], format: 'date-time', description: '有効期限（無期限は null）' },
+    views: { type: 'integer', description: '表示された回数' },
+    lastViewedAt: { type: ['string', 'null'], format: 'date-time' }
+  }
+};
+
+const shareListResponseSchema = {
+  type: 'object',
+  properties: {
+    shares: { type: 'array', items: shareResponseSchema }
+  }
+};
+
+const shareRevokeResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    share: shareResponseSchema
+  }
+};
+
+const memoListResponseSchema = {
+  type: 'object',
+  properties: {
+    memos: {
+      type: 'array',
+      description: 'fields を指定した場合は、指定した項目だけを含む',
+      items: memoResponseSchema
+    },
+    total: { type: 'integer', description: '条件に合うメモの総数' },
+    limit: { type: 'integer' },
+    offset: { type: 'integer' },
+    nextCursor: { type: ['string', 'null'], description: '次のページのカーソル（次のページがなければ null）' }
+  }
+};
+
+// タグ・フォルダの名前とメモ数（メモ数の多い順）
+const nameCountListSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      count: { type: 'integer' }
+    }
+  }
+};
+
+const tagListResponseSchema = {
+  type: 'object',
+  properties: {
+    tags: nameCountListSchema
+  }
+};
+
+const folderListResponseSchema = {
+  type: 'object',
+  properties: {
+    folders: nameCountListSchema
+  }
+};
+
+const tagChangeResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    tag: { type: 'string', description: '変更後のタグ名' },
+    updated: { type: 'integer', description: '変更したメモの数' }
+  }
+};
+
+const searchResponseSchema = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    total: { type: 'integer' },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          title: { type: 'string' },
+          score: { type: 'number' },
+          titleHighlight: { type: 'string', description: '一致した部分を <mark> で囲んだタイトル（HTMLエスケープ済み）' },
+          snippet: { type: 'string', description: '一致した部分の前後の本文（HTMLエスケープ済み）' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }
+};
+
+const previewResponseSchema = {
+  type: 'object',
+  properties: {
+    html: { type: 'string', description: 'サニタイズ済みのHTML' }
+  }
+};
+
+const importResponseSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    total: { type: 'integer' },
+    created: { type: 'integer' },
+    overwritten: { type: 'integer' },
+    duplicated: { type: 'integer' },
+    skipped: { type: 'integer' }
+  }
+};
+
+const revisionListResponseSchema = {
+  type: 'object',
+  properties: {
+    memoId: { type: 'integer' },
+    currentRev: { type: 'integer' },
+    revisions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          rev: { type: 'integer' },
+          title: { type: 'string' },
+          length: { type: 'integer', description: '本文の文字数' },
+          createdAt: { type: 'string', format: 'date-time' },
+          restoredFrom: { type: 'integer', description: '復元した場合は、復元元のリビジョン' }
+        }
+      }
+    }
+  }
+};
+
+// 差分の1部分（行の中の変更箇所も同じ形）
+const diffSegmentSchema = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['equal', 'added', 'removed'] },
+    text: { type: 'string' }
+  }
+};
+
+const diffResponseSchema = {
+  type: 'object',
+  properties: {
+    memoId: { type: 'integer' },
+    rev: { type: 'integer' },
+    base: { type: ['integer', 'null'], description: '比較元のリビジョン（最初のリビジョンの場合は null）' },
+    title: {
+      type: 'object',
+      properties: {
+        changed: { type: 'boolean' },
+        from: { type: ['string', 'null'] },
+        to: { type: 'string' }
+      }
+    },
+    content: {
+      type: 'object',
+      properties: {
+        added: { type: 'integer' },
+        removed: { type: 'integer' },
+        lines: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              ...diffSegmentSchema.properties,
+              oldLine: { type: 'integer' },
+              newLine: { type: 'integer' },
+              segments: { type: 'array', items: diffSegmentSchema }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const trashListResponseSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      ...memoResponseSchema.properties,
+      purgeAt: { type: ['string', 'null'], format: 'date-time', description: '完全に削除される日時（自動削除しない場合は null）' }
+    }
+  }
+};
+
+const batchResponseSchema = {
+  type: 'object',
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          op: { type: 'string' },
+          memo: memoResponseSchema
+        }
+      }
+    }
+  }
+};
+
+// メモ一覧の絞り込み条件
+const memoFilterProperties = {
+  tag: {
+    type: 'string',
+    maxLength: 30
+  },
+  folder: {
+    type: 'string',
+    maxLength: 50
+  },
+  // アーカイブしたメモも含める
+  archived: {
+    type: 'boolean',
+    default: false
+  }
+};
+
+// メモ一覧の並べ替え条件（デフォルトは更新日時の新しい順）
+const memoSortProperties = {
+  sort: {
+    type: 'string',
+    enum: SORT_FIELDS,
+    default: 'updatedAt'
+  },
+  order: {
+    type: 'string',
+    enum: ['asc', 'desc'],
+    default: 'desc'
+  }
+};
+
+// メモ一覧APIのクエリのスキーマ
+const memoListQuerySchema = {
+  type: 'object',
+  properties: {
+    ...memoFilterProperties,
+    ...memoSortProperties,
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 20
+    },
+    // オフセット方式（何件目から取得するか）
+    offset: {
+      type: 'integer',
+      minimum: 0
+    },
+    // カーソル方式（前のレスポンスの nextCursor をそのまま指定）
+    cursor: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 1000
+    },
+    // 返す項目をカンマ区切りで指定（例: id,title,updatedAt）
+    fields: {
+      type: 'string',
+      pattern: `^(${MEMO_FIELDS.join('|')})(,(${MEMO_FIELDS.join('|')}))*$`
+    }
+  }
+};
+
+// メイン画面のクエリのスキーマ
+const pageQuerySchema = {
+  type: 'object',
+  properties: {
+    ...memoFilterProperties,
+    ...memoSortProperties,
+    page: {
+      type: 'integer',
+      minimum: 1,
+      default: 1
+    }
+  }
+};
+
+// エクスポート形式のスキーマ
+const exportQuerySchema = {
+  type: 'object',
+  properties: {
+    format: {
+      type: 'string',
+      enum: Object.keys(EXPORT_FORMATS),
+      default: 'json'
+    }
+  }
+};
+
+// インポートするメモ1件のスキーマ
+// memoBodySchema に、エクスポートしたファイルに含まれる id・日時・リマインダーの通知日時・
+// ピン留め・アーカイブ・色ラベルを加えたもの
+const importRecordSchema = {
+  ...memoBodySchema,
+  properties: {
+    ...memoBodySchema.properties,
+    id: {
+      type: 'integer',
+      minimum: 1
+    },
+    createdAt: {
+      type: 'string',
+      format: 'date-time'
+    },
+    updatedAt: {
+      type: 'string',
+      format: 'date-time'
+    },
+    remindedAt: {
+      type: ['string', 'null'],
+      format: 'date-time'
+    },
+    pinned: {
+      type: 'boolean'
+    },
+    archived: {
+      type: 'boolean'
+    },
+    color: {
+      type: ['string', 'null'],
+      enum: [...Object.keys(MEMO_COLORS), null]
+    }
+  }
+};
+
+// インポート用スキーマ（GET /api/export?format=json の形式）
+const importBodySchema = {
+  type: 'object',
+  required: ['memos'],
+  properties: {
+    exportedAt: { type: 'string' },
+    memos: {
+      type: 'array',
+      maxItems: 10000,
+      items: importRecordSchema
+    }
+  }
+};
+
+// IDが重複したときの扱い
+//   skip: 既存のメモを残し、読み込まない
+//   overwrite: 既存のメモを上書きする（変更履歴に残る）
+//   duplicate: 新しいIDを割り当てて別のメモとして追加する
+const importQuerySchema = {
+  type: 'object',
+  properties: {
+    onConflict: {
+      type: 'string',
+      enum: ['skip', 'overwrite', 'duplicate'],
+      default: 'skip'
+    }
+  }
+};
+
+// 添付ファイル指定のパラメータのスキーマ
+const attachmentParamSchema = {
+  type: 'object',
+  properties: {
+    id: {
+      type: 'string',
+      pattern: '^[0-9]+$'
+    },
+    attachmentId: {
+      type: 'string',
+      pattern: ATTACHMENT_ID_PATTERN
+    }
+  },
+  required: ['id', 'attachmentId']
+};
+
+// 添付ファイルの取得のクエリ（download=true でファイルとして保存させる）
+const attachmentQuerySchema = {
+  type: 'object',
+  properties: {
+    download: { type: 'boolean', default: false }
+  }
+};
+
+// チェックリストの項目指定のパラメータのスキーマ（index は0始まり）
+const taskParamSchema = {
+  type: 'object',
+  properties: {
+    id: {
+      type: 'string',
+      pattern: '^[0-9]+$'
+    },
+    index: {
+      type: 'string',
+      pattern: '^[0-9]+$'
+    }
+  },
+  required: ['id', 'index']
+};
+
+// チェックリストの項目の切り替え用スキーマ
+const taskBodySchema = {
+  type: 'object',
+  required: ['checked'],
+  properties: {
+    checked: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+// 色ラベルの変更用スキーマ（null で解除）
+const colorBodySchema = {
+  type: 'object',
+  required: ['color'],
+  properties: {
+    color: {
+      type: ['string', 'null'],
+      enum: [...Object.keys(MEMO_COLORS), null]
+    }
+  },
+  additionalProperties: false
+};
+
+// Markdownプレビュー用スキーマ
+const previewBodySchema = {
+  type: 'object',
+  required: ['content'],
+  properties: {
+    content: {
+      type: 'string',
+      maxLength: 5000
+    }
+  },
+  additionalProperties: false
+};
+
+// タグ名の変更用スキーマ（変更先が既にあれば統合される）
+const tagRenameSchema = {
+  type: 'object',
+  required: ['from', 'to'],
+  properties: {
+    from: tagNameSchema,
+    to: tagNameSchema
+  },
+  additionalProperties: false
+};
+
+// 複数のタグを1つに統合する用のスキーマ
+const tagMergeSchema = {
+  type: 'object',
+  required: ['sources', 'target'],
+  properties: {
+    sources: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 50,
+      items: tagNameSchema
+    },
+    target: tagNameSchema
+  },
+  additionalProperties: false
+};
+
+// 検索クエリのスキーマ
+const searchQuerySchema = {
+  type: 'object',
+  required: ['q'],
+  properties: {
+    q: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 200
+    },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 20
+    }
+  }
+};
+
+// IDパラメータのスキーマ
+const idParamSchema = {
+  type: 'object',
+  properties: {
+    id: { 
+      type: 'string',
+      pattern: '^[0-9]+$'
+    }
+  },
+  required: ['id']
+};
+
+// リビジョン指定のパラメータのスキーマ
+const revisionParamSchema = {
+  type: 'object',
+  properties: {
+    id: {
+      type: 'string',
+      pattern: '^[0-9]+$'
+    },
+    rev: {
+      type: 'string',
+      pattern: '^[0-9]+$'
+    }
+  },
+  required: ['id', 'rev']
+};
+
+// ログイン・新規登録用スキーマ
+const credentialsSchema = {
+  type: 'object',
+  required: ['username', 'password'],
+  properties: {
+    username: {
+      type: 'string',
+      minLength: 3,
+      maxLength: 32,
+      pattern: '^[A-Za-z0-9_.-]+$'
+    },
+    password: {
+      type: 'string',
+      minLength: 8,
+      maxLength: 128
+    }
+  },
+  additionalProperties: false
+};
+
+// APIトークン発行用スキーマ
+const tokenBodySchema = {
+  type: 'object',
+  required: ['name', 'scopes'],
+  properties: {
+    name: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 100,
+      pattern: '\\S'
+    },
+    scopes: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: {
+        type: 'string',
+        enum: Object.keys(TOKEN_SCOPES)
+      }
+    },
+    // 有効期限（日数、省略時は無期限）
+    expiresInDays: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 3650
+    }
+  },
+  additionalProperties: false
+};
+
+const tokenIdParamSchema = {
+  type: 'object',
+  required: ['tokenId'],
+  properties: {
+    tokenId: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 100
+    }
+  }
+};
+
+// Webhook 登録用スキーマ（url は http・https のみ、ルートで確認する）
+const webhookProperties = {
+  url: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 2000
+  },
+  events: {
+    type: 'array',
+    minItems: 1,
+    uniqueItems: true,
+    items: {
+      type: 'string',
+      enum: WEBHOOK_EVENTS
+    }
+  },
+  description: {
+    type: 'string',
+    maxLength: 200
+  },
+  active: {
+    type: 'boolean'
+  }
+};
+
+const webhookBodySchema = {
+  type: 'object',
+  required: ['url'],
+  properties: webhookProperties,
+  additionalProperties: false
+};
+
+const webhookPatchSchema = {
+  type: 'object',
+  minProperties: 1,
+  properties: webhookProperties,
+  additionalProperties: false
+};
+
+const webhookIdParamSchema = {
+  type: 'object',
+  required: ['webhookId'],
+  properties: {
+    webhookId: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 100
+    }
+  }
+};
+
+// 配信履歴のクエリのスキーマ
+const webhookDeliveriesQuerySchema = {
+  type: 'object',
+  properties: {
+    status: {
+      type: 'string',
+      enum: ['pending', 'succeeded', 'failed']
+    },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 20
+    }
+  }
+};
+
+// 共有リンクの作成用スキーマ（有効期限は期限・リマインダーと同じ書き方、省略時は無期限）
+const shareBodySchema = {
+  type: 'object',
+  properties: {
+    expiresAt: dateInputSchema,
+    password: {
+      type: ['string', 'null'],
+      minLength: 4,
+      maxLength: 128
+    }
+  },
+  additionalProperties: false
+};
+
+const shareIdParamSchema = {
+  type: 'object',
+  required: ['shareId'],
+  properties: {
+    shareId: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 100
+    }
+  }
+};
+
+const sharePasswordBodySchema = {
+  type: 'object',
+  required: ['password'],
+  properties: {
+    password: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 128
+    }
+  },
+  additionalProperties: false
+};
+
+// 差分の比較元を指定するクエリのスキーマ
+const diffQuerySchema = {
+  type: 'object',
+  properties: {
+    base: {
+      type: 'integer',
+      minimum: 1
+    }
+  }
+};
+
+// 変更の通知の続きを指定するクエリのスキーマ
+// （EventSource は再接続時に Last-Event-ID ヘッダーを送るので、そちらを優先する）
+const eventsQuerySchema = {
+  type: 'object',
+  properties: {
+    lastEventId: {
+      type: 'string',
+      maxLength: 100
+    }
+  }
+};
+
+// ============================================
+// 8. 静的ファイル配信の設定
+// ============================================
+
+// public/ のCSS・JavaScriptは、内容のハッシュを入れたURLで配信する
+// （開発時はファイルを編集したらすぐに反映されるよう、毎回ハッシュを計算し直す）
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const assets = createAssetManifest(PUBLIC_DIR, {
+  prefix: '/public/',
+  cache: !config.isDevelopment
+});
+
+// @fastify/staticプラグインを登録（配信は下のルートで行い、reply.sendFile だけを使う）
+fastify.register(require('@fastify/static'), {
+  root: PUBLIC_DIR,
+  serve: false
+});
+
+// 静的ファイルの配信
+// ハッシュ付きのURLは内容が変わらないので長期間キャッシュさせ、ハッシュのないURLは毎回確認させる
+fastify.get('/public/*', {
+  schema: {
+    hide: true
+  }
+}, async (request, reply) => {
+  const asset = assets.resolve(request.params['*']);
+  if (!asset) {
+    throw createHttpError(404, 'ファイルが見つかりません');
+  }
+  return reply.sendFile(asset.file, asset.hashed && !config.isDevelopment ?
+    { maxAge: config.assetMaxAge, immutable: true } :
+    { maxAge: 0 });
+});
+
+// サービスワーカー（オフラインでの表示と、オフラインの変更の送信）
+// サイト全体を対象にするため、/public/ ではなくサイトの直下で配信する
+// ブラウザが更新を確かめられるよう、キャッシュはさせない
+fastify.get('/sw.js', {
+  schema: {
+    hide: true
+  }
+}, async (request, reply) => {
+  return reply.sendFile('sw.js', { maxAge: 0 });
+});
+
+// Webアプリマニフェスト（ホーム画面に追加してアプリとして起動するため）
+fastify.get('/manifest.webmanifest', {
+  schema: {
+    hide: true
+  }
+}, async (request, reply) => {
+  reply.type('application/manifest+json; charset=utf-8');
+  return {
+    name: '日本語メモアプリ',
+    short_name: 'メモ',
+    description: '日本語でメモを作成・管理できるWebアプリケーション',
+    lang: 'ja',
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    background_color: '#667eea',
+    theme_color: '#667eea',
+    icons: [
+      { src: assets.url('icons/icon.svg'), sizes: 'any', type: 'image/svg+xml', purpose: 'any' }
+    ]
+  };
+});
+
+// 画面のテンプレート（views/）
+// テンプレートからは、下の helpers の値・関数をそのまま使える
+const views = createViews({
+  root: path.join(__dirname, 'views'),
+  cache: !config.isDevelopment,
+  helpers: {
+    asset: assets.url,
+    pageUrl,
+    formatDateTime,
+    renderMarkdown,
+    memoEtag,
+    getPurgeAt,
+    attachmentUrl,
+    formatFileSize,
+    memoState,
+    attachmentTypes: ATTACHMENT_TYPES,
+    memoColors: MEMO_COLORS,
+    sortFields: SORT_FIELDS
+  }
+});
+
+// Content Security Policy
+// 画面のスクリプト・スタイルはすべて public/ のファイルにしてあるので、
+// インラインのスクリプト（<script>〜</script>・onclick など）は実行させない
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self'",
+  // Markdownの画像は外部のURLも表示する
+  "img-src 'self' data: http: https:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "frame-ancestors 'none'",
+  "form-action 'self'"
+].join('; ');
+
+// すべてのレスポンスに付けるセキュリティヘッダー
+const SECURITY_HEADERS = {
+  // 他のサイトのフレームに埋め込ませない（クリックジャッキング対策）
+  'X-Frame-Options': 'DENY',
+  // Content-Type と異なる種類のファイルとして解釈させない
+  'X-Content-Type-Options': 'nosniff',
+  // 他のサイトへのリンクをたどったときに、URL（絞り込みの条件など）を送らない
+  'Referrer-Policy': 'same-origin',
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+  // HTTPSで運用している場合は、以後HTTPで接続させない
+  ...(config.cookieSecure && { 'Strict-Transport-Security': 'max-age=15552000; includeSubDomains' })
+};
+
+// セキュリティヘッダーを付け、HTMLのレスポンスにはCSPも付ける（ルートで設定済みの場合はそちらを使う）
+fastify.addHook('onSend', async (request, reply, payload) => {
+  reply.headers(SECURITY_HEADERS);
+  const type = reply.getHeader('content-type');
+  if (typeof type === 'string' && type.startsWith('text/html') &&
+      !reply.hasHeader('content-security-policy')) {
+    reply.header('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+  }
+  return payload;
+});
+
+// 添付ファイルのアップロード（multipart/form-data）
+// 大きさの上限を超えたファイルは、読み込みの途中で打ち切る
+// MAX_UPLOAD_FILES: 1回のリクエストで送れるファイルの数
+const MAX_UPLOAD_FILES = 10;
+fastify.register(require('@fastify/multipart'), {
+  limits: {
+    fileSize: config.attachmentMaxSize,
+    files: MAX_UPLOAD_FILES
+  }
+});
+
+// JSON Merge Patch（PATCH /api/memos/:id）の本文もJSONとして読み込む
+fastify.addContentTypeParser(
+  'application/merge-patch+json',
+  { parseAs: 'string' },
+  fastify.getDefaultJsonParser('error', 'ignore')
+);
+
+// ============================================
+// 8.4 リクエスト数の制限（IPアドレスごと）
+// ============================================
+// ルート（メソッドとURLの組み合わせ）ごとに、IPアドレスあたりのリクエスト数を数えます。
+// 上限は RATE_LIMITS の指定、ルートの config.rateLimit、RATE_LIMIT_MAX の順に決まります。
+
+// "GET /api/memos" → そのルートの制限
+const routeLimiters = new Map();
+
+function routeLimiter(request) {
+  const { url, config: routeConfig } = request.routeOptions;
+  if (!url) {
+    return null;
+  }
+  const key = `${request.method} ${url}`;
+  if (!routeLimiters.has(key)) {
+    const override = config.rateLimits[key];
+    routeLimiters.set(key, createRateLimiter({
+      max: config.rateLimitMax,
+      window: config.rateLimitWindow,
+      ...(routeConfig && routeConfig.rateLimit),
+      ...(typeof override === 'number' ? { max: override } : override)
+    }));
+  }
+  return routeLimiters.get(key);
+}
+
+// 認証より前に数える（パスワードやトークンの総当たりも制限する）
+fastify.addHook('onRequest', async (request, reply) => {
+  const limiter = routeLimiter(request);
+  if (!limiter) {
+    return;
+  }
+  const { limit, remaining, retryAfter } = limiter.consume(request.ip);
+  if (limit > 0) {
+    reply.header('RateLimit-Limit', limit);
+    reply.header('RateLimit-Remaining', remaining);
+  }
+  if (retryAfter > 0) {
+    reply.header('Retry-After', retryAfter);
+    throw createHttpError(429, `リクエストが多すぎます。${retryAfter}秒後に再度お試しください。`);
+  }
+});
+
+// ============================================
+// 8.5 認証（Cookieセッション・APIトークン）
+// ============================================
+
+// セッションIDを入れるCookieの名前
+const SESSION_COOKIE = 'memo_session';
+
+// Cookieの読み書きを有効にする
+fastify.register(require('@fastify/cookie'));
+
+// Authorization: Bearer ヘッダーからトークンを取り出す
+function getBearerToken(request) {
+  const header = request.headers.authorization;
+  if (!header) {
+    return null;
+  }
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (!match) {
+    throw createHttpError(401, 'Authorizationヘッダーの形式が正しくありません。');
+  }
+  return match[1];
+}
+
+// リクエストごとにログイン中のユーザーを設定する（未ログインなら null）
+// APIトークンが送られた場合はCookieよりトークンを優先する
+fastify.decorateRequest('user', null);
+fastify.decorateRequest('apiToken', null);
+fastify.addHook('onRequest', async (request, reply) => {
+  const secret = getBearerToken(request);
+  if (!secret) {
+    request.user = auth.getSessionUser(request.cookies[SESSION_COOKIE]);
+    return;
+  }
+  
+  const token = tokenService.verify(secret);
+  const user = token && auth.getUser(token.userId);
+  if (!user) {
+    throw createHttpError(401, 'APIトークンが無効か、有効期限が切れています。');
+  }
+  
+  const retryAfter = tokenService.consume(token);
+  if (retryAfter > 0) {
+    reply.header('Retry-After', retryAfter);
+    throw createHttpError(429, `リクエストが多すぎます。${retryAfter}秒後に再度お試しください。`);
+  }
+  
+  tokenService.touch(token);
+  request.user = user;
+  request.apiToken = token;
+});
+
+// CSRF対策: ブラウザからの変更を伴うリクエストは、X-CSRF-Token ヘッダーがCookieのトークンと
+// 一致する場合だけ受け付ける（ログイン前のログイン・新規登録も含む）
+// APIトークン（Authorization ヘッダー）は他のサイトから勝手に送られることがないため確かめない
+fastify.addHook('onRequest', async (request, reply) => {
+  if (isSafeMethod(request.method) || request.apiToken) {
+    return;
+  }
+  if (!verifyCsrfToken(request.cookies[CSRF_COOKIE], request.headers[CSRF_HEADER])) {
+    throw createHttpError(403, 'CSRFトークンが正しくありません。ページを再読み込みしてから、もう一度お試しください。');
+  }
+});
+
+// ページに書き出すCSRFトークン（Cookieになければ新しく作って保存する）
+function issueCsrfToken(request, reply) {
+  const current = request.cookies[CSRF_COOKIE];
+  if (current) {
+    return current;
+  }
+  const token = createCsrfToken();
+  reply.setCookie(CSRF_COOKIE, token, {
+    path: '/',
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.cookieSecure,
+    // オフラインの間の変更を後で送れるよう、ログインの有効期間と同じだけ残す
+    maxAge: config.sessionTtlDays * 24 * 60 * 60
+  });
+  return token;
+}
+
+// ログインが必要なルートに付けるフック
+async function requireUser(request, reply) {
+  if (!request.user) {
+    throw createHttpError(401, 'ログインが必要です。');
+  }
+}
+
+// メモAPIに付けるフック（APIトークンの場合はスコープも確認する）
+// ブラウザのセッションではすべての操作ができる
+function requireScope(scope) {
+  async function hook(request, reply) {
+    await requireUser(request, reply);
+    if (request.apiToken && !request.apiToken.scopes.includes(scope)) {
+      throw createHttpError(403, `このAPIトークンには ${scope} の権限がありません。`);
+    }
+  }
+  // APIドキュメントに必要なスコープを表示するため
+  hook.scope = scope;
+  return hook;
+}
+
+// ブラウザのセッションでのみ使えるルートに付けるフック（トークンの管理など）
+async function requireSession(request, reply) {
+  await requireUser(request, reply);
+  if (request.apiToken) {
+    throw createHttpError(403, 'この操作はAPIトークンでは行えません。ブラウザからログインしてください。');
+  }
+}
+
+// ログイン状態をCookieに保存する
+async function startSession(reply, user) {
+  const { token, expiresAt } = await auth.createSession(user.id);
+  reply.setCookie(SESSION_COOKIE, token, {
+    path: '/',
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.cookieSecure,
+    expires: new Date(expiresAt)
+  });
+}
+
+// 既存のメモのうち所有者のいないものを管理者に割り当てる
+// 1回の保存にまとめる（メモごとに保存すると過去世代のバックアップが入れ替わり、
+// 割り当てる前のデータファイルがバックアップから消えてしまうため）
+async function assignOrphanMemos(owner) {
+  const orphans = (await loadData()).filter(m => !m.ownerId);
+  if (orphans.length === 0) {
+    return;
+  }
+  await saveData(store => store.transaction((memos) => {
+    for (const { id } of orphans) {
+      const memo = memos.get(id);
+      if (memo && !memo.ownerId) {
+        memos.put({ ...memo, ownerId: owner.id });
+      }
+    }
+  }));
+  fastify.log.info({ count: orphans.length, owner: owner.username }, '既存のメモを管理者に割り当てました');
+}
+
+// 初回起動時に管理者アカウントを作成し、既存のメモの所有者にする
+async function initializeAuth() {
+  await auth.init();
+  
+  const { user: admin, generatedPassword } = await auth.ensureAdmin({
+    username: config.adminUsername,
+    password: config.adminPassword
+  });
+  if (generatedPassword) {
+    fastify.log.warn(
+      `管理者アカウントを作成しました。ユーザー名: ${admin.username} / パスワード: ${generatedPassword}` +
+      '（ログイン後に安全な場所に控えてください。このパスワードは再表示されません）'
+    );
+  }
+  
+  await assignOrphanMemos(admin);
+  await tokenService.init();
+}
+
+// ============================================
+// 8.6 APIドキュメント（OpenAPI）
+// ============================================
+// 各ルートのスキーマ（summary・body・response など）から OpenAPI 3 のドキュメントを作り、
+// /api/openapi.json で返します。/api/docs ではブラウザで読めるドキュメントを表示します。
+// ドキュメントはルートの定義から作られるため、ルートを変更すれば自動的に反映されます。
+
+// ドキュメントでのAPIの分類（ルートの schema.tags で指定する）
+const API_TAGS = [
+  { name: '認証', description: 'ログイン・ログアウト・新規登録' },
+  { name: 'APIトークン', description: '個人用APIトークンの管理（ブラウザからログインした場合のみ）' },
+  { name: 'Webhook', description: 'メモの変更を外部のURLに知らせる Webhook の管理と配信履歴' },
+  { name: 'メモ', description: 'メモの取得・作成・更新・削除' },
+  { name: 'タグ・フォルダ', description: 'タグ・フォルダの一覧と整理' },
+  { name: '添付ファイル', description: 'メモに添付する画像・PDFのアップロード・取得・削除' },
+  { name: '変更履歴', description: 'メモのリビジョンの一覧・差分・復元' },
+  { name: 'ゴミ箱', description: '削除したメモの一覧・復元・完全な削除' },
+  { name: '共有リンク', description: 'ログインしていない人にメモを読み取り専用で見せるリンクの作成・一覧・取り消し' },
+  { name: 'インポート・エクスポート', description: 'メモのまとめてのダウンロードと読み込み' },
+  { name: '変更の通知', description: 'メモの変更をServer-Sent Eventsで受け取る' }
+];
+
+const apiDocument = createApiDocument({
+  info: {
+    title: '日本語メモアプリ API',
+    description: 'ブラウザでログインしたセッション（Cookie）か、個人用APIトークン（Authorization: Bearer）で利用できます。' +
+      'Cookieの場合、変更を伴うリクエストには `X-CSRF-Token` ヘッダー（`GET /api/auth/csrf` で取得）が必要です。' +
+      'エラーの場合は、どのAPIも `{ "error": "エラーメッセージ" }` の形式で返します。' +
+      'リクエスト数の上限を超えた場合は 429 と `Retry-After` ヘッダーを返します。',
+    version: require('./package.json').version
+  },
+  tags: API_TAGS,
+  components: {
+    securitySchemes: {
+      session: {
+        type: 'apiKey',
+        in: 'cookie',
+        name: SESSION_COOKIE,
+        description: 'ブラウザでログインしたときのセッション'
+      },
+      apiToken: {
+        type: 'http',
+        scheme: 'bearer',
+        description: '個人用APIトークン（設定画面で発行した memo_ で始まる値）'
+      }
+    }
+  }
+});
+
+// ルートに付けた認証のフックから、ドキュメントに載せる認証方式を決める
+function securityOf(routeOptions) {
+  const hooks = [].concat(routeOptions.onRequest || []);
+  if (hooks.includes(requireSession)) {
+    return [{ session: [] }];
+  }
+  if (hooks.some(hook => hook === requireUser || hook.scope)) {
+    return [{ session: [] }, { apiToken: [] }];
+  }
+  return [];
+}
+
+// ルートが追加されるたびに、認証方式とエラーのレスポンスを加えてドキュメントに載せる
+// エラーはすべてグローバルエラーハンドラーが返すため、形式はどのルートも同じになる
+// （onRoute はルートの定義時に呼ばれるので、このフックより後に定義したルートが対象）
+fastify.addHook('onRoute', (routeOptions) => {
+  const { schema } = routeOptions;
+  if (!schema || schema.hide) {
+    return;
+  }
+  
+  const scope = [].concat(routeOptions.onRequest || []).map(hook => hook.scope).find(Boolean);
+  const notes = [schema.description, scope && `APIトークンの場合は \`${scope}\` のスコープが必要です。`];
+  routeOptions.schema = {
+    ...schema,
+    description: notes.filter(Boolean).join('\n\n') || undefined,
+    security: securityOf(routeOptions),
+    response: {
+      ...schema.response,
+      '4xx': errorResponseSchema,
+      '5xx': errorResponseSchema
+    }
+  };
+  apiDocument.addRoute(routeOptions);
+});
+
+// ドキュメントの画面（Swagger UI）のファイル
+fastify.register(require('@fastify/static'), {
+  root: require('swagger-ui-dist').getAbsoluteFSPath(),
+  prefix: '/api/docs/static/',
+  decorateReply: false,
+  index: false,
+  cacheControl: true,
+  maxAge: config.isDevelopment ? 0 : '7d'
+});
+
+// API: OpenAPIドキュメント（JSON）
+// ルートはすべて起動前に定義されるため、最初に作ったものを使い回す
+let openApiJson = null;
+fastify.get('/api/openapi.json', {
+  schema: {
+    hide: true
+  }
+}, async (request, reply) => {
+  if (!openApiJson) {
+    openApiJson = JSON.stringify(apiDocument.build());
+  }
+  reply.type('application/json; charset=utf-8').send(openApiJson);
+});
+
+// APIドキュメントの画面
+fastify.get('/api/docs', {
+  schema: {
+    hide: true
+  }
+}, async (request, reply) => {
+  // Swagger UI は表示の一部にインラインのスタイルを使うため、この画面だけ許可する
+  reply
+    .header('Content-Security-Policy',
+      CONTENT_SECURITY_POLICY.replace("style-src 'self'", "style-src 'self' 'unsafe-inline'"))
+    .type('text/html; charset=utf-8')
+    .send(views.render('pages/api-docs', {
+      csrfToken: issueCsrfToken(request, reply)
+    }, { layout: null }));
+});
+
+// ============================================
+// 8.7 ヘルスチェックとメトリクス
+// ============================================
+// /healthz: プロセスが動いているか（liveness）
+// /readyz: リクエストを受け付けられるか（readiness）。起動処理が終わり、データファイルを読み書きできること
+// /metrics: Prometheus形式のメトリクス（METRICS_PORT を指定した場合はそのポートだけで配信）
+// 監視システムから頻繁に呼ばれるため、リクエスト数の制限をかけず、アクセスのログも残しません。
+
+// 起動処理が終わってから、終了処理が始まるまで true
+let acceptingRequests = false;
+
+fastify.addHook('preClose', async () => {
+  acceptingRequests = false;
+});
+
+// 監視用のルートの共通設定（ルートごとに別のオブジェクトを使う）
+function probeRouteOptions() {
+  return {
+    logLevel: 'warn',
+    config: { rateLimit: { max: 0 } },
+    schema: { hide: true }
+  };
+}
+
+// 保存先のファイルを読み書きできるか確かめる
+// まだ作られていない場合（メモを1件も保存していない場合）は、作る先のディレクトリに書き込めればよい
+async function checkDataFile() {
+  const file = memoStore.driver.name === 'sqlite' ? config.sqliteFile : DATA_FILE;
+  try {
+    await fs.promises.access(file, fs.constants.R_OK | fs.constants.W_OK);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    await fs.promises.access(path.dirname(file), fs.constants.W_OK);
+  }
+}
+
+fastify.get('/healthz', probeRouteOptions(), async () => {
+  return { status: 'ok' };
+});
+
+fastify.get('/readyz', probeRouteOptions(), async (request, reply) => {
+  if (!acceptingRequests) {
+    throw createHttpError(503, 'サーバーの起動中または終了中です。');
+  }
+  try {
+    await checkDataFile();
+  } catch (error) {
+    request.log.warn({ err: error }, 'データファイルを読み書きできません');
+    throw createHttpError(503, 'データファイルを読み書きできません。');
+  }
+  return { status: 'ok' };
+});
+
+// ルートごとのレスポンスまでの時間を記録する（ルートがない場合は not_found にまとめる）
+fastify.addHook('onResponse', async (request, reply) => {
+  requestDuration.observe({
+    method: request.method,
+    route: request.routeOptions.url || 'not_found',
+    status_code: reply.statusCode
+  }, reply.elapsedTime / 1000);
+});
+
+// 保存されているメモの数（ゴミ箱を含む全ユーザー分）
+// キャッシュのヒット率に影響しないよう、キャッシュを通さずに読み込む
+metrics.gauge('memos', '保存されているメモの数（active: 通常、trashed: ゴミ箱）', async () => {
+  const memos = await loadData();
+  const trashed = memos.filter(m => m.deletedAt).length;
+  return [
+    { labels: { state: 'active' }, value: memos.length - trashed },
+    { labels: { state: 'trashed' }, value: trashed }
+  ];
+});
+
+// 接続中の変更の通知（Server-Sent Events）の数
+metrics.gauge('event_streams', '接続中の変更の通知（Server-Sent Events）の数', () => eventStreams.size);
+
+// 通知を待っているリマインダーの数
+metrics.gauge('reminders_scheduled', '通知を待っているリマインダーの数', () => reminderScheduler.size());
+
+// 送信待ち・送り直し待ちの Webhook の配信の数
+metrics.gauge('webhook_deliveries_pending', '送信待ち・送り直し待ちの Webhook の配信の数', () => webhookService.pendingCount());
+
+async function sendMetrics(request, reply) {
+  reply.type(metrics.contentType).header('Cache-Control', 'no-store');
+  return metrics.render();
+}
+
+// 別のポートで配信する場合は、そのポートだけで待ち受ける小さなサーバーを使う
+const metricsServer = config.metricsPort ? require('fastify')({ logger: fastify.log }) : null;
+if (metricsServer) {
+  metricsServer.get('/metrics', { logLevel: 'warn' }, sendMetrics);
+  fastify.addHook('onClose', async () => {
+    await metricsServer.close();
+  });
+} else {
+  fastify.get('/metrics', probeRouteOptions(), sendMetrics);
+}
+
+// ============================================
+// 9. グローバルエラーハンドラー
+// ============================================
+
+// カスタムエラーハンドラーを設定
+fastify.setErrorHandler(async (error, request, reply) => {
+  // エラーをログに記録（セッションIDなどのヘッダーはロガーの設定で伏せられる）
+  fastify.log.error({
+    err: error,
+    request: {
+      method: request.method,
+      url: request.url,
+      headers: request.headers
+    }
+  });
+
+  // バリデーションエラーの場合
+  if (error.validation) {
+    return reply.status(400).send({
+      error: 'バリデーションエラー',
+      message: '入力内容に誤りがあります。',
+      details: config.isDevelopment ? error.validation : undefined
+    });
+  }
+
+  // その他のエラー
+  const statusCode = error.statusCode || 500;
+  const message = statusCode === 500 ? 
+    'サーバーエラーが発生しました。' : 
+    error.message;
+
+  // 版の競合では、クライアントが選び直せるよう現在のメモ（とマージの案）を返す
+  if (error.current) {
+    reply.header('ETag', memoEtag(error.current));
+  }
+
+  // 非同期のハンドラーでは reply を返す（返さないと、onSend のフック（conditionalGet など）を
+  // 待つ間に Fastify がもう一度レスポンスを送ろうとして、プロセスが落ちる）
+  return reply.status(statusCode).send({
+    error: message,
+    ...(error.current && { current: error.current, merged: error.merged || null }),
+    ...(config.isDevelopment && { 
+      stack: error.stack,
+      details: error.message 
+    })
+  });
+});
+
+// ============================================
+// 10. ルート定義 - メインページ
+// ============================================
+
+// 日時を画面に表示する形式にする
+function formatDateTime(value) {
+  return new Date(value).toLocaleString('ja-JP');
+}
+
+// 絞り込み条件からメイン画面のURLを作る（空の条件は省く）
+function pageUrl(query) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value) {
+      params.set(key, value);
+    }
+  }
+  const search = params.toString();
+  return search ? `/?${search}` : '/';
+}
+
+// メモ一覧の1件分（メモの変更の通知でも同じHTMLを送り、画面をその場で書き換える）
+function renderMemoItem(memo) {
+  return views.render('partials/memo-item', { memo }, { layout: null });
+}
+
+// ゴミ箱の1件分
+function renderTrashItem(memo) {
+  return views.render('partials/trash-item', { memo }, { layout: null });
+}
+
+// 内容が前回と変わっていなければ 304 を返す（ETag・Last-Modified）
+fastify.get('/', {
+  onSend: conditionalGet,
+  schema: {
+    hide: true,
+    querystring: pageQuerySchema
+  }
+}, async (request, reply) => {
+  try {
+    // レスポンスのContent-Typeを設定
+    reply.type('text/html; charset=utf-8');
+    await setLastModified(reply);
+    
+    // 未ログインの場合はログイン画面を表示
+    // 画面のスクリプトが変更を伴うリクエストに付けるCSRFトークン
+    const csrfToken = issueCsrfToken(request, reply);
+    
+    const { user } = request;
+    if (!user) {
+      return views.render('pages/login', {
+        registrationEnabled: config.registrationEnabled,
+        csrfToken,
+        scripts: ['js/login.js']
+      });
+    }
+    
+    // データファイルから自分のメモ一覧を読み込む（ゴミ箱のメモは別に表示）
+    // アーカイブしたメモは ?archived=true の場合だけ表示する
+    const allMemos = ownMemos(await loadDataWithCache(), user);
+    const filter = {
+      tag: normalizeName(request.query.tag || ''),
+      folder: normalizeName(request.query.folder || ''),
+      archived: request.query.archived
+    };
+    const active = listedMemos(allMemos, filter);
+    const inFolder = active.filter(m => matchesFilter(m, { folder: filter.folder }));
+    
+    // 並べ替えて表示するページの分だけを取り出す
+    const { sort, order, page } = request.query;
+    const listQuery = {
+      ...filter,
+      sort: sort === 'updatedAt' ? '' : sort,
+      order: order === 'desc' ? '' : order
+    };
+    const result = paginate(inFolder.filter(m => matchesFilter(m, filter)), {
+      limit: config.pageSize,
+      offset: (page - 1) * config.pageSize,
+      sort,
+      order
+    });
+    const trashedMemos = allMemos
+      .filter(m => m.deletedAt)
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    
+    // テンプレートからHTMLを作る（値はテンプレートでエスケープされる）
+    return views.render('pages/index', {
+      user,
+      csrfToken,
+      folders: countFolders(active),
+      activeCount: active.length,
+      // 絞り込みの条件に合うメモの、状態ごとの数（表示していないアーカイブも数える）
+      stateCounts: countStates(activeMemos(allMemos).filter(m => matchesFilter(m, filter))),
+      tags: countTags(inFolder),
+      filter,
+      sort,
+      order,
+      page,
+      totalPages: Math.max(1, Math.ceil(result.total / config.pageSize)),
+      listQuery,
+      result,
+      memos: result.items,
+      trashedMemos,
+      trashRetentionDays: config.trashRetentionDays,
+      lastEventId: eventBus.lastEventId(user.id),
+      tokenScopes: TOKEN_SCOPES,
+      scripts: ['js/offline-store.js', 'js/app.js']
+    });
+  } catch (error) {
+    throw error; // グローバルエラーハンドラーに処理を委譲
+  }
+});
+
+// パスワードを確かめた共有リンクを覚えておくCookieの名前（共有リンクのパスだけに送る）
+const SHARE_ACCESS_COOKIE = 'memo_share_access';
+
+// 共有リンクで見せるメモ（取り消し・期限切れ・メモが削除された場合は null）
+async function findSharedMemo(token) {
+  const share = shareService.find(token);
+  if (!share) {
+    return null;
+  }
+  const memo = await memoStore.get(share.memoId);
+  if (!memo || !isOwnedBy(memo, { id: share.userId }) || memo.deletedAt) {
+    return null;
+  }
+  return { share, memo };
+}
+
+// 共有リンクのページ（ログインしていない人にも読み取り専用で表示する）
+// 表示するたびに閲覧数を数えるため、ブラウザや途中のサーバーにキャッシュさせない
+fastify.get('/s/:token', {
+  schema: {
+    hide: true
+  }
+}, async (request, reply) => {
+  reply
+    .type('text/html; charset=utf-8')
+    .header('Cache-Control', 'no-store')
+    .header('X-Robots-Tag', 'noindex, nofollow');
+  const csrfToken = issueCsrfToken(request, reply);
+  
+  const found = await findSharedMemo(request.params.token);
+  if (!found) {
+    reply.code(404);
+    return views.render('pages/share', { state: 'unavailable', csrfToken, scripts: [] });
+  }
+  
+  const { share, memo } = found;
+  if (!shareService.canView(share, request.cookies[SHARE_ACCESS_COOKIE])) {
+    return views.render('pages/share', { state: 'password', csrfToken, scripts: ['js/share.js'] });
+  }
+  
+  await shareService.recordView(share);
+  return views.render('pages/share', { state: 'view', share, memo, csrfToken, scripts: [] });
+});
+
+// 共有リンクのパスワードの確認（正しければCookieに記録し、ページを再読み込みすると表示される）
+// パスワードの総当たりを防ぐため、ログインと同じくリクエスト数を少なく制限する
+fastify.post('/s/:token', {
+  config: {
+    rateLimit: { max: config.authRateLimitMax }
+  },
+  schema: {
+    hide: true,
+    body: sharePasswordBodySchema
+  }
+}, async (request, reply) => {
+  const found = await findSharedMemo(request.params.token);
+  if (!found) {
+    throw createHttpError(404, 'このメモは表示できません。リンクが取り消されたか、有効期限が切れています。');
+  }
+  
+  const { share } = found;
+  if (!await shareService.checkPassword(share, request.body.password)) {
+    throw createHttpError(401, 'パスワードが正しくありません。');
+  }
+  
+  reply.setCookie(SHARE_ACCESS_COOKIE, shareService.accessKey(share), {
+    path: `/s/${share.token}`,
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.cookieSecure,
+    ...(share.expiresAt && { expires: new Date(share.expiresAt) })
+  });
+  return { success: true };
+});
+
+// ============================================
+// 11. REST API エンドポイント
 // ============================================
-// 10. ルート定義 - メインページ
-// ============================================
 
-// GETリクエストでルートパス（/）にアクセスした時の処理
-fastify.get('/', async (request, reply) => {
+// API: 新規登録（登録後はそのままログイン状態になる）
+fastify.post('/api/auth/register', {
+  config: {
+    rateLimit: { max: config.authRateLimitMax }
+  },
+  schema: {
+    tags: ['認証'],
+    summary: '新規登録',
+    description: '登録後はそのままログイン状態になります。REGISTRATION_ENABLED=false の場合は 403 を返します。',
+    body: credentialsSchema,
+    response: {
+      201: userResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  if (!config.registrationEnabled) {
+    throw createHttpError(403, '新規登録は現在受け付けていません。');
+  }
+  
+  const { username, password } = request.body;
+  let user;
+  try {
+    user = await auth.createUser({ username, password });
+  } catch (error) {
+    if (error.code === 'EUSEREXISTS') {
+      throw createHttpError(409, 'このユーザー名は既に使われています。');
+    }
+    throw error;
+  }
+  
+  await startSession(reply, user);
+  reply.code(201).send(publicUser(user));
+});
+
+// API: ログイン
+fastify.post('/api/auth/login', {
+  config: {
+    rateLimit: { max: config.authRateLimitMax }
+  },
+  schema: {
+    tags: ['認証'],
+    summary: 'ログイン',
+    description: 'セッションのCookieを設定します。',
+    body: credentialsSchema,
+    response: {
+      200: userResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const { username, password } = request.body;
+  const user = await auth.authenticate(username, password);
+  if (!user) {
+    throw createHttpError(401, 'ユーザー名またはパスワードが正しくありません。');
+  }
+  
+  await startSession(reply, user);
+  reply.send(publicUser(user));
+});
+
+// API: ログアウト
+fastify.post('/api/auth/logout', {
+  schema: {
+    tags: ['認証'],
+    summary: 'ログアウト',
+    response: {
+      200: successResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  await auth.destroySession(request.cookies[SESSION_COOKIE]);
+  reply.clearCookie(SESSION_COOKIE, { path: '/' });
+  reply.send({ success: true });
+});
+
+// API: CSRFトークン（画面を使わずにCookieのセッションでAPIを呼び出す場合）
+fastify.get('/api/auth/csrf', {
+  schema: {
+    tags: ['認証'],
+    summary: 'CSRFトークンの取得',
+    description: 'Cookieで認証する場合は、変更を伴うリクエスト（POST・PUT・PATCH・DELETE）の `X-CSRF-Token` ヘッダーにこの値を付けてください。' +
+      'トークンはCookieにも保存されるため、以降のリクエストでCookieも送ってください。APIトークンの場合は不要です。',
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          csrfToken: { type: 'string' }
+        }
+      }
+    }
+  }
+}, async (request, reply) => {
+  return { csrfToken: issueCsrfToken(request, reply) };
+});
+
+// API: ログイン中のユーザー
+fastify.get('/api/auth/me', {
+  onRequest: requireUser,
+  schema: {
+    tags: ['認証'],
+    summary: 'ログイン中のユーザー',
+    response: {
+      200: userResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  return publicUser(request.user);
+});
+
+// API: 自分のAPIトークン一覧
+fastify.get('/api/tokens', {
+  onRequest: requireSession,
+  schema: {
+    tags: ['APIトークン'],
+    summary: '自分のAPIトークン一覧',
+    response: {
+      200: tokenListResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  return {
+    scopes: TOKEN_SCOPES,
+    tokens: tokenService.list(request.user.id).map(publicToken)
+  };
+});
+
+// API: APIトークンの発行（トークンの値はこのレスポンスでしか返さない）
+fastify.post('/api/tokens', {
+  onRequest: requireSession,
+  schema: {
+    tags: ['APIトークン'],
+    summary: 'APIトークンの発行',
+    description: 'トークンの値（token）はこのレスポンスでしか返しません。',
+    body: tokenBodySchema,
+    response: {
+      201: tokenResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const { name, scopes, expiresInDays } = request.body;
+  const { token, record } = await tokenService.issue(request.user.id, {
+    name: name.trim(),
+    scopes,
+    expiresInDays
+  });
+  
+  fastify.log.info({ tokenId: record.id, user: request.user.username, scopes: record.scopes }, 'APIトークンを発行しました');
+  reply.code(201).send({ ...publicToken(record), token });
+});
+
+// API: APIトークンの無効化
+fastify.delete('/api/tokens/:tokenId', {
+  onRequest: requireSession,
+  schema: {
+    tags: ['APIトークン'],
+    summary: 'APIトークンの無効化',
+    params: tokenIdParamSchema,
+    response: {
+      200: tokenRevokeResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const revoked = await tokenService.revoke(request.user.id, request.params.tokenId);
+  if (!revoked) {
+    throw createHttpError(404, 'APIトークンが見つかりません');
+  }
+  
+  fastify.log.info({ tokenId: revoked.id, user: request.user.username }, 'APIトークンを無効にしました');
+  return { success: true, token: publicToken(revoked) };
+});
+
+// Webhook の送信先のURLを確かめる
+function validateWebhookUrl(url) {
+  if (url !== undefined && !isWebhookUrl(url)) {
+    throw createHttpError(400, 'Webhook のURLには http:// または https:// で始まるURLを指定してください。');
+  }
+}
+
+// IDで自分の Webhook を取得する（見つからない・他人の Webhook の場合は404）
+function findWebhook(id, user) {
+  const webhook = webhookService.get(user.id, id);
+  if (!webhook) {
+    throw createHttpError(404, 'Webhook が見つかりません');
+  }
+  return webhook;
+}
+
+// 1人が登録できる Webhook の数
+const WEBHOOK_LIMIT = 20;
+
+// API: 自分の Webhook 一覧
+fastify.get('/api/webhooks', {
+  onRequest: requireScope('webhooks:manage'),
+  schema: {
+    tags: ['Webhook'],
+    summary: '自分の Webhook 一覧',
+    response: {
+      200: webhookListResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  return {
+    events: WEBHOOK_EVENTS,
+    webhooks: webhookService.list(request.user.id).map(publicWebhook)
+  };
+});
+
+// API: Webhook の登録（secret はこのレスポンスでしか返さない）
+fastify.post('/api/webhooks', {
+  onRequest: requireScope('webhooks:manage'),
+  schema: {
+    tags: ['Webhook'],
+    summary: 'Webhook の登録',
+    description: '登録した Webhook には、自分のメモが作成・更新・削除・ゴミ箱から復元されるたびに JSON を POST します（events で絞り込めます）。' +
+      '本文の署名に使う鍵（secret）はこのレスポンスでしか返しません。' +
+      '署名は X-Memo-Signature ヘッダーに「sha256=」に続けて、「<X-Memo-Timestamp の値>.<本文>」の HMAC-SHA256 を16進数で入れます。',
+    body: webhookBodySchema,
+    response: {
+      201: webhookResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const { url, events, description, active } = request.body;
+  validateWebhookUrl(url);
+  if (webhookService.list(request.user.id).length >= WEBHOOK_LIMIT) {
+    throw createHttpError(400, `Webhook は${WEBHOOK_LIMIT}個まで登録できます。使っていないものを削除してください。`);
+  }
+  const webhook = await webhookService.create(request.user.id, {
+    url,
+    events,
+    description: description && description.trim(),
+    active
+  });
+  
+  fastify.log.info({ webhookId: webhook.id, user: request.user.username, events: webhook.events }, 'Webhook を登録しました');
+  reply.code(201).send({ ...publicWebhook(webhook), secret: webhook.secret });
+});
+
+// API: Webhook の取得
+fastify.get('/api/webhooks/:webhookId', {
+  onRequest: requireScope('webhooks:manage'),
+  schema: {
+    tags: ['Webhook'],
+    summary: 'Webhook の取得',
+    params: webhookIdParamSchema,
+    response: {
+      200: webhookResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  return publicWebhook(findWebhook(request.params.webhookId, request.user));
+});
+
+// API: Webhook の変更（URL・購読するイベント・説明・有効かどうか）
+fastify.patch('/api/webhooks/:webhookId', {
+  onRequest: requireScope('webhooks:manage'),
+  schema: {
+    tags: ['Webhook'],
+    summary: 'Webhook の変更',
+    description: '指定した項目だけを変更します。active を false にすると、送り直し待ちの配信も送らずに失敗にします。',
+    params: webhookIdParamSchema,
+    body: webhookPatchSchema,
+    response: {
+      200: webhookResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const { url, events, description, active } = request.body;
+  findWebhook(request.params.webhookId, request.user);
+  validateWebhookUrl(url);
+  const webhook = await webhookService.update(request.user.id, request.params.webhookId, {
+    url,
+    events,
+    description: description === undefined ? undefined : description.trim(),
+    active
+  });
+  
+  fastify.log.info({ webhookId: webhook.id, user: request.user.username }, 'Webhook を変更しました');
+  return publicWebhook(webhook);
+});
+
+// API: Webhook の削除（送信待ちの配信と配信履歴も削除する）
+fastify.delete('/api/webhooks/:webhookId', {
+  onRequest: requireScope('webhooks:manage'),
+  schema: {
+    tags: ['Webhook'],
+    summary: 'Webhook の削除',
+    description: 'まだ送っていない配信と配信履歴も削除します。',
+    params: webhookIdParamSchema,
+    response: {
+      200: webhookDeleteResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  findWebhook(request.params.webhookId, request.user);
+  const removed = await webhookService.remove(request.user.id, request.params.webhookId);
+  
+  fastify.log.info({ webhookId: removed.id, user: request.user.username }, 'Webhook を削除しました');
+  return { success: true, webhook: publicWebhook(removed) };
+});
+
+// API: Webhook の配信履歴（新しい順）
+fastify.get('/api/webhooks/:webhookId/deliveries', {
+  onRequest: requireScope('webhooks:manage'),
+  schema: {
+    tags: ['Webhook'],
+    summary: 'Webhook の配信履歴',
+    description: `送信待ちの配信と、送り終えた最近の配信（Webhook ごとに ${config.webhookLogLimit || '無制限'}件まで）を新しい順に返します。`,
+    params: webhookIdParamSchema,
+    querystring: webhookDeliveriesQuerySchema,
+    response: {
+      200: webhookDeliveryListResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const webhook = findWebhook(request.params.webhookId, request.user);
+  const deliveries = await webhookService.listDeliveries(webhook.id, request.query);
+  return { deliveries: deliveries.map(publicDelivery) };
+});
+
+// API: 全メモ取得（自分のメモのみ、内容が前回と変わっていなければ 304 を返す）
+fastify.get('/api/memos', {
+  onRequest: requireScope('memos:read'),
+  onSend: conditionalGet,
+  schema: {
+    tags: ['メモ'],
+    summary: 'メモ一覧',
+    description: 'ゴミ箱のメモは含みません。アーカイブしたメモは archived=true を指定した場合だけ含みます。' +
+      'ピン留めしたメモは並べ替えの条件に関係なく先頭に並びます。' +
+      'ページ分割はオフセット方式（offset）とカーソル方式（cursor）のどちらかを使います。' +
+      'レスポンスの ETag・Last-Modified を If-None-Match・If-Modified-Since に指定すると、内容が変わっていない場合は 304 を返します。',
+    querystring: memoListQuerySchema,
+    response: {
+      200: memoListResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const { limit, offset, cursor, sort, order, fields } = request.query;
+  if (cursor && offset !== undefined) {
+    throw createHttpError(400, 'cursor と offset は同時に指定できません。');
+  }
+  
   try {
-    // データファイルからメモ一覧を読み込む
-    const memos = await loadDataWithCache();
+    await setLastModified(reply);
+    const memos = listedMemos(ownMemos(await loadDataWithCache(), request.user), request.query)
+      .filter(memo => matchesFilter(memo, request.query));
+    const page = paginate(memos, { limit, offset, cursor, sort, order });
     
-    // レスポンスのContent-Typeを設定
-    reply.type('text/html; charset=utf-8');
+    return reply.send({
+      memos: page.items.map(memo => projectFields(memo, fields)),
+      total: page.total,
+      limit,
+      offset: page.offset,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    if (error.code === INVALID_CURSOR_CODE) {
+      throw createHttpError(400, error.message);
+    }
+    throw error;
+  }
+});
+
+// API: タグ一覧（メモ数付き）
+fastify.get('/api/tags', {
+  onRequest: requireScope('memos:read'),
+  schema: {
+    tags: ['タグ・フォルダ'],
+    summary: 'タグ一覧（メモ数付き）',
+    response: {
+      200: tagListResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const memos = activeMemos(ownMemos(await loadDataWithCache(), request.user));
+  return { tags: countTags(memos) };
+});
+
+// API: タグ名の変更（変更先のタグが既にあれば統合される）
+fastify.post('/api/tags/rename', {
+  onRequest: requireScope('memos:write'),
+  schema: {
+    tags: ['タグ・フォルダ'],
+    summary: 'タグ名の変更',
+    description: '変更先のタグが既にあれば統合されます。',
+    body: tagRenameSchema,
+    response: {
+      200: tagChangeResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const { from, to } = request.body;
+  const updated = await renameTags(request.user, [from], to);
+  if (updated === 0) {
+    throw createHttpError(404, 'タグが見つかりません');
+  }
+  return { success: true, tag: normalizeName(to), updated };
+});
+
+// API: 複数のタグを1つに統合
+fastify.post('/api/tags/merge', {
+  onRequest: requireScope('memos:write'),
+  schema: {
+    tags: ['タグ・フォルダ'],
+    summary: '複数のタグを1つに統合',
+    body: tagMergeSchema,
+    response: {
+      200: tagChangeResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const { sources, target } = request.body;
+  const updated = await renameTags(request.user, sources, target);
+  if (updated === 0) {
+    throw createHttpError(404, 'タグが見つかりません');
+  }
+  return { success: true, tag: normalizeName(target), updated };
+});
+
+// API: フォルダ一覧（メモ数付き）
+fastify.get('/api/folders', {
+  onRequest: requireScope('memos:read'),
+  schema: {
+    tags: ['タグ・フォルダ'],
+    summary: 'フォルダ一覧（メモ数付き）',
+    response: {
+      200: folderListResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const memos = activeMemos(ownMemos(await loadDataWithCache(), request.user));
+  return { folders: countFolders(memos) };
+});
+
+// API: メモ検索（タイトル・内容の全文検索）
+fastify.get('/api/memos/search', {
+  onRequest: requireScope('memos:read'),
+  schema: {
+    tags: ['メモ'],
+    summary: 'メモの全文検索',
+    description: 'タイトル・内容を検索し、関連度の高い順に返します。',
+    querystring: searchQuerySchema,
+    response: {
+      200: searchResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const { q, limit } = request.query;
+  await checkExternalChanges();
+  const { total, results } = memoStore.search(q, {
+    limit,
+    filter: memo => isOwnedBy(memo, request.user)
+  });
+  return { query: q, total, results };
+});
+
+// API: メモ1件の取得（ETagヘッダーに現在の版を返す）
+// If-None-Match が現在の版と一致する場合は 304 を返す
+fastify.get('/api/memos/:id', {
+  onRequest: requireScope('memos:read'),
+  schema: {
+    tags: ['メモ'],
+    summary: 'メモ1件の取得',
+    description: 'ETagヘッダーに現在の版を返します。If-None-Match が現在の版と一致する場合は 304 を返します。',
+    params: idParamSchema,
+    response: {
+      200: memoResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const memo = await findMemo(parseInt(request.params.id), request.user);
+  const etag = memoEtag(memo);
+  reply.header('ETag', etag);
+  
+  const ifNoneMatch = request.headers['if-none-match'];
+  if (ifNoneMatch && matchesIfNoneMatch(ifNoneMatch, etag)) {
+    return reply.code(304).send();
+  }
+  return memo;
+});
+
+// API: メモ追加
+fastify.post('/api/memos', {
+  onRequest: requireScope('memos:write'),
+  schema: {
+    tags: ['メモ'],
+    summary: 'メモの作成',
+    description: '期限（dueAt）・リマインダー（remindAt）は ISO 8601 の日時か、「明日15時」「3日後」「来週月曜10時」などの日本語で指定します。' +
+      'リマインダーの日時になると、変更の通知（memo.reminder）と REMINDER_WEBHOOK_URL への Webhook で知らせます。',
+    body: memoBodySchema,
+    response: {
+      201: memoResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  try {
+    const { title, content, tags, folder } = request.body;
     
-    // HTMLテンプレートを返す（エスケープ処理付き）
-    return `
-<!DOCTYPE html>
-<html lang="ja">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <meta name="description" content="日本語でメモを作成・管理できるWebアプリケーション">
-    <title>日本語メモアプリ</title>
-    <style>
-        /* CSSは後で外部ファイルに移動予定 */
-        body {
-            font-family: 'Hiragino Sans', 'Yu Gothic', 'Meiryo', sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            margin: 0;
-            padding: 20px;
-            min-height: 100vh;
-        }
-        .container {
-            max-width: 900px;
-            margin: 0 auto;
-        }
-        .header {
-            text-align: center;
-            margin-bottom: 2rem;
-        }
-        .header h1 {
-            color: white;
-            font-size: 3rem;
-            margin: 0;
-            text-shadow: 2px 2px 4px rgba(0,0,0,0.3);
-        }
-        .header p {
-            color: white;
-            font-size: 1.2rem;
-            margin: 0.5rem 0;
-            opacity: 0.9;
-        }
-        .card {
-            background: white;
-            padding: 2rem;
-            border-radius: 15px;
-            box-shadow: 0 8px 25px rgba(0, 0, 0, 0.15);
-            margin-bottom: 20px;
-            transition: transform 0.2s ease;
-        }
-        .card:hover {
-            transform: translateY(-2px);
-        }
-        .memo-form {
-            margin-bottom: 2rem;
-        }
-        .form-group {
-            margin-bottom: 1.5rem;
-        }
-        label {
-            display: block;
-            margin-bottom: 0.5rem;
-            font-weight: bold;
-            color: #333;
-        }
-        input[type="text"], textarea {
-            width: 100%;
-            padding: 0.75rem;
-            border: 2px solid #e2e8f0;
-            border-radius: 8px;
-            font-size: 1rem;
-            box-sizing: border-box;
-            transition: border-color 0.2s ease;
-        }
-        input[type="text"]:focus, textarea:focus {
-            outline: none;
-            border-color: #667eea;
-            box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
-        }
-        textarea {
-            resize: vertical;
-            min-height: 100px;
-        }
-        button {
-            background: #667eea;
-            color: white;
-            padding: 0.75rem 1.5rem;
-            border: none;
-            border-radius: 8px;
-            cursor: pointer;
-            font-size: 1rem;
-            margin-right: 0.5rem;
-            transition: all 0.2s ease;
-        }
-        button:hover {
-            background: #5a67d8;
-            transform: translateY(-1px);
-        }
-        button:disabled {
-            background: #a0aec0;
-            cursor: not-allowed;
-            transform: none;
-        }
-        button.delete {
-            background: #e53e3e;
-        }
-        button.delete:hover {
-            background: #c53030;
-        }
-        button.edit {
-            background: #38a169;
-        }
-        button.edit:hover {
-            background: #2f855a;
-        }
-        button.cancel {
-            background: #718096;
-        }
-        button.cancel:hover {
-            background: #4a5568;
-        }
-        .memo-list {
-            margin-top: 2rem;
-        }
-        .memo-item {
-            background: linear-gradient(135deg, #f7fafc 0%, #edf2f7 100%);
-            padding: 1.5rem;
-            margin-bottom: 1.5rem;
-            border-radius: 12px;
-            border-left: 5px solid #667eea;
-            transition: all 0.2s ease;
-        }
-        .memo-item:hover {
-            transform: translateX(5px);
-            box-shadow: 0 4px 15px rgba(0,0,0,0.1);
-        }
-        .memo-title {
-            font-size: 1.4rem;
-            font-weight: bold;
-            margin-bottom: 0.5rem;
-            color: #2d3748;
-        }
-        .memo-content {
-            font-size: 1.1rem;
-            margin-bottom: 1rem;
-            color: #4a5568;
-            line-height: 1.6;
-            white-space: pre-wrap;
-        }
-        .memo-meta {
-            font-size: 0.85rem;
-            color: #718096;
-            margin-bottom: 1rem;
-            display: flex;
-            justify-content: space-between;
-            flex-wrap: wrap;
-        }
-        .memo-actions {
-            margin-top: 1rem;
-        }
-        .edit-form {
-            display: none;
-            margin-top: 1.5rem;
-            padding-top: 1.5rem;
-            border-top: 2px solid #e2e8f0;
-        }
-        .edit-form.active {
-            display: block;
-        }
-        .no-memos {
-            text-align: center;
-            color: #718096;
-            font-style: italic;
-            margin: 2rem 0;
-        }
-        .memo-count {
-            text-align: center;
-            color: #4a5568;
-            margin-bottom: 1rem;
-        }
-        .error-message {
-            background: #fed7d7;
-            color: #c53030;
-            padding: 1rem;
-            border-radius: 8px;
-            margin-bottom: 1rem;
-            display: none;
-        }
-        .success-message {
-            background: #c6f6d5;
-            color: #2f855a;
-            padding: 1rem;
-            border-radius: 8px;
-            margin-bottom: 1rem;
-            display: none;
-        }
-        .loading {
-            opacity: 0.6;
-            pointer-events: none;
-        }
-        @media (max-width: 768px) {
-            .container {
-                padding: 0 10px;
-            }
-            .header h1 {
-                font-size: 2rem;
-            }
-            .card {
-                padding: 1.5rem;
-            }
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>📝 メモアプリ</h1>
-            <p>あなたの大切な思考を記録しましょう</p>
-        </div>
-        
-        <div class="card">
-            <div class="error-message" id="errorMessage"></div>
-            <div class="success-message" id="successMessage"></div>
-            
-            <div class="memo-form">
-                <h2>新しいメモを作成</h2>
-                <form id="addForm">
-                    <div class="form-group">
-                        <label for="newTitle">タイトル: <small>(最大200文字)</small></label>
-                        <input type="text" id="newTitle" name="title" placeholder="メモのタイトルを入力..." required maxlength="200">
-                    </div>
-                    <div class="form-group">
-                        <label for="newContent">内容: <small>(最大5000文字)</small></label>
-                        <textarea id="newContent" name="content" placeholder="メモの内容を入力してください..." required maxlength="5000"></textarea>
-                    </div>
-                    <button type="submit" id="submitButton">💾 メモを保存</button>
-                </form>
-            </div>
-        </div>
-        
-        <div class="card">
-            <div class="memo-list">
-                <h2>📋 メモ一覧</h2>
-                <div class="memo-count">全 ${memos.length} 件のメモ</div>
-                ${memos.length === 0 ? '<div class="no-memos">まだメモがありません。上のフォームから最初のメモを作成しましょう！</div>' : 
-                  memos.map(memo => `
-                    <div class="memo-item" data-id="${memo.id}">
-                        <div class="memo-title">${escapeHtml(memo.title)}</div>
-                        <div class="memo-content">${escapeHtml(memo.content)}</div>
-                        <div class="memo-meta">
-                            <span>📅 作成: ${new Date(memo.createdAt).toLocaleString('ja-JP')}</span>
-                            ${memo.updatedAt !== memo.createdAt ? 
-                              `<span>🔄 更新: ${new Date(memo.updatedAt).toLocaleString('ja-JP')}</span>` : ''
-                            }
-                        </div>
-                        <div class="memo-actions">
-                            <button class="edit" onclick="toggleEdit(${memo.id})">✏️ 編集</button>
-                            <button class="delete" onclick="deleteMemo(${memo.id})">🗑️ 削除</button>
-                        </div>
-                        <div class="edit-form" id="edit-${memo.id}">
-                            <h3>メモを編集</h3>
-                            <div class="form-group">
-                                <label>タイトル: <small>(最大200文字)</small></label>
-                                <input type="text" id="editTitle-${memo.id}" value="${escapeHtml(memo.title)}" maxlength="200">
-                            </div>
-                            <div class="form-group">
-                                <label>内容: <small>(最大5000文字)</small></label>
-                                <textarea id="editContent-${memo.id}" maxlength="5000">${escapeHtml(memo.content)}</textarea>
-                            </div>
-                            <button onclick="updateMemo(${memo.id})">💾 更新</button>
-                            <button class="cancel" onclick="toggleEdit(${memo.id})">❌ キャンセル</button>
-                        </div>
-                    </div>
-                  `).join('')
-                }
-            </div>
-        </div>
-    </div>
-
-    <script>
-        // エラーメッセージを表示
-        function showError(message) {
-            const errorDiv = document.getElementById('errorMessage');
-            errorDiv.textContent = message;
-            errorDiv.style.display = 'block';
-            setTimeout(() => {
-                errorDiv.style.display = 'none';
-            }, 5000);
-        }
+    const now = new Date().toISOString();
+    const memo = {
+      title: title.trim(),
+      content: content.trim(),
+      tags: normalizeTags(tags),
+      folder: normalizeFolder(folder),
+      ownerId: request.user.id,
+      version: 1,
+      createdAt: now,
+      updatedAt: now
+    };
+    applyMemoDates(memo, request.body);
+    const newMemo = await saveData(store => store.create({ id: getNextId(), ...memo }));
+    await revisionLog.record(newMemo);
+    publishMemoEvent('memo.created', newMemo);
+    
+    reply.code(201).header('ETag', memoEtag(newMemo)).send(newMemo);
+  } catch (error) {
+    throw error;
+  }
+});
+
+// API: チェックリストの項目の切り替え
+fastify.post('/api/memos/:id/tasks/:index', {
+  onRequest: requireScope('memos:write'),
+  schema: {
+    tags: ['メモ'],
+    summary: 'チェックリストの項目の切り替え',
+    description: 'index は本文中のチェックリストの項目の番号（0始まり）です。',
+    params: taskParamSchema,
+    body: taskBodySchema,
+    response: {
+      200: memoResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const id = parseInt(request.params.id);
+  const index = parseInt(request.params.index);
+  const { checked } = request.body;
+  
+  const updatedMemo = await saveMemoChanges(id, request.user, (memo) => {
+    checkMemoVersion(request, memo);
+    const content = setTaskChecked(memo.content, index, checked);
+    if (content === null) {
+      throw createHttpError(404, 'チェックリストの項目が見つかりません');
+    }
+    memo.content = content;
+  });
+  
+  reply.header('ETag', memoEtag(updatedMemo)).send(updatedMemo);
+});
+
+// ピン留め・アーカイブ・色ラベルを変更する（null で外す。今と同じ場合は保存せず、版も変えない）
+async function changeMemoState(request, reply, changes) {
+  const id = parseInt(request.params.id);
+  const memo = await findMemo(id, request.user);
+  checkMemoVersion(request, memo);
+  
+  let updatedMemo = memo;
+  if (Object.entries(changes).some(([key, value]) => (memo[key] || null) !== value)) {
+    updatedMemo = await saveMemoChanges(id, request.user, (current) => {
+      checkMemoVersion(request, current);
+      if (changes.pinned && current.archived) {
+        throw createHttpError(400, 'アーカイブしたメモはピン留めできません。先にアーカイブから戻してください。');
+      }
+      assignOptionalFields(current, changes);
+    });
+  }
+  
+  reply.header('ETag', memoEtag(updatedMemo)).send(updatedMemo);
+}
+
+// ピン留め・アーカイブ・色ラベルのルートの共通の設定
+function memoStateRoute(summary, description, body) {
+  return {
+    onRequest: requireScope('memos:write'),
+    schema: {
+      tags: ['メモ'],
+      summary,
+      description: `${description} If-Match ヘッダーを指定すると、その版から変更されていない場合だけ変更します。`,
+      params: idParamSchema,
+      ...(body && { body }),
+      response: {
+        200: memoResponseSchema
+      }
+    }
+  };
+}
+
+// API: メモのピン留め（一覧で常に先頭に表示する）
+fastify.post('/api/memos/:id/pin', memoStateRoute(
+  'メモのピン留め',
+  'ピン留めしたメモは、一覧で並べ替えの条件に関係なく先頭に表示します。アーカイブしたメモはピン留めできません。'
+), async (request, reply) => {
+  await changeMemoState(request, reply, { pinned: true });
+});
+
+// API: メモのピン留めを外す
+fastify.delete('/api/memos/:id/pin', memoStateRoute(
+  'メモのピン留めを外す',
+  'ピン留めしていないメモの場合は何もしません。'
+), async (request, reply) => {
+  await changeMemoState(request, reply, { pinned: null });
+});
+
+// API: メモのアーカイブ（一覧に表示しないが、ゴミ箱とは違い期限で削除されない）
+fastify.post('/api/memos/:id/archive', memoStateRoute(
+  'メモのアーカイブ',
+  'アーカイブしたメモは、一覧（archived=true の場合を除く）に表示しません。ピン留めは外れます。'
+), async (request, reply) => {
+  await changeMemoState(request, reply, { archived: true, pinned: null });
+});
+
+// API: メモをアーカイブから戻す
+fastify.delete('/api/memos/:id/archive', memoStateRoute(
+  'メモをアーカイブから戻す',
+  'アーカイブしていないメモの場合は何もしません。'
+), async (request, reply) => {
+  await changeMemoState(request, reply, { archived: null });
+});
+
+// API: メモの色ラベルの変更（一覧のメモの枠の色になる）
+fastify.post('/api/memos/:id/color', memoStateRoute(
+  'メモの色ラベルの変更',
+  `color には ${Object.keys(MEMO_COLORS).join(' / ')} のいずれかを指定します。null で色ラベルを外します。`,
+  colorBodySchema
+), async (request, reply) => {
+  await changeMemoState(request, reply, { color: request.body.color });
+});
 
-        // 成功メッセージを表示
-        function showSuccess(message) {
-            const successDiv = document.getElementById('successMessage');
-            successDiv.textContent = message;
-            successDiv.style.display = 'block';
-            setTimeout(() => {
-                successDiv.style.display = 'none';
-            }, 3000);
-        }
+// 1件のメモに作れる共有リンクの数（有効なもの）
+const SHARE_LIMIT = 20;
 
-        // ローディング状態の管理
-        function setLoading(isLoading) {
-            const container = document.querySelector('.container');
-            if (isLoading) {
-                container.classList.add('loading');
-            } else {
-                container.classList.remove('loading');
-            }
-        }
+// 共有リンクのレスポンス（PUBLIC_BASE_URL を設定していれば完全なURL、なければ /s/<token> のパスだけ）
+// Host ヘッダーはクライアントが自由に決められるため、URLの組み立てには使わない
+function shareResponse(share) {
+  return {
+    ...publicShare(share),
+    url: `${config.publicBaseUrl}/s/${share.token}`
+  };
+}
 
-        // 新しいメモを追加
-        document.getElementById('addForm').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            const title = document.getElementById('newTitle').value.trim();
-            const content = document.getElementById('newContent').value.trim();
-            
-            if (!title || !content) {
-                showError('タイトルと内容は必須です。');
-                return;
-            }
-            
-            setLoading(true);
-            const submitButton = document.getElementById('submitButton');
-            submitButton.disabled = true;
-            
-            try {
-                const response = await fetch('/api/memos', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({ title, content }),
-                });
-                
-                if (response.ok) {
-                    showSuccess('メモを保存しました。');
-                    setTimeout(() => location.reload(), 1000);
-                } else {
-                    const error = await response.json();
-                    showError(error.error || 'メモの保存に失敗しました。');
-                }
-            } catch (error) {
-                showError('ネットワークエラーが発生しました。');
-                console.error('Error:', error);
-            } finally {
-                setLoading(false);
-                submitButton.disabled = false;
-            }
-        });
-        
-        // メモを削除
-        async function deleteMemo(id) {
-            if (!confirm('このメモを削除しますか？削除すると元に戻せません。')) {
-                return;
-            }
-            
-            setLoading(true);
-            
-            try {
-                const response = await fetch(\`/api/memos/\${id}\`, {
-                    method: 'DELETE',
-                });
-                
-                if (response.ok) {
-                    showSuccess('メモを削除しました。');
-                    setTimeout(() => location.reload(), 1000);
-                } else {
-                    const error = await response.json();
-                    showError(error.error || 'メモの削除に失敗しました。');
-                }
-            } catch (error) {
-                showError('ネットワークエラーが発生しました。');
-                console.error('Error:', error);
-            } finally {
-                setLoading(false);
-            }
-        }
-        
-        // 編集フォームの表示/非表示を切り替え
-        function toggleEdit(id) {
-            const editForm = document.getElementById(\`edit-\${id}\`);
-            editForm.classList.toggle('active');
-        }
-        
-        // メモを更新
-        async function updateMemo(id) {
-            const title = document.getElementById(\`editTitle-\${id}\`).value.trim();
-            const content = document.getElementById(\`editContent-\${id}\`).value.trim();
-            
-            if (!title || !content) {
-                showError('タイトルと内容は必須です。');
-                return;
-            }
-            
-            setLoading(true);
-            
-            try {
-                const response = await fetch(\`/api/memos/\${id}\`, {
-                    method: 'PUT',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({ title, content }),
-                });
-                
-                if (response.ok) {
-                    showSuccess('メモを更新しました。');
-                    setTimeout(() => location.reload(), 1000);
-                } else {
-                    const error = await response.json();
-                    showError(error.error || 'メモの更新に失敗しました。');
-                }
-            } catch (error) {
-                showError('ネットワークエラーが発生しました。');
-                console.error('Error:', error);
-            } finally {
-                setLoading(false);
-            }
-        }
-    </script>
-</body>
-</html>
-    `;
-  } catch (error) {
-    throw error; // グローバルエラーハンドラーに処理を委譲
+// API: メモの共有リンクの作成（ログインしていない人にも読み取り専用で見せる）
+fastify.post('/api/memos/:id/share', {
+  onRequest: requireScope('memos:write'),
+  schema: {
+    tags: ['共有リンク'],
+    summary: '共有リンクの作成',
+    description: 'URL（/s/<token>）を知っている人なら、ログインしていなくてもメモを読み取り専用で表示できます。' +
+      'expiresAt は ISO 8601 の日時か「3日後」「来週月曜」などの日本語で、省略すると無期限です。' +
+      'password を指定すると、表示する前にパスワードの入力を求めます。',
+    params: idParamSchema,
+    body: shareBodySchema,
+    response: {
+      201: shareResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const memo = await findMemo(parseInt(request.params.id), request.user);
+  const { expiresAt, password } = request.body || {};
+  
+  let expires = null;
+  if (expiresAt) {
+    expires = toDateValue(expiresAt, '有効期限');
+    if (new Date(expires).getTime() <= Date.now()) {
+      throw createHttpError(400, '有効期限には、これから先の日時を指定してください。');
+    }
+  }
+  if (shareService.list(request.user.id, memo.id).length >= SHARE_LIMIT) {
+    throw createHttpError(400, `1件のメモに作れる共有リンクは${SHARE_LIMIT}個までです。使っていないものを取り消してください。`);
   }
+  
+  const share = await shareService.create(request.user.id, memo.id, { expiresAt: expires, password });
+  fastify.log.info({ shareId: share.id, memoId: memo.id, user: request.user.username }, '共有リンクを作成しました');
+  reply.code(201).send(shareResponse(share));
 });
 
-// ============================================
-// 11. REST API エンドポイント
-// ============================================
+// API: メモの共有リンク一覧（有効なもの、新しい順）
+fastify.get('/api/memos/:id/shares', {
+  onRequest: requireScope('memos:read'),
+  schema: {
+    tags: ['共有リンク'],
+    summary: 'メモの共有リンク一覧',
+    description: '取り消したものと有効期限の切れたものは含みません。',
+    params: idParamSchema,
+    response: {
+      200: shareListResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const memo = await findMemo(parseInt(request.params.id), request.user);
+  return {
+    shares: shareService.list(request.user.id, memo.id).map(share => shareResponse(share))
+  };
+});
 
-// API: 全メモ取得
-fastify.get('/api/memos', async (request, reply) => {
-  try {
-    const memos = await loadDataWithCache();
-    reply.send(memos);
-  } catch (error) {
-    throw error;
+// API: 自分の共有リンク一覧（すべてのメモ、有効なもの、新しい順）
+fastify.get('/api/shares', {
+  onRequest: requireScope('memos:read'),
+  schema: {
+    tags: ['共有リンク'],
+    summary: '自分の共有リンク一覧',
+    description: '取り消したものと有効期限の切れたものは含みません。',
+    response: {
+      200: shareListResponseSchema
+    }
   }
+}, async (request, reply) => {
+  return {
+    shares: shareService.list(request.user.id).map(share => shareResponse(share))
+  };
 });
 
-// API: メモ追加
-fastify.post('/api/memos', {
+// API: 共有リンクの取り消し（そのURLではメモを表示できなくなる）
+fastify.delete('/api/shares/:shareId', {
+  onRequest: requireScope('memos:write'),
+  schema: {
+    tags: ['共有リンク'],
+    summary: '共有リンクの取り消し',
+    params: shareIdParamSchema,
+    response: {
+      200: shareRevokeResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const revoked = await shareService.revoke(request.user.id, request.params.shareId);
+  if (!revoked) {
+    throw createHttpError(404, '共有リンクが見つかりません');
+  }
+  
+  fastify.log.info({ shareId: revoked.id, memoId: revoked.memoId, user: request.user.username }, '共有リンクを取り消しました');
+  return { success: true, share: shareResponse(revoked) };
+});
+
+// ファイルの大きさの表示（1.5 MB など）
+function formatFileSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+// 添付ファイルのURL
+function attachmentUrl(memo, attachment) {
+  return `/api/memos/${memo.id}/attachments/${attachment.id}`;
+}
+
+function findAttachment(memo, attachmentId) {
+  const attachment = (memo.attachments || []).find(a => a.id === attachmentId);
+  if (!attachment) {
+    throw createHttpError(404, '添付ファイルが見つかりません');
+  }
+  return attachment;
+}
+
+function checkAttachmentCount(count) {
+  if (count > config.attachmentMaxCount) {
+    throw createHttpError(400, `添付ファイルは1つのメモにつき${config.attachmentMaxCount}個までです。`);
+  }
+}
+
+// アップロードのエラー（@fastify/multipart のエラー）を利用者向けのメッセージにする
+function toUploadError(error) {
+  if (error.code === 'FST_REQ_FILE_TOO_LARGE') {
+    return createHttpError(413, `ファイルが大きすぎます（1ファイルあたり最大${formatFileSize(config.attachmentMaxSize)}）。`);
+  }
+  if (error.code === 'FST_FILES_LIMIT') {
+    return createHttpError(413, `一度に送れるファイルは${MAX_UPLOAD_FILES}個までです。`);
+  }
+  return error;
+}
+
+// API: 添付ファイルの追加（multipart/form-data、一度に複数のファイルを送れる）
+// ファイルを保存してからメモに記録し、途中で失敗した場合は保存したファイルを消す
+fastify.post('/api/memos/:id/attachments', {
+  onRequest: requireScope('memos:write'),
   schema: {
-    body: memoBodySchema
+    tags: ['添付ファイル'],
+    summary: '添付ファイルの追加',
+    description: `multipart/form-data でファイルを送ります（フィールド名は自由、一度に${MAX_UPLOAD_FILES}個まで）。` +
+      `添付できるのは ${ATTACHMENT_TYPES.join(' / ')} で、種類はファイルの中身から判定します。`,
+    params: idParamSchema,
+    requestBody: {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: {
+              file: { type: 'string', format: 'binary' }
+            }
+          }
+        }
+      }
+    },
+    response: {
+      201: attachmentUploadResponseSchema
+    }
   }
 }, async (request, reply) => {
+  const id = parseInt(request.params.id);
+  const memo = await findMemo(id, request.user);
+  if (!request.isMultipart()) {
+    throw createHttpError(415, 'ファイルは multipart/form-data で送ってください。');
+  }
+  
+  const saved = [];
   try {
-    const { title, content } = request.body;
-    
-    const memos = await loadData();
-    const newId = getNextId();
-    const now = new Date().toISOString();
-    
-    const newMemo = {
-      id: newId,
-      title: title.trim(),
-      content: content.trim(),
-      createdAt: now,
-      updatedAt: now
-    };
+    for await (const part of request.files()) {
+      const data = await part.toBuffer();
+      const type = detectType(data);
+      if (!type) {
+        throw createHttpError(415, `「${part.filename}」は添付できない種類のファイルです（PNG・JPEG・GIF・WebP・PDFのみ）。`);
+      }
+      checkAttachmentCount((memo.attachments || []).length + saved.length + 1);
+      saved.push(await attachmentStore.save(id, { name: part.filename, type, data }));
+    }
+    if (saved.length === 0) {
+      throw createHttpError(400, 'ファイルが送られていません。');
+    }
     
-    memos.push(newMemo);
-    await saveData(memos);
+    const updatedMemo = await saveMemoChanges(id, request.user, (current) => {
+      checkMemoVersion(request, current);
+      const attachments = [...(current.attachments || []), ...saved];
+      checkAttachmentCount(attachments.length);
+      current.attachments = attachments;
+    });
     
-    reply.code(201).send(newMemo);
+    request.log.info({ memoId: id, count: saved.length }, '添付ファイルを追加しました');
+    reply.code(201).header('ETag', memoEtag(updatedMemo));
+    return { attachments: saved, memo: updatedMemo };
   } catch (error) {
-    throw error;
+    await Promise.all(saved.map(attachment => attachmentStore.remove(id, attachment.id)));
+    throw toUploadError(error);
+  }
+});
+
+// API: 添付ファイルの取得
+// 添付ファイルの内容は変わらない（IDが変わる）ため、ブラウザに長くキャッシュさせる
+fastify.get('/api/memos/:id/attachments/:attachmentId', {
+  onRequest: requireScope('memos:read'),
+  schema: {
+    tags: ['添付ファイル'],
+    summary: '添付ファイルの取得',
+    description: 'ブラウザで表示できる形で返します。download=true の場合はファイルとして保存させます。',
+    params: attachmentParamSchema,
+    querystring: attachmentQuerySchema,
+    response: {
+      200: {
+        description: 'ファイルの中身',
+        content: Object.fromEntries(ATTACHMENT_TYPES.map(type =>
+          [type, { schema: { type: 'string', format: 'binary' } }]))
+      }
+    }
+  }
+}, async (request, reply) => {
+  const memo = await findMemo(parseInt(request.params.id), request.user);
+  const attachment = findAttachment(memo, request.params.attachmentId);
+  const etag = `"${attachment.id}"`;
+  reply
+    .header('ETag', etag)
+    .header('Cache-Control', 'private, max-age=31536000, immutable');
+  
+  const ifNoneMatch = request.headers['if-none-match'];
+  if (ifNoneMatch && matchesIfNoneMatch(ifNoneMatch, etag)) {
+    return reply.code(304).send();
+  }
+  
+  const stream = await attachmentStore.open(memo.id, attachment.id);
+  if (!stream) {
+    request.log.error({ memoId: memo.id, attachmentId: attachment.id }, '添付ファイルの実体が見つかりません');
+    throw createHttpError(404, '添付ファイルが見つかりません');
+  }
+  const disposition = request.query.download ? 'attachment' : 'inline';
+  return reply
+    .type(attachment.type)
+    .header('Content-Length', attachment.size)
+    .header('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`)
+    .send(stream);
+});
+
+// API: 添付ファイルの削除
+fastify.delete('/api/memos/:id/attachments/:attachmentId', {
+  onRequest: requireScope('memos:write'),
+  schema: {
+    tags: ['添付ファイル'],
+    summary: '添付ファイルの削除',
+    params: attachmentParamSchema,
+    response: {
+      200: memoResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const id = parseInt(request.params.id);
+  const { attachmentId } = request.params;
+  const updatedMemo = await saveMemoChanges(id, request.user, (memo) => {
+    checkMemoVersion(request, memo);
+    findAttachment(memo, attachmentId);
+    memo.attachments = memo.attachments.filter(a => a.id !== attachmentId);
+  });
+  await attachmentStore.remove(id, attachmentId);
+  
+  reply.header('ETag', memoEtag(updatedMemo)).send(updatedMemo);
+});
+
+// API: Markdownのプレビュー（保存はしない）
+fastify.post('/api/markdown/preview', {
+  onRequest: requireUser,
+  schema: {
+    tags: ['メモ'],
+    summary: 'Markdownのプレビュー',
+    description: '本文をHTMLに変換して返します（保存はしません）。',
+    body: previewBodySchema,
+    response: {
+      200: previewResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  return { html: renderMarkdown(request.body.content) };
+});
+
+// API: 自分のメモをまとめてダウンロード（ゴミ箱のメモは含めない）
+fastify.get('/api/export', {
+  onRequest: requireScope('memos:read'),
+  schema: {
+    tags: ['インポート・エクスポート'],
+    summary: 'メモのエクスポート',
+    description: 'JSON・Markdown（ZIP）・CSVのファイルとしてダウンロードします。ゴミ箱のメモは含みません。',
+    querystring: exportQuerySchema,
+    response: {
+      200: {
+        description: 'エクスポートしたファイル（Content-Disposition でファイル名を指定）',
+        content: {
+          'application/json': { schema: { type: 'object' } },
+          'application/zip': { schema: { type: 'string', format: 'binary' } },
+          'text/csv': { schema: { type: 'string' } }
+        }
+      }
+    }
+  }
+}, async (request, reply) => {
+  const memos = activeMemos(ownMemos(await loadData(), request.user))
+    .sort((a, b) => a.id - b.id);
+  const { type, fileName, body } = exportMemos(memos, request.query.format);
+  
+  reply
+    .type(type)
+    .header('Content-Disposition', `attachment; filename="${fileName}"`)
+    .send(body);
+});
+
+// API: エクスポートしたJSONの読み込み
+// attachValidation で検証エラーを受け取り、何件目のメモが不正かを返す
+fastify.post('/api/import', {
+  onRequest: requireScope('memos:write'),
+  bodyLimit: config.importBodyLimit,
+  attachValidation: true,
+  schema: {
+    tags: ['インポート・エクスポート'],
+    summary: 'メモのインポート',
+    description: 'エクスポートしたJSONを読み込みます。1件でも不正なメモがあれば何も読み込みません。',
+    querystring: importQuerySchema,
+    body: importBodySchema,
+    response: {
+      200: importResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  if (request.validationError) {
+    const [issue] = request.validationError.validation;
+    const match = /^\/memos\/(\d+)(?:\/(\w+))?/.exec(issue.instancePath);
+    if (request.validationError.validationContext !== 'body' || !match) {
+      throw request.validationError;
+    }
+    const field = match[2] || issue.params.missingProperty || issue.params.additionalProperty;
+    throw createHttpError(400, `${Number(match[1]) + 1}件目のメモが不正です${field ? `（${field}）` : ''}。何も読み込まれていません。`);
   }
+  
+  const summary = await importMemos(request.user, request.body.memos, request.query.onConflict);
+  fastify.log.info({ user: request.user.username, ...summary }, 'メモをインポートしました');
+  return { success: true, total: request.body.memos.length, ...summary };
 });
 
 // API: メモ更新
 fastify.put('/api/memos/:id', {
+  onRequest: requireScope('memos:write'),
   schema: {
+    tags: ['メモ'],
+    summary: 'メモの更新',
+    description: 'If-Match ヘッダーか version を指定すると、その版から変更されていない場合だけ更新します（異なれば 412 / 409）。',
     params: idParamSchema,
-    body: memoBodySchema
+    body: memoUpdateSchema,
+    response: {
+      200: memoResponseSchema
+    }
   }
 }, async (request, reply) => {
   try {
     const id = parseInt(request.params.id);
-    const { title, content } = request.body;
+    const { title, content, tags, folder } = request.body;
     
-    const memos = await loadData();
-    const memoIndex = memos.findIndex(m => m.id === id);
+    const updatedMemo = await saveMemoChanges(id, request.user, (memo) => {
+      checkMemoVersion(request, memo);
+      memo.title = title.trim();
+      memo.content = content.trim();
+      // タグ・フォルダ・期限・リマインダーは指定された場合だけ変更する
+      if (tags !== undefined) {
+        memo.tags = normalizeTags(tags);
+      }
+      if (folder !== undefined) {
+        memo.folder = normalizeFolder(folder);
+      }
+      applyMemoDates(memo, request.body);
+    });
     
-    if (memoIndex === -1) {
-      reply.code(404).send({ error: 'メモが見つかりません' });
-      return;
+    reply.header('ETag', memoEtag(updatedMemo)).send(updatedMemo);
+  } catch (error) {
+    // 版が競合した場合は、送られた内容と現在の内容をマージした案も返す
+    if (error.current) {
+      error.merged = await suggestMerge(error.current, request.body, requestedVersion(request));
     }
+    throw error;
+  }
+});
+
+// API: メモの部分更新（JSON Merge Patch、指定した項目だけを変更する）
+fastify.patch('/api/memos/:id', {
+  onRequest: requireScope('memos:write'),
+  schema: {
+    tags: ['メモ'],
+    summary: 'メモの部分更新（JSON Merge Patch）',
+    description: '指定した項目だけを変更します。null を指定すると、タグは空に、フォルダはフォルダなしになります。',
+    consumes: ['application/merge-patch+json', 'application/json'],
+    params: idParamSchema,
+    body: memoPatchSchema,
+    response: {
+      200: memoResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  try {
+    const id = parseInt(request.params.id);
+    const updatedMemo = await saveMemoChanges(id, request.user, (memo) => {
+      checkMemoVersion(request, memo);
+      applyMemoPatch(memo, request.body);
+    });
     
-    memos[memoIndex].title = title.trim();
-    memos[memoIndex].content = content.trim();
-    memos[memoIndex].updatedAt = new Date().toISOString();
-    
-    await saveData(memos);
-    
-    reply.send(memos[memoIndex]);
+    reply.header('ETag', memoEtag(updatedMemo)).send(updatedMemo);
   } catch (error) {
+    // 版が競合した場合は、送られた内容と現在の内容をマージした案も返す
+    if (error.current) {
+      error.merged = await suggestMerge(error.current, request.body, requestedVersion(request));
+    }
     throw error;
   }
 });
 
+// API: メモの一括変更（作成・更新・削除をまとめて、すべて成功した場合だけ保存する）
+fastify.post('/api/memos/batch', {
+  onRequest: requireScope('memos:write'),
+  schema: {
+    tags: ['メモ'],
+    summary: 'メモの一括変更',
+    description: '作成・更新・削除をまとめて実行します。1つでも失敗した場合は、どの変更も保存されません。',
+    body: batchBodySchema,
+    response: {
+      200: batchResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  return { results: await runBatch(request.user, request.body.operations) };
+});
+
 // API: メモ削除
 fastify.delete('/api/memos/:id', {
+  onRequest: requireScope('memos:write'),
   schema: {
-    params: idParamSchema
+    tags: ['メモ'],
+    summary: 'メモの削除（ゴミ箱に移動）',
+    params: idParamSchema,
+    response: {
+      200: memoResponseSchema
+    }
   }
 }, async (request, reply) => {
   try {
     const id = parseInt(request.params.id);
-    const memos = await loadData();
-    const memoIndex = memos.findIndex(m => m.id === id);
-    
-    if (memoIndex === -1) {
-      reply.code(404).send({ error: 'メモが見つかりません' });
-      return;
-    }
-    
-    const deletedMemo = memos.splice(memoIndex, 1)[0];
-    await saveData(memos);
+    // 完全には削除せず、ゴミ箱に移動する
+    const deletedMemo = await saveData(store => store.update(id, (memo) => {
+      if (!isOwnedBy(memo, request.user) || memo.deletedAt) {
+        throw createHttpError(404, 'メモが見つかりません');
+      }
+      checkMemoVersion(request, memo);
+      memo.deletedAt = new Date().toISOString();
+    }));
     
-    // 削除されたメモのIDを再利用しないようにする
-    if (deletedMemo.id === lastId) {
-      lastId--;
+    if (!deletedMemo) {
+      throw createHttpError(404, 'メモが見つかりません');
     }
+    publishMemoEvent('memo.deleted', deletedMemo, { purged: false });
     
     reply.send(deletedMemo);
   } catch (error) {
@@ -803,6 +4123,245 @@ fastify.delete('/api/memos/:id', {
   }
 });
 
+// API: メモの変更履歴一覧（新しい順）
+fastify.get('/api/memos/:id/revisions', {
+  onRequest: requireScope('memos:read'),
+  schema: {
+    tags: ['変更履歴'],
+    summary: 'メモの変更履歴一覧（新しい順）',
+    params: idParamSchema,
+    response: {
+      200: revisionListResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const memo = await findMemo(parseInt(request.params.id), request.user);
+  const revisions = await revisionLog.list(memo);
+  
+  return {
+    memoId: memo.id,
+    currentRev: memo.version || 1,
+    revisions: revisions.map(r => ({
+      rev: r.rev,
+      title: r.title,
+      length: r.content.length,
+      createdAt: r.createdAt,
+      restoredFrom: r.restoredFrom
+    }))
+  };
+});
+
+// API: リビジョンの差分（デフォルトは1つ前のリビジョンとの比較）
+fastify.get('/api/memos/:id/revisions/:rev/diff', {
+  onRequest: requireScope('memos:read'),
+  schema: {
+    tags: ['変更履歴'],
+    summary: 'リビジョンの差分',
+    description: 'base を省略した場合は1つ前のリビジョンと比較します。',
+    params: revisionParamSchema,
+    querystring: diffQuerySchema,
+    response: {
+      200: diffResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const memo = await findMemo(parseInt(request.params.id), request.user);
+  const rev = parseInt(request.params.rev);
+  
+  const target = await revisionLog.get(memo, rev);
+  if (!target) {
+    throw createHttpError(404, 'リビジョンが見つかりません');
+  }
+  
+  let base;
+  if (request.query.base !== undefined) {
+    base = await revisionLog.get(memo, request.query.base);
+    if (!base) {
+      throw createHttpError(404, '比較元のリビジョンが見つかりません');
+    }
+  } else {
+    base = await revisionLog.previous(memo, target.rev);
+  }
+  
+  return {
+    memoId: memo.id,
+    rev: target.rev,
+    base: base ? base.rev : null,
+    ...revisionLog.diff(base, target)
+  };
+});
+
+// API: リビジョンの内容に戻す（復元も新しいリビジョンとして記録される）
+fastify.post('/api/memos/:id/revisions/:rev/restore', {
+  onRequest: requireScope('memos:write'),
+  schema: {
+    tags: ['変更履歴'],
+    summary: 'リビジョンの内容に戻す',
+    description: '復元も新しいリビジョンとして記録されます。',
+    params: revisionParamSchema,
+    response: {
+      200: memoResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const id = parseInt(request.params.id);
+  const rev = parseInt(request.params.rev);
+  
+  const target = await revisionLog.get(await findMemo(id, request.user), rev);
+  if (!target) {
+    throw createHttpError(404, 'リビジョンが見つかりません');
+  }
+  
+  const restoredMemo = await saveMemoChanges(id, request.user, (memo) => {
+    memo.title = target.title;
+    memo.content = target.content;
+  }, { restoredFrom: target.rev });
+  
+  reply.header('ETag', memoEtag(restoredMemo)).send(restoredMemo);
+});
+
+// API: ゴミ箱のメモ一覧（削除日時の新しい順）
+fastify.get('/api/trash', {
+  onRequest: requireScope('memos:read'),
+  schema: {
+    tags: ['ゴミ箱'],
+    summary: 'ゴミ箱のメモ一覧（削除日時の新しい順）',
+    response: {
+      200: trashListResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const memos = ownMemos(await loadDataWithCache(), request.user);
+  return memos
+    .filter(m => m.deletedAt)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+    .map(m => ({ ...m, purgeAt: getPurgeAt(m) }));
+});
+
+// API: ゴミ箱のメモを元に戻す
+fastify.post('/api/trash/:id/restore', {
+  onRequest: requireScope('memos:write'),
+  schema: {
+    tags: ['ゴミ箱'],
+    summary: 'ゴミ箱のメモを元に戻す',
+    params: idParamSchema,
+    response: {
+      200: memoResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const id = parseInt(request.params.id);
+  const restoredMemo = await saveData(store => store.update(id, (memo) => {
+    if (!isOwnedBy(memo, request.user) || !memo.deletedAt) {
+      throw createHttpError(404, 'ゴミ箱にメモが見つかりません');
+    }
+    delete memo.deletedAt;
+  }));
+  
+  if (!restoredMemo) {
+    throw createHttpError(404, 'ゴミ箱にメモが見つかりません');
+  }
+  publishMemoEvent('memo.restored', restoredMemo);
+  
+  reply.send(restoredMemo);
+});
+
+// API: ゴミ箱のメモを完全に削除する
+fastify.delete('/api/trash/:id', {
+  onRequest: requireScope('memos:write'),
+  schema: {
+    tags: ['ゴミ箱'],
+    summary: 'ゴミ箱のメモを完全に削除する',
+    description: '変更履歴も削除されます。',
+    params: idParamSchema,
+    response: {
+      200: memoResponseSchema
+    }
+  }
+}, async (request, reply) => {
+  const id = parseInt(request.params.id);
+  const memo = await memoStore.get(id);
+  if (!memo || !isOwnedBy(memo, request.user) || !memo.deletedAt) {
+    throw createHttpError(404, 'ゴミ箱にメモが見つかりません');
+  }
+  
+  const purgedMemo = await purgeMemo(id);
+  if (!purgedMemo) {
+    throw createHttpError(404, 'ゴミ箱にメモが見つかりません');
+  }
+  
+  reply.send(purgedMemo);
+});
+
+// 接続中の変更の通知（サーバーの終了時に切断する）
+const eventStreams = new Set();
+
+// API: メモの変更の通知（Server-Sent Events）
+// 自分のメモが作成・更新・削除されるたびに memo.created / memo.updated / memo.deleted を、
+// ゴミ箱から元に戻すと memo.restored を、リマインダーの日時になると memo.reminder を送る
+fastify.get('/api/events', {
+  onRequest: requireScope('memos:read'),
+  schema: {
+    tags: ['変更の通知'],
+    summary: 'メモの変更の通知（Server-Sent Events）',
+    description: '自分のメモが作成・更新・削除されるたびに memo.created / memo.updated / memo.deleted のイベントを、ゴミ箱から元に戻すと memo.restored のイベントを、リマインダーの日時になると memo.reminder のイベントを送ります。再接続時は Last-Event-ID ヘッダー（または lastEventId）の続きから送ります。',
+    querystring: eventsQuerySchema,
+    response: {
+      200: {
+        description: 'イベントのストリーム（接続を閉じるまで続く）',
+        content: {
+          'text/event-stream': { schema: { type: 'string' } }
+        }
+      }
+    }
+  }
+}, async (request, reply) => {
+  const userId = request.user.id;
+  const lastEventId = request.headers['last-event-id'] || request.query.lastEventId;
+  
+  // 接続を開いたままにするため、ここからはレスポンスを直接書き込む
+  reply.hijack();
+  const stream = reply.raw;
+  stream.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // リバースプロキシでバッファリングされないようにする
+    'X-Accel-Buffering': 'no'
+  });
+  // 切断されたときにブラウザが再接続するまでの時間（ミリ秒）
+  stream.write('retry: 3000\n\n');
+  
+  // 切断中に発生したイベントを送る。続きから送れない場合は、画面全体の再読み込みを促す
+  if (lastEventId) {
+    const missed = eventBus.since(userId, lastEventId);
+    if (missed) {
+      missed.forEach(event => stream.write(formatEvent(event)));
+    } else {
+      stream.write(formatEvent({ id: eventBus.lastEventId(), type: 'resync', data: {} }));
+    }
+  }
+  
+  const unsubscribe = eventBus.subscribe(userId, event => stream.write(formatEvent(event)));
+  
+  // プロキシなどに無通信の接続として切断されないよう、定期的にコメントを送る
+  const heartbeat = setInterval(() => stream.write(': ping\n\n'), config.eventHeartbeatInterval);
+  
+  eventStreams.add(stream);
+  stream.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    eventStreams.delete(stream);
+  });
+});
+
+// 通知の接続は閉じられるまで続くため、サーバーの終了を待たせないよう先に切断する
+fastify.addHook('preClose', async () => {
+  for (const stream of eventStreams) {
+    stream.end();
+  }
+});
+
 // ============================================
 // 12. プロセスレベルのエラーハンドリング
 // ============================================
@@ -838,18 +4397,64 @@ process.on('SIGTERM', async () => {
 
 const start = async () => {
   try {
-    // 最後のIDを初期化
+    // ルートごとのリクエスト数の上限（読み取れなければ起動を止める）
+    config.rateLimits = parseRateLimits(process.env.RATE_LIMITS);
+    
+    // ストレージを初期化し、検索インデックスを構築
+    await memoStore.init();
+
+    // 最後のIDを初期化（ゴミ箱のメモのIDも含む）
     await initializeLastId();
     
+    // ユーザー情報を読み込み、初回は管理者アカウントを作成
+    await initializeAuth();
+    
+    // 登録されている Webhook を読み込み、止まっている間に送れなかった配信を送り直す
+    const pendingDeliveries = await webhookService.init();
+    fastify.log.info(`Webhook の送信待ち: ${pendingDeliveries}件`);
+    
+    // メモの共有リンクを読み込む
+    await shareService.init();
+    
+    // 期限切れのゴミ箱を掃除し、定期実行を開始
+    await schedulePurge();
+    
+    // まだ通知していないリマインダーを登録する（止まっている間に過ぎたものはすぐに通知する）
+    if (config.reminderWebhookUrl && !isWebhookUrl(config.reminderWebhookUrl)) {
+      throw new Error('REMINDER_WEBHOOK_URL には http:// または https:// で始まるURLを指定してください。');
+    }
+    if (config.publicBaseUrl && !isWebhookUrl(config.publicBaseUrl)) {
+      throw new Error('PUBLIC_BASE_URL には http:// または https:// で始まるURLを指定してください。');
+    }
+    const reminders = await scheduleReminders();
+    fastify.log.info(`リマインダー: ${reminders}件${config.reminderWebhookUrl ? '（Webhook あり）' : ''}`);
+    
+    if (process.env.API_TOKEN_RATE_LIMIT !== undefined && parseCount(process.env.API_TOKEN_RATE_LIMIT, null) === null) {
+      fastify.log.warn(
+        `API_TOKEN_RATE_LIMIT の「${process.env.API_TOKEN_RATE_LIMIT}」を数値として読み取れないため、` +
+        `デフォルトの ${DEFAULT_API_TOKEN_RATE_LIMIT} 回を上限にします（無制限にする場合は 0 を指定してください）。`
+      );
+    }
+    
     // Fastifyサーバーを起動
     await fastify.listen({ 
       port: config.port,
       host: config.host
     });
     
+    if (metricsServer) {
+      await metricsServer.listen({
+        port: config.metricsPort,
+        host: config.metricsHost
+      });
+      fastify.log.info(`メトリクス: http://localhost:${config.metricsPort}/metrics`);
+    }
+    acceptingRequests = true;
+    
     fastify.log.info(`🚀 日本語メモアプリが http://localhost:${config.port} で起動しました`);
     fastify.log.info(`環境: ${config.isDevelopment ? '開発' : '本番'}`);
     fastify.log.info(`キャッシュ: ${config.cacheEnabled ? '有効' : '無効'}`);
+    fastify.log.info(`ストレージ: ${memoStore.driver.name}`);
   } catch (err) {
     fastify.log.error(err);
     process.exit(1);
@@ -0,0 +1,99 @@
+// ============================================
+// 静的ファイル（CSS・JavaScript）のハッシュ付きURL
+// ============================================
+// ファイルの内容から作ったハッシュをファイル名に入れたURL（css/app.css → css/app.1a2b3c4d.css）を
+// ページに書き出します。内容が変わればURLも変わるため、ハッシュ付きのURLは
+// ブラウザに長期間キャッシュさせても古いファイルが使われ続けることがありません。
+// ハッシュのないURLでもファイルは取得できます（キャッシュは短くする）。
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ファイル名に入れるハッシュの桁数
+const HASH_LENGTH = 8;
+
+// root 以下のファイル（root からの相対パス、区切りは /）
+function listFiles(root, dir = '') {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(root, dir), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  return entries.flatMap((entry) => {
+    const name = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      return listFiles(root, name);
+    }
+    return entry.isFile() ? [name] : [];
+  });
+}
+
+// css/app.css → css/app.1a2b3c4d.css
+function hashedName(name, hash) {
+  const ext = path.posix.extname(name);
+  return `${name.slice(0, name.length - ext.length)}.${hash}${ext}`;
+}
+
+// cache: false の場合は、呼び出されるたびにファイルを読み直す（開発時にファイルを編集するため）
+function createAssetManifest(root, { prefix = '/public/', cache = true } = {}) {
+  let manifest = null;
+
+  // ファイル名 → ハッシュ付きのファイル名、ハッシュ付きのファイル名 → ファイル名
+  function build() {
+    const urls = new Map();
+    const files = new Map();
+    for (const name of listFiles(root)) {
+      const hash = crypto.createHash('sha256')
+        .update(fs.readFileSync(path.join(root, name)))
+        .digest('hex')
+        .slice(0, HASH_LENGTH);
+      const hashed = hashedName(name, hash);
+      urls.set(name, hashed);
+      files.set(hashed, name);
+    }
+    return { urls, files };
+  }
+
+  function current() {
+    if (!manifest || !cache) {
+      manifest = build();
+    }
+    return manifest;
+  }
+
+  // ページに書き出すURL（ファイルがない場合は設定の誤りなので例外にする）
+  function url(name) {
+    const hashed = current().urls.get(name);
+    if (!hashed) {
+      throw new Error(`静的ファイルが見つかりません: ${name}`);
+    }
+    return prefix + hashed;
+  }
+
+  // リクエストされたパス（prefix より後）をファイルにする
+  // 戻り値の hashed はハッシュ付きのURLだったかどうか。ファイルがなければ null
+  function resolve(requestPath) {
+    const { urls, files } = current();
+    if (files.has(requestPath)) {
+      return { file: files.get(requestPath), hashed: true };
+    }
+    if (urls.has(requestPath)) {
+      return { file: requestPath, hashed: false };
+    }
+    return null;
+  }
+
+  return {
+    url,
+    resolve
+  };
+}
+
+module.exports = {
+  createAssetManifest
+};
@@ -0,0 +1,155 @@
+// ============================================
+// メモの添付ファイル
+// ============================================
+// 添付ファイルは data.json と同じ場所の data.attachments/<メモID>/<添付ファイルID> に保存し、
+// ファイル名・種類・大きさなどの情報はメモの attachments に記録します。
+// ファイルの種類は、送られてきた Content-Type や拡張子ではなく、
+// ファイルの先頭のバイト列（マジックナンバー）で判定します。
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// 受け付けるファイルの種類と、その先頭のバイト列
+const FILE_TYPES = [
+  { type: 'image/png', test: bytes => startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'image/jpeg', test: bytes => startsWith(bytes, [0xff, 0xd8, 0xff]) },
+  { type: 'image/gif', test: bytes => startsWith(bytes, 'GIF87a') || startsWith(bytes, 'GIF89a') },
+  { type: 'image/webp', test: bytes => startsWith(bytes, 'RIFF') && startsWith(bytes.subarray(8), 'WEBP') },
+  { type: 'application/pdf', test: bytes => startsWith(bytes, '%PDF-') }
+];
+
+const ATTACHMENT_TYPES = FILE_TYPES.map(fileType => fileType.type);
+
+// 使われていないファイルを消すまでの猶予（ミリ秒）
+const SWEEP_GRACE = 60 * 60 * 1000;
+
+// 添付ファイルIDの形式（URLとファイル名にそのまま使う）
+const ATTACHMENT_ID_PATTERN = '^[A-Za-z0-9_-]{16}$';
+
+function startsWith(bytes, signature) {
+  const expected = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : Buffer.from(signature);
+  return bytes.length >= expected.length && bytes.subarray(0, expected.length).equals(expected);
+}
+
+// ファイルの中身から種類を判定する（受け付けない種類なら null）
+function detectType(bytes) {
+  const found = FILE_TYPES.find(fileType => fileType.test(bytes));
+  return found ? found.type : null;
+}
+
+// 表示用のファイル名（パスの区切りや制御文字を取り除き、長すぎる場合は切り詰める）
+function sanitizeName(name) {
+  const cleaned = path.basename(String(name || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim();
+  return Array.from(cleaned).slice(0, 200).join('') || 'file';
+}
+
+// root: 添付ファイルを保存するディレクトリ
+function createAttachmentStore({ root, logger }) {
+  function memoDir(memoId) {
+    return path.join(root, String(memoId));
+  }
+
+  function filePath(memoId, attachmentId) {
+    return path.join(memoDir(memoId), attachmentId);
+  }
+
+  // ファイルを保存し、メモに記録する情報を返す
+  // 途中で止まっても壊れたファイルが残らないよう、一時ファイルに書いてから名前を変える
+  async function save(memoId, { name, type, data }) {
+    const attachment = {
+      id: crypto.randomBytes(12).toString('base64url'),
+      name: sanitizeName(name),
+      type,
+      size: data.length,
+      createdAt: new Date().toISOString()
+    };
+    const target = filePath(memoId, attachment.id);
+    const temp = `${target}.tmp`;
+    await fs.promises.mkdir(memoDir(memoId), { recursive: true });
+    await fs.promises.writeFile(temp, data);
+    await fs.promises.rename(temp, target);
+    return attachment;
+  }
+
+  // ファイルを読み込むストリーム（ファイルがなければ null）
+  async function open(memoId, attachmentId) {
+    const target = filePath(memoId, attachmentId);
+    try {
+      await fs.promises.access(target, fs.constants.R_OK);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    return fs.createReadStream(target);
+  }
+
+  async function remove(memoId, attachmentId) {
+    await fs.promises.rm(filePath(memoId, attachmentId), { force: true });
+  }
+
+  // メモの添付ファイルをすべて削除する
+  async function removeAll(memoId) {
+    await fs.promises.rm(memoDir(memoId), { recursive: true, force: true });
+  }
+
+  // どのメモからも使われていないファイルを削除する
+  // （インポートでメモを上書きした場合や、保存の途中で止まった場合に残るファイル）
+  // 保存した直後でまだメモに記録されていないファイルを消さないよう、新しいファイルは残す
+  async function sweep(memos) {
+    const used = new Map(memos.map(m => [String(m.id), new Set((m.attachments || []).map(a => a.id))]));
+    const threshold = Date.now() - SWEEP_GRACE;
+    let dirs;
+    try {
+      dirs = await fs.promises.readdir(root, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    let removed = 0;
+    for (const dir of dirs.filter(d => d.isDirectory())) {
+      const ids = used.get(dir.name) || new Set();
+      // 調べている間にメモごと削除された場合は、読めなかったものを飛ばす
+      const files = await fs.promises.readdir(memoDir(dir.name)).catch(() => []);
+      for (const file of files.filter(f => !ids.has(f))) {
+        const target = path.join(memoDir(dir.name), file);
+        const stats = await fs.promises.stat(target).catch(() => null);
+        if (stats && stats.mtimeMs < threshold) {
+          await fs.promises.rm(target, { force: true });
+          removed++;
+        }
+      }
+      if (!used.has(dir.name)) {
+        // 空になったディレクトリだけを消す（空でなければ失敗するので無視する）
+        await fs.promises.rmdir(memoDir(dir.name)).catch(() => {});
+      }
+    }
+    if (removed > 0) {
+      logger.info({ count: removed }, '使われていない添付ファイルを削除しました');
+    }
+    return removed;
+  }
+
+  return {
+    root,
+    save,
+    open,
+    remove,
+    removeAll,
+    sweep
+  };
+}
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  ATTACHMENT_ID_PATTERN,
+  detectType,
+  createAttachmentStore
+};
@@ -0,0 +1,251 @@
+// ============================================
+// ユーザーアカウントとセッション
+// ============================================
+// パスワードは scrypt でハッシュ化してから保存します（平文では保存しない）。
+// セッションIDはCookieで受け渡し、サーバー側にはSHA-256ハッシュだけを保存するため、
+// 保存データが漏れてもそのままセッションを乗っ取られることはありません。
+// ユーザーとセッションは件数が少ないため、起動時にメモリへ読み込んで使います。
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt のパラメータ（N=2^14, r=8, p=1 は Node.js の推奨値）
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+// ============================================
+// パスワードのハッシュ化
+// ============================================
+
+// 保存形式: scrypt$N$r$p$ソルト$ハッシュ（ソルトとハッシュはbase64）
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await scrypt(password.normalize('NFC'), salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [algorithm, N, r, p, salt, hash] = String(stored).split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(password.normalize('NFC'), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// ============================================
+// ヘルパー
+// ============================================
+
+// ユーザー名の比較用（全角/半角・大文字/小文字を区別しない）
+function normalizeUsername(username) {
+  return String(username).normalize('NFKC').toLowerCase();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// APIで返してよい項目だけにする
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt
+  };
+}
+
+// ============================================
+// 認証サービス
+// ============================================
+
+function createAuth(options) {
+  const {
+    users: userCollection,
+    sessions: sessionCollection,
+    // セッションの有効期間（ミリ秒）
+    sessionTtl = 7 * 24 * 60 * 60 * 1000,
+    logger = console
+  } = options;
+
+  const users = new Map();
+  const sessions = new Map();
+  // 作成中のユーザー名（比較用に正規化したもの）
+  // パスワードのハッシュ化を待つ間に、同じ名前で別のユーザーを作らせないために予約しておく
+  const pendingNames = new Set();
+
+  // ユーザーが見つからない場合も同じ時間をかけて、ユーザー名の有無を推測されにくくする
+  let dummyHash = null;
+
+  async function init() {
+    users.clear();
+    sessions.clear();
+
+    for (const user of await userCollection.list()) {
+      users.set(user.id, user);
+    }
+
+    // 期限切れのセッションはここで掃除する
+    const now = Date.now();
+    await sessionCollection.deleteWhere(s => new Date(s.expiresAt).getTime() <= now);
+    for (const session of await sessionCollection.list()) {
+      sessions.set(session.id, session);
+    }
+
+    dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+
+  function findUserByName(username) {
+    const key = normalizeUsername(username);
+    for (const user of users.values()) {
+      if (normalizeUsername(user.username) === key) {
+        return user;
+      }
+    }
+    return null;
+  }
+
+  function getUser(id) {
+    return users.get(id) || null;
+  }
+
+  function countUsers() {
+    return users.size;
+  }
+
+  // ユーザーを作成する（同じ名前のユーザーがいる・作成中ならエラー）
+  async function createUser({ username, password, role = 'user' }) {
+    const key = normalizeUsername(username);
+    if (findUserByName(username) || pendingNames.has(key)) {
+      const error = new Error('このユーザー名は既に使われています');
+      error.code = 'EUSEREXISTS';
+      throw error;
+    }
+
+    pendingNames.add(key);
+    try {
+      const user = {
+        id: crypto.randomUUID(),
+        username,
+        passwordHash: await hashPassword(password),
+        role,
+        createdAt: new Date().toISOString()
+      };
+      await userCollection.put(user);
+      users.set(user.id, user);
+      return user;
+    } finally {
+      pendingNames.delete(key);
+    }
+  }
+
+  // ユーザー名とパスワードを確認する（一致しなければ null）
+  async function authenticate(username, password) {
+    const user = findUserByName(username);
+    if (!user) {
+      await verifyPassword(password, dummyHash);
+      return null;
+    }
+    return (await verifyPassword(password, user.passwordHash)) ? user : null;
+  }
+
+  // ============================================
+  // セッション
+  // ============================================
+
+  // セッションを作成し、Cookieに入れるトークンを返す
+  async function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const session = {
+      id: hashToken(token),
+      userId,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + sessionTtl).toISOString()
+    };
+    await sessionCollection.put(session);
+    sessions.set(session.id, session);
+    return { token, expiresAt: session.expiresAt };
+  }
+
+  // トークンからログイン中のユーザーを取得する
+  function getSessionUser(token) {
+    if (!token) {
+      return null;
+    }
+
+    const id = hashToken(token);
+    const session = sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    if (new Date(session.expiresAt).getTime() <= Date.now()) {
+      sessions.delete(id);
+      sessionCollection.delete(id).catch((error) => {
+        logger.warn({ err: error }, '期限切れセッションの削除に失敗しました');
+      });
+      return null;
+    }
+
+    return getUser(session.userId);
+  }
+
+  async function destroySession(token) {
+    if (!token) {
+      return;
+    }
+    const id = hashToken(token);
+    sessions.delete(id);
+    await sessionCollection.delete(id);
+  }
+
+  // ============================================
+  // 初期管理者
+  // ============================================
+
+  // ユーザーが1人もいなければ管理者アカウントを作成する
+  // パスワードが指定されていない場合はランダムに生成して返す
+  async function ensureAdmin({ username, password }) {
+    const existing = [...users.values()].find(u => u.role === 'admin');
+    if (existing) {
+      return { user: existing, generatedPassword: null };
+    }
+
+    const generatedPassword = password ? null : crypto.randomBytes(12).toString('base64url');
+    const user = await createUser({
+      username,
+      password: password || generatedPassword,
+      role: 'admin'
+    });
+    return { user, generatedPassword };
+  }
+
+  return {
+    init,
+    getUser,
+    findUserByName,
+    countUsers,
+    createUser,
+    authenticate,
+    createSession,
+    getSessionUser,
+    destroySession,
+    ensureAdmin
+  };
+}
+
+module.exports = {
+  createAuth,
+  hashPassword,
+  verifyPassword,
+  publicUser
+};
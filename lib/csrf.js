@@ -0,0 +1,44 @@
+// ============================================
+// CSRF対策（ダブルサブミットCookie）
+// ============================================
+// ブラウザには、JavaScriptから読めないCookie（httpOnly）にランダムなトークンを保存し、
+// 同じ値をページの <meta name="csrf-token"> に書き出します。
+// 画面のスクリプトは変更を伴うリクエストに X-CSRF-Token ヘッダーでこの値を付けて送ります。
+// 他のサイトからのリクエストでは、Cookieは送られてもページの値は読めないため、
+// ヘッダーとCookieが一致しないリクエストを拒否すればCSRFを防げます。
+
+const crypto = require('crypto');
+
+// トークンを入れるCookieとヘッダーの名前
+const CSRF_COOKIE = 'memo_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+
+// 変更を伴わないため、トークンを確かめないメソッド
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function createCsrfToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// ヘッダーのトークンがCookieのトークンと一致するか（処理時間から値を推測されないよう比較する）
+function verifyCsrfToken(cookieToken, headerToken) {
+  if (typeof cookieToken !== 'string' || typeof headerToken !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(cookieToken);
+  const actual = Buffer.from(headerToken);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// トークンを確かめなくてよいメソッドか
+function isSafeMethod(method) {
+  return SAFE_METHODS.includes(method);
+}
+
+module.exports = {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  createCsrfToken,
+  verifyCsrfToken,
+  isSafeMethod
+};
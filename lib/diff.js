@@ -0,0 +1,292 @@
+// ============================================
+// 行単位の差分（日本語対応）
+// ============================================
+// Myersの差分アルゴリズムで行単位の差分を求めます。
+// 日本語の文章は1行が長くなりがちなので、変更された行どうしは
+// さらに文字単位で比較し、どこが変わったかを示します。
+//   - 改行コード（CRLF / CR）の違いは無視する
+//   - 比較前にNFC正規化し、濁点の合成・分解の違いを同じ文字として扱う
+//   - 文字単位の比較はコードポイント単位で行い、サロゲートペアを分割しない
+// 同じ版から別々に編集された2つのテキストを行単位でマージする機能（3方向マージ）もあります。
+
+// 文字単位の比較を行う行の長さの上限（長すぎる行は行単位の表示のみ）
+const MAX_INLINE_LENGTH = 2000;
+
+// 探索する編集距離の上限（これを超える大きな変更は「全削除＋全追加」とみなす）
+// 探索の記録に使うメモリは編集距離の2乗に比例するため、上限を設けている
+const MAX_EDIT_DISTANCE = 1000;
+
+// 全体を置き換える操作列（差分が大きすぎる場合に使用）
+function replaceAll(a, b) {
+  return [
+    ...a.map((_, i) => ({ type: 'delete', a: i })),
+    ...b.map((_, i) => ({ type: 'insert', b: i }))
+  ];
+}
+
+// 2つの配列の差分を求め、equal / insert / delete の操作列を返す
+function diffSequences(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  // 最短編集距離 d を小さい順に探索する
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return replaceAll(a, b);
+  }
+
+  // 探索の記録をさかのぼって操作列を組み立てる
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', a: x - 1, b: y - 1 });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', b: y - 1 });
+      } else {
+        ops.push({ type: 'delete', a: x - 1 });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+// 比較用にテキストを行の配列にする
+function toLines(text) {
+  const normalized = String(text || '').normalize('NFC').replace(/\r\n?/g, '\n');
+  return normalized === '' ? [] : normalized.split('\n');
+}
+
+// 変更された2行を文字単位で比較し、連続する同じ種類の文字をまとめる
+function diffInline(oldLine, newLine) {
+  const a = Array.from(oldLine);
+  const b = Array.from(newLine);
+  const segments = diffSequences(a, b).map((op) => {
+    if (op.type === 'equal') {
+      return { type: 'equal', text: a[op.a] };
+    }
+    if (op.type === 'delete') {
+      return { type: 'removed', text: a[op.a] };
+    }
+    return { type: 'added', text: b[op.b] };
+  });
+
+  return mergeSegments(segments);
+}
+
+// 連続する同じ種類の区間を1つにまとめる
+function mergeSegments(segments) {
+  const merged = [];
+  for (const segment of segments) {
+    const last = merged[merged.length - 1];
+    if (last && last.type === segment.type) {
+      last.text += segment.text;
+    } else {
+      merged.push({ ...segment });
+    }
+  }
+  return merged;
+}
+
+// 削除行と追加行が並んでいる箇所は、対応する行どうしを文字単位でも比較する
+function attachInlineSegments(lines) {
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i].type !== 'removed') {
+      i++;
+      continue;
+    }
+
+    const removedStart = i;
+    while (i < lines.length && lines[i].type === 'removed') {
+      i++;
+    }
+    const addedStart = i;
+    while (i < lines.length && lines[i].type === 'added') {
+      i++;
+    }
+
+    const pairs = Math.min(addedStart - removedStart, i - addedStart);
+    for (let p = 0; p < pairs; p++) {
+      const removed = lines[removedStart + p];
+      const added = lines[addedStart + p];
+      if (removed.text.length > MAX_INLINE_LENGTH || added.text.length > MAX_INLINE_LENGTH) {
+        continue;
+      }
+      const segments = diffInline(removed.text, added.text);
+      removed.segments = mergeSegments(segments.filter(s => s.type !== 'added'));
+      added.segments = mergeSegments(segments.filter(s => s.type !== 'removed'));
+    }
+  }
+  return lines;
+}
+
+// 2つのテキストの行単位の差分を求める
+function diffLines(oldText, newText) {
+  const a = toLines(oldText);
+  const b = toLines(newText);
+
+  const lines = diffSequences(a, b).map((op) => {
+    if (op.type === 'equal') {
+      return { type: 'equal', text: a[op.a], oldLine: op.a + 1, newLine: op.b + 1 };
+    }
+    if (op.type === 'delete') {
+      return { type: 'removed', text: a[op.a], oldLine: op.a + 1 };
+    }
+    return { type: 'added', text: b[op.b], newLine: op.b + 1 };
+  });
+
+  attachInlineSegments(lines);
+
+  return {
+    added: lines.filter(l => l.type === 'added').length,
+    removed: lines.filter(l => l.type === 'removed').length,
+    lines
+  };
+}
+
+// ============================================
+// 3方向マージ
+// ============================================
+
+// 競合した箇所の目印
+const CONFLICT_MARKERS = {
+  start: '<<<<<<< あなたの変更',
+  separator: '=======',
+  end: '>>>>>>> 保存済みの内容'
+};
+
+// 元の行の [start, end) を lines に置き換える変更の一覧
+function toHunks(base, other) {
+  const hunks = [];
+  let current = null;
+  let baseIndex = 0;
+  for (const op of diffSequences(base, other)) {
+    if (op.type === 'equal') {
+      current = null;
+      baseIndex = op.a + 1;
+      continue;
+    }
+    if (!current) {
+      current = { start: baseIndex, end: baseIndex, lines: [] };
+      hunks.push(current);
+    }
+    if (op.type === 'delete') {
+      baseIndex = op.a + 1;
+      current.end = baseIndex;
+    } else {
+      current.lines.push(other[op.b]);
+    }
+  }
+  return hunks;
+}
+
+// 元の行の [start, end) に変更を適用した行
+function applyHunks(base, hunks, start, end) {
+  const result = [];
+  let index = start;
+  for (const hunk of hunks) {
+    result.push(...base.slice(index, hunk.start), ...hunk.lines);
+    index = hunk.end;
+  }
+  result.push(...base.slice(index, end));
+  return result;
+}
+
+// 元のテキスト base から編集された mine と theirs をマージする
+// 同じ箇所（隣り合う行を含む）を両方が別々に変更していた場合は、
+// 両方の内容を目印で囲んで残し、競合の数を conflicts で返す
+function mergeLines(baseText, mineText, theirsText) {
+  const base = toLines(baseText);
+  const changes = [
+    ...toHunks(base, toLines(mineText)).map(hunk => ({ ...hunk, side: 'mine' })),
+    ...toHunks(base, toLines(theirsText)).map(hunk => ({ ...hunk, side: 'theirs' }))
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // 重なる・隣り合う変更をまとめる
+  const groups = [];
+  for (const change of changes) {
+    const group = groups[groups.length - 1];
+    if (group && change.start <= group.end) {
+      group.end = Math.max(group.end, change.end);
+      group.changes.push(change);
+    } else {
+      groups.push({ start: change.start, end: change.end, changes: [change] });
+    }
+  }
+
+  const lines = [];
+  let conflicts = 0;
+  let index = 0;
+  for (const group of groups) {
+    lines.push(...base.slice(index, group.start));
+    const mine = applyHunks(base, group.changes.filter(c => c.side === 'mine'), group.start, group.end);
+    const theirs = applyHunks(base, group.changes.filter(c => c.side === 'theirs'), group.start, group.end);
+    const sides = new Set(group.changes.map(c => c.side));
+
+    if (sides.size === 1) {
+      lines.push(...(sides.has('mine') ? mine : theirs));
+    } else if (mine.join('\n') === theirs.join('\n')) {
+      // 両方が同じ変更をしていれば競合ではない
+      lines.push(...mine);
+    } else {
+      conflicts++;
+      lines.push(CONFLICT_MARKERS.start, ...mine, CONFLICT_MARKERS.separator, ...theirs, CONFLICT_MARKERS.end);
+    }
+    index = group.end;
+  }
+  lines.push(...base.slice(index));
+
+  return { text: lines.join('\n'), conflicts };
+}
+
+module.exports = {
+  diffLines,
+  diffInline,
+  mergeLines
+};
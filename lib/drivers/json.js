@@ -0,0 +1,237 @@
+// ============================================
+// ストレージドライバー: JSONファイル
+// ============================================
+// data.json にメモの配列をそのまま保存する、従来どおりのドライバーです。
+// 読み書きはすべて lib/storage.js を通して直列化・アトミック化されます。
+// 履歴などの付随データ（コレクション）は data.<名前>.json に保存します。
+
+const fs = require('fs');
+const path = require('path');
+const { createJsonFile } = require('../storage');
+
+function createJsonDriver(options) {
+  const { dataFile, logger, generations, backupFile } = options;
+
+  const file = createJsonFile(dataFile, {
+    logger,
+    generations,
+    backupFile
+  });
+
+  const collections = new Map();
+
+  // data.json と同じ場所に data.<名前>.json を作る
+  function collectionPath(name) {
+    const ext = path.extname(dataFile);
+    return `${dataFile.slice(0, dataFile.length - ext.length)}.${name}${ext || '.json'}`;
+  }
+
+  function createCollection(name) {
+    const collectionFile = createJsonFile(collectionPath(name), {
+      logger,
+      generations
+    });
+    // 最初の操作の前に、前回の異常終了で残った一時ファイルを片付ける
+    const ready = collectionFile.cleanupTempFiles();
+
+    async function read() {
+      await ready;
+      return collectionFile.read();
+    }
+
+    async function update(mutator) {
+      await ready;
+      return collectionFile.update(mutator);
+    }
+
+    return {
+      async list(filter) {
+        const records = await read();
+        return filter ? records.filter(filter) : records;
+      },
+
+      async get(id) {
+        const records = await read();
+        return records.find(r => r.id === id) || null;
+      },
+
+      // 同じIDがあれば置き換え、なければ追加する
+      async put(record) {
+        return update((records) => {
+          const index = records.findIndex(r => r.id === record.id);
+          if (index === -1) {
+            records.push(record);
+          } else {
+            records[index] = record;
+          }
+          return record;
+        });
+      },
+
+      async update(id, mutator) {
+        const result = await update((records) => {
+          const record = records.find(r => r.id === id);
+          if (!record) {
+            return undefined;
+          }
+          mutator(record);
+          return record;
+        });
+        return result || null;
+      },
+
+      async delete(id) {
+        const result = await update((records) => {
+          const index = records.findIndex(r => r.id === id);
+          if (index === -1) {
+            return undefined;
+          }
+          return records.splice(index, 1)[0];
+        });
+        return result || null;
+      },
+
+      // 条件に合うレコードをまとめて削除し、削除した件数を返す
+      async deleteWhere(predicate) {
+        const removed = await update((records) => {
+          const before = records.length;
+          for (let i = records.length - 1; i >= 0; i--) {
+            if (predicate(records[i])) {
+              records.splice(i, 1);
+            }
+          }
+          return before === records.length ? undefined : before - records.length;
+        });
+        return removed || 0;
+      }
+    };
+  }
+
+  return {
+    name: 'json',
+
+    async init() {
+      // 前回の異常終了で残った一時ファイルを片付ける
+      await file.cleanupTempFiles();
+    },
+
+    async close() {},
+
+    // 保存先の状態（version はアプリの外でファイルが書き換えられた場合にも変わる）
+    async stat() {
+      try {
+        const stats = await fs.promises.stat(dataFile);
+        return { version: `${stats.ino}:${stats.size}:${stats.mtimeMs}`, modifiedAt: stats.mtime };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        return { version: 'missing', modifiedAt: null };
+      }
+    },
+
+    async list() {
+      return file.read();
+    },
+
+    async get(id) {
+      const memos = await file.read();
+      return memos.find(m => m.id === id) || null;
+    },
+
+    async create(memo) {
+      return file.update((memos) => {
+        memos.push(memo);
+        return memo;
+      });
+    },
+
+    // mutator にメモを渡して変更する（見つからなければ null）
+    async update(id, mutator) {
+      const result = await file.update((memos) => {
+        const memo = memos.find(m => m.id === id);
+        if (!memo) {
+          return undefined;
+        }
+        mutator(memo);
+        return memo;
+      });
+      return result || null;
+    },
+
+    async delete(id) {
+      const result = await file.update((memos) => {
+        const memoIndex = memos.findIndex(m => m.id === id);
+        if (memoIndex === -1) {
+          return undefined;
+        }
+        return memos.splice(memoIndex, 1)[0];
+      });
+      return result || null;
+    },
+
+    // 複数のメモの読み書きを1つの単位として実行し、まとめて1回で保存する
+    // fn には同期的に使える get / put / delete が渡される
+    // fn が例外を投げた場合は、それまでの変更も含めて何も保存しない
+    async transaction(fn) {
+      const { result } = await file.update((memos) => {
+        const store = {
+          get(id) {
+            const memo = memos.find(m => m.id === id);
+            return memo ? { ...memo } : null;
+          },
+          put(memo) {
+            const memoIndex = memos.findIndex(m => m.id === memo.id);
+            if (memoIndex === -1) {
+              memos.push(memo);
+            } else {
+              memos[memoIndex] = memo;
+            }
+            return memo;
+          },
+          delete(id) {
+            const memoIndex = memos.findIndex(m => m.id === id);
+            return memoIndex === -1 ? null : memos.splice(memoIndex, 1)[0];
+          }
+        };
+        return { result: fn(store) };
+      });
+      return result;
+    },
+
+    // 付随データを保存するコレクションを取得する
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, createCollection(name));
+      }
+      return collections.get(name);
+    },
+
+    // 保存されているコレクションの名前（data.<名前>.json があるもの）
+    // 移行スクリプトで、すべての付随データを取り込むために使う
+    async collectionNames() {
+      const ext = path.extname(dataFile);
+      const prefix = `${path.basename(dataFile, ext)}.`;
+      const suffix = ext || '.json';
+      let files;
+      try {
+        files = await fs.promises.readdir(path.dirname(dataFile));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        return [];
+      }
+      return files
+        .filter(file => file.startsWith(prefix) && file.endsWith(suffix))
+        .map(file => file.slice(prefix.length, file.length - suffix.length))
+        // data.json 自体と、バックアップ・一時ファイルは除く
+        .filter(name => /^[A-Za-z][A-Za-z0-9]*$/.test(name))
+        .sort();
+    }
+  };
+}
+
+module.exports = {
+  createJsonDriver
+};
@@ -0,0 +1,329 @@
+// ============================================
+// ストレージドライバー: SQLite
+// ============================================
+// メモ1件ごとに行を読み書きするため、メモが数千件あっても
+// 編集のたびにファイル全体を書き直す必要がありません。
+// better-sqlite3 はこのドライバーを選んだ場合にだけ読み込みます。
+
+const fs = require('fs');
+
+// メモの基本項目以外（今後追加される属性）は attrs 列にJSONで保存する
+const BASE_FIELDS = ['id', 'title', 'content', 'createdAt', 'updatedAt'];
+
+function loadSqlite() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error(
+      'SQLiteドライバーを使うには better-sqlite3 が必要です。' +
+      '`npm install better-sqlite3` を実行してください。'
+    );
+  }
+}
+
+// データベースの行をメモのオブジェクトに変換する
+function fromRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    content: row.content,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...JSON.parse(row.attrs || '{}')
+  };
+}
+
+// メモのオブジェクトをSQLのパラメータに変換する
+function toParams(memo) {
+  const attrs = {};
+  for (const [key, value] of Object.entries(memo)) {
+    if (!BASE_FIELDS.includes(key) && value !== undefined) {
+      attrs[key] = value;
+    }
+  }
+  return {
+    id: memo.id,
+    title: memo.title,
+    content: memo.content,
+    created_at: memo.createdAt,
+    updated_at: memo.updatedAt,
+    attrs: JSON.stringify(attrs)
+  };
+}
+
+function createSqliteDriver(options) {
+  const { sqliteFile, logger } = options;
+
+  let db = null;
+  let statements = null;
+  const collections = new Map();
+
+  // 付随データは records テーブルに (コレクション名, ID, JSON) として保存する
+  function createCollection(name) {
+    function getRecord(id) {
+      const row = statements.recordGet.get(name, String(id));
+      return row ? JSON.parse(row.data) : null;
+    }
+
+    function putRecord(record) {
+      statements.recordPut.run(name, String(record.id), JSON.stringify(record));
+    }
+
+    return {
+      async list(filter) {
+        const records = statements.recordList.all(name).map(row => JSON.parse(row.data));
+        return filter ? records.filter(filter) : records;
+      },
+
+      async get(id) {
+        return getRecord(id);
+      },
+
+      async put(record) {
+        putRecord(record);
+        return record;
+      },
+
+      async update(id, mutator) {
+        const run = db.transaction(() => {
+          const record = getRecord(id);
+          if (!record) {
+            return null;
+          }
+          mutator(record);
+          putRecord(record);
+          return record;
+        });
+        return run();
+      },
+
+      async delete(id) {
+        const run = db.transaction(() => {
+          const record = getRecord(id);
+          if (record) {
+            statements.recordDelete.run(name, String(id));
+          }
+          return record;
+        });
+        return run();
+      },
+
+      async deleteWhere(predicate) {
+        const run = db.transaction(() => {
+          let removed = 0;
+          for (const row of statements.recordList.all(name)) {
+            const record = JSON.parse(row.data);
+            if (predicate(record)) {
+              statements.recordDelete.run(name, String(record.id));
+              removed++;
+            }
+          }
+          return removed;
+        });
+        return run();
+      }
+    };
+  }
+
+  function open() {
+    const Database = loadSqlite();
+    db = new Database(sqliteFile);
+
+    // WALモードにすると読み込みが書き込みを待たずに済む
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS memos (
+        id INTEGER PRIMARY KEY,
+        title TEXT NOT NULL,
+        content TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        attrs TEXT NOT NULL DEFAULT '{}'
+      );
+      CREATE INDEX IF NOT EXISTS memos_updated_at ON memos (updated_at);
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+    `);
+
+    statements = {
+      list: db.prepare('SELECT * FROM memos ORDER BY id'),
+      get: db.prepare('SELECT * FROM memos WHERE id = ?'),
+      insert: db.prepare(`
+        INSERT INTO memos (id, title, content, created_at, updated_at, attrs)
+        VALUES (@id, @title, @content, @created_at, @updated_at, @attrs)
+      `),
+      upsert: db.prepare(`
+        INSERT OR REPLACE INTO memos (id, title, content, created_at, updated_at, attrs)
+        VALUES (@id, @title, @content, @created_at, @updated_at, @attrs)
+      `),
+      update: db.prepare(`
+        UPDATE memos
+        SET title = @title, content = @content,
+            created_at = @created_at, updated_at = @updated_at, attrs = @attrs
+        WHERE id = @id
+      `),
+      delete: db.prepare('DELETE FROM memos WHERE id = ?'),
+      count: db.prepare('SELECT COUNT(*) AS count FROM memos'),
+      recordList: db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY rowid'),
+      recordGet: db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+      recordPut: db.prepare(`
+        INSERT INTO records (collection, id, data) VALUES (?, ?, ?)
+        ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data
+      `),
+      recordDelete: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+      recordClear: db.prepare('DELETE FROM records WHERE collection = ?'),
+      recordCount: db.prepare('SELECT COUNT(*) AS count FROM records')
+    };
+
+    logger.info({ file: sqliteFile }, 'SQLiteデータベースを開きました');
+  }
+
+  return {
+    name: 'sqlite',
+
+    async init() {
+      if (!db) {
+        open();
+      }
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    },
+
+    // 保存先の状態
+    // data_version は他の接続（別のプロセスや sqlite3 コマンド）が書き込んだ場合にだけ変わる
+    // 更新日時は、WALモードでは書き込みが先に -wal ファイルに入るため、新しいほうを使う
+    async stat() {
+      const times = [sqliteFile, `${sqliteFile}-wal`].map((file) => {
+        try {
+          return fs.statSync(file).mtimeMs;
+        } catch (error) {
+          return 0;
+        }
+      });
+      const modifiedAt = Math.max(...times);
+      return {
+        version: String(db.pragma('data_version', { simple: true })),
+        modifiedAt: modifiedAt ? new Date(modifiedAt) : null
+      };
+    },
+
+    async list() {
+      return statements.list.all().map(fromRow);
+    },
+
+    async get(id) {
+      const row = statements.get.get(id);
+      return row ? fromRow(row) : null;
+    },
+
+    async create(memo) {
+      statements.insert.run(toParams(memo));
+      return memo;
+    },
+
+    // mutator にメモを渡して変更する（見つからなければ null）
+    async update(id, mutator) {
+      const run = db.transaction(() => {
+        const row = statements.get.get(id);
+        if (!row) {
+          return null;
+        }
+        const memo = fromRow(row);
+        mutator(memo);
+        statements.update.run(toParams(memo));
+        return memo;
+      });
+      return run();
+    },
+
+    async delete(id) {
+      const run = db.transaction(() => {
+        const row = statements.get.get(id);
+        if (!row) {
+          return null;
+        }
+        statements.delete.run(id);
+        return fromRow(row);
+      });
+      return run();
+    },
+
+    // 複数のメモの読み書きを1つのトランザクションで実行する
+    // fn には同期的に使える get / put / delete が渡される
+    // fn が例外を投げた場合はロールバックし、何も保存しない
+    async transaction(fn) {
+      const run = db.transaction(() => fn({
+        get(id) {
+          const row = statements.get.get(id);
+          return row ? fromRow(row) : null;
+        },
+        put(memo) {
+          statements.upsert.run(toParams(memo));
+          return memo;
+        },
+        delete(id) {
+          const row = statements.get.get(id);
+          if (!row) {
+            return null;
+          }
+          statements.delete.run(id);
+          return fromRow(row);
+        }
+      }));
+      return run();
+    },
+
+    // 移行用: 複数のメモと付随データ（records: { コレクション名: レコードの配列 }）をまとめて登録する（1つのトランザクション）
+    // replace の場合、メモは同じIDのものを上書きし、付随データはコレクションごと置き換える
+    async insertMany(memos, { replace = false, records = {} } = {}) {
+      const statement = replace ? statements.upsert : statements.insert;
+      const run = db.transaction((items) => {
+        for (const memo of items) {
+          statement.run(toParams(memo));
+        }
+        for (const [name, list] of Object.entries(records)) {
+          if (replace) {
+            statements.recordClear.run(name);
+          }
+          for (const record of list) {
+            statements.recordPut.run(name, String(record.id), JSON.stringify(record));
+          }
+        }
+        return items.length;
+      });
+      return run(memos);
+    },
+
+    async count() {
+      return statements.count.get().count;
+    },
+
+    // 付随データ（すべてのコレクション）の件数
+    async countRecords() {
+      return statements.recordCount.get().count;
+    },
+
+    // 付随データを保存するコレクションを取得する
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, createCollection(name));
+      }
+      return collections.get(name);
+    }
+  };
+}
+
+module.exports = {
+  createSqliteDriver
+};
@@ -0,0 +1,121 @@
+// ============================================
+// メモの変更の通知（Server-Sent Events）
+// ============================================
+// メモの作成・更新・削除・ゴミ箱からの復元をイベントとして、同じユーザーの接続中のクライアント
+// （別のタブや別の端末）に配信します。
+// 直近のイベントはメモリに一定数だけ残しておき、接続が切れたクライアントが
+// 再接続したときに Last-Event-ID の続きから受け取れるようにします。
+// イベントIDは「起動ごとのID-連番」の形式です。サーバーの再起動をまたいだIDや、
+// 古すぎて残っていないIDの場合は、続きから配信できないことを呼び出し元に知らせます。
+// イベントはプロセスのメモリ上で配信するため、複数のプロセスで動かす構成には対応していません。
+
+const crypto = require('crypto');
+
+function createEventBus({ bufferSize = 1000, logger = null } = {}) {
+  // 起動ごとに変わるID（再起動前のイベントIDと区別する）
+  const bootId = crypto.randomBytes(4).toString('hex');
+  let sequence = 0;
+
+  // 再接続時に配信し直すための直近のイベント（古い順）
+  const buffer = [];
+
+  // ユーザーごとの、最後に発行したイベントと、バッファーから消えた最も新しいイベントの連番
+  const lastSequences = new Map();
+  const evictedSequences = new Map();
+
+  // 接続中のクライアント: { userId, listener }
+  const subscribers = new Set();
+
+  // ユーザー宛てのイベントを記録し、接続中のクライアントに配信する
+  // data には内容のオブジェクト、または内容を返す関数を渡す
+  // （関数の場合は配信・再送するときに初めて呼び出すので、接続中のクライアントが
+  //   いなければ表示用のHTMLなどを作らずに済む）
+  function publish(userId, type, data) {
+    sequence++;
+    const event = { id: `${bootId}-${sequence}`, sequence, userId, type, data };
+
+    buffer.push(event);
+    lastSequences.set(userId, sequence);
+    if (buffer.length > bufferSize) {
+      const evicted = buffer.shift();
+      evictedSequences.set(evicted.userId, evicted.sequence);
+    }
+
+    for (const subscriber of subscribers) {
+      if (subscriber.userId !== userId) {
+        continue;
+      }
+      try {
+        subscriber.listener(event);
+      } catch (error) {
+        // 1つの接続の失敗で他の接続への配信や保存処理を止めない
+        if (logger) {
+          logger.warn({ err: error }, 'イベントの配信に失敗しました');
+        }
+      }
+    }
+    return event;
+  }
+
+  // ユーザー宛てのイベントを受け取る（戻り値の関数で解除）
+  function subscribe(userId, listener) {
+    const subscriber = { userId, listener };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+  }
+
+  // lastEventId より後のユーザー宛てのイベント（古い順）
+  // 続きから配信できない場合（再起動後・古すぎる・不正なID）は null を返す
+  function since(userId, lastEventId) {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(String(lastEventId));
+    if (!match || match[1] !== bootId) {
+      return null;
+    }
+    const last = Number(match[2]);
+    if (last > sequence) {
+      return null;
+    }
+    // そのユーザー宛てのイベントが、ID より後にバッファーから消えていれば取りこぼしがある
+    // （他のユーザー宛てのイベントが消えただけなら、続きから配信できる）
+    if ((evictedSequences.get(userId) || 0) > last) {
+      return null;
+    }
+    return buffer.filter(event => event.sequence > last && event.userId === userId);
+  }
+
+  // 最後に発行したイベントのID（まだなければ連番0のID）
+  // userId を指定すると、そのユーザー宛てに最後に発行したイベントのID
+  // （他のユーザーのメモが変わっても変わらないので、ユーザーごとの画面のETagに含められる）
+  function lastEventId(userId) {
+    return `${bootId}-${userId === undefined ? sequence : lastSequences.get(userId) || 0}`;
+  }
+
+  return {
+    publish,
+    subscribe,
+    since,
+    lastEventId,
+
+    // 接続中のクライアントの数
+    get size() {
+      return subscribers.size;
+    }
+  };
+}
+
+// イベントをServer-Sent Eventsの形式の文字列にする
+// 同じイベントを複数の接続に送るため、作った文字列はイベントに残して使い回す
+function formatEvent(event) {
+  if (!event.message) {
+    const data = typeof event.data === 'function' ? event.data() : event.data;
+    const lines = event.id ? [`id: ${event.id}`] : [];
+    lines.push(`event: ${event.type}`, `data: ${JSON.stringify(data)}`);
+    event.message = `${lines.join('\n')}\n\n`;
+  }
+  return event.message;
+}
+
+module.exports = {
+  createEventBus,
+  formatEvent
+};
@@ -0,0 +1,152 @@
+// ============================================
+// メモのエクスポート（JSON / Markdown ZIP / CSV）
+// ============================================
+// どの形式も、メモの id・タイトル・内容・タグ・フォルダ・作成/更新日時・期限・リマインダー・
+// ピン留め・アーカイブ・色ラベルを含みます（設定していない日時と色ラベルは null、ピン留めとアーカイブは false）。
+// JSON形式はそのまま POST /api/import で読み込めます。
+
+const { createZip } = require('./zip');
+
+// エクスポートに含める項目（所有者や内部の版番号は含めない）
+// remindedAt はリマインダーを通知済みかどうか（インポートしたときに同じ通知を送り直さないため）
+const EXPORT_FIELDS = [
+  'id',
+  'title',
+  'content',
+  'tags',
+  'folder',
+  'createdAt',
+  'updatedAt',
+  'dueAt',
+  'remindAt',
+  'remindedAt',
+  'pinned',
+  'archived',
+  'color'
+];
+
+// エクスポート形式ごとのContent-Typeと拡張子
+const EXPORT_FORMATS = {
+  json: { type: 'application/json; charset=utf-8', extension: 'json' },
+  markdown: { type: 'application/zip', extension: 'zip' },
+  csv: { type: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+function pickExportFields(memo) {
+  return {
+    id: memo.id,
+    title: memo.title,
+    content: memo.content,
+    tags: memo.tags || [],
+    folder: memo.folder || null,
+    createdAt: memo.createdAt,
+    updatedAt: memo.updatedAt,
+    dueAt: memo.dueAt || null,
+    remindAt: memo.remindAt || null,
+    remindedAt: memo.remindedAt || null,
+    pinned: Boolean(memo.pinned),
+    archived: Boolean(memo.archived),
+    color: memo.color || null
+  };
+}
+
+// ============================================
+// JSON
+// ============================================
+
+function toJson(memos, exportedAt) {
+  return JSON.stringify({
+    exportedAt: exportedAt.toISOString(),
+    memos: memos.map(pickExportFields)
+  }, null, 2);
+}
+
+// ============================================
+// Markdown（メモごとに1ファイル、ZIPにまとめる）
+// ============================================
+
+// ファイル名に使えない文字を置き換え、長すぎるタイトルは切り詰める
+function toFileName(memo) {
+  const title = Array.from(memo.title.replace(/[\\/:*?"<>|\x00-\x1f\x7f]/g, '_').trim())
+    .slice(0, 50)
+    .join('');
+  return `${memo.id}-${title || 'memo'}.md`;
+}
+
+// front-matter（YAML）付きのMarkdown
+// 文字列はJSONの形式で書く（JSONの文字列はYAMLとしても正しく読める）
+function toMarkdown(memo) {
+  const data = pickExportFields(memo);
+  const frontMatter = [
+    '---',
+    `id: ${data.id}`,
+    `title: ${JSON.stringify(data.title)}`,
+    `tags: ${JSON.stringify(data.tags)}`,
+    `folder: ${data.folder === null ? 'null' : JSON.stringify(data.folder)}`,
+    `createdAt: ${JSON.stringify(data.createdAt)}`,
+    `updatedAt: ${JSON.stringify(data.updatedAt)}`,
+    `dueAt: ${JSON.stringify(data.dueAt)}`,
+    `remindAt: ${JSON.stringify(data.remindAt)}`,
+    `remindedAt: ${JSON.stringify(data.remindedAt)}`,
+    `pinned: ${data.pinned}`,
+    `archived: ${data.archived}`,
+    `color: ${JSON.stringify(data.color)}`,
+    '---'
+  ];
+  return `${frontMatter.join('\n')}\n\n${data.content}\n`;
+}
+
+function toMarkdownZip(memos) {
+  return createZip(memos.map(memo => ({
+    name: toFileName(memo),
+    data: toMarkdown(memo),
+    date: new Date(memo.updatedAt)
+  })));
+}
+
+// ============================================
+// CSV（Excelで開けるようにBOM付きUTF-8・CRLF改行）
+// ============================================
+
+const BOM = '\uFEFF';
+
+// 数式として解釈される文字で始まる値は、先頭に ' を付けて文字列として扱わせる
+// （CSVインジェクション対策）
+function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function toCsv(memos) {
+  const rows = [EXPORT_FIELDS];
+  for (const memo of memos) {
+    const data = pickExportFields(memo);
+    rows.push(EXPORT_FIELDS.map(field => (field === 'tags' ? data.tags.join(',') : data[field])));
+  }
+  return BOM + rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+// ============================================
+// まとめ
+// ============================================
+
+// 指定した形式でエクスポートし、ダウンロード用のファイル名と一緒に返す
+function exportMemos(memos, format, exportedAt = new Date()) {
+  const { type, extension } = EXPORT_FORMATS[format];
+  const stamp = exportedAt.toISOString().slice(0, 10).replace(/-/g, '');
+  const body = format === 'json' ? toJson(memos, exportedAt) :
+    format === 'markdown' ? toMarkdownZip(memos) :
+      toCsv(memos);
+  return { type, fileName: `memos-${stamp}.${extension}`, body };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportMemos
+};
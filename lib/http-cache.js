@@ -0,0 +1,48 @@
+// ============================================
+// 条件付きリクエスト（ETag・Last-Modified と 304）
+// ============================================
+// 前回と同じ内容のレスポンスには本文を送らず 304 Not Modified を返すためのヘルパーです。
+// ETag はレスポンスの本文のハッシュから作るため、同じ本文なら必ず同じ値になります（強いETag）。
+// If-None-Match がある場合は ETag で、ない場合だけ If-Modified-Since で判断します（RFC 9110）。
+
+const crypto = require('crypto');
+
+// 本文から強いETagを作る
+function createEtag(body) {
+  return `"${crypto.createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`;
+}
+
+// If-None-Match（カンマ区切りで複数指定可、* は常に一致）がETagと一致するか
+// 304 の判断では W/ の付いた弱いETagも同じ値として扱う
+function matchesIfNoneMatch(header, etag) {
+  return header.split(',').some((value) => {
+    const tag = value.trim();
+    return tag === '*' || tag.replace(/^W\//, '') === etag;
+  });
+}
+
+// Last-Modified の日時（秒単位に切り捨てる）
+function toHttpDate(date) {
+  return new Date(Math.floor(date.getTime() / 1000) * 1000).toUTCString();
+}
+
+// 条件付きリクエストに 304 を返してよいか
+// headers: リクエストヘッダー、etag / lastModified: これから返すレスポンスの値
+function isNotModified(headers, { etag, lastModified }) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    return Boolean(etag) && matchesIfNoneMatch(ifNoneMatch, etag);
+  }
+  const ifModifiedSince = Date.parse(headers['if-modified-since'] || '');
+  if (!lastModified || Number.isNaN(ifModifiedSince)) {
+    return false;
+  }
+  return Date.parse(lastModified) <= ifModifiedSince;
+}
+
+module.exports = {
+  createEtag,
+  matchesIfNoneMatch,
+  toHttpDate,
+  isNotModified
+};
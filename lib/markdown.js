@@ -0,0 +1,157 @@
+// ============================================
+// メモ本文のMarkdown表示
+// ============================================
+// markdown-it でHTMLに変換したあと、sanitize-html で許可リストにないタグ・属性を
+// すべて取り除きます。Markdown中に直接書かれたHTMLは変換時点で文字列として
+// エスケープされるため（html: false）、サニタイズは二重の防御です。
+// GitHub Flavored Markdown のうち、次のものに対応しています。
+//   - チェックリスト（- [ ] / - [x]）: 画面上のチェックボックスから切り替えられる
+//   - 表
+//   - コードブロック（```言語名）
+
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+// チェックリストの行頭（引用の中やネストしたリストも含む）
+const TASK_LINE_PATTERN = /^((?:[ \t]*>)*[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+\[)([ xX])(\])/;
+
+// 項目の先頭にある [ ] / [x] の部分
+const TASK_MARKER_PATTERN = /^\[([ xX])\][ \t]+/;
+
+const md = new MarkdownIt({
+  html: false,
+  linkify: true,
+  // 日本語の文章では改行をそのまま改行として表示したい
+  breaks: true
+});
+
+// ============================================
+// チェックリスト
+// ============================================
+
+// リストの項目のうち、本文が [ ] / [x] で始まるものをチェックリストの項目として集める
+// map[0] はその項目が始まる行番号（0始まり）
+function findTaskItems(tokens) {
+  const items = [];
+  for (let i = 2; i < tokens.length; i++) {
+    const inline = tokens[i];
+    const listItem = tokens[i - 2];
+    if (inline.type !== 'inline' ||
+        tokens[i - 1].type !== 'paragraph_open' ||
+        listItem.type !== 'list_item_open') {
+      continue;
+    }
+    const match = TASK_MARKER_PATTERN.exec(inline.content);
+    if (match && listItem.map) {
+      items.push({
+        listItem,
+        inline,
+        line: listItem.map[0],
+        checked: match[1] !== ' '
+      });
+    }
+  }
+  return items;
+}
+
+// チェックリストの項目をチェックボックス付きで表示する
+md.core.ruler.after('inline', 'task_lists', (state) => {
+  findTaskItems(state.tokens).forEach((item, index) => {
+    const first = item.inline.children[0];
+    if (!first || first.type !== 'text' || !TASK_MARKER_PATTERN.test(first.content)) {
+      return;
+    }
+    first.content = first.content.replace(TASK_MARKER_PATTERN, '');
+
+    const checkbox = new state.Token('html_inline', '', 0);
+    const attrs = [
+      'type="checkbox"',
+      'class="task-checkbox"',
+      `data-task-index="${index}"`,
+      item.checked ? 'checked' : '',
+      state.env.interactive ? '' : 'disabled'
+    ].filter(Boolean).join(' ');
+    checkbox.content = `<input ${attrs}> `;
+    item.inline.children.unshift(checkbox);
+
+    item.listItem.attrJoin('class', 'task-list-item');
+  });
+});
+
+// 本文中のチェックリストの項目の一覧（表示と同じ順番）
+function listTasks(content) {
+  return findTaskItems(md.parse(String(content), {})).map(({ line, checked }) => ({ line, checked }));
+}
+
+// index 番目のチェックリストの項目を切り替えた本文を返す（項目がなければ null）
+function setTaskChecked(content, index, checked) {
+  const task = listTasks(content)[index];
+  if (!task) {
+    return null;
+  }
+  const lines = String(content).split('\n');
+  const line = lines[task.line];
+  if (!TASK_LINE_PATTERN.test(line)) {
+    return null;
+  }
+  lines[task.line] = line.replace(TASK_LINE_PATTERN, `$1${checked ? 'x' : ' '}$3`);
+  return lines.join('\n');
+}
+
+// ============================================
+// サニタイズ
+// ============================================
+
+// 表の列の揃え（style="text-align:..."）はクラスにする
+// （画面の Content-Security-Policy でインラインのスタイルを許可していないため）
+function alignToClass(tagName, attribs) {
+  const { style, ...rest } = attribs;
+  const match = /text-align:\s*(left|right|center)/.exec(style || '');
+  return { tagName, attribs: match ? { ...rest, class: `align-${match[1]}` } : rest };
+}
+
+// markdown-it が出力するタグだけを許可する
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'strong', 'em', 's', 'code', 'pre', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td', 'input'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    input: ['type', 'checked', 'disabled', 'data-task-index']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+    li: ['task-list-item'],
+    input: ['task-checkbox'],
+    th: ['align-left', 'align-center', 'align-right'],
+    td: ['align-left', 'align-center', 'align-right']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  // チェックボックス以外の input は取り除く
+  exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+  transformTags: {
+    // 外部リンクは新しいタブで開き、リンク先に参照元を渡さない
+    a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer nofollow' }),
+    th: alignToClass,
+    td: alignToClass
+  }
+};
+
+// Markdownを安全なHTMLに変換する
+// interactive: true の場合、チェックボックスをクリックできるようにする
+function renderMarkdown(content, { interactive = false } = {}) {
+  const html = md.render(String(content || ''), { interactive });
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+module.exports = {
+  renderMarkdown,
+  listTasks,
+  setTaskChecked
+};
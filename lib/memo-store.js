@@ -0,0 +1,162 @@
+// ============================================
+// メモストア（ストレージドライバーの切り替えと検索）
+// ============================================
+// ルートからは次の共通インターフェースだけを使います。
+//   list / get / create / update / delete / transaction / search / stat / refresh
+// メモ以外の付随データ（履歴など）は collection(名前) で取得した
+// コレクション（list / get / put / update / delete / deleteWhere）に保存します。
+// 実際の保存先は STORAGE_DRIVER 環境変数で選んだドライバーが担当し、
+// 検索はどのドライバーでも同じ日本語対応のN-gramインデックスで行います。
+
+const { createJsonDriver } = require('./drivers/json');
+const { createSqliteDriver } = require('./drivers/sqlite');
+const { createSearchIndex } = require('./search');
+
+const DRIVERS = {
+  json: createJsonDriver,
+  sqlite: createSqliteDriver
+};
+
+// 設定に応じたドライバーを作成する
+function createDriver(name, options) {
+  const factory = DRIVERS[name];
+  if (!factory) {
+    throw new Error(
+      `不明なストレージドライバーです: ${name}（${Object.keys(DRIVERS).join(' / ')} のいずれかを指定してください）`
+    );
+  }
+  return factory(options);
+}
+
+function createMemoStore(driver) {
+  const searchIndex = createSearchIndex();
+
+  // ゴミ箱に入ったメモ（deletedAt あり）は検索対象から外す
+  function indexMemo(memo) {
+    if (memo.deletedAt) {
+      searchIndex.remove(memo.id);
+    } else {
+      searchIndex.add(memo);
+    }
+  }
+
+  // 最後に読み込んだ・書き込んだときの保存先の version（アプリの外での変更を見つけるため）
+  let knownVersion = null;
+
+  async function rememberVersion() {
+    knownVersion = (await driver.stat()).version;
+  }
+
+  async function rebuildIndex() {
+    const memos = await driver.list();
+    searchIndex.rebuild(memos.filter(m => !m.deletedAt));
+  }
+
+  return {
+    driver,
+
+    // ドライバーを初期化し、検索インデックスを構築する
+    async init() {
+      await driver.init();
+      await rememberVersion();
+      await rebuildIndex();
+    },
+
+    close() {
+      return driver.close();
+    },
+
+    list() {
+      return driver.list();
+    },
+
+    // 保存先の状態（{ version, modifiedAt }）
+    stat() {
+      return driver.stat();
+    },
+
+    // アプリの外で保存先が変更されていれば、検索インデックスを作り直して true を返す
+    async refresh() {
+      const { version } = await driver.stat();
+      if (version === knownVersion) {
+        return false;
+      }
+      knownVersion = version;
+      await rebuildIndex();
+      return true;
+    },
+
+    get(id) {
+      return driver.get(id);
+    },
+
+    async create(memo) {
+      const created = await driver.create(memo);
+      await rememberVersion();
+      indexMemo(created);
+      return created;
+    },
+
+    async update(id, mutator) {
+      const updated = await driver.update(id, mutator);
+      await rememberVersion();
+      if (updated) {
+        indexMemo(updated);
+      }
+      return updated;
+    },
+
+    async delete(id) {
+      const deleted = await driver.delete(id);
+      await rememberVersion();
+      if (deleted) {
+        searchIndex.remove(deleted.id);
+      }
+      return deleted;
+    },
+
+    // 複数のメモの変更を1つの単位として保存し、保存できたら検索インデックスに反映する
+    // fn には同期的に使える get / put / delete が渡される（例外を投げると何も保存しない）
+    async transaction(fn) {
+      const changes = new Map();
+      const result = await driver.transaction(store => fn({
+        get: id => store.get(id),
+        put(memo) {
+          changes.set(memo.id, memo);
+          return store.put(memo);
+        },
+        delete(id) {
+          const deleted = store.delete(id);
+          if (deleted) {
+            changes.set(id, null);
+          }
+          return deleted;
+        }
+      }));
+      await rememberVersion();
+
+      for (const [id, memo] of changes) {
+        if (memo) {
+          indexMemo(memo);
+        } else {
+          searchIndex.remove(id);
+        }
+      }
+      return result;
+    },
+
+    search(query, options) {
+      return searchIndex.search(query, options);
+    },
+
+    // 履歴などの付随データを保存するコレクション
+    collection(name) {
+      return driver.collection(name);
+    }
+  };
+}
+
+module.exports = {
+  createDriver,
+  createMemoStore
+};
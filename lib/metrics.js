@@ -0,0 +1,162 @@
+// ============================================
+// Prometheus形式のメトリクス
+// ============================================
+// カウンター・ゲージ・ヒストグラムを登録し、/metrics で返すテキスト
+// （Prometheus text exposition format 0.0.4）を作ります。
+//   - counter: 増えるだけの値（リクエスト数・失敗数など）
+//   - gauge: 増減する値。collect を指定すると、出力するたびにその関数で値を集める（メモ数など）
+//   - histogram: 値の分布（処理時間など）。buckets の各上限以下の件数と合計を数える
+// ラベルは { method: 'GET', route: '/api/memos' } のようにオブジェクトで指定します。
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// 処理時間（秒）のデフォルトの区切り
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// ラベルの値のエスケープ（\ と " と改行）
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+// ラベルの組み合わせごとの値を持つ入れ物（同じラベルは同じキーになるよう名前順に並べる）
+function createSeries() {
+  const series = new Map();
+  return {
+    get(labels, create) {
+      const sorted = Object.fromEntries(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+      const key = JSON.stringify(sorted);
+      if (!series.has(key)) {
+        series.set(key, { labels: sorted, value: create() });
+      }
+      return series.get(key).value;
+    },
+    entries() {
+      return [...series.values()];
+    }
+  };
+}
+
+function createMetrics({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push({ ...metric, name: prefix + metric.name });
+    return metric;
+  }
+
+  function counter(name, help) {
+    const series = createSeries();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels = {}, amount = 1) {
+        const entry = series.get(labels, () => ({ value: 0 }));
+        entry.value += amount;
+      },
+      lines(fullName) {
+        return series.entries().map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value.value)}`);
+      }
+    });
+  }
+
+  // collect: 出力するたびに呼ばれ、[{ labels, value }] または数値を返す（非同期でもよい）
+  function gauge(name, help, collect = null) {
+    const series = createSeries();
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      set(labels, value) {
+        series.get(labels, () => ({ value: 0 })).value = value;
+      },
+      async lines(fullName) {
+        if (collect) {
+          const collected = await collect();
+          const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+          return samples.map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return series.entries().map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value.value)}`);
+      }
+    });
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = createSeries();
+    const bounds = [...buckets].sort((a, b) => a - b);
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const entry = series.get(labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+        bounds.forEach((bound, i) => {
+          if (value <= bound) {
+            entry.counts[i]++;
+          }
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      // 処理にかかった時間（秒）を記録する
+      async time(labels, work) {
+        const start = process.hrtime.bigint();
+        try {
+          return await work();
+        } finally {
+          this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+      },
+      lines(fullName) {
+        return series.entries().flatMap(({ labels, value }) => [
+          ...bounds.map((bound, i) =>
+            `${fullName}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[i]}`),
+          `${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+          `${fullName}_sum${formatLabels(labels)} ${formatValue(value.sum)}`,
+          `${fullName}_count${formatLabels(labels)} ${value.count}`
+        ]);
+      }
+    });
+  }
+
+  // すべてのメトリクスをテキストにする
+  async function render() {
+    const blocks = [];
+    for (const metric of metrics) {
+      const lines = await metric.lines(metric.name);
+      blocks.push([
+        `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...lines
+      ].join('\n'));
+    }
+    return blocks.join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render,
+    contentType: CONTENT_TYPE
+  };
+}
+
+module.exports = {
+  createMetrics
+};
@@ -0,0 +1,219 @@
+// ============================================
+// 日本語の日時の入力（「明日15時」「3日後」など）
+// ============================================
+// 期限・リマインダーの入力を日時に変換します。次のような書き方に対応しています。
+//   - 日付: 今日 / 明日 / 明後日 / 3日後 / 2週間後 / 来週月曜 / 金曜 / 10月25日 / 10/25 / 2026-10-25
+//   - 時刻: 15時 / 15時30分 / 15時半 / 午後3時 / 朝 / 夜8時 / 15:30 / 正午
+//   - 今からの時間: 30分後 / 2時間後 / 1時間30分後
+//   - ISO 8601（2026-10-25T15:00:00+09:00 など）
+// 時刻を省略した場合は9時、日付を省略した場合は今日（その時刻を過ぎていれば明日）とします。
+// 年を省略した日付が過ぎている場合は来年とします。
+// 「25日」のように日だけを指定した場合は、今月（過ぎていれば来月）以降でその日がある最初の月とします。
+// 日時はサーバーのタイムゾーン（環境変数 TZ）で解釈し、分単位に切り捨てます。
+
+// 時刻を省略したときの時刻
+const DEFAULT_HOUR = 9;
+
+const WEEKDAYS = '日月火水木金土';
+
+// 時刻だけを表す言葉
+const PERIOD_HOURS = { 朝: 9, 昼: 12, 夕方: 17, 夜: 20 };
+
+// 日付の言葉と今日からの日数
+const DAY_WORDS = [
+  [/^(?:今日|きょう|本日)/, 0],
+  [/^(?:明々後日|しあさって)/, 3],
+  [/^(?:明後日|あさって)/, 2],
+  [/^(?:明日|あした|あす)/, 1]
+];
+
+const MINUTE = 60 * 1000;
+
+// 日付（時刻は0時）に日数を足す
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// 年月日が実在する日付なら、その日の0時を返す（2月30日などは null）
+function makeDate(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+// offset か月後（今月は0）から数えて、その日がある最初の月のその日の0時（「31日」なら4月は飛ばして5月31日）
+// 1〜31日なら必ず3か月以内に見つかる。それ以外の日は null
+function monthDay(today, day, offset = 0) {
+  for (let i = offset; i < offset + 3; i++) {
+    const first = new Date(today.getFullYear(), today.getMonth() + i, 1);
+    const date = makeDate(first.getFullYear(), first.getMonth() + 1, day);
+    if (date) {
+      return date;
+    }
+  }
+  return null;
+}
+
+// 分単位に切り捨てる
+function truncateToMinute(date) {
+  return new Date(Math.floor(date.getTime() / MINUTE) * MINUTE);
+}
+
+// 入力の先頭の日付を読み取る
+// { date, rest } と、日時が過ぎていた場合に来週・来月・来年にするための情報を返す
+// （日付がなければ date は null で rest は入力のまま、実在しない日付なら date だけが null）
+function readDate(text, today) {
+  let match;
+
+  for (const [pattern, days] of DAY_WORDS) {
+    if ((match = pattern.exec(text))) {
+      return { date: addDays(today, days), rest: text.slice(match[0].length) };
+    }
+  }
+
+  if ((match = /^(\d+)(日|週間)後/.exec(text))) {
+    const days = Number(match[1]) * (match[2] === '日' ? 1 : 7);
+    return { date: addDays(today, days), rest: text.slice(match[0].length) };
+  }
+
+  // 曜日（今週は月曜始まり。「今週」「来週」などがなければ次のその曜日）
+  if ((match = /^(今週|来週|再来週)?の?([日月火水木金土])曜日?/.exec(text))) {
+    const weekday = WEEKDAYS.indexOf(match[2]);
+    let days;
+    if (match[1]) {
+      const monday = (today.getDay() + 6) % 7;
+      const weeks = { 今週: 0, 来週: 1, 再来週: 2 }[match[1]];
+      days = weeks * 7 - monday + (weekday + 6) % 7;
+    } else {
+      days = (weekday - today.getDay() + 7) % 7;
+    }
+    return { date: addDays(today, days), rest: text.slice(match[0].length), weekday: !match[1] };
+  }
+
+  if ((match = /^(来週|再来週)/.exec(text))) {
+    return { date: addDays(today, match[1] === '来週' ? 7 : 14), rest: text.slice(match[0].length) };
+  }
+
+  if ((match = /^(\d{4})[-/年](\d{1,2})[-/月](\d{1,2})日?/.exec(text))) {
+    return {
+      date: makeDate(Number(match[1]), Number(match[2]), Number(match[3])),
+      explicitYear: true,
+      rest: text.slice(match[0].length)
+    };
+  }
+
+  if ((match = /^(\d{1,2})(?:\/|月)(\d{1,2})日?/.exec(text))) {
+    return {
+      date: makeDate(today.getFullYear(), Number(match[1]), Number(match[2])),
+      month: Number(match[1]),
+      day: Number(match[2]),
+      rest: text.slice(match[0].length)
+    };
+  }
+
+  if ((match = /^(\d{1,2})日/.exec(text))) {
+    return {
+      date: monthDay(today, Number(match[1])),
+      day: Number(match[1]),
+      rest: text.slice(match[0].length)
+    };
+  }
+
+  return { date: null, rest: text };
+}
+
+// 入力の残りの時刻を読み取る（{ hour, minute } または、時刻がなければ空のオブジェクト、読めなければ null）
+function readTime(text) {
+  const rest = text.replace(/^の/, '').trim();
+  if (rest === '') {
+    return {};
+  }
+  if (rest === '正午') {
+    return { hour: 12, minute: 0 };
+  }
+
+  const match = /^(午前|午後|朝|昼|夕方|夜)?(?:(\d{1,2})(?::(\d{2})(?::(\d{2}))?|時(?:(\d{1,2})分|(半))?))?$/.exec(rest);
+  if (!match || (!match[1] && match[2] === undefined)) {
+    return null;
+  }
+
+  const period = match[1];
+  if (match[2] === undefined) {
+    return period in PERIOD_HOURS ? { hour: PERIOD_HOURS[period], minute: 0 } : null;
+  }
+
+  let hour = Number(match[2]);
+  const minute = match[6] ? 30 : Number(match[3] || match[5] || 0);
+  if (['午後', '夕方', '夜'].includes(period) && hour < 12) {
+    hour += 12;
+  } else if (period === '午前' && hour === 12) {
+    hour = 0;
+  }
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  return { hour, minute };
+}
+
+// 入力を日時にする（読み取れない場合は null）
+// now: 「明日」「30分後」などの基準にする日時
+function parseDateInput(input, now = new Date()) {
+  // 全角の数字・記号・空白を半角にする
+  const text = String(input).normalize('NFKC').trim().replace(/\s+/g, ' ');
+  if (text === '') {
+    return null;
+  }
+
+  // ISO 8601（時刻まで指定したもの）
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text)) {
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? null : truncateToMinute(new Date(time));
+  }
+
+  // 今からの時間
+  const relative = /^(?:(\d+)時間)?(?:(\d+)分)?後$/.exec(text.replace(/ /g, ''));
+  if (relative && (relative[1] || relative[2])) {
+    const minutes = Number(relative[1] || 0) * 60 + Number(relative[2] || 0);
+    return truncateToMinute(new Date(now.getTime() + minutes * MINUTE));
+  }
+
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const dateInput = readDate(text, today);
+  // 2月30日など、実在しない日付
+  if (dateInput.date === null && dateInput.rest !== text) {
+    return null;
+  }
+  const time = readTime(dateInput.rest.trim());
+  if (time === null) {
+    return null;
+  }
+
+  const hasTime = time.hour !== undefined;
+  const at = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(),
+    hasTime ? time.hour : DEFAULT_HOUR, hasTime ? time.minute : 0);
+
+  // 日付を省略した場合は、今日のその時刻を過ぎていれば明日
+  if (dateInput.date === null) {
+    const result = at(today);
+    return result > now ? result : at(addDays(today, 1));
+  }
+
+  let result = at(dateInput.date);
+  if (result <= now) {
+    if (dateInput.weekday) {
+      // 今日と同じ曜日で時刻を過ぎている場合は来週
+      result = at(addDays(dateInput.date, 7));
+    } else if (dateInput.month && !dateInput.explicitYear) {
+      // 年を省略した日付が過ぎている場合は来年
+      const nextYear = makeDate(today.getFullYear() + 1, dateInput.month, dateInput.day);
+      result = nextYear ? at(nextYear) : result;
+    } else if (dateInput.day && !dateInput.month && dateInput.date < today) {
+      // 「25日」が今月では過ぎている場合は来月（12月なら翌年の1月。来月にその日がなければ、その次の月）
+      result = at(monthDay(today, dateInput.day, 1));
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  parseDateInput
+};
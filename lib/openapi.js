@@ -0,0 +1,140 @@
+// ============================================
+// OpenAPIドキュメントの作成
+// ============================================
+// Fastifyのルートの定義（method・url・schema）から OpenAPI 3.1 のドキュメントを作ります。
+// OpenAPI 3.1 のスキーマは JSON Schema と互換なので、ルートのスキーマをそのまま使えます。
+// ルートのスキーマには、検証用の項目のほかに次の項目を書けます。
+//   - tags / summary / description: ドキュメントでの分類と説明
+//   - consumes: リクエストの本文として受け付けるContent-Type（省略時は application/json）
+//   - requestBody: body で検証しない本文（multipart など）を、OpenAPI の requestBody としてそのまま載せる
+//   - security: 必要な認証方式
+//   - hide: true にするとドキュメントに載せない
+
+const OPENAPI_VERSION = '3.1.0';
+
+// レスポンスのスキーマに説明がない場合の説明
+const STATUS_DESCRIPTIONS = {
+  200: '成功',
+  201: '作成しました',
+  204: '内容なし',
+  '4XX': 'リクエストのエラー（入力の誤り・未ログイン・権限なし・見つからないなど）',
+  '5XX': 'サーバーのエラー'
+};
+
+// Fastifyの /api/memos/:id の形式を OpenAPI の /api/memos/{id} の形式にする
+function toOpenApiPath(url) {
+  return url.replace(/:(\w+)/g, '{$1}');
+}
+
+// パラメータ・クエリのスキーマを OpenAPI のパラメータの一覧にする
+function toParameters(schema, location) {
+  if (!schema || !schema.properties) {
+    return [];
+  }
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...propertySchema } = property;
+    return {
+      name,
+      in: location,
+      // パスのパラメータは常に必須
+      required: location === 'path' || required.includes(name),
+      ...(description && { description }),
+      schema: propertySchema
+    };
+  });
+}
+
+function toRequestBody(schema) {
+  const types = schema.consumes || ['application/json'];
+  const content = {};
+  for (const type of types) {
+    content[type] = { schema: schema.body };
+  }
+  return { required: true, content };
+}
+
+// レスポンスのスキーマ（ステータスコードごと）を OpenAPI のレスポンスにする
+// content を持つスキーマは、Content-Typeごとのスキーマが書かれているものとしてそのまま使う
+function toResponses(response) {
+  const responses = {};
+  for (const [status, schema] of Object.entries(response || {})) {
+    const code = status.toUpperCase();
+    const description = schema.description || STATUS_DESCRIPTIONS[code] || '';
+    if (schema.content) {
+      responses[code] = { description, content: schema.content };
+      continue;
+    }
+    const { description: _, ...bodySchema } = schema;
+    responses[code] = {
+      description,
+      content: { 'application/json': { schema: bodySchema } }
+    };
+  }
+  if (Object.keys(responses).length === 0) {
+    responses.default = { description: STATUS_DESCRIPTIONS[200] };
+  }
+  return responses;
+}
+
+function toOperation(schema) {
+  const parameters = [
+    ...toParameters(schema.params, 'path'),
+    ...toParameters(schema.querystring, 'query')
+  ];
+  return {
+    ...(schema.tags && { tags: schema.tags }),
+    ...(schema.summary && { summary: schema.summary }),
+    ...(schema.description && { description: schema.description }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(schema.body ? { requestBody: toRequestBody(schema) } : schema.requestBody && { requestBody: schema.requestBody }),
+    responses: toResponses(schema.response),
+    ...(schema.security && { security: schema.security })
+  };
+}
+
+// info・tags・components はドキュメントにそのまま載せる
+function createApiDocument({ info, tags = [], components = {} }) {
+  // ドキュメントに載せるルート（追加された順）
+  const routes = [];
+
+  // ルートを追加する（onRoute フックから呼び出す）
+  // スキーマのないルートと hide: true のルートは載せない
+  function addRoute(routeOptions) {
+    const { schema } = routeOptions;
+    if (!schema || schema.hide) {
+      return;
+    }
+    const methods = [].concat(routeOptions.method)
+      .map(method => method.toLowerCase())
+      .filter(method => method !== 'head' && method !== 'options');
+    for (const method of methods) {
+      routes.push({ method, path: toOpenApiPath(routeOptions.url), schema });
+    }
+  }
+
+  // ドキュメント全体を作る
+  function build() {
+    const paths = {};
+    for (const { method, path, schema } of routes) {
+      paths[path] = paths[path] || {};
+      paths[path][method] = toOperation(schema);
+    }
+    return {
+      openapi: OPENAPI_VERSION,
+      info,
+      tags,
+      paths,
+      components
+    };
+  }
+
+  return {
+    addRoute,
+    build
+  };
+}
+
+module.exports = {
+  createApiDocument
+};
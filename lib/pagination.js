@@ -0,0 +1,124 @@
+// ============================================
+// メモ一覧の並べ替え・ページ分割・項目の選択
+// ============================================
+// ページ分割は2つの方式に対応しています。
+//   - オフセット方式（offset）: 何件目から取得するかを指定する。ページ番号の表示向け
+//   - カーソル方式（cursor）: 前のページの最後のメモの続きから取得する。
+//     途中でメモが追加・削除されても、重複や取りこぼしが起きにくい
+// カーソルは並べ替えの条件と最後のメモの値を base64url でまとめた文字列で、
+// 中身を解釈せずにそのまま次のリクエストに渡して使います。
+// ピン留めしたメモは、並べ替えの条件に関係なく常に先頭に並べます。
+
+// 並べ替えに使える項目
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'title'];
+
+// fields= で選択できる項目
+const MEMO_FIELDS = [
+  'id', 'title', 'content', 'tags', 'folder', 'version', 'createdAt', 'updatedAt',
+  'dueAt', 'remindAt', 'pinned', 'archived', 'color', 'attachments'
+];
+
+// タイトルは日本語の読み順で並べる
+const collator = new Intl.Collator('ja');
+
+// カーソルが不正な場合のエラーコード
+const INVALID_CURSOR_CODE = 'EINVALIDCURSOR';
+
+function createCursorError(message) {
+  const error = new Error(message);
+  error.code = INVALID_CURSOR_CODE;
+  return error;
+}
+
+// 並べ替えに使う値を比較する（日時は文字列のままでは比較しない）
+function compareValues(sort, a, b) {
+  if (sort === 'title') {
+    return collator.compare(a, b);
+  }
+  return new Date(a) - new Date(b);
+}
+
+// 並べ替え順で a が b より前なら負の数を返す（ピン留めしたメモが先、同じ値の場合はIDの順）
+function compareKeys(sort, order, a, b) {
+  if (a.pinned !== b.pinned) {
+    return a.pinned ? -1 : 1;
+  }
+  const result = compareValues(sort, a.value, b.value) || a.id - b.id;
+  return order === 'asc' ? result : -result;
+}
+
+function keyOf(memo, sort) {
+  return { pinned: Boolean(memo.pinned), value: memo[sort], id: memo.id };
+}
+
+function sortMemos(memos, { sort = 'updatedAt', order = 'desc' } = {}) {
+  return [...memos].sort((a, b) => compareKeys(sort, order, keyOf(a, sort), keyOf(b, sort)));
+}
+
+function encodeCursor(sort, order, memo) {
+  const { pinned, value, id } = keyOf(memo, sort);
+  return Buffer.from(JSON.stringify({ s: sort, o: order, p: pinned, v: value, id })).toString('base64url');
+}
+
+// カーソルを読み取る（並べ替えの条件が変わっている場合も不正とする）
+function decodeCursor(cursor, sort, order) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createCursorError('カーソルの形式が正しくありません。');
+  }
+  if (!data || typeof data.v !== 'string' || !Number.isInteger(data.id)) {
+    throw createCursorError('カーソルの形式が正しくありません。');
+  }
+  if (data.s !== sort || data.o !== order) {
+    throw createCursorError('カーソルと並べ替えの条件が一致しません。sort と order は前のページと同じ値を指定してください。');
+  }
+  return { pinned: data.p === true, value: data.v, id: data.id };
+}
+
+// メモを並べ替えて1ページ分を取り出す
+// 戻り値の nextCursor は次のページがない場合は null
+function paginate(memos, { limit, offset = 0, cursor = null, sort = 'updatedAt', order = 'desc' }) {
+  const sorted = sortMemos(memos, { sort, order });
+
+  let start = offset;
+  if (cursor) {
+    const after = decodeCursor(cursor, sort, order);
+    const index = sorted.findIndex(m => compareKeys(sort, order, keyOf(m, sort), after) > 0);
+    start = index === -1 ? sorted.length : index;
+  }
+
+  const items = sorted.slice(start, start + limit);
+  const hasMore = start + items.length < sorted.length;
+
+  return {
+    items,
+    total: sorted.length,
+    offset: start,
+    nextCursor: hasMore && items.length > 0 ? encodeCursor(sort, order, items[items.length - 1]) : null
+  };
+}
+
+// fields=id,title のような指定から、メモの一部の項目だけを取り出す
+function projectFields(memo, fields) {
+  if (!fields) {
+    return memo;
+  }
+  const projected = {};
+  for (const field of fields.split(',')) {
+    if (memo[field] !== undefined) {
+      projected[field] = memo[field];
+    }
+  }
+  return projected;
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MEMO_FIELDS,
+  INVALID_CURSOR_CODE,
+  sortMemos,
+  paginate,
+  projectFields
+};
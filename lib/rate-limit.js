@@ -0,0 +1,60 @@
+// ============================================
+// IPアドレスごとのリクエスト数の制限
+// ============================================
+// 一定時間（window）あたりのリクエスト数を、キー（ルートとIPアドレスの組み合わせなど）ごとに数えます。
+// 期間が過ぎると数え直します（固定ウィンドウ方式）。
+// 数はサーバーのメモリ上で数えるため、複数のプロセスで動かす構成ではプロセスごとの制限になります。
+
+// 期間が過ぎたキーを掃除する間隔（ミリ秒）
+const SWEEP_INTERVAL = 60 * 1000;
+
+// max: 期間あたりのリクエスト数の上限（0で無制限）
+// window: 数える期間（ミリ秒）
+function createRateLimiter({ max, window }) {
+  // キー → { count, resetAt }
+  const usage = new Map();
+  let nextSweep = Date.now() + SWEEP_INTERVAL;
+
+  // 期間が過ぎたキーを消す（アクセスしてきたIPアドレスの分だけメモリが増え続けないように）
+  function sweep(now) {
+    for (const [key, entry] of usage) {
+      if (entry.resetAt <= now) {
+        usage.delete(key);
+      }
+    }
+    nextSweep = now + SWEEP_INTERVAL;
+  }
+
+  // リクエストを1回数える
+  // 戻り値の retryAfter は上限を超えた場合の再試行までの秒数（超えていなければ 0）
+  function consume(key) {
+    if (max <= 0) {
+      return { limit: 0, remaining: 0, retryAfter: 0 };
+    }
+    const now = Date.now();
+    if (now >= nextSweep) {
+      sweep(now);
+    }
+    let entry = usage.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + window };
+      usage.set(key, entry);
+    }
+    entry.count++;
+    return {
+      limit: max,
+      remaining: Math.max(0, max - entry.count),
+      retryAfter: entry.count > max ? Math.ceil((entry.resetAt - now) / 1000) : 0
+    };
+  }
+
+  return {
+    max,
+    window,
+    consume
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,129 @@
+// ============================================
+// メモの変更履歴（リビジョン）
+// ============================================
+// メモのタイトルか内容が変わるたびに、その時点のタイトルと内容を1つのリビジョンとして残します。
+// リビジョン番号はそのときのメモの version で、最新のリビジョンが現在のメモの内容です。
+// ピン留めや色の変更など内容を変えない更新は記録しないため、番号は飛ぶことがあります。
+// この機能より前に作られたメモは、最初の更新時に更新前の内容を
+// リビジョン1として記録します。
+
+const { diffLines } = require('./diff');
+
+function createRevisionLog(collection, options = {}) {
+  // メモ1件あたりに残すリビジョンの上限（0で無制限）
+  const { limit = 50 } = options;
+
+  function revisionId(memoId, rev) {
+    return `${memoId}:${rev}`;
+  }
+
+  // メモの現在の内容からリビジョンを作る
+  function snapshot(memo, extra = {}) {
+    const rev = memo.version || 1;
+    return {
+      id: revisionId(memo.id, rev),
+      memoId: memo.id,
+      rev,
+      title: memo.title,
+      content: memo.content,
+      createdAt: memo.updatedAt,
+      ...extra
+    };
+  }
+
+  // メモの現在の内容をリビジョンとして記録する
+  // 上限を超えた分は、番号ではなく件数で数えて古いものから削除する（番号は飛ぶことがあるため）
+  async function record(memo, extra = {}) {
+    const revision = snapshot(memo, extra);
+    await collection.put(revision);
+
+    if (limit > 0) {
+      const revs = (await collection.list(r => r.memoId === memo.id)).map(r => r.rev).sort((a, b) => b - a);
+      if (revs.length > limit) {
+        const oldest = revs[limit - 1];
+        await collection.deleteWhere(r => r.memoId === memo.id && r.rev < oldest);
+      }
+    }
+    return revision;
+  }
+
+  // メモの更新を記録する（タイトルと内容が変わっていなければ何もしない）
+  // 履歴機能より前に作られたメモは、更新前の内容も記録しておく
+  async function recordUpdate(previous, memo, extra = {}) {
+    if (previous.title === memo.title && previous.content === memo.content) {
+      return null;
+    }
+    await ensureRecorded(previous);
+    return record(memo, extra);
+  }
+
+  // まだ1つもリビジョンがなければ、更新前の内容を記録する
+  async function ensureRecorded(memo) {
+    const existing = await collection.list(r => r.memoId === memo.id);
+    if (existing.length === 0) {
+      await record(memo);
+    }
+  }
+
+  // メモのリビジョン一覧（新しい順）
+  // 一度も更新されていないメモは、現在の内容を最初のリビジョンとして扱う
+  async function list(memo) {
+    const revisions = await collection.list(r => r.memoId === memo.id);
+    if (revisions.length === 0) {
+      revisions.push(snapshot(memo));
+    }
+    return revisions.sort((a, b) => b.rev - a.rev);
+  }
+
+  // 指定した版の時点の内容
+  // 内容を変えなかった版（ピン留めなど）は、それより前で最後に記録したリビジョンを返す
+  async function get(memo, rev) {
+    if (rev > (memo.version || 1)) {
+      return null;
+    }
+    const revision = await collection.get(revisionId(memo.id, rev));
+    if (revision) {
+      return revision;
+    }
+    return (await list(memo)).find(r => r.rev <= rev) || null;
+  }
+
+  // 指定したリビジョンより前で、残っている最も新しいリビジョン
+  async function previous(memo, rev) {
+    const revisions = await list(memo);
+    return revisions.find(r => r.rev < rev) || null;
+  }
+
+  // 2つのリビジョンの差分（from が null の場合は空の状態と比較する）
+  function diff(from, to) {
+    const base = from || { title: '', content: '' };
+    return {
+      title: {
+        changed: base.title !== to.title,
+        from: from ? from.title : null,
+        to: to.title
+      },
+      content: diffLines(base.content, to.content)
+    };
+  }
+
+  // メモのリビジョンをすべて削除する
+  function removeAll(memoId) {
+    return collection.deleteWhere(r => r.memoId === memoId);
+  }
+
+  return {
+    record,
+    recordUpdate,
+    ensureRecorded,
+    list,
+    get,
+    previous,
+    diff,
+    removeAll
+  };
+}
+
+module.exports = {
+  createRevisionLog
+};
@@ -0,0 +1,69 @@
+// ============================================
+// 指定した日時に処理を実行するスケジューラー
+// ============================================
+// リマインダーなど、決まった日時に1回だけ実行する処理をプロセスのメモリ上で管理します。
+// 予定はキー（メモのIDなど）ごとに1つで、同じキーで登録し直すと前の予定は取り消されます。
+// 予定はメモリにしか残らないため、再起動したときは保存されているデータから登録し直してください。
+// 過ぎている日時を指定した場合は、すぐに実行します。
+
+// setTimeout で待てる最長の時間（約24.8日）。これより先の予定は、途中で待ち直す
+const MAX_DELAY = 2 ** 31 - 1;
+
+function createScheduler({ logger }) {
+  // キー → { at: 実行する日時（ミリ秒）, task, timer }
+  const jobs = new Map();
+
+  function arm(key, job) {
+    const delay = Math.min(Math.max(job.at - Date.now(), 0), MAX_DELAY);
+    job.timer = setTimeout(() => {
+      if (jobs.get(key) !== job) {
+        return;
+      }
+      if (job.at > Date.now()) {
+        arm(key, job);
+        return;
+      }
+      jobs.delete(key);
+      Promise.resolve()
+        .then(job.task)
+        .catch(error => logger.error({ err: error, key }, '予定した処理に失敗しました'));
+    }, delay);
+    // タイマーがプロセスの終了を妨げないようにする
+    job.timer.unref();
+  }
+
+  // at（Date）に task を実行する
+  function schedule(key, at, task) {
+    cancel(key);
+    const job = { at: at.getTime(), task, timer: null };
+    jobs.set(key, job);
+    arm(key, job);
+  }
+
+  function cancel(key) {
+    const job = jobs.get(key);
+    if (job) {
+      clearTimeout(job.timer);
+      jobs.delete(key);
+    }
+  }
+
+  // すべての予定を取り消す
+  function clear() {
+    for (const job of jobs.values()) {
+      clearTimeout(job.timer);
+    }
+    jobs.clear();
+  }
+
+  return {
+    schedule,
+    cancel,
+    clear,
+    size: () => jobs.size
+  };
+}
+
+module.exports = {
+  createScheduler
+};
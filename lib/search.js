@@ -0,0 +1,310 @@
+// ============================================
+// 日本語対応の全文検索（N-gramインデックス）
+// ============================================
+// 日本語は単語の間に空白がないため、文字単位のバイグラム（2文字ずつ）で
+// インデックスを作成します。正規化では次の表記ゆれを吸収します。
+//   - 全角/半角の違い（NFKC正規化: "ＡＢＣ" → "abc", "ｶﾞ" → "ガ"）
+//   - 大文字/小文字の違い
+//   - ひらがな/カタカナの違い（カタカナをひらがなに寄せる）
+
+const { escapeHtml } = require('./utils');
+
+// スニペットとして切り出す前後の文字数
+const SNIPPET_RADIUS = 40;
+
+// タイトルに一致した場合の重み（本文より重視する）
+const TITLE_WEIGHT = 3;
+
+// 基底文字と、それに続く結合文字・半角濁点/半濁点を1まとまりとして扱う
+const CLUSTER_PATTERN = /\P{M}[\p{M}ﾞﾟ]*|[\p{M}ﾞﾟ]+/gu;
+
+// ============================================
+// 正規化
+// ============================================
+
+// カタカナをひらがなに変換する
+function toHiragana(text) {
+  return text.replace(/[ァ-ヶヽヾ]/g, (ch) =>
+    String.fromCharCode(ch.charCodeAt(0) - 0x60)
+  );
+}
+
+// 検索用にテキストを正規化する
+function normalizeText(text) {
+  return toHiragana(String(text).normalize('NFKC').toLowerCase());
+}
+
+// 正規化しつつ、正規化後の各文字が元の文字列のどこに対応するかを記録する
+// （ハイライト位置を元のテキストに戻すために使用）
+function normalizeWithMap(text) {
+  let normalized = '';
+  const starts = [];
+  const ends = [];
+
+  for (const match of String(text).matchAll(CLUSTER_PATTERN)) {
+    const piece = normalizeText(match[0]);
+    for (let i = 0; i < piece.length; i++) {
+      starts.push(match.index);
+      ends.push(match.index + match[0].length);
+    }
+    normalized += piece;
+  }
+
+  return { normalized, starts, ends };
+}
+
+// 正規化済みテキストからN-gram（1文字と2文字）を生成する
+function toGrams(normalized) {
+  const grams = new Set();
+  for (const segment of normalized.split(/\s+/)) {
+    const chars = Array.from(segment);
+    for (let i = 0; i < chars.length; i++) {
+      grams.add(chars[i]);
+      if (i + 1 < chars.length) {
+        grams.add(chars[i] + chars[i + 1]);
+      }
+    }
+  }
+  return grams;
+}
+
+// 検索語を照合に使うN-gramに変換する（2文字以上ならバイグラムのみで十分）
+function toQueryGrams(term) {
+  const chars = Array.from(term);
+  if (chars.length === 1) {
+    return chars;
+  }
+  const grams = [];
+  for (let i = 0; i + 1 < chars.length; i++) {
+    grams.push(chars[i] + chars[i + 1]);
+  }
+  return grams;
+}
+
+// 検索クエリを正規化して検索語の配列に分割する（全角スペース区切りも可）
+function parseQuery(query) {
+  const terms = normalizeText(query).split(/\s+/).filter(Boolean);
+  return [...new Set(terms)];
+}
+
+// ============================================
+// ハイライト
+// ============================================
+
+// 正規化済みテキスト中の検索語の出現位置を、元テキスト上の範囲として返す
+function findRanges(field, terms) {
+  const ranges = [];
+  for (const term of terms) {
+    let index = field.normalized.indexOf(term);
+    while (index !== -1) {
+      ranges.push([field.starts[index], field.ends[index + term.length - 1]]);
+      index = field.normalized.indexOf(term, index + term.length);
+    }
+  }
+
+  // 重なり合う範囲をまとめる
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([range[0], range[1]]);
+    }
+  }
+  return merged;
+}
+
+// 指定範囲を<mark>で囲んだHTMLを作る（それ以外の部分はエスケープ）
+function highlight(text, ranges, from = 0, to = text.length) {
+  let html = '';
+  let cursor = from;
+  for (const [start, end] of ranges) {
+    if (end <= from || start >= to) {
+      continue;
+    }
+    const s = Math.max(start, from);
+    const e = Math.min(end, to);
+    html += escapeHtml(text.slice(cursor, s));
+    html += `<mark>${escapeHtml(text.slice(s, e))}</mark>`;
+    cursor = e;
+  }
+  html += escapeHtml(text.slice(cursor, to));
+  return html;
+}
+
+// 最初に一致した箇所の前後を切り出してスニペットを作る
+function buildSnippet(text, ranges) {
+  if (ranges.length === 0) {
+    const end = Math.min(text.length, SNIPPET_RADIUS * 2);
+    return escapeHtml(text.slice(0, end)) + (end < text.length ? '…' : '');
+  }
+
+  const first = ranges[0];
+  const from = Math.max(0, first[0] - SNIPPET_RADIUS);
+  const to = Math.min(text.length, first[1] + SNIPPET_RADIUS);
+
+  return (from > 0 ? '…' : '') +
+    highlight(text, ranges, from, to) +
+    (to < text.length ? '…' : '');
+}
+
+// ============================================
+// インデックス本体
+// ============================================
+
+function createSearchIndex() {
+  // N-gram → メモIDの集合
+  const postings = new Map();
+  // メモID → { memo, title, content, grams }
+  const documents = new Map();
+
+  // メモをインデックスに追加（既に存在する場合は置き換え）
+  function add(memo) {
+    remove(memo.id);
+
+    const title = normalizeWithMap(memo.title);
+    const content = normalizeWithMap(memo.content);
+    const grams = new Set([...toGrams(title.normalized), ...toGrams(content.normalized)]);
+
+    for (const gram of grams) {
+      if (!postings.has(gram)) {
+        postings.set(gram, new Set());
+      }
+      postings.get(gram).add(memo.id);
+    }
+
+    documents.set(memo.id, { memo, title, content, grams });
+  }
+
+  // メモをインデックスから削除
+  function remove(id) {
+    const doc = documents.get(id);
+    if (!doc) {
+      return;
+    }
+
+    for (const gram of doc.grams) {
+      const ids = postings.get(gram);
+      if (ids) {
+        ids.delete(id);
+        if (ids.size === 0) {
+          postings.delete(gram);
+        }
+      }
+    }
+
+    documents.delete(id);
+  }
+
+  // メモ一覧からインデックスを作り直す
+  function rebuild(memos) {
+    postings.clear();
+    documents.clear();
+    for (const memo of memos) {
+      add(memo);
+    }
+  }
+
+  // N-gramの積集合で候補を絞り込む
+  function findCandidates(terms) {
+    let candidates = null;
+    for (const term of terms) {
+      for (const gram of toQueryGrams(term)) {
+        const ids = postings.get(gram);
+        if (!ids) {
+          return new Set();
+        }
+        candidates = candidates === null ?
+          new Set(ids) :
+          new Set([...candidates].filter(id => ids.has(id)));
+      }
+    }
+    return candidates || new Set();
+  }
+
+  // 出現回数を数える
+  function countOccurrences(haystack, needle) {
+    let count = 0;
+    let index = haystack.indexOf(needle);
+    while (index !== -1) {
+      count++;
+      index = haystack.indexOf(needle, index + needle.length);
+    }
+    return count;
+  }
+
+  // 検索を実行し、スコア順の結果を返す
+  // filter を指定すると、条件に合うメモだけを対象にする（例: 自分のメモだけ）
+  function search(query, { limit = 20, filter = null } = {}) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) {
+      return { total: 0, results: [] };
+    }
+
+    const hits = [];
+    for (const id of findCandidates(terms)) {
+      const doc = documents.get(id);
+      if (filter && !filter(doc.memo)) {
+        continue;
+      }
+      let score = 0;
+      let matchedAll = true;
+
+      // バイグラムの一致だけでは誤検出があるため、部分文字列として確認する
+      for (const term of terms) {
+        const inTitle = countOccurrences(doc.title.normalized, term);
+        const inContent = countOccurrences(doc.content.normalized, term);
+        if (inTitle === 0 && inContent === 0) {
+          matchedAll = false;
+          break;
+        }
+        score += inTitle * TITLE_WEIGHT + inContent;
+      }
+
+      if (!matchedAll) {
+        continue;
+      }
+
+      // 短いメモほど一致の密度が高いとみなす
+      const length = doc.title.normalized.length + doc.content.normalized.length;
+      hits.push({ doc, score: score / Math.log2(2 + length) });
+    }
+
+    hits.sort((a, b) =>
+      b.score - a.score ||
+      new Date(b.doc.memo.updatedAt) - new Date(a.doc.memo.updatedAt)
+    );
+
+    const results = hits.slice(0, limit).map(({ doc, score }) => {
+      const { memo } = doc;
+      return {
+        id: memo.id,
+        title: memo.title,
+        score: Math.round(score * 1000) / 1000,
+        titleHighlight: highlight(memo.title, findRanges(doc.title, terms)),
+        snippet: buildSnippet(memo.content, findRanges(doc.content, terms)),
+        createdAt: memo.createdAt,
+        updatedAt: memo.updatedAt
+      };
+    });
+
+    return { total: hits.length, results };
+  }
+
+  return {
+    add,
+    remove,
+    rebuild,
+    search,
+    get size() {
+      return documents.size;
+    }
+  };
+}
+
+module.exports = {
+  createSearchIndex,
+  normalizeText
+};
@@ -0,0 +1,162 @@
+// ============================================
+// メモの共有リンク（ログインしていない人への読み取り専用の公開）
+// ============================================
+// /s/<トークン> のURLを知っている人に、1件のメモを読み取り専用で見せます。
+//   - トークンは推測できない乱数（192ビット）
+//   - 有効期限とパスワードを付けられる（パスワードは scrypt のハッシュだけを保存する）
+//   - 表示されるたびに閲覧数を数える
+// 一覧から同じURLを何度でもコピーできるよう、トークンはそのまま保存します
+// （見せるメモの内容も同じデータファイルにあるため、ハッシュにしても守れるものが増えない）。
+
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('./auth');
+
+// APIで返してよい項目だけにする（パスワードのハッシュは返さない）
+function publicShare(share) {
+  return {
+    id: share.id,
+    memoId: share.memoId,
+    token: share.token,
+    hasPassword: Boolean(share.passwordHash),
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    views: share.views,
+    lastViewedAt: share.lastViewedAt
+  };
+}
+
+function isExpired(share, now = Date.now()) {
+  return Boolean(share.expiresAt) && new Date(share.expiresAt).getTime() <= now;
+}
+
+function createShareService({ collection, logger = console }) {
+  // トークン → 共有リンク
+  const shares = new Map();
+
+  async function init() {
+    shares.clear();
+    for (const share of await collection.list()) {
+      shares.set(share.token, share);
+    }
+  }
+
+  // 共有リンクを作る
+  // expiresAt: 有効期限（ISO 8601、null で無期限）、password: 閲覧に必要なパスワード（null でなし）
+  async function create(userId, memoId, { expiresAt = null, password = null } = {}) {
+    const share = {
+      id: crypto.randomUUID(),
+      token: crypto.randomBytes(24).toString('base64url'),
+      memoId,
+      userId,
+      passwordHash: password ? await hashPassword(password) : null,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      views: 0,
+      lastViewedAt: null
+    };
+    await collection.put(share);
+    shares.set(share.token, share);
+    return share;
+  }
+
+  // ユーザーの有効な共有リンク（新しい順、memoId を指定するとそのメモのものだけ）
+  function list(userId, memoId = null) {
+    const now = Date.now();
+    return [...shares.values()]
+      .filter(s => s.userId === userId && (memoId === null || s.memoId === memoId) && !isExpired(s, now))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // 共有リンクを取り消す（他のユーザーのものは null）
+  async function revoke(userId, id) {
+    const share = [...shares.values()].find(s => s.id === id && s.userId === userId);
+    if (!share) {
+      return null;
+    }
+    shares.delete(share.token);
+    await collection.delete(share.id);
+    return share;
+  }
+
+  // メモの共有リンクをすべて取り消す（メモを完全に削除したとき）
+  async function revokeAll(memoId) {
+    const removed = [...shares.values()].filter(s => s.memoId === memoId);
+    removed.forEach(s => shares.delete(s.token));
+    if (removed.length > 0) {
+      await collection.deleteWhere(s => s.memoId === memoId);
+    }
+    return removed.length;
+  }
+
+  // 期限の切れた共有リンクを削除する
+  async function removeExpired() {
+    const now = Date.now();
+    const expired = [...shares.values()].filter(s => isExpired(s, now));
+    if (expired.length === 0) {
+      return 0;
+    }
+    const ids = new Set(expired.map(s => s.id));
+    expired.forEach(s => shares.delete(s.token));
+    await collection.deleteWhere(s => ids.has(s.id));
+    logger.info({ count: expired.length }, '期限の切れた共有リンクを削除しました');
+    return expired.length;
+  }
+
+  // トークンから有効な共有リンクを探す（見つからない・期限切れなら null）
+  function find(token) {
+    const share = typeof token === 'string' ? shares.get(token) : null;
+    return share && !isExpired(share) ? share : null;
+  }
+
+  async function checkPassword(share, password) {
+    return Boolean(share.passwordHash) && verifyPassword(String(password || ''), share.passwordHash);
+  }
+
+  // パスワードを確かめた後に Cookie に入れる値
+  // （共有リンクのパスワードは後から変えられないため、リンクごとに決まった値になる）
+  function accessKey(share) {
+    return crypto.createHmac('sha256', share.passwordHash).update(share.token).digest('base64url');
+  }
+
+  // パスワードなしで見られるか、Cookie の値でパスワードを確かめ済みか
+  function canView(share, key) {
+    if (!share.passwordHash) {
+      return true;
+    }
+    const expected = Buffer.from(accessKey(share));
+    const actual = Buffer.from(String(key || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  // 閲覧数を1つ増やす
+  async function recordView(share) {
+    const updated = await collection.update(share.id, (s) => {
+      s.views = (s.views || 0) + 1;
+      s.lastViewedAt = new Date().toISOString();
+    });
+    // 数えている間に取り消された共有リンクは戻さない
+    if (updated && shares.has(updated.token)) {
+      shares.set(updated.token, updated);
+    }
+    return updated;
+  }
+
+  return {
+    init,
+    create,
+    list,
+    revoke,
+    revokeAll,
+    removeExpired,
+    find,
+    checkPassword,
+    accessKey,
+    canView,
+    recordView
+  };
+}
+
+module.exports = {
+  publicShare,
+  createShareService
+};
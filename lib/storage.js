@@ -0,0 +1,284 @@
+// ============================================
+// アトミックで同時実行に安全なJSONファイルストレージ
+// ============================================
+// data.json への書き込みを安全に行うためのモジュールです。
+//   - 書き込みはキューで直列化し、同時リクエストによる上書きを防ぐ
+//   - 一時ファイルに書き込み、fsync してから rename で置き換える
+//     （書き込み途中でクラッシュしても元のファイルは壊れない）
+//   - 置き換える前の世代を data.json.bak.1 〜 .bak.N として残す
+//   - 読み込み時にJSONが壊れていたら、最新の正常な世代から自動復旧する
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// ファイルが破損していることを示すエラーコード
+const CORRUPT_ERROR_CODE = 'EDATACORRUPT';
+
+function createCorruptError(filePath, cause) {
+  const error = new Error(`データファイルが破損しています: ${filePath}`);
+  error.code = CORRUPT_ERROR_CODE;
+  error.cause = cause;
+  return error;
+}
+
+// ENOENT（ファイルなし）だけを無視するためのヘルパー
+function ignoreMissing(error) {
+  if (error.code !== 'ENOENT') {
+    throw error;
+  }
+}
+
+function createJsonFile(filePath, options = {}) {
+  const {
+    logger = console,
+    // 残しておく過去世代の数（0で無効）
+    generations = 3,
+    // 従来の BACKUP_ENABLED 用のバックアップファイル（任意）
+    backupFile = null,
+    // ファイルがない場合の初期値
+    defaultValue = () => [],
+    // 読み込んだデータが正しい形式かどうか
+    validate = Array.isArray
+  } = options;
+
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath);
+
+  // 書き込みキュー（前の処理が終わってから次の処理を始める）
+  let queue = Promise.resolve();
+
+  // 「ファイルが存在しません」のログは最初の1回だけ出す
+  let missingLogged = false;
+
+  function enqueue(task) {
+    const run = queue.then(task, task);
+    // 失敗しても後続の処理は続けられるようにする
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function generationPath(n) {
+    return `${filePath}.bak.${n}`;
+  }
+
+  // ============================================
+  // 読み込み
+  // ============================================
+
+  // ファイルを読み込んでパースする（形式が不正なら破損エラー）
+  async function readFile(target) {
+    const text = await fs.readFile(target, 'utf8');
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw createCorruptError(target, error);
+    }
+    if (!validate(data)) {
+      throw createCorruptError(target, new Error('データファイルの形式が不正です'));
+    }
+    return data;
+  }
+
+  // 正常に読み込めるコピーを新しい順に探す
+  async function findGoodCopy() {
+    const candidates = [];
+    for (let n = 1; n <= generations; n++) {
+      candidates.push(generationPath(n));
+    }
+    if (backupFile) {
+      candidates.push(backupFile);
+    }
+
+    const found = [];
+    for (const candidate of candidates) {
+      try {
+        const stat = await fs.stat(candidate);
+        const data = await readFile(candidate);
+        found.push({ path: candidate, mtime: stat.mtimeMs, data });
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn({ err: error, file: candidate }, 'バックアップを読み込めませんでした');
+        }
+      }
+    }
+
+    found.sort((a, b) => b.mtime - a.mtime);
+    return found[0] || null;
+  }
+
+  // 破損したファイルを退避し、最新の正常なコピーで置き換える
+  async function recover(cause) {
+    const good = await findGoodCopy();
+    if (!good) {
+      throw cause;
+    }
+
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    await fs.rename(filePath, corruptPath).catch(ignoreMissing);
+    await writeAtomic(good.data);
+
+    logger.warn({
+      recoveredFrom: good.path,
+      corruptFile: corruptPath
+    }, 'データファイルが破損していたため、バックアップから復旧しました');
+
+    return good.data;
+  }
+
+  // キューの外から呼ばれる内部用の読み込み
+  async function readUnlocked() {
+    try {
+      return await readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        if (!missingLogged) {
+          logger.info({ file: filePath }, 'データファイルが存在しません。新規作成します。');
+          missingLogged = true;
+        }
+        return defaultValue();
+      }
+      if (error.code === CORRUPT_ERROR_CODE) {
+        logger.error({ err: error.cause }, 'データファイルのJSONが不正です');
+        return recover(error);
+      }
+      throw error;
+    }
+  }
+
+  // ============================================
+  // 書き込み
+  // ============================================
+
+  // 現在のファイルを過去世代として残す（.bak.1 が最新）
+  async function rotateGenerations() {
+    if (generations <= 0) {
+      return;
+    }
+
+    for (let n = generations - 1; n >= 1; n--) {
+      await fs.rename(generationPath(n), generationPath(n + 1)).catch(ignoreMissing);
+    }
+
+    try {
+      // ハードリンクならファイルをコピーせずに済む
+      await fs.link(filePath, generationPath(1));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      await fs.copyFile(filePath, generationPath(1)).catch(ignoreMissing);
+    }
+  }
+
+  // ディレクトリをfsyncしてrenameを確定させる（未対応のOSでは無視）
+  async function syncDirectory() {
+    let handle;
+    try {
+      handle = await fs.open(dir, 'r');
+      await handle.sync();
+    } catch (error) {
+      // Windowsなどディレクトリのfsyncができない環境
+    } finally {
+      if (handle) {
+        await handle.close();
+      }
+    }
+  }
+
+  async function writeAtomic(data) {
+    const tempPath = path.join(
+      dir,
+      `.${base}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+    );
+
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2), 'utf8');
+      await handle.sync();
+    } catch (error) {
+      await handle.close();
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+    await handle.close();
+
+    if (backupFile) {
+      try {
+        await fs.copyFile(filePath, backupFile);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn({ err: error }, 'バックアップの作成に失敗しました');
+        }
+      }
+    }
+
+    try {
+      await rotateGenerations();
+    } catch (error) {
+      logger.warn({ err: error }, '過去世代の保存に失敗しました');
+    }
+
+    try {
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+    await syncDirectory();
+  }
+
+  // ============================================
+  // 公開API
+  // ============================================
+
+  // データを読み込む（実行中の書き込みが終わるのを待つ）
+  function read() {
+    return enqueue(readUnlocked);
+  }
+
+  // データ全体を書き込む
+  function write(data) {
+    return enqueue(() => writeAtomic(data));
+  }
+
+  // 読み込み → 変更 → 書き込みを1つの単位として直列に実行する
+  // mutator は受け取ったデータを直接変更し、任意の戻り値を返す
+  // （undefined を返した場合は変更なしとみなし、書き込みを行わない）
+  function update(mutator) {
+    return enqueue(async () => {
+      const data = await readUnlocked();
+      const result = await mutator(data);
+      if (result !== undefined) {
+        await writeAtomic(data);
+      }
+      return result;
+    });
+  }
+
+  // 前回の異常終了で残った一時ファイルを削除する
+  async function cleanupTempFiles() {
+    const prefix = `.${base}.`;
+    const entries = await fs.readdir(dir).catch(() => []);
+    for (const entry of entries) {
+      if (entry.startsWith(prefix) && entry.endsWith('.tmp')) {
+        await fs.unlink(path.join(dir, entry)).catch(() => {});
+        logger.info({ file: entry }, '残っていた一時ファイルを削除しました');
+      }
+    }
+  }
+
+  return {
+    filePath,
+    read,
+    write,
+    update,
+    cleanupTempFiles
+  };
+}
+
+module.exports = {
+  createJsonFile,
+  CORRUPT_ERROR_CODE
+};
@@ -0,0 +1,80 @@
+// ============================================
+// タグとフォルダ
+// ============================================
+// メモには任意でタグ（複数）とフォルダ（1つ）を付けられます。
+// タグ・フォルダ名は保存前に正規化し、全角英数字と半角英数字の違いや
+// 前後・連続する空白の違いで別のタグにならないようにします。
+// 並び順は日本語の読み順（Intl.Collator('ja')）に従います。
+
+const collator = new Intl.Collator('ja');
+
+// タグ・フォルダ名を正規化する（空になった場合は空文字）
+function normalizeName(name) {
+  return String(name).normalize('NFKC').trim().replace(/\s+/g, ' ');
+}
+
+// タグの配列を正規化し、空のものと重複を取り除く
+function normalizeTags(tags) {
+  const names = (tags || []).map(normalizeName).filter(Boolean);
+  return [...new Set(names)];
+}
+
+// フォルダ名を正規化する（未指定・空ならフォルダなし = null）
+function normalizeFolder(folder) {
+  if (folder === undefined || folder === null) {
+    return null;
+  }
+  return normalizeName(folder) || null;
+}
+
+// 名前ごとの件数を数え、件数の多い順（同数なら名前順）に並べる
+function countBy(memos, namesOf) {
+  const counts = new Map();
+  for (const memo of memos) {
+    for (const name of namesOf(memo)) {
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || collator.compare(a.name, b.name));
+}
+
+// タグごとのメモ数
+function countTags(memos) {
+  return countBy(memos, memo => memo.tags || []);
+}
+
+// フォルダごとのメモ数（フォルダなしのメモは数えない）
+function countFolders(memos) {
+  return countBy(memos, memo => (memo.folder ? [memo.folder] : []));
+}
+
+// タグ・フォルダの条件に合うかどうか（指定されていない条件は無視する）
+function matchesFilter(memo, { tag, folder } = {}) {
+  if (tag && !(memo.tags || []).includes(normalizeName(tag))) {
+    return false;
+  }
+  if (folder && memo.folder !== normalizeName(folder)) {
+    return false;
+  }
+  return true;
+}
+
+// タグの一部を別のタグに置き換える（名前の変更・統合に使用）
+// 置き換え後に重複したタグは1つにまとめ、元の並び順はできるだけ保つ
+function replaceTags(tags, sources, target) {
+  const from = new Set(sources.map(normalizeName));
+  const to = normalizeName(target);
+  return normalizeTags((tags || []).map(name => (from.has(name) ? to : name)));
+}
+
+module.exports = {
+  normalizeName,
+  normalizeTags,
+  normalizeFolder,
+  countTags,
+  countFolders,
+  matchesFilter,
+  replaceTags
+};
@@ -0,0 +1,176 @@
+// ============================================
+// 個人用APIトークン
+// ============================================
+// スクリプトなどブラウザ以外からAPIを呼び出すためのトークンです。
+// リクエストでは Authorization: Bearer <トークン> ヘッダーで送ります。
+//   - トークンはSHA-256ハッシュだけを保存し、発行時に一度だけ平文を返す
+//   - スコープ（memos:read / memos:write / webhooks:manage）で使える操作を制限する
+//   - 最後に使われた日時を記録する（書き込み回数を抑えるため一定間隔ごとに保存）
+//   - トークンごとに一定時間あたりのリクエスト数を制限する
+
+const crypto = require('crypto');
+
+// 発行できるスコープと説明
+const TOKEN_SCOPES = {
+  'memos:read': 'メモ・タグ・ゴミ箱の読み取り',
+  'memos:write': 'メモの作成・更新・削除',
+  'webhooks:manage': 'Webhook の登録・変更・削除と配信履歴の参照'
+};
+
+// トークンの先頭に付ける目印（ログや設定ファイルで見分けやすくする）
+const TOKEN_PREFIX = 'memo_';
+
+// 最終使用日時を保存する最短間隔（ミリ秒）
+const LAST_USED_SAVE_INTERVAL = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// APIで返してよい項目だけにする（ハッシュは返さない）
+function publicToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    scopes: token.scopes,
+    hint: token.hint,
+    createdAt: token.createdAt,
+    expiresAt: token.expiresAt,
+    lastUsedAt: token.lastUsedAt
+  };
+}
+
+function createTokenService(options) {
+  const {
+    collection,
+    // トークンごとのリクエスト数の上限（0で無制限）と、数える期間（ミリ秒）
+    rateLimit = 60,
+    rateWindow = 60 * 1000,
+    logger = console
+  } = options;
+
+  // ハッシュ → トークン
+  const tokens = new Map();
+  // トークンID → { count, resetAt }
+  const usage = new Map();
+  // トークンID → 最終使用日時を最後に保存した時刻（ミリ秒）
+  // lastUsedAt は使うたびに進むので、保存する間隔はこちらで数える
+  const savedAt = new Map();
+
+  async function init() {
+    tokens.clear();
+    usage.clear();
+    savedAt.clear();
+    for (const token of await collection.list()) {
+      tokens.set(token.tokenHash, token);
+      if (token.lastUsedAt) {
+        savedAt.set(token.id, new Date(token.lastUsedAt).getTime());
+      }
+    }
+  }
+
+  // トークンを発行する（平文のトークンはこの戻り値でしか得られない）
+  async function issue(userId, { name, scopes, expiresInDays = null }) {
+    const secret = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const token = {
+      id: crypto.randomUUID(),
+      userId,
+      name,
+      scopes: [...new Set(scopes)],
+      tokenHash: hashToken(secret),
+      // 一覧で見分けられるよう末尾の4文字だけを残す
+      hint: secret.slice(-4),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: expiresInDays ? new Date(now + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+      lastUsedAt: null
+    };
+    await collection.put(token);
+    tokens.set(token.tokenHash, token);
+    return { token: secret, record: token };
+  }
+
+  // ユーザーのトークン一覧（新しい順）
+  function list(userId) {
+    return [...tokens.values()]
+      .filter(t => t.userId === userId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // トークンを無効にする（他のユーザーのトークンは null）
+  async function revoke(userId, id) {
+    const token = [...tokens.values()].find(t => t.id === id && t.userId === userId);
+    if (!token) {
+      return null;
+    }
+    tokens.delete(token.tokenHash);
+    usage.delete(token.id);
+    savedAt.delete(token.id);
+    await collection.delete(token.id);
+    return token;
+  }
+
+  // 平文のトークンから有効なトークンを探す（見つからない・期限切れなら null）
+  function verify(secret) {
+    if (!secret || !secret.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+    const token = tokens.get(hashToken(secret));
+    if (!token) {
+      return null;
+    }
+    if (token.expiresAt && new Date(token.expiresAt).getTime() <= Date.now()) {
+      return null;
+    }
+    return token;
+  }
+
+  // 最終使用日時を更新する（保存は一定間隔ごと、失敗してもリクエストは止めない）
+  function touch(token) {
+    const now = Date.now();
+    token.lastUsedAt = new Date(now).toISOString();
+    if (now - (savedAt.get(token.id) || 0) < LAST_USED_SAVE_INTERVAL) {
+      return;
+    }
+    savedAt.set(token.id, now);
+    collection.update(token.id, (t) => {
+      t.lastUsedAt = token.lastUsedAt;
+    }).catch((error) => {
+      logger.warn({ err: error, tokenId: token.id }, 'トークンの最終使用日時の保存に失敗しました');
+    });
+  }
+
+  // リクエストを1回数え、上限を超えていれば再試行までの秒数を返す（超えていなければ 0）
+  function consume(token) {
+    if (rateLimit <= 0) {
+      return 0;
+    }
+    const now = Date.now();
+    let entry = usage.get(token.id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + rateWindow };
+      usage.set(token.id, entry);
+    }
+    entry.count++;
+    if (entry.count > rateLimit) {
+      return Math.ceil((entry.resetAt - now) / 1000);
+    }
+    return 0;
+  }
+
+  return {
+    init,
+    issue,
+    list,
+    revoke,
+    verify,
+    touch,
+    consume
+  };
+}
+
+module.exports = {
+  createTokenService,
+  publicToken,
+  TOKEN_SCOPES
+};
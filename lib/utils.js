@@ -0,0 +1,30 @@
+// ============================================
+// 共通ユーティリティ
+// ============================================
+// 複数のモジュールから使われる小さなヘルパー関数をまとめています。
+
+// HTMLエスケープ関数（XSS対策）
+function escapeHtml(unsafe) {
+  if (typeof unsafe !== 'string') {
+    return unsafe;
+  }
+  return unsafe
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+// ステータスコード付きのエラーを作成する
+// （グローバルエラーハンドラーが statusCode と message をそのまま返す）
+function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = {
+  escapeHtml,
+  createHttpError
+};
@@ -0,0 +1,56 @@
+// ============================================
+// 画面のテンプレート（EJS）
+// ============================================
+// views/ 以下のテンプレートからHTMLを作ります。
+//   - layouts/: ページ共通の枠（<head> など）。ページの本文は body で受け取る
+//   - pages/: ページの本文
+//   - partials/: ページの部品（include('../partials/memo-item', { memo }) のように使う）
+// <%= %> で書いた値はHTMLエスケープされます。エスケープしない <%- %> は、
+// サニタイズ済みのHTMLや他のテンプレートの結果にだけ使ってください。
+// 表示は同期的に行うため、メモの変更の通知（Server-Sent Events）のHTMLにも使えます。
+
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+
+// helpers: すべてのテンプレートから使える値・関数
+// cache: false の場合は、表示するたびにテンプレートを読み直す（開発時にテンプレートを編集するため）
+function createViews({ root, helpers = {}, layout = 'layouts/main', cache = true }) {
+  const templates = new Map();
+
+  function compile(name) {
+    if (cache && templates.has(name)) {
+      return templates.get(name);
+    }
+    const filename = path.join(root, `${name}.ejs`);
+    const template = ejs.compile(fs.readFileSync(filename, 'utf8'), {
+      filename,
+      // include したテンプレートも同じ設定でキャッシュする
+      cache
+    });
+    if (cache) {
+      templates.set(name, template);
+    }
+    return template;
+  }
+
+  // テンプレートを表示する
+  // options.layout に null を指定すると、枠で包まずに本文だけを返す（部品の表示など）
+  function render(name, data = {}, options = {}) {
+    const locals = { ...helpers, ...data };
+    const body = compile(name)(locals);
+    const layoutName = options.layout === undefined ? layout : options.layout;
+    if (!layoutName) {
+      return body;
+    }
+    return compile(layoutName)({ ...locals, body });
+  }
+
+  return {
+    render
+  };
+}
+
+module.exports = {
+  createViews
+};
@@ -0,0 +1,61 @@
+// ============================================
+// Webhook の送信
+// ============================================
+// 外部のURLに JSON を POST します。2xx 以外のレスポンス・接続の失敗・タイムアウトは
+// エラーにするので、呼び出し元で記録や再送を行ってください。
+// レスポンスの本文は使わないため、読み捨てます。
+
+const http = require('http');
+const https = require('https');
+
+// 送れるURLか（http・https のみ）
+function isWebhookUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// body をJSONにして url に送る。レスポンスのステータスコードを返す
+// （署名を付ける場合など、送る内容をそのまま決めたいときは JSON の文字列を渡す）
+// timeout: レスポンスが届くまで待つ時間（ミリ秒）
+function postJson(url, body, { timeout = 5000, headers = {} } = {}) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const data = Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': data.length,
+        'User-Agent': 'japanese-memo-app',
+        ...headers
+      },
+      timeout
+    }, (response) => {
+      response.resume();
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve(response.statusCode);
+        } else {
+          const error = new Error(`Webhook の送信先が ${response.statusCode} を返しました`);
+          error.status = response.statusCode;
+          reject(error);
+        }
+      });
+    });
+    request.on('timeout', () => {
+      request.destroy(new Error(`Webhook の送信先が${timeout}ミリ秒以内に応答しませんでした`));
+    });
+    request.on('error', reject);
+    request.end(data);
+  });
+}
+
+module.exports = {
+  isWebhookUrl,
+  postJson
+};
@@ -0,0 +1,298 @@
+// ============================================
+// メモの変更を知らせる Webhook（購読と配信）
+// ============================================
+// 登録したURLに、メモの作成・更新・削除・ゴミ箱からの復元
+// （memo.created / memo.updated / memo.deleted / memo.restored）を JSON で POST します。
+//   - 本文には HMAC-SHA256 の署名を付ける（署名する内容は「<タイムスタンプ>.<本文>」、
+//     鍵は登録時に一度だけ返す secret）
+//   - 配信はキュー（webhookDeliveries コレクション）に保存してから送るため、APIのレスポンスを待たせない
+//   - 失敗した配信は間隔を倍にしながら送り直す（キューは保存されているので、再起動しても続きから送る）
+//   - 送り終えた配信は、Webhook ごとに新しいものから一定数を配信履歴として残す
+// 送り直しがあるため、届く順番がイベントの起きた順番と前後することがあります。
+
+const crypto = require('crypto');
+const { postJson } = require('./webhook');
+const { createScheduler } = require('./scheduler');
+
+// 購読できるイベント
+const WEBHOOK_EVENTS = ['memo.created', 'memo.updated', 'memo.deleted', 'memo.restored'];
+
+// secret の先頭に付ける目印
+const SECRET_PREFIX = 'whsec_';
+
+// 送り直すまでの時間の上限（ミリ秒）
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+// 本文の署名（16進数）
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// APIで返してよい項目だけにする（secret は返さない）
+function publicWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    description: webhook.description,
+    active: webhook.active,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt
+  };
+}
+
+function publicDelivery(delivery) {
+  return {
+    id: delivery.id,
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    createdAt: delivery.createdAt,
+    nextAttemptAt: delivery.nextAttemptAt,
+    completedAt: delivery.completedAt,
+    history: delivery.history,
+    payload: delivery.payload
+  };
+}
+
+function createWebhookService(options) {
+  const {
+    // 購読している Webhook と、配信（キューと配信履歴）のコレクション
+    webhooks: webhookCollection,
+    deliveries,
+    // 応答を待つ時間、送る回数の上限（最初の1回を含む）、最初に送り直すまでの時間（ミリ秒）
+    timeout = 5000,
+    maxAttempts = 8,
+    retryDelay = 10 * 1000,
+    // Webhook ごとに残す配信履歴の数（0で無制限）
+    logLimit = 100,
+    // 1回送るたびに結果（success / retry / failure）を受け取る関数（メトリクス用）
+    onResult = () => {},
+    logger = console
+  } = options;
+
+  // Webhook ID → Webhook
+  const webhooks = new Map();
+  // まだ送っていない配信（配信ID がキー）
+  const scheduler = createScheduler({ logger });
+
+  async function init() {
+    scheduler.clear();
+    webhooks.clear();
+    for (const webhook of await webhookCollection.list()) {
+      webhooks.set(webhook.id, webhook);
+    }
+    const pending = await deliveries.list(d => d.status === 'pending');
+    pending.forEach(schedule);
+    return pending.length;
+  }
+
+  function schedule(delivery) {
+    scheduler.schedule(delivery.id, new Date(delivery.nextAttemptAt), () => attempt(delivery.id));
+  }
+
+  // Webhook を登録する（secret はこの戻り値でしか得られない）
+  async function create(userId, { url, events = WEBHOOK_EVENTS, description = '', active = true }) {
+    const now = new Date().toISOString();
+    const webhook = {
+      id: crypto.randomUUID(),
+      userId,
+      url,
+      events: [...new Set(events)],
+      description,
+      active,
+      secret: SECRET_PREFIX + crypto.randomBytes(32).toString('base64url'),
+      createdAt: now,
+      updatedAt: now
+    };
+    await webhookCollection.put(webhook);
+    webhooks.set(webhook.id, webhook);
+    return webhook;
+  }
+
+  // ユーザーの Webhook 一覧（新しい順）
+  function list(userId) {
+    return [...webhooks.values()]
+      .filter(w => w.userId === userId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // ユーザーの Webhook（他のユーザーのものは null）
+  function get(userId, id) {
+    const webhook = webhooks.get(id);
+    return webhook && webhook.userId === userId ? webhook : null;
+  }
+
+  // url・events・description・active を変更する
+  async function update(userId, id, changes) {
+    if (!get(userId, id)) {
+      return null;
+    }
+    const updated = await webhookCollection.update(id, (webhook) => {
+      for (const key of ['url', 'events', 'description', 'active']) {
+        if (changes[key] !== undefined) {
+          webhook[key] = key === 'events' ? [...new Set(changes.events)] : changes[key];
+        }
+      }
+      webhook.updatedAt = new Date().toISOString();
+    });
+    webhooks.set(id, updated);
+    return updated;
+  }
+
+  // Webhook を削除する（まだ送っていない配信と配信履歴も削除する）
+  async function remove(userId, id) {
+    const webhook = get(userId, id);
+    if (!webhook) {
+      return null;
+    }
+    webhooks.delete(id);
+    await webhookCollection.delete(id);
+    const removed = await deliveries.list(d => d.webhookId === id);
+    removed.forEach(d => scheduler.cancel(d.id));
+    await deliveries.deleteWhere(d => d.webhookId === id);
+    return webhook;
+  }
+
+  // イベントを購読している Webhook への配信をキューに追加する
+  // data: 本文の data に入れる内容（{ memo, ... }）
+  async function dispatch(userId, event, data) {
+    const targets = [...webhooks.values()]
+      .filter(w => w.userId === userId && w.active && w.events.includes(event));
+    for (const webhook of targets) {
+      const now = new Date().toISOString();
+      const id = crypto.randomUUID();
+      const delivery = {
+        id,
+        webhookId: webhook.id,
+        userId,
+        event,
+        status: 'pending',
+        attempts: 0,
+        createdAt: now,
+        nextAttemptAt: now,
+        completedAt: null,
+        history: [],
+        payload: { id, event, createdAt: now, data }
+      };
+      await deliveries.put(delivery);
+      schedule(delivery);
+    }
+    return targets.length;
+  }
+
+  // n 回目に失敗した後、送り直すまでの時間
+  function retryDelayAfter(attempts) {
+    return Math.min(retryDelay * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  }
+
+  // 配信を1回送り、結果を記録する
+  async function attempt(id) {
+    const delivery = await deliveries.get(id);
+    if (!delivery || delivery.status !== 'pending') {
+      return;
+    }
+    const webhook = webhooks.get(delivery.webhookId);
+    if (!webhook) {
+      await deliveries.delete(id);
+      return;
+    }
+
+    const started = Date.now();
+    const result = { at: new Date(started).toISOString(), responseStatus: null, error: null, duration: 0 };
+    if (webhook.active) {
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(started / 1000);
+      try {
+        result.responseStatus = await postJson(webhook.url, body, {
+          timeout,
+          headers: {
+            'X-Memo-Event': delivery.event,
+            'X-Memo-Delivery': delivery.id,
+            'X-Memo-Timestamp': String(timestamp),
+            'X-Memo-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+          }
+        });
+      } catch (error) {
+        result.responseStatus = error.status || null;
+        result.error = error.message;
+      }
+    } else {
+      result.error = 'Webhook が無効になっているため送りませんでした';
+    }
+    result.duration = Date.now() - started;
+
+    const attempts = delivery.attempts + 1;
+    let status = 'succeeded';
+    if (result.error) {
+      status = webhook.active && attempts < maxAttempts ? 'pending' : 'failed';
+    }
+    const updated = await deliveries.update(id, (d) => {
+      d.status = status;
+      d.attempts = attempts;
+      d.history.push(result);
+      d.nextAttemptAt = status === 'pending' ? new Date(Date.now() + retryDelayAfter(attempts)).toISOString() : null;
+      d.completedAt = status === 'pending' ? null : new Date().toISOString();
+    });
+    // 送っている間に Webhook ごと削除された
+    if (!updated) {
+      return;
+    }
+
+    if (status === 'pending') {
+      onResult('retry');
+      logger.warn({ webhookId: webhook.id, deliveryId: id, attempts, err: result.error }, 'Webhook を送れなかったため、後で送り直します');
+      schedule(updated);
+      return;
+    }
+    onResult(status === 'succeeded' ? 'success' : 'failure');
+    if (status === 'failed') {
+      logger.error({ webhookId: webhook.id, deliveryId: id, attempts, err: result.error }, 'Webhook を送れませんでした');
+    }
+    await prune(webhook.id);
+  }
+
+  // 古い配信履歴を削除する（まだ送っていない配信は残す）
+  async function prune(webhookId) {
+    if (logLimit <= 0) {
+      return;
+    }
+    const done = (await deliveries.list(d => d.webhookId === webhookId && d.status !== 'pending'))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const old = new Set(done.slice(logLimit).map(d => d.id));
+    if (old.size > 0) {
+      await deliveries.deleteWhere(d => old.has(d.id));
+    }
+  }
+
+  // Webhook の配信履歴（新しい順、status で絞り込める）
+  async function listDeliveries(webhookId, { status, limit = 20 } = {}) {
+    const records = await deliveries.list(d => d.webhookId === webhookId && (!status || d.status === status));
+    return records
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  return {
+    init,
+    create,
+    list,
+    get,
+    update,
+    remove,
+    dispatch,
+    listDeliveries,
+    // まだ送っていない配信の数
+    pendingCount: () => scheduler.size(),
+    stop: () => scheduler.clear()
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  publicWebhook,
+  publicDelivery,
+  createWebhookService
+};
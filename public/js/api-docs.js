@@ -0,0 +1,17 @@
+// ============================================
+// 日本語メモアプリ - APIドキュメント画面（Swagger UI）
+// ============================================
+
+SwaggerUIBundle({
+    url: '/api/openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    docExpansion: 'list',
+    // ブラウザでログインしていれば、そのままAPIを試せる
+    withCredentials: true,
+    // 変更を伴うリクエストにはCSRFトークンを付ける
+    requestInterceptor: (request) => {
+        request.headers['X-CSRF-Token'] = document.querySelector('meta[name="csrf-token"]').content;
+        return request;
+    }
+});
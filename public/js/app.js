@@ -0,0 +1,1696 @@
+// ============================================
+// 日本語メモアプリ - メモ画面
+// ============================================
+
+// 変更を伴うリクエストに付けるCSRFトークン
+const csrfToken = document.querySelector('meta[name="csrf-token"]').content;
+
+// エラーメッセージを表示
+function showError(message) {
+    const errorDiv = document.getElementById('errorMessage');
+    errorDiv.textContent = message;
+    errorDiv.style.display = 'block';
+    setTimeout(() => {
+        errorDiv.style.display = 'none';
+    }, 5000);
+}
+
+// 成功メッセージを表示
+function showSuccess(message) {
+    const successDiv = document.getElementById('successMessage');
+    successDiv.textContent = message;
+    successDiv.style.display = 'block';
+    setTimeout(() => {
+        successDiv.style.display = 'none';
+    }, 3000);
+}
+
+// ローディング状態の管理
+function setLoading(isLoading) {
+    const container = document.querySelector('.container');
+    if (isLoading) {
+        container.classList.add('loading');
+    } else {
+        container.classList.remove('loading');
+    }
+}
+
+// 並べ替えの条件を変えたらすぐに反映する
+document.getElementById('sortForm').addEventListener('change', (e) => {
+    e.currentTarget.submit();
+});
+
+// 入力中の内容をMarkdownとして表示する（サーバーでサニタイズしたHTMLを使う）
+const previewTimers = new Map();
+
+async function updatePreview(textarea) {
+    const preview = document.getElementById(textarea.dataset.preview);
+    const content = textarea.value;
+    if (!content.trim()) {
+        preview.classList.remove('active');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/markdown/preview', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken,
+            },
+            body: JSON.stringify({ content }),
+        });
+        if (!response.ok || textarea.value !== content) {
+            return;
+        }
+        const data = await response.json();
+        preview.innerHTML = data.html;
+        preview.classList.add('active');
+    } catch (error) {
+        console.error('Error:', error);
+    }
+}
+
+document.querySelectorAll('textarea[data-preview]').forEach((textarea) => {
+    textarea.addEventListener('input', () => {
+        clearTimeout(previewTimers.get(textarea));
+        previewTimers.set(textarea, setTimeout(() => updatePreview(textarea), 300));
+    });
+});
+
+// チェックリストの項目をクリックしたら、編集フォームを開かずに保存する
+document.addEventListener('change', async (e) => {
+    const checkbox = e.target;
+    if (!checkbox.classList.contains('task-checkbox') || checkbox.disabled) {
+        return;
+    }
+
+    const item = checkbox.closest('.memo-item');
+    const id = Number(item.dataset.id);
+    const checked = checkbox.checked;
+    checkbox.disabled = true;
+
+    try {
+        const response = await fetch(`/api/memos/${id}/tasks/${checkbox.dataset.taskIndex}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken,
+            },
+            body: JSON.stringify({ checked }),
+        });
+
+        if (response.ok) {
+            reloadIfOffline();
+        } else {
+            const error = await response.json();
+            checkbox.checked = !checked;
+            showError(error.error || 'チェックリストの更新に失敗しました。');
+        }
+    } catch (error) {
+        checkbox.checked = !checked;
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    } finally {
+        checkbox.disabled = false;
+    }
+});
+
+// カンマ（全角・読点も可）区切りの入力をタグの配列にする
+function parseTags(value) {
+    return value.split(/[,，、]/).map(tag => tag.trim()).filter(Boolean);
+}
+
+// 新しいメモを追加
+document.getElementById('addForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const title = document.getElementById('newTitle').value.trim();
+    const content = document.getElementById('newContent').value.trim();
+    const tags = parseTags(document.getElementById('newTags').value);
+    const folder = document.getElementById('newFolder').value.trim();
+    const dueAt = document.getElementById('newDueAt').value.trim();
+    const remindAt = document.getElementById('newRemindAt').value.trim();
+
+    if (!title || !content) {
+        showError('タイトルと内容は必須です。');
+        return;
+    }
+    if (remindAt) {
+        requestNotificationPermission();
+    }
+
+    setLoading(true);
+    const submitButton = document.getElementById('submitButton');
+    submitButton.disabled = true;
+
+    try {
+        const memo = {
+            title,
+            content,
+            tags,
+            folder,
+            ...(dueAt && { dueAt }),
+            ...(remindAt && { remindAt })
+        };
+        const response = await sendChange({ op: 'create', memo }, '/api/memos', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken,
+            },
+            body: JSON.stringify(memo),
+        });
+
+        if (!response) {
+            clearAddForm();
+        } else if (response.ok) {
+            showSuccess('メモを保存しました。');
+            clearAddForm();
+            reloadIfOffline();
+        } else {
+            const error = await response.json();
+            showError(error.error || 'メモの保存に失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    } finally {
+        setLoading(false);
+        submitButton.disabled = false;
+    }
+});
+
+function clearAddForm() {
+    document.getElementById('newTitle').value = '';
+    document.getElementById('newContent').value = '';
+    document.getElementById('newDueAt').value = '';
+    document.getElementById('newRemindAt').value = '';
+    document.getElementById('newPreview').classList.remove('active');
+}
+
+// メモを削除
+// force: true の場合は、表示後に別の場所で更新されていても削除する
+async function deleteMemo(id, force = false) {
+    if (!force && !confirm('このメモをゴミ箱に移動しますか？ゴミ箱から元に戻すこともできます。')) {
+        return;
+    }
+
+    setLoading(true);
+
+    try {
+        const etag = force ? null : findItem(memoItems, id).dataset.etag;
+        const response = await sendChange({ op: 'delete', id, etag }, `/api/memos/${id}`, {
+            method: 'DELETE',
+            headers: {
+                'X-CSRF-Token': csrfToken,
+                ...(etag && { 'If-Match': etag }),
+            },
+        });
+
+        if (!response) {
+            // オフラインのため、接続が戻ったときに削除する
+        } else if (response.status === 412) {
+            if (confirm('このメモは表示した後に別の場所で更新されています。それでも削除しますか？')) {
+                deleteMemo(id, true);
+            }
+        } else if (response.ok) {
+            showSuccess('メモをゴミ箱に移動しました。');
+            reloadIfOffline();
+        } else {
+            const error = await response.json();
+            showError(error.error || 'メモの削除に失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    } finally {
+        setLoading(false);
+    }
+}
+
+// ゴミ箱のメモを元に戻す
+async function restoreMemo(id) {
+    setLoading(true);
+
+    try {
+        const response = await fetch(`/api/trash/${id}/restore`, {
+            method: 'POST',
+            headers: {
+                'X-CSRF-Token': csrfToken,
+            },
+        });
+
+        if (response.ok) {
+            showSuccess('メモを元に戻しました。');
+            reloadIfOffline();
+        } else {
+            const error = await response.json();
+            showError(error.error || 'メモの復元に失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    } finally {
+        setLoading(false);
+    }
+}
+
+// ゴミ箱のメモを完全に削除
+async function purgeMemo(id) {
+    if (!confirm('このメモを完全に削除しますか？完全に削除すると元に戻せません。')) {
+        return;
+    }
+
+    setLoading(true);
+
+    try {
+        const response = await fetch(`/api/trash/${id}`, {
+            method: 'DELETE',
+            headers: {
+                'X-CSRF-Token': csrfToken,
+            },
+        });
+
+        if (response.ok) {
+            showSuccess('メモを完全に削除しました。');
+            reloadIfOffline();
+        } else {
+            const error = await response.json();
+            showError(error.error || 'メモの削除に失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    } finally {
+        setLoading(false);
+    }
+}
+
+// ピン留め・アーカイブ・色ラベルを変更する
+// 一覧の並び順や表示は、変更の通知で最新のメモに置き換わるときに反映される
+async function changeMemoState(id, path, method, body, message) {
+    setLoading(true);
+
+    try {
+        const response = await fetch(`/api/memos/${id}/${path}`, {
+            method,
+            headers: {
+                'X-CSRF-Token': csrfToken,
+                ...(body && { 'Content-Type': 'application/json' }),
+            },
+            ...(body && { body: JSON.stringify(body) }),
+        });
+
+        if (response.ok) {
+            showSuccess(message);
+            reloadIfOffline();
+        } else {
+            const error = await response.json();
+            showError(error.error || 'メモの変更に失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    } finally {
+        setLoading(false);
+    }
+}
+
+function togglePin(id) {
+    const pinned = findItem(memoItems, id).dataset.state === 'pinned';
+    changeMemoState(id, 'pin', pinned ? 'DELETE' : 'POST', null,
+        pinned ? 'ピン留めを外しました。' : 'メモをピン留めしました。');
+}
+
+function toggleArchive(id) {
+    const archived = findItem(memoItems, id).dataset.state === 'archived';
+    changeMemoState(id, 'archive', archived ? 'DELETE' : 'POST', null,
+        archived ? 'メモをアーカイブから戻しました。' : 'メモをアーカイブしました。');
+}
+
+document.addEventListener('change', (e) => {
+    if (e.target.matches('select[data-memo-color]')) {
+        const id = Number(e.target.closest('.memo-item').dataset.id);
+        changeMemoState(id, 'color', 'POST', { color: e.target.value || null }, '色ラベルを変更しました。');
+    }
+});
+
+// APIトークンの一覧を表示
+async function loadTokens() {
+    const list = document.getElementById('tokenList');
+    list.textContent = '読み込み中...';
+
+    try {
+        const response = await fetch('/api/tokens');
+        const data = await response.json();
+        if (!response.ok) {
+            list.textContent = data.error || 'APIトークンの取得に失敗しました。';
+            return;
+        }
+
+        list.textContent = '';
+        list.appendChild(createElement('h4', null, `発行済みのトークン（${data.tokens.length}件）`));
+        data.tokens.forEach((token) => {
+            const item = createElement('div', 'token-item');
+            const details = [
+                `${token.name}（…${token.hint}）`,
+                token.scopes.join(', '),
+                token.expiresAt ? `期限: ${new Date(token.expiresAt).toLocaleString('ja-JP')}` : '無期限',
+                token.lastUsedAt ? `最終使用: ${new Date(token.lastUsedAt).toLocaleString('ja-JP')}` : '未使用'
+            ];
+            item.appendChild(createElement('span', null, details.join(' / ')));
+
+            const revokeButton = createElement('button', 'small delete', '無効にする');
+            revokeButton.addEventListener('click', () => revokeToken(token.id, token.name));
+            item.appendChild(revokeButton);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        list.textContent = 'ネットワークエラーが発生しました。';
+        console.error('Error:', error);
+    }
+}
+
+document.getElementById('apiTokens').addEventListener('toggle', (e) => {
+    if (e.target.open) {
+        loadTokens();
+    }
+});
+
+// APIトークンを発行
+document.getElementById('tokenForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const name = document.getElementById('tokenName').value.trim();
+    const scopes = Array.from(document.querySelectorAll('input[name="tokenScope"]:checked'))
+        .map(input => input.value);
+    const expires = document.getElementById('tokenExpires').value;
+
+    if (!name || scopes.length === 0) {
+        showError('名前と権限を1つ以上指定してください。');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/tokens', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken,
+            },
+            body: JSON.stringify({
+                name,
+                scopes,
+                ...(expires && { expiresInDays: parseInt(expires) })
+            }),
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            document.getElementById('tokenValue').value = data.token;
+            document.getElementById('tokenCreated').style.display = 'block';
+            document.getElementById('tokenForm').reset();
+            showSuccess('APIトークンを発行しました。');
+            loadTokens();
+        } else {
+            showError(data.error || 'APIトークンの発行に失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    }
+});
+
+// APIトークンを無効にする
+async function revokeToken(id, name) {
+    if (!confirm(`トークン「${name}」を無効にしますか？このトークンを使っているスクリプトは動かなくなります。`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/tokens/${id}`, {
+            method: 'DELETE',
+            headers: {
+                'X-CSRF-Token': csrfToken,
+            },
+        });
+
+        if (response.ok) {
+            showSuccess('APIトークンを無効にしました。');
+            loadTokens();
+        } else {
+            const error = await response.json();
+            showError(error.error || 'APIトークンの無効化に失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    }
+}
+
+// 共有リンクの有効期限の選択肢（日数、空欄は無期限）
+const SHARE_EXPIRES = [['1', '1日'], ['7', '7日'], ['30', '30日'], ['', '無期限']];
+
+// 共有リンクのパネルの表示/非表示を切り替え
+function toggleShares(id) {
+    const panel = document.getElementById(`share-${id}`);
+    if (panel.classList.toggle('active')) {
+        loadShares(id);
+    }
+}
+
+// メモの共有リンクの作成フォームと、有効な共有リンクの一覧を表示
+async function loadShares(id) {
+    const panel = document.getElementById(`share-${id}`);
+    panel.textContent = '読み込み中...';
+
+    try {
+        const response = await fetch(`/api/memos/${id}/shares`);
+        const data = await response.json();
+        if (!response.ok) {
+            panel.textContent = data.error || '共有リンクの取得に失敗しました。';
+            return;
+        }
+
+        panel.textContent = '';
+        panel.appendChild(createElement('h4', null, '🔗 共有リンク'));
+        panel.appendChild(createElement('p', 'form-hint',
+            'リンクを知っている人は、ログインしていなくてもこのメモを読み取り専用で表示できます。'));
+
+        const form = createElement('form', 'share-form');
+        const expires = createElement('select');
+        expires.setAttribute('aria-label', '有効期限');
+        SHARE_EXPIRES.forEach(([value, label]) => {
+            const option = createElement('option', null, `有効期限: ${label}`);
+            option.value = value;
+            expires.appendChild(option);
+        });
+        expires.value = '7';
+        const password = createElement('input');
+        password.type = 'password';
+        password.placeholder = 'パスワード（省略可、4文字以上）';
+        password.autocomplete = 'new-password';
+        password.minLength = 4;
+        password.maxLength = 128;
+        form.append(expires, password, createElement('button', 'small', '🔗 リンクを作成'));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            createShare(id, expires.value, password.value);
+        });
+        panel.appendChild(form);
+
+        if (data.shares.length === 0) {
+            panel.appendChild(createElement('p', 'trash-note', 'まだ共有リンクはありません。'));
+        }
+        data.shares.forEach((share) => {
+            const item = createElement('div', 'share-item');
+            const url = createElement('input');
+            url.type = 'text';
+            url.readOnly = true;
+            // PUBLIC_BASE_URL を設定していないサーバーはパスだけを返すので、このページのURLを基準にする
+            const shareUrl = new URL(share.url, location.origin).href;
+            url.value = shareUrl;
+            url.addEventListener('focus', () => url.select());
+            item.appendChild(url);
+
+            const details = [
+                share.expiresAt ? `期限: ${new Date(share.expiresAt).toLocaleString('ja-JP')}` : '無期限',
+                share.hasPassword ? '🔒 パスワードあり' : 'パスワードなし',
+                `閲覧 ${share.views}回`
+            ];
+            item.appendChild(createElement('span', null, details.join(' / ')));
+
+            const actions = createElement('span');
+            const copyButton = createElement('button', 'small', 'コピー');
+            copyButton.type = 'button';
+            copyButton.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(shareUrl);
+                    showSuccess('共有リンクをコピーしました。');
+                } catch (error) {
+                    url.focus();
+                }
+            });
+            const revokeButton = createElement('button', 'small delete', '取り消す');
+            revokeButton.type = 'button';
+            revokeButton.addEventListener('click', () => revokeShare(id, share.id));
+            actions.append(copyButton, revokeButton);
+            item.appendChild(actions);
+            panel.appendChild(item);
+        });
+    } catch (error) {
+        panel.textContent = 'ネットワークエラーが発生しました。';
+        console.error('Error:', error);
+    }
+}
+
+// 共有リンクを作成
+async function createShare(id, days, password) {
+    setLoading(true);
+
+    try {
+        const response = await fetch(`/api/memos/${id}/share`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken,
+            },
+            body: JSON.stringify({
+                ...(days && { expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() }),
+                ...(password && { password })
+            }),
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            showSuccess('共有リンクを作成しました。');
+            loadShares(id);
+        } else {
+            showError(data.error || '共有リンクの作成に失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    } finally {
+        setLoading(false);
+    }
+}
+
+// 共有リンクを取り消す
+async function revokeShare(id, shareId) {
+    if (!confirm('この共有リンクを取り消しますか？リンクを知っている人もメモを表示できなくなります。')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/shares/${shareId}`, {
+            method: 'DELETE',
+            headers: {
+                'X-CSRF-Token': csrfToken,
+            },
+        });
+
+        if (response.ok) {
+            showSuccess('共有リンクを取り消しました。');
+            loadShares(id);
+        } else {
+            const error = await response.json();
+            showError(error.error || '共有リンクの取り消しに失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    }
+}
+
+// タグの名前を変更（既存のタグと同じ名前なら統合）
+const renameTagForm = document.getElementById('renameTagForm');
+if (renameTagForm) {
+    renameTagForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        const from = document.getElementById('renameTagFrom').value;
+        const to = document.getElementById('renameTagTo').value.trim();
+        if (!to || to === from) {
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            const response = await fetch('/api/tags/rename', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': csrfToken,
+                },
+                body: JSON.stringify({ from, to }),
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                showSuccess(`${data.updated}件のメモのタグを「${data.tag}」に変更しました。`);
+                setTimeout(() => location.reload(), 1000);
+            } else {
+                showError(data.error || 'タグの変更に失敗しました。');
+            }
+        } catch (error) {
+            showError('ネットワークエラーが発生しました。');
+            console.error('Error:', error);
+        } finally {
+            setLoading(false);
+        }
+    });
+}
+
+// エクスポートしたJSONファイルを読み込む
+document.getElementById('importForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const file = document.getElementById('importFile').files[0];
+    const onConflict = document.getElementById('importConflict').value;
+    if (!file) {
+        return;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        showError('JSONファイルとして読み込めませんでした。');
+        return;
+    }
+
+    setLoading(true);
+
+    try {
+        const response = await fetch(`/api/import?onConflict=${onConflict}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken,
+            },
+            body: JSON.stringify(data),
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            showSuccess(
+                `${result.total}件中 追加 ${result.created + result.duplicated}件・` +
+                `上書き ${result.overwritten}件・スキップ ${result.skipped}件`
+            );
+            setTimeout(() => location.reload(), 2000);
+        } else {
+            showError(result.error || 'インポートに失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    } finally {
+        setLoading(false);
+    }
+});
+
+// ログアウトしてログイン画面に戻る
+async function logout() {
+    const entries = await offlineStore.listQueue().catch(() => []);
+    if (entries.length > 0 &&
+        !confirm(`まだ保存されていない変更が${entries.length}件あります。ログアウトすると失われますが、よろしいですか？`)) {
+        return;
+    }
+
+    try {
+        await fetch('/api/auth/logout', {
+            method: 'POST',
+            headers: {
+                'X-CSRF-Token': csrfToken,
+            },
+        });
+        await clearOfflineData();
+    } finally {
+        location.reload();
+    }
+}
+
+document.getElementById('logoutButton').addEventListener('click', logout);
+
+// 編集フォームの表示/非表示を切り替え
+function toggleEdit(id) {
+    const editForm = document.getElementById(`edit-${id}`);
+    if (editForm.classList.contains('active')) {
+        closeEdit(id);
+    } else {
+        editForm.classList.add('active');
+    }
+}
+
+// 編集フォームを閉じ、編集中に届いていた最新の内容があれば表示する
+function closeEdit(id) {
+    document.getElementById(`edit-${id}`).classList.remove('active');
+    if (deferredItems.has(id)) {
+        showMemo(deferredItems.get(id), false);
+    }
+}
+
+// メモを更新
+async function updateMemo(id) {
+    const title = document.getElementById(`editTitle-${id}`).value.trim();
+    const content = document.getElementById(`editContent-${id}`).value.trim();
+    const tags = parseTags(document.getElementById(`editTags-${id}`).value);
+    const folder = document.getElementById(`editFolder-${id}`).value.trim();
+    // 空にした場合は期限・リマインダーを解除する
+    const dueAt = document.getElementById(`editDueAt-${id}`).value.trim() || null;
+    const remindAt = document.getElementById(`editRemindAt-${id}`).value.trim() || null;
+
+    if (!title || !content) {
+        showError('タイトルと内容は必須です。');
+        return;
+    }
+    if (remindAt) {
+        requestNotificationPermission();
+    }
+
+    setLoading(true);
+
+    try {
+        // 編集を始めた版から変わっていない場合だけ保存する
+        const memo = { title, content, tags, folder, dueAt, remindAt };
+        const etag = findItem(memoItems, id).dataset.etag;
+        const response = await sendChange({ op: 'update', id, etag, memo }, `/api/memos/${id}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken,
+                'If-Match': etag,
+            },
+            body: JSON.stringify(memo),
+        });
+
+        if (!response) {
+            closeEdit(id);
+        } else if (response.status === 412) {
+            showConflict(id, await response.json(), response.headers.get('ETag'));
+        } else if (response.ok) {
+            showSuccess('メモを更新しました。');
+            findItem(memoItems, id).dataset.etag = response.headers.get('ETag');
+            closeEdit(id);
+            reloadIfOffline();
+        } else {
+            const error = await response.json();
+            showError(error.error || 'メモの更新に失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    } finally {
+        setLoading(false);
+    }
+}
+
+// メモのボタン（data-action）を押したときの操作
+// メモは変更の通知で後から追加されることもあるため、ページ全体でまとめて受け取る
+const memoActions = {
+    'toggle-edit': toggleEdit,
+    'update': updateMemo,
+    'attach': openAttachmentPicker,
+    'pin': togglePin,
+    'archive': toggleArchive,
+    'share': toggleShares,
+    'delete': deleteMemo,
+    'history': toggleHistory,
+    'restore': restoreMemo,
+    'purge': purgeMemo
+};
+
+document.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    const action = button && memoActions[button.dataset.action];
+    if (action) {
+        action(Number(button.closest('.memo-item').dataset.id));
+    }
+});
+
+// ============================================
+// 編集の競合（自分の変更・保存済みの内容・マージから選ぶ）
+// ============================================
+const conflictDialog = document.getElementById('conflictDialog');
+let conflict = null;
+
+function showConflict(id, data, etag) {
+    conflict = { id, etag, current: data.current, merged: data.merged };
+    document.getElementById('conflictTitle').textContent = data.current.title;
+    document.getElementById('conflictContent').textContent = data.current.content;
+    document.getElementById('conflictMerge').disabled = !data.merged;
+    document.getElementById('conflictNote').textContent = !data.merged ?
+        '編集を始めた版の履歴が残っていないため、マージはできません。' : data.merged.conflicts > 0 ?
+        `マージすると${data.merged.conflicts}か所で変更が重なります。<<<<<<< と >>>>>>> で囲まれた部分を直してから保存してください。` :
+        '変更が重なる箇所はないため、自動でマージできます。';
+    conflictDialog.showModal();
+}
+
+// 編集フォームに内容を入れ、保存したときに確かめる版を現在の版にする
+function fillEditForm(id, memo, etag) {
+    document.getElementById(`editTitle-${id}`).value = memo.title;
+    document.getElementById(`editContent-${id}`).value = memo.content;
+    document.getElementById(`editTags-${id}`).value = (memo.tags || []).join(', ');
+    document.getElementById(`editFolder-${id}`).value = memo.folder || '';
+    document.getElementById(`editDueAt-${id}`).value = memo.dueAt || '';
+    document.getElementById(`editRemindAt-${id}`).value = memo.remindAt || '';
+    findItem(memoItems, id).dataset.etag = etag;
+}
+
+// 自分の変更で上書きする
+document.getElementById('conflictKeepMine').addEventListener('click', () => {
+    conflictDialog.close();
+    findItem(memoItems, conflict.id).dataset.etag = conflict.etag;
+    updateMemo(conflict.id);
+});
+
+// 自分の変更を捨てて、保存済みの内容を表示する
+document.getElementById('conflictUseServer').addEventListener('click', () => {
+    conflictDialog.close();
+    fillEditForm(conflict.id, conflict.current, conflict.etag);
+    closeEdit(conflict.id);
+    reloadIfOffline();
+});
+
+// マージした内容で編集を続ける（保存は確認してから）
+document.getElementById('conflictMerge').addEventListener('click', () => {
+    conflictDialog.close();
+    fillEditForm(conflict.id, conflict.merged, conflict.etag);
+    updatePreview(document.getElementById(`editContent-${conflict.id}`));
+    showSuccess('マージしました。内容を確認して「更新」を押してください。');
+});
+
+document.getElementById('conflictCancel').addEventListener('click', () => {
+    conflictDialog.close();
+});
+
+// テキストだけを持つ要素を作る（innerHTMLを使わずXSSを防ぐ）
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+        element.className = className;
+    }
+    if (text !== undefined) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+// 変更履歴パネルの表示/非表示を切り替え
+async function toggleHistory(id) {
+    const panel = document.getElementById(`history-${id}`);
+    if (!panel.classList.toggle('active')) {
+        return;
+    }
+
+    panel.textContent = '読み込み中...';
+
+    try {
+        const response = await fetch(`/api/memos/${id}/revisions`);
+        if (!response.ok) {
+            const error = await response.json();
+            panel.textContent = error.error || '履歴の取得に失敗しました。';
+            return;
+        }
+
+        const data = await response.json();
+        panel.textContent = '';
+        panel.appendChild(createElement('h4', null, '🕘 変更履歴'));
+
+        data.revisions.forEach((revision) => {
+            const item = createElement('div', 'revision-item');
+            let label = `第${revision.rev}版 - ${new Date(revision.createdAt).toLocaleString('ja-JP')} - ${revision.title}`;
+            if (revision.rev === data.currentRev) {
+                label += '（現在）';
+            }
+            if (revision.restoredFrom) {
+                label += `（第${revision.restoredFrom}版から復元）`;
+            }
+            item.appendChild(createElement('span', null, label));
+
+            const actions = createElement('span');
+            const diffButton = createElement('button', 'small', '差分');
+            diffButton.addEventListener('click', () => showDiff(id, revision.rev));
+            actions.appendChild(diffButton);
+
+            if (revision.rev !== data.currentRev) {
+                const restoreButton = createElement('button', 'small edit', 'この版に戻す');
+                restoreButton.addEventListener('click', () => restoreRevision(id, revision.rev));
+                actions.appendChild(restoreButton);
+            }
+            item.appendChild(actions);
+            panel.appendChild(item);
+        });
+
+        panel.appendChild(createElement('div', 'diff-view'));
+    } catch (error) {
+        panel.textContent = 'ネットワークエラーが発生しました。';
+        console.error('Error:', error);
+    }
+}
+
+// 差分の1行を表示用の要素にする
+function renderDiffLine(line) {
+    const marks = { added: '+ ', removed: '- ', equal: '  ' };
+    const row = createElement('div', `diff-line ${line.type}`, marks[line.type]);
+
+    if (!line.segments) {
+        row.appendChild(document.createTextNode(line.text));
+        return row;
+    }
+
+    // 行内で変わった文字だけを強調する
+    line.segments.forEach((segment) => {
+        if (segment.type === 'added') {
+            row.appendChild(createElement('ins', null, segment.text));
+        } else if (segment.type === 'removed') {
+            row.appendChild(createElement('del', null, segment.text));
+        } else {
+            row.appendChild(document.createTextNode(segment.text));
+        }
+    });
+    return row;
+}
+
+// リビジョンの差分を表示
+async function showDiff(id, rev) {
+    const view = document.querySelector(`#history-${id} .diff-view`);
+    view.textContent = '読み込み中...';
+
+    try {
+        const response = await fetch(`/api/memos/${id}/revisions/${rev}/diff`);
+        const data = await response.json();
+        if (!response.ok) {
+            view.textContent = data.error || '差分の取得に失敗しました。';
+            return;
+        }
+
+        view.textContent = '';
+        const heading = data.base ?
+            `第${data.base}版 → 第${data.rev}版（+${data.content.added} / -${data.content.removed}行）` :
+            `第${data.rev}版（最初の版）`;
+        view.appendChild(createElement('strong', null, heading));
+
+        if (data.title.changed && data.title.from !== null) {
+            view.appendChild(createElement('div', 'diff-line removed', '- タイトル: ' + data.title.from));
+            view.appendChild(createElement('div', 'diff-line added', '+ タイトル: ' + data.title.to));
+        }
+        data.content.lines.forEach((line) => view.appendChild(renderDiffLine(line)));
+    } catch (error) {
+        view.textContent = 'ネットワークエラーが発生しました。';
+        console.error('Error:', error);
+    }
+}
+
+// 指定したリビジョンの内容に戻す
+async function restoreRevision(id, rev) {
+    if (!confirm(`第${rev}版の内容に戻しますか？現在の内容も履歴に残ります。`)) {
+        return;
+    }
+
+    setLoading(true);
+
+    try {
+        const response = await fetch(`/api/memos/${id}/revisions/${rev}/restore`, {
+            method: 'POST',
+            headers: {
+                'X-CSRF-Token': csrfToken,
+            },
+        });
+
+        if (response.ok) {
+            showSuccess(`第${rev}版の内容に戻しました。`);
+            closeEdit(id);
+            reloadIfOffline();
+        } else {
+            const error = await response.json();
+            showError(error.error || 'メモの復元に失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    } finally {
+        setLoading(false);
+    }
+}
+
+// ============================================
+// 別のタブ・端末での変更をその場で反映する（Server-Sent Events）
+// ============================================
+const memoList = document.getElementById('memoList');
+const memoItems = document.getElementById('memoItems');
+const trashList = document.getElementById('trashList');
+const collator = new Intl.Collator('ja');
+
+// 編集中のため反映を見送ったメモ（編集を閉じたときに反映する）
+const deferredItems = new Map();
+
+let liveEvents = null;
+
+// 変更の通知を受け取れていない場合は、再読み込みして反映する
+function reloadIfOffline() {
+    if (!liveEvents || liveEvents.readyState !== EventSource.OPEN) {
+        setTimeout(() => location.reload(), 1000);
+    }
+}
+
+// サーバーで作ったHTML（エスケープ・サニタイズ済み）から要素を作る
+function htmlToElement(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+}
+
+function findItem(container, id) {
+    return container.querySelector(`.memo-item[data-id="${id}"]`);
+}
+
+// タグ・フォルダの絞り込みの条件に合うメモかどうか
+function matchesFilter(memo) {
+    const { tag, folder } = memoList.dataset;
+    return (!tag || (memo.tags || []).includes(tag)) && (!folder || memo.folder === folder);
+}
+
+// 表示中の一覧に入るメモかどうか（アーカイブしたメモは「アーカイブも表示」のときだけ）
+function matchesView(memo) {
+    return matchesFilter(memo) && (memoList.dataset.archived === 'true' || !memo.archived);
+}
+
+// メモの状態（サーバーの memoState と同じ）
+function memoState(memo) {
+    if (memo.archived) {
+        return 'archived';
+    }
+    return memo.pinned ? 'pinned' : 'normal';
+}
+
+// 並べ替えの条件で a が b より前なら負の数（サーバーの並べ替えと同じく、ピン留めしたメモが先）
+function compareMemos(a, b) {
+    if (Boolean(a.pinned) !== Boolean(b.pinned)) {
+        return a.pinned ? -1 : 1;
+    }
+    const { sort, order } = memoList.dataset;
+    const result = (sort === 'title' ?
+        collator.compare(a.title, b.title) :
+        new Date(a[sort]) - new Date(b[sort])) || a.id - b.id;
+    return order === 'asc' ? result : -result;
+}
+
+function itemKey(item) {
+    return {
+        id: Number(item.dataset.id),
+        pinned: item.dataset.state === 'pinned',
+        title: item.querySelector('.memo-title').textContent,
+        createdAt: item.dataset.createdAt,
+        updatedAt: item.dataset.updatedAt
+    };
+}
+
+// メモを並べ替えの順番どおりの位置に入れる（表示中のページに入らない場合は何もしない）
+function placeItem(element, memo) {
+    const items = Array.from(memoItems.querySelectorAll('.memo-item'));
+    const next = items.find(item => compareMemos(memo, itemKey(item)) < 0);
+    if (next) {
+        // 前のページに入るメモ
+        if (next === items[0] && memoList.dataset.page !== '1') {
+            return;
+        }
+        next.before(element);
+    } else if (memoList.dataset.hasNext === 'true') {
+        // 次のページ以降に入るメモ
+        return;
+    } else {
+        memoItems.appendChild(element);
+    }
+
+    const empty = memoItems.querySelector('.no-memos');
+    if (empty) {
+        empty.remove();
+    }
+}
+
+// 一覧の件数を増減する（表示範囲の「〜件目」はずれるので消す）
+function changeTotal(diff) {
+    const total = document.getElementById('memoTotal');
+    total.textContent = Number(total.textContent) + diff;
+    document.getElementById('memoRange').textContent = '';
+}
+
+// 状態ごとの件数を増減する
+function changeStateCount(state, diff) {
+    const count = document.getElementById(`${state}Count`);
+    count.textContent = Number(count.textContent) + diff;
+}
+
+function updateTrashCount() {
+    const count = trashList.querySelectorAll('.memo-item').length;
+    document.getElementById('trashCount').textContent = count;
+    document.getElementById('trashBin').hidden = count === 0;
+}
+
+function removeFromTrash(id) {
+    const item = findItem(trashList, id);
+    if (item) {
+        item.remove();
+        updateTrashCount();
+    }
+}
+
+// メモの上にお知らせを表示する
+function showItemNotice(item, message) {
+    let notice = item.querySelector('.memo-notice');
+    if (!notice) {
+        notice = createElement('div', 'memo-notice');
+        item.prepend(notice);
+    }
+    notice.textContent = message;
+}
+
+// 作成・更新・ゴミ箱から戻されたメモを一覧に反映する
+function showMemo(data, isNew) {
+    const { memo } = data;
+    removeFromTrash(memo.id);
+    offlineStore.putMemo(memo).catch(error => console.error('Error:', error));
+
+    const current = findItem(memoItems, memo.id);
+    if (current && current.querySelector('.edit-form.active')) {
+        // 添付ファイルは入力中の内容と関係ないので、編集中でもすぐに反映する
+        const next = htmlToElement(data.html);
+        replaceAttachments(current, next);
+        if (current.dataset.attaching && etagVersion(current.dataset.etag) === memo.version - 1) {
+            // 自分で添付ファイルを追加・削除しただけなので、編集はそのまま新しい版を元に続ける
+            current.dataset.etag = next.dataset.etag;
+            return;
+        }
+        // 入力中の内容を消さないよう、編集を閉じるまで待つ
+        deferredItems.set(memo.id, data);
+        showItemNotice(current, 'このメモは編集中に更新されました。編集を閉じると最新の内容を表示します。');
+        return;
+    }
+    deferredItems.delete(memo.id);
+    if (current) {
+        current.remove();
+        changeStateCount(current.dataset.state, -1);
+    }
+    // 表示していなかったメモが更新された場合は、前の状態がわからないので数え直さない
+    if ((current || isNew) && matchesFilter(memo)) {
+        changeStateCount(memoState(memo), 1);
+    }
+
+    const matches = matchesView(memo);
+    if (isNew && matches) {
+        changeTotal(1);
+    } else if (current && !matches) {
+        changeTotal(-1);
+    }
+    if (matches) {
+        placeItem(htmlToElement(data.html), memo);
+    }
+}
+
+// ゴミ箱に移動・完全に削除されたメモを反映する
+function removeMemo(data) {
+    offlineStore.deleteMemo(data.id).catch(error => console.error('Error:', error));
+    const current = findItem(memoItems, data.id);
+    if (current) {
+        current.remove();
+    }
+    deferredItems.delete(data.id);
+    removeFromTrash(data.id);
+    if (data.purged) {
+        return;
+    }
+
+    if (matchesView(data.memo)) {
+        changeTotal(-1);
+    }
+    if (matchesFilter(data.memo)) {
+        changeStateCount(memoState(data.memo), -1);
+    }
+    trashList.prepend(htmlToElement(data.html));
+    updateTrashCount();
+}
+
+function connectEvents() {
+    if (!window.EventSource) {
+        return;
+    }
+    // ページを表示した時点より後の変更から受け取る
+    // （再接続時はブラウザが Last-Event-ID ヘッダーで続きを指定する）
+    const lastEventId = encodeURIComponent(memoList.dataset.lastEventId);
+    liveEvents = new EventSource(`/api/events?lastEventId=${lastEventId}`);
+    liveEvents.addEventListener('memo.created', (e) => showMemo(JSON.parse(e.data), true));
+    liveEvents.addEventListener('memo.updated', (e) => showMemo(JSON.parse(e.data), false));
+    liveEvents.addEventListener('memo.deleted', (e) => removeMemo(JSON.parse(e.data)));
+    liveEvents.addEventListener('memo.restored', (e) => showMemo(JSON.parse(e.data), true));
+    liveEvents.addEventListener('memo.reminder', (e) => showReminder(JSON.parse(e.data)));
+
+    // 取りこぼした変更を送り直せない場合（サーバーの再起動など）は読み込み直す
+    liveEvents.addEventListener('resync', () => {
+        if (document.querySelector('.edit-form.active')) {
+            showError('サーバーに再接続しました。最新の状態を表示するにはページを再読み込みしてください。');
+        } else {
+            location.reload();
+        }
+    });
+}
+
+connectEvents();
+
+// ============================================
+// リマインダー（ブラウザの通知）
+// ============================================
+
+// 通知の許可を求める（リマインダーを設定したときに1回だけ聞く）
+function requestNotificationPermission() {
+    if (window.Notification && Notification.permission === 'default') {
+        Notification.requestPermission().catch(error => console.error('Error:', error));
+    }
+}
+
+// リマインダーの日時になったメモを知らせる
+// 通知が許可されていなければ、画面のメッセージで知らせる
+function showReminder(data) {
+    const { memo } = data;
+    if (window.Notification && Notification.permission === 'granted') {
+        const notification = new Notification(`🔔 ${memo.title}`, {
+            body: memo.content.slice(0, 100),
+            tag: `memo-reminder-${memo.id}`,
+        });
+        notification.addEventListener('click', () => {
+            window.focus();
+            const item = findItem(memoItems, memo.id);
+            if (item) {
+                item.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+            notification.close();
+        });
+    } else {
+        showSuccess(`🔔 リマインダー: ${memo.title}`);
+    }
+}
+
+// ============================================
+// 添付ファイル（📎 ボタン・ドラッグ&ドロップ・貼り付け）
+// ============================================
+const attachmentInput = document.getElementById('attachmentInput');
+let attachmentTarget = null;
+
+function openAttachmentPicker(id) {
+    attachmentTarget = id;
+    attachmentInput.value = '';
+    attachmentInput.click();
+}
+
+attachmentInput.addEventListener('change', () => {
+    if (attachmentTarget !== null && attachmentInput.files.length > 0) {
+        uploadAttachments(attachmentTarget, Array.from(attachmentInput.files));
+    }
+});
+
+// 編集中のメモの添付ファイルの一覧を、新しい内容のものに置き換える
+function replaceAttachments(item, next) {
+    const current = item.querySelector('.memo-attachments');
+    const updated = next.querySelector('.memo-attachments');
+    if (current) {
+        current.remove();
+    }
+    if (updated) {
+        item.querySelector('.memo-content').after(updated);
+    }
+}
+
+// 添付ファイルの追加・削除を送る
+// 送っている間は data-attaching を付け、変更の通知が届いても編集中の内容を保ったままにする
+async function sendAttachmentChange(id, url, options) {
+    const item = findItem(memoItems, id);
+    setLoading(true);
+    item.dataset.attaching = 'true';
+    try {
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) {
+            showError(data.error || '添付ファイルの変更に失敗しました。');
+            return null;
+        }
+        // 変更の通知より先にレスポンスが届いた場合も、編集中の内容の保存が競合にならないようにする
+        const memo = data.memo || data;
+        if (etagVersion(item.dataset.etag) === memo.version - 1) {
+            item.dataset.etag = response.headers.get('ETag');
+        }
+        reloadIfOffline();
+        return data;
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+        return null;
+    } finally {
+        delete item.dataset.attaching;
+        setLoading(false);
+    }
+}
+
+// ファイルをアップロードしてメモに添付する
+async function uploadAttachments(id, files) {
+    if (!navigator.onLine) {
+        showError('添付ファイルはオンラインのときだけ追加できます。');
+        return;
+    }
+    const formData = new FormData();
+    files.forEach(file => formData.append('file', file, file.name || 'image.png'));
+    const data = await sendAttachmentChange(id, `/api/memos/${id}/attachments`, {
+        method: 'POST',
+        headers: {
+            'X-CSRF-Token': csrfToken,
+        },
+        body: formData,
+    });
+    if (data) {
+        showSuccess(`${data.attachments.length}個のファイルを添付しました。`);
+    }
+}
+
+async function deleteAttachment(id, attachmentId) {
+    if (!confirm('この添付ファイルを削除しますか？削除すると元に戻せません。')) {
+        return;
+    }
+    const data = await sendAttachmentChange(id, `/api/memos/${id}/attachments/${attachmentId}`, {
+        method: 'DELETE',
+        headers: {
+            'X-CSRF-Token': csrfToken,
+        },
+    });
+    if (data) {
+        showSuccess('添付ファイルを削除しました。');
+    }
+}
+
+document.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-attachment-action="delete"]');
+    if (button) {
+        deleteAttachment(
+            Number(button.closest('.memo-item').dataset.id),
+            button.closest('.attachment').dataset.attachmentId
+        );
+    }
+});
+
+// メモにファイルをドラッグ&ドロップしたら添付する
+memoItems.addEventListener('dragover', (e) => {
+    const item = e.target.closest('.memo-item');
+    if (!item || !e.dataTransfer.types.includes('Files')) {
+        return;
+    }
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    item.classList.add('drop-target');
+});
+
+memoItems.addEventListener('dragleave', (e) => {
+    const item = e.target.closest('.memo-item');
+    if (item && !item.contains(e.relatedTarget)) {
+        item.classList.remove('drop-target');
+    }
+});
+
+memoItems.addEventListener('drop', (e) => {
+    const item = e.target.closest('.memo-item');
+    if (!item || e.dataTransfer.files.length === 0) {
+        return;
+    }
+    e.preventDefault();
+    item.classList.remove('drop-target');
+    uploadAttachments(Number(item.dataset.id), Array.from(e.dataTransfer.files));
+});
+
+// 画像を貼り付けたら、入力中（どこにも入力していなければマウスを重ねている）のメモに添付する
+document.addEventListener('paste', (e) => {
+    const files = Array.from(e.clipboardData.files);
+    const focused = document.activeElement;
+    const item = focused && focused !== document.body ?
+        focused.closest('#memoItems .memo-item') :
+        memoItems.querySelector('.memo-item:hover');
+    if (!item || files.length === 0) {
+        return;
+    }
+    e.preventDefault();
+    uploadAttachments(Number(item.dataset.id), files);
+});
+
+// ============================================
+// オフライン対応（サービスワーカー・IndexedDB）
+// ============================================
+// 画面とファイルはサービスワーカーが保存し、オフラインでも表示できるようにする。
+// オフラインの間の作成・更新・削除はキューに入れ、接続が戻ったら /api/memos に送る。
+const offlineStatus = document.getElementById('offlineStatus');
+
+// キューを送るときの Background Sync のタグ（sw.js と同じ）
+const SYNC_TAG = 'memo-queue';
+
+let serviceWorker = null;
+
+// オフラインの表示と、まだ保存されていない変更の件数を更新する
+async function updateOfflineStatus() {
+    offlineStatus.hidden = navigator.onLine;
+    const entries = await offlineStore.listQueue();
+    document.getElementById('queueCount').textContent =
+        entries.length > 0 ? `（未送信の変更: ${entries.length}件）` : '';
+}
+
+// 変更をサーバーに送る
+// 通信できない場合はキューに入れて画面に仮に反映し、null を返す（接続が戻ったときに送る）
+async function sendChange(entry, url, options) {
+    if (navigator.onLine) {
+        try {
+            return await fetch(url, options);
+        } catch (error) {
+            console.error('Error:', error);
+        }
+    }
+
+    const queued = await offlineStore.enqueue({ ...entry, csrfToken });
+    applyQueuedChange(queued);
+    updateOfflineStatus();
+    // 接続はあるがサーバーに届かなかった場合は、サービスワーカーに後で送り直させる
+    if (navigator.onLine) {
+        replayQueue();
+    }
+    showSuccess('オフラインのため、接続が戻ったときに保存します。');
+    return null;
+}
+
+// メモのタイトルと内容を、Markdownに変換せずにそのまま表示する
+// （Markdownの変換はサーバーで行うため、オフラインの間は文字のまま表示する）
+function showMemoText(item, memo) {
+    item.querySelector('.memo-title').textContent = memo.title;
+    const content = item.querySelector('.memo-content');
+    content.textContent = memo.content;
+    content.classList.add('offline-text');
+}
+
+// キューに入れた変更を画面に反映する
+function applyQueuedChange(entry) {
+    if (entry.op === 'create') {
+        const item = createElement('div', 'memo-item pending');
+        item.dataset.seq = entry.seq;
+        item.appendChild(createElement('div', 'memo-notice', '📤 未送信のメモです。接続が戻ったときに保存します。'));
+        item.appendChild(createElement('div', 'memo-title', entry.memo.title));
+        item.appendChild(createElement('div', 'memo-content offline-text', entry.memo.content));
+        memoItems.prepend(item);
+        const empty = memoItems.querySelector('.no-memos');
+        if (empty) {
+            empty.remove();
+        }
+        return;
+    }
+
+    const item = findItem(memoItems, entry.id);
+    if (!item) {
+        return;
+    }
+    item.classList.add('pending');
+    if (entry.op === 'delete') {
+        showItemNotice(item, '🗑️ 接続が戻ったときにゴミ箱に移動します。');
+    } else {
+        showMemoText(item, entry.memo);
+        showItemNotice(item, '📤 未送信の変更があります。接続が戻ったときに保存します。');
+    }
+}
+
+// キューの変更を送る
+// Background Sync に対応したブラウザではサービスワーカーに任せ（画面を閉じても送られる）、
+// 対応していなければこの画面から送る
+async function replayQueue() {
+    const entries = await offlineStore.listQueue();
+    if (!navigator.onLine || !entries.some(entry => !entry.conflict)) {
+        return;
+    }
+
+    if (serviceWorker && serviceWorker.sync) {
+        try {
+            await serviceWorker.sync.register(SYNC_TAG);
+            return;
+        } catch (error) {
+            console.error('Error:', error);
+        }
+    }
+    handleReplayed(await offlineStore.replay());
+}
+
+// キューの変更を送った結果を画面に反映する
+// 保存できたメモは変更の通知で最新の内容に置き換わる（通知を受け取れなければ再読み込みする）
+function handleReplayed(summary) {
+    summary.sent.forEach((entry) => {
+        const item = entry.op === 'create' && memoItems.querySelector(`.memo-item[data-seq="${entry.seq}"]`);
+        if (item) {
+            item.remove();
+        }
+    });
+    if (summary.sent.length > 0) {
+        showSuccess(`オフラインの間の変更を${summary.sent.length}件保存しました。`);
+        reloadIfOffline();
+    }
+    if (summary.failed.length > 0) {
+        showError('オフラインの間の変更を保存できませんでした: ' +
+            summary.failed.map(entry => entry.error).join(' / '));
+    }
+    updateOfflineStatus();
+    resolveConflicts(true);
+}
+
+// 送ったときに別の場所で更新されていた変更を、1件ずつどの内容を残すか選んでもらう
+// （競合のダイアログを閉じるたびに次の変更を表示する）
+// notify: true の場合は、一覧に表示されていないため選べない変更があることを知らせる
+async function resolveConflicts(notify) {
+    if (conflictDialog.open) {
+        return;
+    }
+    const entries = (await offlineStore.listQueue()).filter(entry => entry.conflict);
+    const entry = entries.find(e => findItem(memoItems, e.id));
+    if (!entry) {
+        if (notify && entries.length > 0) {
+            showError(`別の場所で更新されていたため保存できなかった変更が${entries.length}件あります。` +
+                'そのメモを一覧に表示すると、どの内容を残すか選べます。');
+        }
+        return;
+    }
+
+    await offlineStore.removeEntry(entry.seq);
+    updateOfflineStatus();
+
+    // 一覧には保存済みの内容を表示する
+    const item = findItem(memoItems, entry.id);
+    const notice = item.querySelector('.memo-notice');
+    if (notice) {
+        notice.remove();
+    }
+    item.classList.remove('pending');
+    showMemoText(item, entry.conflict.current);
+
+    if (entry.op === 'delete') {
+        if (confirm(`オフラインの間に削除した「${entry.conflict.current.title}」は、別の場所で更新されています。それでも削除しますか？`)) {
+            await deleteMemo(entry.id, true);
+        }
+        resolveConflicts(false);
+        return;
+    }
+
+    // 自分の変更を編集フォームに入れて開き、競合のダイアログで選んでもらう
+    fillEditForm(entry.id, entry.memo, entry.etag);
+    document.getElementById(`edit-${entry.id}`).classList.add('active');
+    showConflict(entry.id, entry.conflict, entry.conflict.etag);
+}
+
+conflictDialog.addEventListener('close', () => resolveConflicts(false));
+
+// メモのETag（サーバーと同じ形式）から版番号を取り出す
+function etagVersion(etag) {
+    const match = /-(\d+)"$/.exec(etag || '');
+    return match ? Number(match[1]) : 0;
+}
+
+// サーバーのメモをすべて IndexedDB に保存する（オフラインで表示するため）
+async function saveMemosOffline() {
+    const memos = [];
+    let cursor = null;
+    do {
+        const params = new URLSearchParams({ limit: 100 });
+        if (cursor) {
+            params.set('cursor', cursor);
+        }
+        const response = await fetch(`/api/memos?${params}`);
+        if (!response.ok) {
+            return;
+        }
+        const data = await response.json();
+        memos.push(...data.memos);
+        cursor = data.nextCursor;
+    } while (cursor);
+
+    await offlineStore.saveMemos(memos);
+}
+
+// オフラインで表示したページ（保存した時点の内容）を、IndexedDB の新しい内容で置き換える
+// ページを保存した後に変更・削除されたメモは、変更の通知で IndexedDB に反映されている
+async function showSavedMemos() {
+    const memos = new Map((await offlineStore.listMemos()).map(memo => [memo.id, memo]));
+    if (memos.size === 0) {
+        return;
+    }
+
+    memoItems.querySelectorAll('.memo-item[data-id]').forEach((item) => {
+        const memo = memos.get(Number(item.dataset.id));
+        if (!memo) {
+            item.remove();
+        } else if ((memo.version || 1) > etagVersion(item.dataset.etag)) {
+            showMemoText(item, memo);
+            fillEditForm(memo.id, memo, `"${memo.id}-${memo.version || 1}"`);
+        }
+    });
+}
+
+// ログアウトしたときに、オフライン用に保存したメモ・キュー・ページを消す
+// （同じブラウザで別のユーザーがログインしたときに表示されないようにする）
+async function clearOfflineData() {
+    await offlineStore.clear();
+    if (window.caches) {
+        const names = await caches.keys();
+        await Promise.all(names.map(name => caches.delete(name)));
+    }
+}
+
+// サービスワーカーを登録する
+// 最初に表示したときは、このページがサービスワーカーを通っていないので、
+// オフラインで表示するためのページと読み込んだファイルを保存させる
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+    const isControlled = Boolean(navigator.serviceWorker.controller);
+    serviceWorker = await navigator.serviceWorker.register('/sw.js');
+
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'queue-replayed') {
+            handleReplayed(e.data.summary);
+        }
+    });
+
+    if (!isControlled && navigator.onLine) {
+        const files = document.querySelectorAll('link[rel="stylesheet"], link[rel="icon"], script[src]');
+        const urls = new Set(['/', location.pathname + location.search]);
+        files.forEach(file => urls.add(file.href || file.src));
+        const ready = await navigator.serviceWorker.ready;
+        ready.active.postMessage({ type: 'precache', urls: Array.from(urls) });
+    }
+}
+
+window.addEventListener('online', () => {
+    updateOfflineStatus();
+    replayQueue();
+});
+window.addEventListener('offline', updateOfflineStatus);
+
+async function initOffline() {
+    try {
+        await registerServiceWorker();
+        if (!navigator.onLine) {
+            await showSavedMemos();
+        }
+        const entries = await offlineStore.listQueue();
+        entries.filter(entry => !entry.conflict).forEach(applyQueuedChange);
+        await updateOfflineStatus();
+
+        if (navigator.onLine) {
+            await replayQueue();
+            await saveMemosOffline();
+        }
+        resolveConflicts(true);
+    } catch (error) {
+        console.error('Error:', error);
+    }
+}
+
+initOffline();
@@ -0,0 +1,58 @@
+// ============================================
+// 日本語メモアプリ - ログイン・新規登録画面
+// ============================================
+
+// 変更を伴うリクエストに付けるCSRFトークン
+const csrfToken = document.querySelector('meta[name="csrf-token"]').content;
+
+// エラーメッセージを表示
+function showError(message) {
+    const errorDiv = document.getElementById('errorMessage');
+    errorDiv.textContent = message;
+    errorDiv.style.display = 'block';
+}
+
+// ログイン・登録APIを呼び出し、成功したらメモ画面を表示する
+async function submitAuth(url, username, password) {
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken,
+            },
+            body: JSON.stringify({ username, password }),
+        });
+
+        if (response.ok) {
+            location.reload();
+        } else {
+            const error = await response.json();
+            showError(error.error || '認証に失敗しました。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    }
+}
+
+document.getElementById('loginForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitAuth(
+        '/api/auth/login',
+        document.getElementById('loginUsername').value.trim(),
+        document.getElementById('loginPassword').value
+    );
+});
+
+const registerForm = document.getElementById('registerForm');
+if (registerForm) {
+    registerForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitAuth(
+            '/api/auth/register',
+            document.getElementById('registerUsername').value.trim(),
+            document.getElementById('registerPassword').value
+        );
+    });
+}
@@ -0,0 +1,265 @@
+// ============================================
+// 日本語メモアプリ - オフライン用の保存領域（IndexedDB）
+// ============================================
+// メモ画面とサービスワーカー（sw.js）の両方から読み込みます。
+//   - memos: サーバーから受け取ったメモの写し（オフラインで画面を表示するときに使う）
+//   - queue: オフラインの間に行った作成・更新・削除（接続が戻ったら順番に送る）
+// キューの1件は { seq, op, id, etag, memo, csrfToken, queuedAt } の形で、
+// 送ったときに版が競合した場合は conflict に現在のメモとマージの案を入れて残します。
+// サービスワーカーからはページのCSRFトークンを読めないため、キューに入れたときのトークンで送ります。
+
+const offlineStore = (() => {
+    const DB_NAME = 'memo-app';
+    const DB_VERSION = 1;
+
+    let dbPromise = null;
+
+    function open() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('memos', { keyPath: 'id' });
+                    db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    // IDBRequest の結果を Promise で受け取る
+    function result(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // トランザクションの中で work を実行し、完了したら work の戻り値を返す
+    async function transaction(storeNames, mode, work) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let value;
+            tx.oncomplete = () => resolve(value);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            Promise.resolve(work(tx)).then((v) => {
+                value = v;
+            }, (error) => {
+                tx.abort();
+                reject(error);
+            });
+        });
+    }
+
+    // ============================================
+    // メモの写し
+    // ============================================
+
+    // サーバーのメモ一覧で置き換える
+    function saveMemos(memos) {
+        return transaction('memos', 'readwrite', (tx) => {
+            const store = tx.objectStore('memos');
+            store.clear();
+            memos.forEach(memo => store.put(memo));
+        });
+    }
+
+    function putMemo(memo) {
+        return transaction('memos', 'readwrite', (tx) => {
+            tx.objectStore('memos').put(memo);
+        });
+    }
+
+    function deleteMemo(id) {
+        return transaction('memos', 'readwrite', (tx) => {
+            tx.objectStore('memos').delete(id);
+        });
+    }
+
+    function listMemos() {
+        return transaction('memos', 'readonly', tx => result(tx.objectStore('memos').getAll()));
+    }
+
+    // ============================================
+    // 送信待ちのキュー
+    // ============================================
+
+    function listQueue() {
+        return transaction('queue', 'readonly', tx => result(tx.objectStore('queue').getAll()));
+    }
+
+    // 変更をキューに入れる
+    // 同じメモへの更新・削除が既にあれば1つにまとめる（編集を始めた版 etag は最初の変更のものを残す）
+    //   - 更新 + 更新: 後の内容で更新する
+    //   - 更新 + 削除: 削除だけを送る
+    function enqueue(entry) {
+        return transaction('queue', 'readwrite', async (tx) => {
+            const store = tx.objectStore('queue');
+            const entries = entry.op === 'create' ? [] : await result(store.getAll());
+            const previous = entries.find(e => e.op !== 'create' && e.id === entry.id);
+            const queued = { ...entry, queuedAt: new Date().toISOString() };
+
+            if (!previous) {
+                queued.seq = await result(store.add(queued));
+                return queued;
+            }
+
+            const merged = {
+                ...previous,
+                op: entry.op,
+                memo: entry.op === 'delete' ? previous.memo : entry.memo,
+                csrfToken: entry.csrfToken,
+                queuedAt: queued.queuedAt
+            };
+            store.put(merged);
+            return merged;
+        });
+    }
+
+    function removeEntry(seq) {
+        return transaction('queue', 'readwrite', (tx) => {
+            tx.objectStore('queue').delete(seq);
+        });
+    }
+
+    function putEntry(entry) {
+        return transaction('queue', 'readwrite', (tx) => {
+            tx.objectStore('queue').put(entry);
+        });
+    }
+
+    // エラーのレスポンスの本文（JSONでなければ空のオブジェクト）
+    async function errorBody(response) {
+        try {
+            return await response.json();
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // キューの1件をサーバーに送る
+    // 戻り値の status:
+    //   sent: 保存できた / conflict: 版が競合した / failed: 送っても保存できない変更だった
+    //   retry: 通信できない・サーバーのエラーなど（後でもう一度送る）
+    async function send(entry) {
+        // 更新・削除は、オフラインで編集を始めた版から変わっていない場合だけ保存する
+        const headers = { 'X-CSRF-Token': entry.csrfToken };
+        if (entry.etag) {
+            headers['If-Match'] = entry.etag;
+        }
+        const request = {
+            create: { url: '/api/memos', method: 'POST' },
+            update: { url: `/api/memos/${entry.id}`, method: 'PUT' },
+            delete: { url: `/api/memos/${entry.id}`, method: 'DELETE' }
+        }[entry.op];
+        if (entry.memo && entry.op !== 'delete') {
+            headers['Content-Type'] = 'application/json';
+            request.body = JSON.stringify(entry.memo);
+        }
+
+        let response;
+        try {
+            response = await fetch(request.url, {
+                method: request.method,
+                headers,
+                body: request.body,
+                credentials: 'same-origin'
+            });
+        } catch (error) {
+            return { status: 'retry' };
+        }
+
+        if (response.ok) {
+            const memo = await response.json();
+            await removeEntry(entry.seq);
+            if (entry.op === 'delete') {
+                await deleteMemo(memo.id);
+            } else {
+                await putMemo(memo);
+            }
+            return { status: 'sent', memo };
+        }
+
+        const body = await errorBody(response);
+        if (response.status === 412) {
+            await putEntry({
+                ...entry,
+                conflict: {
+                    current: body.current,
+                    merged: body.merged || null,
+                    etag: response.headers.get('ETag')
+                }
+            });
+            return { status: 'conflict' };
+        }
+        // 削除しようとしたメモが既にない場合は、削除できたものとして扱う
+        if (response.status === 404 && entry.op === 'delete') {
+            await removeEntry(entry.seq);
+            await deleteMemo(entry.id);
+            return { status: 'sent', memo: null };
+        }
+        // ログインが切れている・サーバーのエラーなどは、後でもう一度送る
+        if (response.status === 401 || response.status === 429 || response.status >= 500) {
+            return { status: 'retry' };
+        }
+        await removeEntry(entry.seq);
+        return { status: 'failed', error: body.error || `保存に失敗しました（${response.status}）` };
+    }
+
+    // キューの変更を古い順に送る（競合して選択を待っている変更は送らない）
+    // 通信できなくなったらそこで止め、残りは次に送る
+    async function replay() {
+        const summary = { sent: [], conflicts: 0, failed: [], pending: 0 };
+        const entries = (await listQueue()).filter(entry => !entry.conflict);
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            const outcome = await send(entry);
+            if (outcome.status === 'retry') {
+                summary.pending = entries.length - i;
+                break;
+            }
+            if (outcome.status === 'sent') {
+                summary.sent.push({ ...entry, memo: outcome.memo });
+            } else if (outcome.status === 'conflict') {
+                summary.conflicts++;
+            } else {
+                summary.failed.push({ ...entry, error: outcome.error });
+            }
+        }
+        return summary;
+    }
+
+    // 画面とサービスワーカーが同時に送らないよう、使えるブラウザではロックを取ってから送る
+    function replayExclusive() {
+        if (self.navigator && self.navigator.locks) {
+            return self.navigator.locks.request('memo-queue', replay);
+        }
+        return replay();
+    }
+
+    // ログアウトしたときに、保存したメモとキューをすべて消す
+    function clear() {
+        return transaction(['memos', 'queue'], 'readwrite', (tx) => {
+            tx.objectStore('memos').clear();
+            tx.objectStore('queue').clear();
+        });
+    }
+
+    return {
+        saveMemos,
+        putMemo,
+        deleteMemo,
+        listMemos,
+        listQueue,
+        enqueue,
+        removeEntry,
+        replay: replayExclusive,
+        clear
+    };
+})();
@@ -0,0 +1,39 @@
+// ============================================
+// 日本語メモアプリ - 共有リンクのパスワード入力
+// ============================================
+
+// 変更を伴うリクエストに付けるCSRFトークン
+const csrfToken = document.querySelector('meta[name="csrf-token"]').content;
+
+// エラーメッセージを表示
+function showError(message) {
+    const errorDiv = document.getElementById('errorMessage');
+    errorDiv.textContent = message;
+    errorDiv.style.display = 'block';
+}
+
+// パスワードが正しければCookieに記録されるので、再読み込みしてメモを表示する
+document.getElementById('sharePasswordForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    try {
+        const response = await fetch(location.pathname, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken,
+            },
+            body: JSON.stringify({ password: document.getElementById('sharePassword').value }),
+        });
+
+        if (response.ok) {
+            location.reload();
+        } else {
+            const error = await response.json();
+            showError(error.error || 'パスワードを確認できませんでした。');
+        }
+    } catch (error) {
+        showError('ネットワークエラーが発生しました。');
+        console.error('Error:', error);
+    }
+});
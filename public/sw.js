@@ -0,0 +1,105 @@
+// ============================================
+// 日本語メモアプリ - サービスワーカー
+// ============================================
+// /sw.js として配信し、サイト全体（/）を対象にします。
+//   - メモ画面（/）: 通信できればサーバーから取得して保存し、できなければ保存したものを表示する
+//   - 静的ファイル（/public/）: ハッシュ付きのURLは内容が変わらないため、保存したものを優先する
+//   - API（/api/）: 扱わない（オフラインの変更は画面が IndexedDB のキューに入れる）
+// Background Sync に対応したブラウザでは、接続が戻ったときにキューの変更をここから送ります。
+
+importScripts('/public/js/offline-store.js');
+
+// 画面やファイルの保存方法を変えたときは番号を上げる（古い保存領域は削除される）
+const CACHE_NAME = 'memo-app-v1';
+
+// キューを送るときの Background Sync のタグ
+const SYNC_TAG = 'memo-queue';
+
+// css/app.1a2b3c4d.css のようなハッシュ付きのURL
+const HASHED_ASSET = /^\/public\/.+\.[0-9a-f]{8}\.[a-z]+$/;
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// 通信できればサーバーから取得して保存し、できなければ保存したものを返す
+async function networkFirst(request, fallbackUrl) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// 保存したものがあればそれを返し、なければサーバーから取得して保存する
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate' && url.pathname === '/') {
+        // 絞り込みのURLを保存していなければ、絞り込みのない画面を表示する
+        event.respondWith(networkFirst(request, '/'));
+    } else if (HASHED_ASSET.test(url.pathname)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.pathname.startsWith('/public/')) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// 画面から、オフラインで表示するためのページとファイルを受け取って保存する
+// （最初に表示したときは、まだこのサービスワーカーを通っていないため）
+self.addEventListener('message', (event) => {
+    const { type, urls } = event.data || {};
+    if (type === 'precache') {
+        event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(urls)));
+    }
+});
+
+// 接続が戻ったら、キューの変更を送り、結果を開いている画面に知らせる
+// 送れなかった変更が残っている場合は、例外にしてブラウザに後で再実行させる
+self.addEventListener('sync', (event) => {
+    if (event.tag !== SYNC_TAG) {
+        return;
+    }
+    event.waitUntil((async () => {
+        const summary = await offlineStore.replay();
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({ type: 'queue-replayed', summary }));
+        if (summary.pending > 0) {
+            throw new Error('送信できなかった変更が残っています');
+        }
+    })());
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// ============================================
+// data.json → SQLite 移行スクリプト
+// ============================================
+// 既存の data.json のメモを、ID・作成日時・更新日時を保ったまま
+// SQLiteデータベースに取り込みます。
+// ユーザー・セッション・履歴などの付随データ（data.<名前>.json）も、
+// メモと同じトランザクションで取り込みます（メモの所有者を失わないため）。
+//
+// 使い方:
+//   npm run migrate:sqlite
+//   DATA_FILE=/var/data/memos.json SQLITE_FILE=/var/data/memos.sqlite npm run migrate:sqlite
+//
+// SQLite側に既にメモや付随データがある場合は中断します。
+// 同じIDのメモを上書きし、付随データを置き換えて取り込む場合は --force を付けてください。
+
+const path = require('path');
+const { createJsonDriver } = require('../lib/drivers/json');
+const { createSqliteDriver } = require('../lib/drivers/sqlite');
+
+const rootDir = path.join(__dirname, '..');
+const dataFile = process.env.DATA_FILE || path.join(rootDir, 'data.json');
+const sqliteFile = process.env.SQLITE_FILE || path.join(rootDir, 'data.sqlite');
+const force = process.argv.includes('--force');
+
+// スクリプト用の簡易ロガー（警告とエラーだけを表示）
+const logger = {
+  info() {},
+  warn: (obj, msg) => console.warn(`警告: ${msg || obj}`),
+  error: (obj, msg) => console.error(`エラー: ${msg || obj}`)
+};
+
+async function migrate() {
+  const source = createJsonDriver({ dataFile, logger, generations: 0 });
+  await source.init();
+  const memos = await source.list();
+
+  // IDが数値でないメモは取り込めない（getNextId() の前提が崩れるため）
+  const invalid = memos.filter(m => !Number.isInteger(m.id));
+  if (invalid.length > 0) {
+    throw new Error(`IDが不正なメモが ${invalid.length} 件あります`);
+  }
+
+  const records = {};
+  for (const name of await source.collectionNames()) {
+    records[name] = await source.collection(name).list();
+    if (records[name].some(r => r.id === undefined || r.id === null)) {
+      throw new Error(`${name} にIDのないデータがあります`);
+    }
+  }
+
+  const driver = createSqliteDriver({ sqliteFile, logger });
+  await driver.init();
+
+  try {
+    const existing = await driver.count();
+    const existingRecords = await driver.countRecords();
+    if ((existing > 0 || existingRecords > 0) && !force) {
+      throw new Error(
+        `${sqliteFile} には既に ${existing} 件のメモと ${existingRecords} 件の付随データがあります。` +
+        '上書きして取り込む場合は --force を付けて実行してください。'
+      );
+    }
+
+    const count = await driver.insertMany(memos, { replace: force, records });
+    console.log(`✅ ${count} 件のメモを ${dataFile} から ${sqliteFile} に移行しました`);
+    for (const [name, list] of Object.entries(records)) {
+      console.log(`   ${name}: ${list.length} 件`);
+    }
+    console.log('STORAGE_DRIVER=sqlite を指定してアプリを起動してください。');
+  } finally {
+    await driver.close();
+  }
+}
+
+migrate().catch((error) => {
+  console.error(`❌ 移行に失敗しました: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,115 @@
+// 画面のテンプレートと、ハッシュ付きURLで配信する静的ファイル
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAssetManifest } = require('../lib/assets');
+const { createViews } = require('../lib/views');
+const { startApp } = require('./helpers/app');
+
+describe('ハッシュ付きのURL', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+    fs.mkdirSync(path.join(dir, 'css'));
+    fs.writeFileSync(path.join(dir, 'css', 'app.css'), 'body {}');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('内容のハッシュをファイル名に入れ、どちらのURLからもファイルを見つける', () => {
+    const assets = createAssetManifest(dir);
+    const url = assets.url('css/app.css');
+    assert.match(url, /^\/public\/css\/app\.[0-9a-f]{8}\.css$/);
+
+    const hashed = url.slice('/public/'.length);
+    assert.deepEqual(assets.resolve(hashed), { file: 'css/app.css', hashed: true });
+    assert.deepEqual(assets.resolve('css/app.css'), { file: 'css/app.css', hashed: false });
+    assert.equal(assets.resolve('css/app.00000000.css'), null);
+    assert.equal(assets.resolve('../package.json'), null);
+    assert.throws(() => assets.url('css/none.css'), /静的ファイルが見つかりません: css\/none.css/);
+  });
+
+  test('cache: false の場合は、ファイルを変えるとURLも変わる', () => {
+    const cached = createAssetManifest(dir);
+    const uncached = createAssetManifest(dir, { cache: false });
+    const before = uncached.url('css/app.css');
+    cached.url('css/app.css');
+
+    fs.writeFileSync(path.join(dir, 'css', 'app.css'), 'body { color: red; }');
+    assert.notEqual(uncached.url('css/app.css'), before);
+    assert.equal(cached.url('css/app.css'), before);
+  });
+});
+
+describe('テンプレート', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+    fs.mkdirSync(path.join(dir, 'layouts'));
+    fs.mkdirSync(path.join(dir, 'pages'));
+    fs.mkdirSync(path.join(dir, 'partials'));
+    fs.writeFileSync(path.join(dir, 'layouts', 'main.ejs'), '<main><%- body %></main>');
+    fs.writeFileSync(path.join(dir, 'pages', 'index.ejs'), '<h1><%= title %></h1><%- include("../partials/item", { name: shout(title) }) %>');
+    fs.writeFileSync(path.join(dir, 'partials', 'item.ejs'), '<p><%= name %></p>');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('値をエスケープして部品と枠を組み立て、helpers を使える', () => {
+    const views = createViews({ root: dir, helpers: { shout: text => `${text}!` } });
+    assert.equal(views.render('pages/index', { title: '<b>' }), '<main><h1>&lt;b&gt;</h1><p>&lt;b&gt;!</p></main>');
+    assert.equal(views.render('partials/item', { name: '部品' }, { layout: null }), '<p>部品</p>');
+  });
+});
+
+describe('画面と静的ファイルの配信', () => {
+  let app;
+  let client;
+
+  before(async () => {
+    app = await startApp();
+    client = await app.client().login();
+    await client.post('/api/memos', { title: 'テンプレート', content: '本文' });
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  test('画面はインラインのスクリプトを使わず、ハッシュ付きのURLでファイルを読み込む', async () => {
+    const page = await client.get('/');
+    assert.equal(page.status, 200);
+    assert.match(page.body, /<link rel="stylesheet" href="\/public\/css\/app\.[0-9a-f]{8}\.css">/);
+    assert.match(page.body, /<script src="\/public\/js\/app\.[0-9a-f]{8}\.js"><\/script>/);
+    assert.doesNotMatch(page.body, /<script>|<script [^>]*>[^<]+<\/script>/);
+    assert.doesNotMatch(page.body, / on[a-z]+="/);
+    assert.doesNotMatch(page.body, /<style|style="/);
+    assert.match(page.headers.get('content-security-policy'), /script-src 'self';/);
+  });
+
+  test('ハッシュ付きのURLは長期間キャッシュさせ、ハッシュのないURLは毎回確かめさせる', async () => {
+    const page = await client.get('/');
+    const [url] = /\/public\/css\/app\.[0-9a-f]{8}\.css/.exec(page.body);
+
+    const hashed = await client.get(url);
+    assert.equal(hashed.status, 200);
+    assert.match(hashed.headers.get('content-type'), /text\/css/);
+    assert.equal(hashed.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+
+    const plain = await client.get('/public/css/app.css');
+    assert.equal(plain.status, 200);
+    assert.equal(plain.headers.get('cache-control'), 'public, max-age=0');
+    assert.equal(plain.body, hashed.body);
+
+    assert.equal((await client.get('/public/css/none.css')).status, 404);
+    assert.equal((await client.get('/public/..%2Fpackage.json')).status, 404);
+  });
+});
@@ -0,0 +1,143 @@
+// メモの添付ファイル（種類の判定・保存・取得・削除・後片付け）
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectType, createAttachmentStore } = require('../lib/attachments');
+const { startApp } = require('./helpers/app');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+const PDF = Buffer.from('%PDF-1.4\n%テスト\n');
+
+describe('ファイルの種類と保存', () => {
+  test('拡張子ではなく先頭のバイト列で種類を判定する', () => {
+    assert.equal(detectType(PNG), 'image/png');
+    assert.equal(detectType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+    assert.equal(detectType(Buffer.from('GIF89a...')), 'image/gif');
+    assert.equal(detectType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'image/webp');
+    assert.equal(detectType(PDF), 'application/pdf');
+    assert.equal(detectType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg">')), null);
+    assert.equal(detectType(Buffer.from('RIFF\0\0\0\0WAVE')), null);
+    assert.equal(detectType(Buffer.alloc(0)), null);
+  });
+
+  test('ファイル名からパスと制御文字を取り除き、使われていないファイルだけを消す', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+    try {
+      const store = createAttachmentStore({ root, logger: silentLogger });
+      const kept = await store.save(1, { name: '..\\..\\evil\u0007.png', type: 'image/png', data: PNG });
+      assert.equal(kept.name, 'evil.png');
+      assert.equal(kept.size, PNG.length);
+      assert.match(kept.id, /^[A-Za-z0-9_-]{16}$/);
+
+      const orphan = await store.save(1, { name: 'orphan.png', type: 'image/png', data: PNG });
+      const fresh = await store.save(2, { name: 'fresh.png', type: 'image/png', data: PNG });
+      // 古いファイルだけが消される
+      const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      fs.utimesSync(path.join(root, '1', orphan.id), old, old);
+
+      assert.equal(await store.sweep([{ id: 1, attachments: [kept] }]), 1);
+      assert.deepEqual(fs.readdirSync(path.join(root, '1')), [kept.id]);
+      assert.ok(fs.existsSync(path.join(root, '2', fresh.id)));
+
+      await store.removeAll(1);
+      assert.equal(await store.open(1, kept.id), null);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('添付ファイルのAPI', () => {
+  let app;
+  let client;
+  let memo;
+
+  before(async () => {
+    app = await startApp({ env: { ATTACHMENT_MAX_SIZE: '1024', ATTACHMENT_MAX_COUNT: '2' } });
+    client = await app.client().login();
+    memo = (await client.post('/api/memos', { title: '添付', content: 'スクリーンショット' })).body;
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  function upload(memoId, files) {
+    const form = new FormData();
+    for (const [name, data, type = 'application/octet-stream'] of files) {
+      form.append('file', new Blob([data], { type }), name);
+    }
+    return client.request('POST', `/api/memos/${memoId}/attachments`, { body: form, json: false });
+  }
+
+  test('ファイルを保存してメモに記録し、データファイルの隣のディレクトリに置く', async () => {
+    const response = await upload(memo.id, [['画面.png', PNG]]);
+    assert.equal(response.status, 201);
+    const [attachment] = response.body.attachments;
+    assert.equal(attachment.type, 'image/png');
+    assert.equal(attachment.name, '画面.png');
+    assert.deepEqual(response.body.memo.attachments.map(a => a.id), [attachment.id]);
+    assert.equal(response.body.memo.version, 2);
+    assert.ok(fs.existsSync(path.join(app.dir, 'data.attachments', String(memo.id), attachment.id)));
+
+    const file = await client.get(`/api/memos/${memo.id}/attachments/${attachment.id}`);
+    assert.equal(file.status, 200);
+    assert.equal(file.headers.get('content-type'), 'image/png');
+    assert.match(file.headers.get('content-disposition'), /^inline; filename\*=UTF-8''%E7%94%BB%E9%9D%A2\.png$/);
+    assert.equal(file.headers.get('cache-control'), 'private, max-age=31536000, immutable');
+
+    const cached = await client.get(`/api/memos/${memo.id}/attachments/${attachment.id}`,
+      { headers: { 'If-None-Match': file.headers.get('etag') } });
+    assert.equal(cached.status, 304);
+
+    const download = await client.get(`/api/memos/${memo.id}/attachments/${attachment.id}?download=true`);
+    assert.match(download.headers.get('content-disposition'), /^attachment;/);
+  });
+
+  test('種類・大きさ・個数の上限を超えるファイルは保存しない', async () => {
+    const before = fs.readdirSync(path.join(app.dir, 'data.attachments', String(memo.id))).length;
+
+    const script = await upload(memo.id, [['偽物.png', '<script>alert(1)</script>', 'image/png']]);
+    assert.equal(script.status, 415);
+    assert.match(script.body.error, /「偽物.png」は添付できない種類のファイルです/);
+
+    const large = await upload(memo.id, [['大きい.pdf', Buffer.concat([PDF, Buffer.alloc(2048)])]]);
+    assert.equal(large.status, 413);
+
+    const tooMany = await upload(memo.id, [['1.pdf', PDF], ['2.pdf', PDF]]);
+    assert.equal(tooMany.status, 400);
+
+    assert.equal((await client.post(`/api/memos/${memo.id}/attachments`, { file: 'x' })).status, 415);
+    assert.equal(fs.readdirSync(path.join(app.dir, 'data.attachments', String(memo.id))).length, before);
+    assert.equal((await client.get(`/api/memos/${memo.id}`)).body.attachments.length, 1);
+  });
+
+  test('他のユーザーのメモの添付ファイルは見えない', async () => {
+    const [attachment] = (await client.get(`/api/memos/${memo.id}`)).body.attachments;
+    const alice = app.client();
+    await alice.csrf();
+    await alice.post('/api/auth/register', { username: 'alice', password: 'alice-password' });
+    assert.equal((await alice.get(`/api/memos/${memo.id}/attachments/${attachment.id}`)).status, 404);
+    assert.equal((await alice.delete(`/api/memos/${memo.id}/attachments/${attachment.id}`)).status, 404);
+  });
+
+  test('添付ファイルを削除するとファイルも消え、メモを完全に削除するとディレクトリごと消える', async () => {
+    const uploaded = (await upload(memo.id, [['資料.pdf', PDF]])).body.attachments[0];
+    const dir = path.join(app.dir, 'data.attachments', String(memo.id));
+
+    const removed = await client.delete(`/api/memos/${memo.id}/attachments/${uploaded.id}`);
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.attachments.length, 1);
+    assert.equal(fs.existsSync(path.join(dir, uploaded.id)), false);
+    assert.equal((await client.get(`/api/memos/${memo.id}/attachments/${uploaded.id}`)).status, 404);
+
+    await client.delete(`/api/memos/${memo.id}`);
+    assert.ok(fs.existsSync(dir));
+    assert.equal((await client.delete(`/api/trash/${memo.id}`)).status, 200);
+    assert.equal(fs.existsSync(dir), false);
+  });
+});
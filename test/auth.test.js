@@ -0,0 +1,111 @@
+// ユーザーアカウントとセッション、既存のメモの管理者への割り当て
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+
+// 所有者のいない（ユーザーアカウントを追加する前の）メモ
+const legacyMemos = Array.from({ length: 5 }, (_, i) => ({
+  id: i + 1,
+  title: `古いメモ${i + 1}`,
+  content: '所有者なし',
+  createdAt: '2025-01-02T12:00:00.000Z',
+  updatedAt: '2025-01-02T12:00:00.000Z'
+}));
+
+let dir;
+let app;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+  fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify(legacyMemos, null, 2));
+  app = await startApp({ dir });
+});
+
+after(async () => {
+  await app.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('所有者のいないメモを1回の保存で管理者に割り当て、元のファイルをバックアップに残す', async () => {
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'data.json'), 'utf8'));
+  const admin = await app.client().login();
+  const me = await admin.get('/api/auth/me');
+  assert.ok(saved.every(m => m.ownerId === me.body.id));
+
+  // 割り当てる前の内容が、最新の過去世代に残っている
+  const backup = JSON.parse(fs.readFileSync(path.join(dir, 'data.json.bak.1'), 'utf8'));
+  assert.deepEqual(backup, legacyMemos);
+  assert.equal(fs.existsSync(path.join(dir, 'data.json.bak.2')), false);
+
+  const list = await admin.get('/api/memos');
+  assert.equal(list.body.total, legacyMemos.length);
+});
+
+test('ログインしていなければメモAPIは401', async () => {
+  const response = await app.client().get('/api/memos/1');
+  assert.equal(response.status, 401);
+});
+
+test('パスワードが違えばログインできない', async () => {
+  const client = app.client();
+  await client.csrf();
+  const response = await client.post('/api/auth/login', { username: 'admin', password: 'wrong-password' });
+  assert.equal(response.status, 401);
+});
+
+test('ユーザーは自分のメモだけを読み書きできる', async () => {
+  const alice = app.client();
+  await alice.csrf();
+  const registered = await alice.post('/api/auth/register', { username: 'alice', password: 'alice-password' });
+  assert.equal(registered.status, 201);
+  assert.equal(registered.body.username, 'alice');
+
+  const list = await alice.get('/api/memos');
+  assert.equal(list.status, 200);
+  assert.equal(list.body.total, 0);
+
+  const created = await alice.post('/api/memos', { title: 'アリスのメモ', content: '秘密' });
+  assert.equal(created.status, 201);
+
+  // 管理者のメモは見えず、変更もできない
+  assert.equal((await alice.get('/api/memos/1')).status, 404);
+  assert.equal((await alice.put('/api/memos/1', { title: '乗っ取り', content: 'x' })).status, 404);
+
+  const admin = await app.client().login();
+  assert.equal((await admin.get(`/api/memos/${created.body.id}`)).status, 404);
+});
+
+test('同じユーザー名では登録できない（大文字・小文字を区別しない）', async () => {
+  const client = app.client();
+  await client.csrf();
+  const response = await client.post('/api/auth/register', { username: 'ALICE', password: 'another-password' });
+  assert.equal(response.status, 409);
+});
+
+test('同じユーザー名で同時に登録しても、作られるのは1人だけ', async () => {
+  // パスワードのハッシュ化を待つ間に、別のリクエストが同じ名前を登録できないこと
+  const names = ['carol', 'Carol', 'CAROL', 'cArOl'];
+  const clients = await Promise.all(names.map(async () => {
+    const client = app.client();
+    await client.csrf();
+    return client;
+  }));
+  const responses = await Promise.all(names.map((username, i) =>
+    clients[i].post('/api/auth/register', { username, password: `${username}-password` })));
+
+  assert.deepEqual(responses.map(r => r.status).sort(), [201, 409, 409, 409]);
+  const winner = names[responses.findIndex(r => r.status === 201)];
+  const login = app.client();
+  await login.csrf();
+  assert.equal((await login.post('/api/auth/login', { username: 'carol', password: `${winner}-password` })).status, 200);
+});
+
+test('ログアウトするとセッションが無効になる', async () => {
+  const client = await app.client().login();
+  assert.equal((await client.get('/api/auth/me')).status, 200);
+  await client.post('/api/auth/logout', {});
+  assert.equal((await client.get('/api/auth/me')).status, 401);
+});
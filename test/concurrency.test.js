@@ -0,0 +1,105 @@
+// 楽観的排他制御（ETag と If-Match、版の競合とマージの案）
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeLines } = require('../lib/diff');
+const { startApp } = require('./helpers/app');
+
+describe('行単位のマージ', () => {
+  test('離れた行への変更は両方取り込む', () => {
+    const result = mergeLines('a\nb\nc\nd\ne', 'A\nb\nc\nd\ne', 'a\nb\nc\nd\nE');
+    assert.deepEqual(result, { text: 'A\nb\nc\nd\nE', conflicts: 0 });
+  });
+
+  test('両方が同じように変えた行は競合にしない', () => {
+    assert.deepEqual(mergeLines('a\nb', 'a\nB', 'a\nB'), { text: 'a\nB', conflicts: 0 });
+  });
+
+  test('同じ行を別々に変えた場合は、両方を目印で囲んで残す', () => {
+    const result = mergeLines('a\nb\nc', 'a\n自分\nc', 'a\n相手\nc');
+    assert.equal(result.conflicts, 1);
+    assert.equal(result.text, [
+      'a',
+      '<<<<<<< あなたの変更',
+      '自分',
+      '=======',
+      '相手',
+      '>>>>>>> 保存済みの内容',
+      'c'
+    ].join('\n'));
+  });
+});
+
+describe('版の確認', () => {
+  let app;
+  let client;
+  let memo;
+
+  before(async () => {
+    app = await startApp();
+    client = await app.client().login();
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  test('メモ1件の取得でETagを返し、更新すると版が変わる', async () => {
+    const created = await client.post('/api/memos', { title: '予定', content: '1行目\n2行目\n3行目' });
+    memo = created.body;
+    assert.equal(created.headers.get('etag'), `"${memo.id}-1"`);
+
+    const found = await client.get(`/api/memos/${memo.id}`);
+    assert.equal(found.headers.get('etag'), `"${memo.id}-1"`);
+
+    const updated = await client.put(`/api/memos/${memo.id}`, { title: '予定', content: '1行目（別のタブ）\n2行目\n3行目' },
+      { headers: { 'If-Match': `"${memo.id}-1"` } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.headers.get('etag'), `"${memo.id}-2"`);
+  });
+
+  test('If-Match が古ければ 412 で、現在の内容とマージの案を返して保存しない', async () => {
+    const response = await client.put(`/api/memos/${memo.id}`, { title: '予定', content: '1行目\n2行目\n3行目（自分）' },
+      { headers: { 'If-Match': `"${memo.id}-1"` } });
+    assert.equal(response.status, 412);
+    assert.equal(response.headers.get('etag'), `"${memo.id}-2"`);
+    assert.equal(response.body.current.content, '1行目（別のタブ）\n2行目\n3行目');
+    assert.deepEqual(response.body.merged, {
+      title: '予定',
+      content: '1行目（別のタブ）\n2行目\n3行目（自分）',
+      tags: [],
+      folder: null,
+      dueAt: null,
+      remindAt: null,
+      conflicts: 0
+    });
+    assert.equal((await client.get(`/api/memos/${memo.id}`)).body.version, 2);
+  });
+
+  test('本文の version が古ければ 409 で、同じ行の競合を数える', async () => {
+    const response = await client.put(`/api/memos/${memo.id}`, { title: '予定', content: '1行目（自分）\n2行目\n3行目', version: 1 });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.current.version, 2);
+    assert.equal(response.body.merged.conflicts, 1);
+    assert.match(response.body.merged.content, /^<<<<<<< あなたの変更\n1行目（自分）\n=======\n1行目（別のタブ）\n>>>>>>> 保存済みの内容\n/);
+  });
+
+  test('If-Match は複数の値や * を受け付ける', async () => {
+    const listed = await client.patch(`/api/memos/${memo.id}`, { title: '予定A' },
+      { headers: { 'If-Match': `"${memo.id}-1", "${memo.id}-2"` } });
+    assert.equal(listed.status, 200);
+    const any = await client.patch(`/api/memos/${memo.id}`, { title: '予定B' }, { headers: { 'If-Match': '*' } });
+    assert.equal(any.status, 200);
+    assert.equal(any.body.version, 4);
+  });
+
+  test('削除でも If-Match を確かめ、古ければゴミ箱に移さない', async () => {
+    const stale = await client.delete(`/api/memos/${memo.id}`, { headers: { 'If-Match': `"${memo.id}-3"` } });
+    assert.equal(stale.status, 412);
+    assert.equal(stale.body.current.version, 4);
+    assert.equal((await client.get(`/api/memos/${memo.id}`)).status, 200);
+
+    const ok = await client.delete(`/api/memos/${memo.id}`, { headers: { 'If-Match': `"${memo.id}-4"` } });
+    assert.equal(ok.status, 200);
+    assert.equal((await client.get(`/api/memos/${memo.id}`)).status, 404);
+  });
+});
@@ -0,0 +1,87 @@
+// メイン画面・メモ一覧の条件付きリクエスト（ETag と 304）と、同じルートでのエラー
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+let app;
+let client;
+
+before(async () => {
+  app = await startApp();
+  client = await app.client().login();
+  await client.post('/api/memos', { title: '買い物', content: '牛乳' });
+});
+
+after(async () => {
+  await app.stop();
+});
+
+test('内容が変わっていなければ 304 を返す', async () => {
+  const first = await client.get('/api/memos');
+  assert.equal(first.status, 200);
+  const etag = first.headers.get('etag');
+  assert.ok(etag);
+
+  const second = await client.get('/api/memos', { headers: { 'If-None-Match': etag } });
+  assert.equal(second.status, 304);
+  assert.equal(second.body, '');
+
+  await client.post('/api/memos', { title: '予定', content: '会議' });
+  const third = await client.get('/api/memos', { headers: { 'If-None-Match': etag } });
+  assert.equal(third.status, 200);
+  assert.notEqual(third.headers.get('etag'), etag);
+});
+
+test('メイン画面も ETag で 304 を返す', async () => {
+  const page = await client.get('/');
+  assert.equal(page.status, 200);
+  const etag = page.headers.get('etag');
+  assert.ok(etag);
+
+  const cached = await client.get('/', { headers: { 'If-None-Match': etag } });
+  assert.equal(cached.status, 304);
+});
+
+test('他のユーザーがメモを変更しても、メイン画面の ETag は変わらない', async () => {
+  const etag = (await client.get('/')).headers.get('etag');
+
+  const bob = app.client();
+  await bob.csrf();
+  assert.equal((await bob.post('/api/auth/register', { username: 'bob', password: 'bob-password' })).status, 201);
+  assert.equal((await bob.post('/api/memos', { title: 'ボブのメモ', content: 'x' })).status, 201);
+
+  assert.equal((await client.get('/', { headers: { 'If-None-Match': etag } })).status, 304);
+
+  await client.post('/api/memos', { title: '自分のメモ', content: 'y' });
+  assert.equal((await client.get('/', { headers: { 'If-None-Match': etag } })).status, 200);
+});
+
+test('未ログインの GET /api/memos は 401 を返し、サーバーは動き続ける', async () => {
+  const response = await app.client().get('/api/memos');
+  assert.equal(response.status, 401);
+  assert.match(response.body.error, /ログイン/);
+  assert.equal(app.exitCode, undefined);
+  assert.equal((await client.get('/healthz')).status, 200);
+});
+
+test('不正なカーソルは 400 を返し、サーバーは動き続ける', async () => {
+  const garbage = await client.get('/api/memos?cursor=garbage');
+  assert.equal(garbage.status, 400);
+
+  const both = await client.get('/api/memos?offset=1&cursor=x');
+  assert.equal(both.status, 400);
+
+  assert.equal(app.exitCode, undefined);
+  assert.equal((await client.get('/api/memos')).status, 200);
+  assert.doesNotMatch(app.output, /Reply was already sent|ERR_HTTP_HEADERS_SENT/);
+});
+
+test('メイン画面のエラーでもサーバーは動き続ける', async () => {
+  const response = await client.get('/?page=0');
+  assert.equal(response.status, 400);
+  assert.equal(app.exitCode, undefined);
+
+  const page = await client.get('/');
+  assert.equal(page.status, 200);
+  assert.ok(page.headers.get('etag'));
+});
@@ -0,0 +1,218 @@
+// ストレージドライバー（json / sqlite）が同じように動くこと
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDriver, createMemoStore } = require('../lib/memo-store');
+const { startApp } = require('./helpers/app');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+const memo = (id, title, extra = {}) => ({
+  id,
+  title,
+  content: `${title}の本文`,
+  createdAt: '2025-01-02T12:00:00.000Z',
+  updatedAt: '2025-01-02T12:00:00.000Z',
+  ...extra
+});
+
+for (const driverName of ['json', 'sqlite']) {
+  describe(`${driverName} ドライバー`, () => {
+    let dir;
+    let store;
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+      store = createMemoStore(createDriver(driverName, {
+        dataFile: path.join(dir, 'data.json'),
+        sqliteFile: path.join(dir, 'data.sqlite'),
+        logger: silentLogger,
+        generations: 1
+      }));
+      await store.init();
+    });
+
+    afterEach(async () => {
+      await store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('作成・取得・更新・削除', async () => {
+      await store.create(memo(1, '買い物', { color: 'red' }));
+      await store.create(memo(2, '会議'));
+
+      assert.deepEqual(await store.get(1), memo(1, '買い物', { color: 'red' }));
+      assert.deepEqual((await store.list()).map(m => m.id), [1, 2]);
+
+      const updated = await store.update(1, (m) => {
+        m.title = '買い物リスト';
+        m.deletedAt = '2025-01-03T00:00:00.000Z';
+      });
+      assert.equal(updated.title, '買い物リスト');
+      assert.equal((await store.get(1)).deletedAt, '2025-01-03T00:00:00.000Z');
+      assert.equal(await store.update(99, () => {}), null);
+
+      assert.equal((await store.delete(2)).title, '会議');
+      assert.equal(await store.get(2), null);
+      assert.equal(await store.delete(2), null);
+    });
+
+    test('トランザクションは例外を投げると何も保存しない', async () => {
+      await store.create(memo(1, '元のタイトル'));
+      await assert.rejects(store.transaction((memos) => {
+        memos.put({ ...memos.get(1), title: '変更' });
+        memos.put(memo(2, '追加'));
+        throw new Error('失敗');
+      }), /失敗/);
+      assert.equal((await store.get(1)).title, '元のタイトル');
+      assert.equal(await store.get(2), null);
+
+      const result = await store.transaction((memos) => {
+        memos.put({ ...memos.get(1), title: '変更' });
+        memos.put(memo(2, '追加'));
+        memos.delete(1);
+        return 'ok';
+      });
+      assert.equal(result, 'ok');
+      assert.deepEqual((await store.list()).map(m => m.title), ['追加']);
+    });
+
+    test('検索インデックスに変更が反映され、ゴミ箱のメモは検索しない', async () => {
+      await store.create(memo(1, '旅行の計画'));
+      await store.create(memo(2, '旅行の持ち物'));
+      assert.equal(store.search('旅行').total, 2);
+
+      await store.update(2, (m) => {
+        m.deletedAt = '2025-01-03T00:00:00.000Z';
+      });
+      assert.deepEqual(store.search('旅行').results.map(r => r.id), [1]);
+
+      await store.update(1, (m) => {
+        m.title = '出張の計画';
+        m.content = '出張';
+      });
+      assert.equal(store.search('旅行').total, 0);
+      assert.equal(store.search('出張').total, 1);
+    });
+
+    test('コレクションに付随データを保存する', async () => {
+      const revisions = store.collection('revisions');
+      await revisions.put({ id: 'a', memoId: 1 });
+      await revisions.put({ id: 'b', memoId: 2 });
+      await revisions.put({ id: 'a', memoId: 1, note: '置き換え' });
+
+      assert.deepEqual(await revisions.get('a'), { id: 'a', memoId: 1, note: '置き換え' });
+      assert.deepEqual((await revisions.list(r => r.memoId === 2)).map(r => r.id), ['b']);
+
+      await revisions.update('b', (r) => {
+        r.memoId = 3;
+      });
+      assert.equal((await revisions.get('b')).memoId, 3);
+
+      assert.equal(await revisions.deleteWhere(r => r.memoId === 1), 1);
+      assert.deepEqual((await revisions.delete('b')).id, 'b');
+      assert.deepEqual(await revisions.list(), []);
+    });
+  });
+}
+
+test('不明なドライバーはわかるメッセージで止める', () => {
+  assert.throws(() => createDriver('mysql', {}), /不明なストレージドライバーです: mysql/);
+});
+
+test('json ドライバーでは、アプリの外でファイルを書き換えると検索インデックスを作り直す', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+  const dataFile = path.join(dir, 'data.json');
+  try {
+    const store = createMemoStore(createDriver('json', { dataFile, logger: silentLogger, generations: 0 }));
+    await store.init();
+    await store.create(memo(1, '古い内容'));
+    assert.equal(await store.refresh(), false);
+
+    fs.writeFileSync(dataFile, JSON.stringify([memo(1, '手で書き換えた内容')]));
+    assert.equal(await store.refresh(), true);
+    assert.equal(store.search('古い').total, 0);
+    assert.equal(store.search('書き換え').total, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('STORAGE_DRIVER=sqlite でもアプリを起動し直してメモが残る', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+  const env = { STORAGE_DRIVER: 'sqlite', SQLITE_FILE: path.join(dir, 'data.sqlite') };
+  let app;
+  try {
+    app = await startApp({ dir, env });
+    let client = await app.client().login();
+    const created = await client.post('/api/memos', { title: 'SQLiteのメモ', content: '保存される' });
+    assert.equal(created.status, 201);
+    await app.stop();
+
+    app = await startApp({ dir, env });
+    client = await app.client().login();
+    const { body } = await client.get('/api/memos');
+    assert.deepEqual(body.memos.map(m => m.title), ['SQLiteのメモ']);
+    assert.equal((await client.get(`/api/memos/search?q=${encodeURIComponent('sqlite')}`)).body.total, 1);
+    assert.equal(fs.existsSync(path.join(dir, 'data.json')), false);
+  } finally {
+    if (app) {
+      await app.stop();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('移行スクリプトで data.json のメモとユーザーなどの付随データを、IDと日時を保ったまま SQLite に移す', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+  const sqliteFile = path.join(dir, 'data.sqlite');
+  const migrate = (...args) => spawnSync(process.execPath,
+    [path.join(__dirname, '..', 'scripts', 'migrate-to-sqlite.js'), ...args], {
+      env: { PATH: process.env.PATH, DATA_FILE: path.join(dir, 'data.json'), SQLITE_FILE: sqliteFile },
+      encoding: 'utf8'
+    });
+  let app;
+  try {
+    app = await startApp({ dir });
+    let client = await app.client().login();
+    const me = (await client.get('/api/auth/me')).body;
+    const created = await client.post('/api/memos', { title: '移行するメモ', content: 'JSONで作成' });
+    await client.put(`/api/memos/${created.body.id}`, { title: '移行するメモ', content: 'JSONで編集' });
+    const { token } = (await client.post('/api/tokens', { name: '移行', scopes: ['memos:read'] })).body;
+    await app.stop();
+
+    const result = migrate();
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /1 件のメモを/);
+    assert.match(result.stdout, /users: 1 件/);
+    // もう一度実行すると、既にあるデータを上書きしないように止める
+    assert.equal(migrate().status, 1);
+    assert.equal(migrate('--force').status, 0);
+
+    const driver = createDriver('sqlite', { sqliteFile, logger: silentLogger });
+    await driver.init();
+    const migrated = await driver.list();
+    await driver.close();
+    assert.deepEqual(migrated.map(m => [m.id, m.title, m.createdAt]),
+      [[created.body.id, '移行するメモ', created.body.createdAt]]);
+
+    // SQLite で起動し直しても、同じ管理者のメモ・履歴・トークンとして使える
+    app = await startApp({ dir, env: { STORAGE_DRIVER: 'sqlite', SQLITE_FILE: sqliteFile } });
+    client = await app.client().login();
+    assert.equal((await client.get('/api/auth/me')).body.id, me.id);
+    const list = await client.get('/api/memos');
+    assert.equal(list.body.total, 1);
+    assert.equal(list.body.memos[0].content, 'JSONで編集');
+    assert.equal((await client.get(`/api/memos/${created.body.id}/revisions`)).body.revisions.length, 2);
+    const withToken = await fetch(`${app.url}/api/memos`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.equal(withToken.status, 200);
+  } finally {
+    if (app) {
+      await app.stop();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
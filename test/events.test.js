@@ -0,0 +1,151 @@
+// メモの変更の通知（Server-Sent Events、Last-Event-ID からの再送）
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEventBus, formatEvent } = require('../lib/events');
+const { startApp } = require('./helpers/app');
+
+describe('イベントの配信', () => {
+  test('同じユーザーの接続にだけ配信する', () => {
+    const bus = createEventBus();
+    const received = [];
+    const unsubscribe = bus.subscribe('u1', event => received.push(event.type));
+    bus.subscribe('u2', () => received.push('他のユーザー'));
+
+    bus.publish('u1', 'memo.created', {});
+    unsubscribe();
+    bus.publish('u1', 'memo.updated', {});
+    assert.deepEqual(received, ['memo.created']);
+    assert.equal(bus.size, 1);
+  });
+
+  test('1つの接続で失敗しても、他の接続に配信を続ける', () => {
+    const bus = createEventBus({ logger: { warn() {} } });
+    const received = [];
+    bus.subscribe('u1', () => {
+      throw new Error('切断済み');
+    });
+    bus.subscribe('u1', event => received.push(event.type));
+    bus.publish('u1', 'memo.created', {});
+    assert.deepEqual(received, ['memo.created']);
+  });
+
+  test('Last-Event-ID より後の、そのユーザー宛てのイベントを返す', () => {
+    const bus = createEventBus();
+    const first = bus.publish('u1', 'memo.created', { id: 1 });
+    bus.publish('u2', 'memo.created', { id: 2 });
+    bus.publish('u1', 'memo.updated', { id: 1 });
+    assert.deepEqual(bus.since('u1', first.id).map(e => e.type), ['memo.updated']);
+    assert.deepEqual(bus.since('u1', bus.lastEventId()), []);
+  });
+
+  test('続きから配信できないIDには null を返す', () => {
+    const bus = createEventBus({ bufferSize: 2 });
+    const first = bus.publish('u1', 'a', {});
+    bus.publish('u1', 'b', {});
+    bus.publish('u1', 'c', {});
+    bus.publish('u1', 'd', {});
+
+    // 残っていない古いID、別の起動のID、まだ発行していないID、不正なID
+    assert.equal(bus.since('u1', first.id), null);
+    assert.equal(bus.since('u1', createEventBus().lastEventId()), null);
+    assert.equal(bus.since('u1', bus.lastEventId().replace(/\d+$/, '99')), null);
+    assert.equal(bus.since('u1', 'abc'), null);
+  });
+
+  test('ユーザーごとの最後のイベントIDは、他のユーザー宛てのイベントでは変わらない', () => {
+    const bus = createEventBus({ bufferSize: 2 });
+    assert.equal(bus.lastEventId('u1'), bus.lastEventId().replace(/\d+$/, '0'));
+    const mine = bus.publish('u1', 'memo.created', {});
+    bus.publish('u2', 'memo.created', {});
+    bus.publish('u2', 'memo.updated', {});
+    assert.equal(bus.lastEventId('u1'), mine.id);
+    assert.notEqual(bus.lastEventId(), mine.id);
+
+    // 他のユーザー宛てのイベントでバッファーがあふれても、続きから配信できる
+    assert.deepEqual(bus.since('u1', mine.id), []);
+    assert.deepEqual(bus.since('u1', bus.lastEventId('u1')), []);
+    bus.publish('u1', 'memo.updated', {});
+    assert.deepEqual(bus.since('u1', mine.id).map(e => e.type), ['memo.updated']);
+  });
+
+  test('内容を関数で渡すと、送るときに一度だけ作る', () => {
+    const bus = createEventBus();
+    let calls = 0;
+    const event = bus.publish('u1', 'memo.created', () => {
+      calls++;
+      return { id: 1 };
+    });
+    assert.equal(calls, 0);
+    const message = formatEvent(event);
+    assert.equal(formatEvent(event), message);
+    assert.equal(calls, 1);
+    assert.equal(message, `id: ${event.id}\nevent: memo.created\ndata: {"id":1}\n\n`);
+  });
+});
+
+describe('変更の通知のAPI', () => {
+  let app;
+  let client;
+
+  before(async () => {
+    app = await startApp();
+    client = await app.client().login();
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  test('作成・更新・削除を別のタブに通知し、画面に差し込むHTMLを付ける', async () => {
+    const events = await client.events();
+    try {
+      assert.equal(events.status, 200);
+      const created = (await client.post('/api/memos', { title: '通知', content: '本文' })).body;
+      const createdEvent = await events.next('memo.created');
+      assert.equal(createdEvent.data.id, created.id);
+      assert.match(createdEvent.data.html, /通知/);
+
+      await client.put(`/api/memos/${created.id}`, { title: '通知（更新）', content: '本文' });
+      assert.equal((await events.next('memo.updated')).data.memo.title, '通知（更新）');
+
+      await client.delete(`/api/memos/${created.id}`);
+      const deleted = await events.next('memo.deleted');
+      assert.equal(deleted.data.id, created.id);
+      assert.ok(deleted.data.memo.deletedAt);
+    } finally {
+      events.close();
+    }
+  });
+
+  test('再接続すると、切断中に発生したイベントを Last-Event-ID の続きから受け取る', async () => {
+    const events = await client.events();
+    const first = (await client.post('/api/memos', { title: '切断前', content: 'x' })).body;
+    const lastEvent = await events.next('memo.created');
+    assert.equal(lastEvent.data.id, first.id);
+    events.close();
+
+    const missed = (await client.post('/api/memos', { title: '切断中', content: 'x' })).body;
+    const resumed = await client.events(`/api/events?lastEventId=${encodeURIComponent(lastEvent.id)}`);
+    try {
+      const event = await resumed.next('memo.created');
+      assert.equal(event.data.id, missed.id);
+    } finally {
+      resumed.close();
+    }
+  });
+
+  test('続きから送れない場合は resync を送る', async () => {
+    const events = await client.events('/api/events?lastEventId=0-1');
+    try {
+      const event = await events.next('resync');
+      assert.deepEqual(event.data, {});
+      assert.ok(event.id);
+    } finally {
+      events.close();
+    }
+  });
+
+  test('ログインしていなければ接続できない', async () => {
+    assert.equal((await app.client().get('/api/events')).status, 401);
+  });
+});
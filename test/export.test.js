@@ -0,0 +1,269 @@
+// エクスポート（JSON・Markdown ZIP・CSV）とインポート（IDが重複したときの扱い）
+// エクスポートしたメモを別の環境に読み込んで、同じ内容（期限・リマインダー・ピン留めなども含む）に戻ること
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { exportMemos } = require('../lib/export');
+const { startApp } = require('./helpers/app');
+
+const memo = (id, title, content, extra = {}) => ({
+  id,
+  title,
+  content,
+  tags: [],
+  folder: null,
+  createdAt: '2025-01-02T03:04:05.000Z',
+  updatedAt: '2025-01-02T03:04:05.000Z',
+  ...extra
+});
+
+// ZIPのローカルファイルヘッダーを順に読み、ファイル名と展開した中身を返す
+function readZip(buffer) {
+  const files = [];
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const start = offset + 30 + nameLength + extraLength;
+    files.push({
+      name: buffer.toString('utf8', offset + 30, offset + 30 + nameLength),
+      data: zlib.inflateRawSync(buffer.subarray(start, start + size)).toString('utf8')
+    });
+    offset = start + size;
+  }
+  return files;
+}
+
+describe('エクスポートの形式', () => {
+  const exportedAt = new Date('2025-03-04T00:00:00.000Z');
+
+  test('Markdownはメモごとに front-matter 付きのファイルにしてZIPにまとめる', () => {
+    const { type, fileName, body } = exportMemos([
+      memo(1, '買い物/リスト', '牛乳', { tags: ['日用品'], pinned: true }),
+      memo(2, '"引用"', '本文')
+    ], 'markdown', exportedAt);
+    assert.equal(type, 'application/zip');
+    assert.equal(fileName, 'memos-20250304.zip');
+
+    const files = readZip(body);
+    assert.deepEqual(files.map(f => f.name), ['1-買い物_リスト.md', '2-_引用_.md']);
+    assert.match(files[0].data, /^---\nid: 1\ntitle: "買い物\/リスト"\ntags: \["日用品"\]\nfolder: null\n/);
+    assert.match(files[0].data, /\n---\n\n牛乳\n$/);
+    assert.match(files[1].data, /\ntitle: "\\"引用\\""\n/);
+  });
+
+  test('CSVはBOM付きでCRLF改行にし、数式として解釈される値を無害にする', () => {
+    const { fileName, body } = exportMemos([
+      memo(1, '=HYPERLINK("http://example.com")', '1行目\n2行目', { tags: ['a', 'b'] }),
+      memo(2, '@SUM(A1)', '-1+1')
+    ], 'csv', exportedAt);
+    assert.equal(fileName, 'memos-20250304.csv');
+    assert.ok(body.startsWith('\uFEFFid,title,content,tags,'));
+
+    const rows = body.slice(1).split('\r\n');
+    assert.ok(rows[1].startsWith('1,"\'=HYPERLINK(""http://example.com"")","1行目\n2行目","a,b",'));
+    assert.ok(rows[2].startsWith("2,'@SUM(A1),'-1+1,,"));
+    assert.equal(rows[rows.length - 1], '');
+  });
+});
+
+describe('エクスポート・インポートのAPI', () => {
+  let app;
+  let client;
+
+  before(async () => {
+    app = await startApp();
+    client = await app.client().login();
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  test('形式ごとにダウンロード用のヘッダーを付け、ゴミ箱のメモは含めない', async () => {
+    await client.post('/api/memos', { title: '残す', content: 'a' });
+    const trashed = await client.post('/api/memos', { title: '捨てる', content: 'b' });
+    await client.delete(`/api/memos/${trashed.body.id}`);
+
+    const json = await client.get('/api/export?format=json');
+    assert.match(json.headers.get('content-disposition'), /attachment; filename="memos-\d{8}\.json"/);
+    assert.deepEqual(json.body.memos.map(m => m.title), ['残す']);
+
+    const csv = await client.get('/api/export?format=csv');
+    assert.match(csv.headers.get('content-type'), /text\/csv; charset=utf-8/);
+    assert.equal((await client.get('/api/export?format=markdown')).headers.get('content-type'), 'application/zip');
+    assert.equal((await client.get('/api/export?format=xml')).status, 400);
+  });
+
+  test('IDが重複したメモは onConflict に従って読み飛ばす・上書きする・別のメモにする', async () => {
+    const existing = (await client.post('/api/memos', { title: '元の内容', content: '元' })).body;
+    const record = { id: existing.id, title: '読み込んだ内容', content: '新' };
+
+    const skipped = await client.post('/api/import', { memos: [record] });
+    assert.deepEqual(skipped.body, { success: true, total: 1, created: 0, overwritten: 0, duplicated: 0, skipped: 1 });
+    assert.equal((await client.get(`/api/memos/${existing.id}`)).body.title, '元の内容');
+
+    const overwritten = await client.post('/api/import?onConflict=overwrite', { memos: [record] });
+    assert.equal(overwritten.body.overwritten, 1);
+    const current = (await client.get(`/api/memos/${existing.id}`)).body;
+    assert.equal(current.title, '読み込んだ内容');
+    assert.equal(current.version, 2);
+
+    const duplicated = await client.post('/api/import?onConflict=duplicate', { memos: [record] });
+    assert.equal(duplicated.body.duplicated, 1);
+    const copies = (await client.get('/api/memos?limit=100')).body.memos.filter(m => m.title === '読み込んだ内容');
+    assert.equal(copies.length, 2);
+  });
+
+  test('取り込んだIDより後に作るメモには、重複しないIDを割り当てる', async () => {
+    const imported = await client.post('/api/import', { memos: [{ id: 500, title: '大きなID', content: 'x' }] });
+    assert.equal(imported.body.created, 1);
+    assert.equal((await client.get('/api/memos/500')).body.title, '大きなID');
+
+    const next = await client.post('/api/memos', { title: '次のメモ', content: 'y' });
+    assert.equal(next.body.id, 501);
+  });
+
+  test('メモの形式が正しくなければ1件も読み込まない', async () => {
+    const before = (await client.get('/api/memos')).body.total;
+    const response = await client.post('/api/import', {
+      memos: [{ title: '正しいメモ', content: 'x' }, { title: '', content: 'x' }]
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await client.get('/api/memos')).body.total, before);
+  });
+});
+
+describe('別の環境への移行', () => {
+  let source;
+  let target;
+
+  before(async () => {
+    source = await startApp();
+    target = await startApp();
+  });
+
+  after(async () => {
+    await source.stop();
+    await target.stop();
+  });
+
+  test('期限・リマインダーがエクスポートとインポートで失われない', async () => {
+    const client = await source.client().login();
+    const created = await client.post('/api/memos', {
+      title: '提出',
+      content: '報告書',
+      dueAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
+      remindAt: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString()
+    });
+    assert.equal(created.status, 201);
+    const { dueAt, remindAt } = created.body;
+    await client.post('/api/memos', { title: '日時なし', content: 'メモ' });
+
+    const exported = await client.get('/api/export?format=json');
+    assert.equal(exported.status, 200);
+    const [withDates, withoutDates] = exported.body.memos;
+    assert.equal(withDates.dueAt, dueAt);
+    assert.equal(withDates.remindAt, remindAt);
+    assert.equal(withDates.remindedAt, null);
+    assert.equal(withoutDates.dueAt, null);
+
+    const importer = await target.client().login();
+    const imported = await importer.post('/api/import', exported.body);
+    assert.equal(imported.status, 200);
+    assert.equal(imported.body.created, 2);
+
+    const memo = await importer.get(`/api/memos/${withDates.id}`);
+    assert.equal(memo.body.dueAt, dueAt);
+    assert.equal(memo.body.remindAt, remindAt);
+    const plain = await importer.get(`/api/memos/${withoutDates.id}`);
+    assert.equal('dueAt' in plain.body, false);
+    assert.equal('remindAt' in plain.body, false);
+  });
+
+  test('通知済みのリマインダーは過ぎた日時のまま読み込み、上書きでも戻る', async () => {
+    const importer = await target.client().login();
+    const record = {
+      id: 100,
+      title: '済んだ予定',
+      content: '会議',
+      dueAt: '2025-01-05T09:00:00.000Z',
+      remindAt: '2025-01-04T09:00:00.000Z',
+      remindedAt: '2025-01-04T09:00:01.000Z'
+    };
+    const imported = await importer.post('/api/import', { memos: [record] });
+    assert.equal(imported.status, 200);
+
+    const memo = await importer.get('/api/memos/100');
+    assert.equal(memo.body.remindAt, record.remindAt);
+    assert.equal(memo.body.remindedAt, record.remindedAt);
+
+    // 期限・リマインダーを外してから、エクスポートしたときの内容で上書きする
+    await importer.patch('/api/memos/100', { dueAt: null, remindAt: null });
+    const overwritten = await importer.post('/api/import?onConflict=overwrite', { memos: [record] });
+    assert.equal(overwritten.body.overwritten, 1);
+    const restored = await importer.get('/api/memos/100');
+    assert.equal(restored.body.dueAt, record.dueAt);
+    assert.equal(restored.body.remindAt, record.remindAt);
+    assert.equal(restored.body.remindedAt, record.remindedAt);
+  });
+
+  test('ピン留め・アーカイブ・色ラベルがエクスポートとインポートで失われない', async () => {
+    const client = await source.client().login();
+    const pinned = await client.post('/api/memos', { title: 'ピン留め', content: '青いメモ' });
+    await client.post(`/api/memos/${pinned.body.id}/pin`, {});
+    await client.post(`/api/memos/${pinned.body.id}/color`, { color: 'blue' });
+    const archived = await client.post('/api/memos', { title: 'アーカイブ', content: '古いメモ' });
+    await client.post(`/api/memos/${archived.body.id}/archive`, {});
+
+    const exported = await client.get('/api/export?format=json');
+    const records = exported.body.memos.filter(m => [pinned.body.id, archived.body.id].includes(m.id));
+    assert.deepEqual(records.map(({ pinned, archived, color }) => ({ pinned, archived, color })), [
+      { pinned: true, archived: false, color: 'blue' },
+      { pinned: false, archived: true, color: null }
+    ]);
+
+    const importer = await target.client().login();
+    const imported = await importer.post('/api/import', { memos: records });
+    assert.equal(imported.body.created, 2);
+    const restoredPinned = await importer.get(`/api/memos/${pinned.body.id}`);
+    assert.equal(restoredPinned.body.pinned, true);
+    assert.equal(restoredPinned.body.color, 'blue');
+    const restoredArchived = await importer.get(`/api/memos/${archived.body.id}`);
+    assert.equal(restoredArchived.body.archived, true);
+    assert.equal('pinned' in restoredArchived.body, false);
+
+    // 上書きすると、エクスポートしたときの状態に戻る
+    await importer.delete(`/api/memos/${pinned.body.id}/pin`);
+    await importer.post(`/api/memos/${pinned.body.id}/archive`, {});
+    await importer.post(`/api/memos/${pinned.body.id}/color`, { color: null });
+    await importer.post('/api/import?onConflict=overwrite', { memos: records });
+    const overwritten = await importer.get(`/api/memos/${pinned.body.id}`);
+    assert.equal(overwritten.body.pinned, true);
+    assert.equal('archived' in overwritten.body, false);
+    assert.equal(overwritten.body.color, 'blue');
+  });
+
+  test('アーカイブとピン留めの両方が true ならピン留めを外して読み込む', async () => {
+    const importer = await target.client().login();
+    await importer.post('/api/import', {
+      memos: [{ id: 300, title: '両方', content: 'x', pinned: true, archived: true }]
+    });
+    const memo = await importer.get('/api/memos/300');
+    assert.equal(memo.body.archived, true);
+    assert.equal('pinned' in memo.body, false);
+  });
+
+  test('日時を読み取れないメモがあれば1件も読み込まない', async () => {
+    const importer = await target.client().login();
+    const response = await importer.post('/api/import', {
+      memos: [
+        { id: 200, title: '正しいメモ', content: 'ok' },
+        { id: 201, title: '不正な期限', content: 'ng', dueAt: 'そのうち' }
+      ]
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await importer.get('/api/memos/200')).status, 404);
+  });
+});
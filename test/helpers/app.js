@@ -0,0 +1,292 @@
+// ============================================
+// テスト用: アプリを別のプロセスで起動する
+// ============================================
+// 一時ディレクトリのデータファイルと空いているポートで index.js を起動し、
+// 実際のHTTPリクエストで確かめます（プロセスが落ちた場合も exitCode でわかる）。
+// Cookie（セッション・CSRFトークン）はクライアントごとに保存して送り直します。
+// 変更の通知（Server-Sent Events）と、Webhook を受け取るサーバーもここで用意します。
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const ADMIN_PASSWORD = 'password123';
+
+// 起動を待つ時間（ミリ秒）
+const START_TIMEOUT = 15000;
+
+// イベント・Webhook が届くのを待つ時間（ミリ秒）
+const WAIT_TIMEOUT = 5000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// アプリを起動する
+// env: 追加の環境変数、dir: データを置くディレクトリ（省略時は新しい一時ディレクトリを作り、stop で削除する）
+async function startApp({ env = {}, dir } = {}) {
+  const dataDir = dir || fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, 'index.js')], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      DATA_FILE: path.join(dataDir, 'data.json'),
+      PORT: String(port),
+      HOST: '127.0.0.1',
+      ADMIN_PASSWORD,
+      LOG_LEVEL: 'warn',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const app = {
+    dir: dataDir,
+    url: `http://127.0.0.1:${port}`,
+    output: '',
+    exitCode: undefined,
+    // 終了するまで待つ（終了済みならすぐ返る）
+    exited: null,
+    // 終了させる（一時ディレクトリを作った場合は削除する）
+    async stop() {
+      if (app.exitCode === undefined) {
+        child.kill('SIGTERM');
+        await app.exited;
+      }
+      if (!dir) {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    },
+    client() {
+      return createClient(app);
+    }
+  };
+  child.stdout.on('data', (chunk) => { app.output += chunk; });
+  child.stderr.on('data', (chunk) => { app.output += chunk; });
+  app.exited = new Promise((resolve) => {
+    child.on('exit', (code) => {
+      app.exitCode = code;
+      resolve(code);
+    });
+  });
+
+  const deadline = Date.now() + START_TIMEOUT;
+  while (Date.now() < deadline) {
+    if (app.exitCode !== undefined) {
+      await app.stop();
+      throw new Error(`アプリが起動できませんでした（終了コード ${app.exitCode}）\n${app.output}`);
+    }
+    try {
+      const response = await fetch(`${app.url}/readyz`);
+      if (response.ok) {
+        return app;
+      }
+    } catch (error) {
+      // まだ接続できない
+    }
+    await sleep(100);
+  }
+  await app.stop();
+  throw new Error(`アプリが${START_TIMEOUT}ミリ秒以内に起動しませんでした\n${app.output}`);
+}
+
+// Cookie を覚えておくHTTPクライアント
+function createClient(app) {
+  const cookies = new Map();
+  let csrfToken = null;
+
+  const cookieHeader = () => [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+
+  async function request(method, url, { body, headers = {}, json = true } = {}) {
+    const init = {
+      method,
+      headers: {
+        ...(cookies.size > 0 && { Cookie: cookieHeader() }),
+        ...(csrfToken && { 'X-CSRF-Token': csrfToken }),
+        ...headers
+      },
+      redirect: 'manual'
+    };
+    if (body !== undefined) {
+      init.body = json ? JSON.stringify(body) : body;
+      if (json) {
+        init.headers['Content-Type'] = init.headers['Content-Type'] || 'application/json';
+      }
+    }
+    const response = await fetch(app.url + url, init);
+    for (const cookie of response.headers.getSetCookie()) {
+      const [pair] = cookie.split(';');
+      const index = pair.indexOf('=');
+      cookies.set(pair.slice(0, index), pair.slice(index + 1));
+    }
+    const text = await response.text();
+    let data = text;
+    if ((response.headers.get('content-type') || '').includes('json') && text) {
+      data = JSON.parse(text);
+    }
+    return { status: response.status, headers: response.headers, body: data };
+  }
+
+  const client = {
+    cookies,
+    request,
+    get: (url, options) => request('GET', url, options),
+    post: (url, body, options) => request('POST', url, { ...options, body }),
+    put: (url, body, options) => request('PUT', url, { ...options, body }),
+    patch: (url, body, options) => request('PATCH', url, { ...options, body }),
+    delete: (url, options) => request('DELETE', url, options),
+    // CSRFトークンを取得して、変更を伴うリクエストに付ける
+    async csrf() {
+      const response = await request('GET', '/api/auth/csrf');
+      csrfToken = response.body.csrfToken;
+      return csrfToken;
+    },
+    async login(username = 'admin', password = ADMIN_PASSWORD) {
+      await client.csrf();
+      const response = await request('POST', '/api/auth/login', { body: { username, password } });
+      if (response.status !== 200) {
+        throw new Error(`ログインできませんでした: ${response.status} ${JSON.stringify(response.body)}`);
+      }
+      return client;
+    },
+    // 変更の通知（Server-Sent Events）に接続する
+    async events(url = '/api/events') {
+      const controller = new AbortController();
+      const response = await fetch(app.url + url, {
+        headers: { Cookie: cookieHeader() },
+        signal: controller.signal
+      });
+      return createEventReader(response, controller);
+    }
+  };
+  return client;
+}
+
+// Server-Sent Events を1件ずつ読む
+// next(type): その種類のイベントが届くまで待ち、{ id, type, data } を返す（それまでのイベントは読み飛ばす）
+function createEventReader(response, controller) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  async function readEvent() {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = { id: null, type: 'message', data: null };
+        for (const line of block.split('\n')) {
+          const index = line.indexOf(': ');
+          const [field, value] = index === -1 ? [line, ''] : [line.slice(0, index), line.slice(index + 2)];
+          if (field === 'id') {
+            event.id = value;
+          } else if (field === 'event') {
+            event.type = value;
+          } else if (field === 'data') {
+            event.data = JSON.parse(value);
+          }
+        }
+        if (event.data !== null) {
+          return event;
+        }
+        continue;
+      }
+      const { value, done } = await reader.read();
+      if (done) {
+        throw new Error('イベントの接続が閉じられました');
+      }
+      buffer += decoder.decode(value, { stream: true });
+    }
+  }
+
+  return {
+    status: response.status,
+    async next(type, timeout = WAIT_TIMEOUT) {
+      const timer = setTimeout(() => controller.abort(), timeout);
+      try {
+        for (;;) {
+          const event = await readEvent();
+          if (event.type === type) {
+            return event;
+          }
+        }
+      } catch (error) {
+        throw new Error(`イベント ${type} が届きませんでした（${error.message}）`);
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    close() {
+      controller.abort();
+    }
+  };
+}
+
+// Webhook を受け取るHTTPサーバー
+// status: 返すステータスコード（関数なら受け取った回数ごとに決める）
+// next(): 次のリクエストが届くまで待ち、{ headers, body }（body は文字列のまま）を返す
+async function startReceiver({ status = 200 } = {}) {
+  const received = [];
+  const waiting = [];
+  let count = 0;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = typeof status === 'function' ? status(++count) : status;
+      res.end();
+      while (waiting.length > 0 && received.length > 0) {
+        waiting.shift()(received.shift());
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    next(timeout = WAIT_TIMEOUT) {
+      if (received.length > 0) {
+        return Promise.resolve(received.shift());
+      }
+      return new Promise((resolve, reject) => {
+        const deliver = (request) => {
+          clearTimeout(timer);
+          resolve(request);
+        };
+        const timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(deliver), 1);
+          reject(new Error('Webhook が届きませんでした'));
+        }, timeout);
+        waiting.push(deliver);
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  ADMIN_PASSWORD,
+  startApp,
+  startReceiver,
+  sleep
+};
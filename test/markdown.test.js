@@ -0,0 +1,91 @@
+// メモ本文のMarkdown表示（安全なHTML・チェックリストの切り替え・プレビュー）
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown, listTasks, setTaskChecked } = require('../lib/markdown');
+const { startApp } = require('./helpers/app');
+
+describe('HTMLへの変換', () => {
+  test('見出し・表・コードブロックを変換する', () => {
+    const html = renderMarkdown('# 見出し\n\n| 左 | 右 |\n|:--|--:|\n| a | b |\n\n```js\nconst a = 1 < 2;\n```');
+    assert.match(html, /<h1>見出し<\/h1>/);
+    assert.match(html, /<th class="align-left">左<\/th>/);
+    assert.match(html, /<td class="align-right">b<\/td>/);
+    assert.match(html, /<code class="language-js">const a = 1 &lt; 2;\n<\/code>/);
+    assert.doesNotMatch(html, /style=/);
+  });
+
+  test('本文中のHTMLや危険なリンクは実行できない形にする', () => {
+    const html = renderMarkdown('<script>alert(1)</script>\n\n<img src=x onerror=alert(1)>\n\n[リンク](javascript:alert(1)) ![画像](data:image/png;base64,AAAA)');
+    assert.doesNotMatch(html, /<script|<img src=x|onerror="|href="javascript:|src="data:/);
+    assert.match(html, /&lt;script&gt;/);
+  });
+
+  test('外部リンクは新しいタブで開き、参照元を渡さない', () => {
+    const html = renderMarkdown('https://example.com');
+    assert.match(html, /<a href="https:\/\/example.com" target="_blank" rel="noopener noreferrer nofollow">/);
+  });
+
+  test('チェックリストはチェックボックスにし、画面以外では押せないようにする', () => {
+    const content = '- [ ] 牛乳\n- [x] パン';
+    assert.match(renderMarkdown(content), /<input type="checkbox" class="task-checkbox" data-task-index="0" disabled \/?>/);
+    const interactive = renderMarkdown(content, { interactive: true });
+    assert.match(interactive, /data-task-index="1" checked(="")? ?\/?>/);
+    assert.doesNotMatch(interactive, /disabled/);
+  });
+});
+
+describe('チェックリストの切り替え', () => {
+  const content = '買うもの\n\n- [ ] 牛乳\n  - [ ] 低脂肪\n> - [x] 引用の中\n\n```\n- [ ] コードの中\n```\n1. [ ] 番号付き';
+
+  test('表示と同じ順番で項目を数え、コードブロックの中は数えない', () => {
+    assert.deepEqual(listTasks(content).map(t => t.checked), [false, false, true, false]);
+  });
+
+  test('指定した項目の行だけを書き換える', () => {
+    const toggled = setTaskChecked(content, 1, true);
+    assert.equal(toggled, content.replace('  - [ ] 低脂肪', '  - [x] 低脂肪'));
+    assert.equal(setTaskChecked(content, 2, false), content.replace('> - [x]', '> - [ ]'));
+    assert.equal(setTaskChecked(content, 3, true), content.replace('1. [ ]', '1. [x]'));
+    assert.equal(setTaskChecked(content, 4, true), null);
+  });
+});
+
+describe('MarkdownのAPI', () => {
+  let app;
+  let client;
+
+  before(async () => {
+    app = await startApp();
+    client = await app.client().login();
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  test('チェックリストの項目をAPIで切り替えると、版が上がる', async () => {
+    const created = await client.post('/api/memos', { title: '買い物', content: '- [ ] 牛乳\n- [ ] パン' });
+    const id = created.body.id;
+
+    const toggled = await client.post(`/api/memos/${id}/tasks/1`, { checked: true });
+    assert.equal(toggled.status, 200);
+    assert.equal(toggled.body.content, '- [ ] 牛乳\n- [x] パン');
+    assert.equal(toggled.body.version, created.body.version + 1);
+
+    assert.equal((await client.post(`/api/memos/${id}/tasks/5`, { checked: true })).status, 404);
+  });
+
+  test('一覧の画面では本文をMarkdownとして表示する', async () => {
+    await client.post('/api/memos', { title: '表示', content: '**太字** <b>タグ</b>' });
+    const page = await client.get('/');
+    assert.match(page.body, /<strong>太字<\/strong> &lt;b&gt;タグ&lt;\/b&gt;/);
+  });
+
+  test('プレビューは保存せずにHTMLを返す', async () => {
+    const before = (await client.get('/api/memos')).body.total;
+    const preview = await client.post('/api/markdown/preview', { content: '## 小見出し' });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.html.trim(), '<h2>小見出し</h2>');
+    assert.equal((await client.get('/api/memos')).body.total, before);
+  });
+});
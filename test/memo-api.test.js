@@ -0,0 +1,115 @@
+// メモ1件の取得、部分更新（JSON Merge Patch）、一括変更
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+let app;
+let client;
+
+before(async () => {
+  app = await startApp();
+  client = await app.client().login();
+});
+
+after(async () => {
+  await app.stop();
+});
+
+test('メモ1件を取得し、ないメモや他のユーザーのメモは 404', async () => {
+  const created = (await client.post('/api/memos', { title: '取得', content: '本文' })).body;
+  const found = await client.get(`/api/memos/${created.id}`);
+  assert.equal(found.status, 200);
+  assert.equal(found.body.title, '取得');
+
+  assert.equal((await client.get('/api/memos/9999')).status, 404);
+  assert.equal((await client.get('/api/memos/abc')).status, 400);
+
+  const alice = app.client();
+  await alice.csrf();
+  await alice.post('/api/auth/register', { username: 'alice', password: 'alice-password' });
+  assert.equal((await alice.get(`/api/memos/${created.id}`)).status, 404);
+  assert.equal((await alice.patch(`/api/memos/${created.id}`, { title: '乗っ取り' })).status, 404);
+});
+
+test('PATCH は指定した項目だけを変え、null でタグ・フォルダを外す', async () => {
+  const created = (await client.post('/api/memos', {
+    title: '部分更新', content: '本文はそのまま', tags: ['a'], folder: '仕事'
+  })).body;
+
+  const renamed = await client.patch(`/api/memos/${created.id}`, { title: '  新しいタイトル  ' },
+    { headers: { 'Content-Type': 'application/merge-patch+json' } });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.title, '新しいタイトル');
+  assert.equal(renamed.body.content, '本文はそのまま');
+  assert.deepEqual(renamed.body.tags, ['a']);
+  assert.equal(renamed.body.version, 2);
+
+  const cleared = await client.patch(`/api/memos/${created.id}`, { tags: null, folder: null });
+  assert.deepEqual(cleared.body.tags, []);
+  assert.equal(cleared.body.folder, null);
+  assert.equal(cleared.body.title, '新しいタイトル');
+});
+
+test('PATCH で空の変更やタイトル・本文を消す変更は 400', async () => {
+  const created = (await client.post('/api/memos', { title: '消せない', content: '本文' })).body;
+  assert.equal((await client.patch(`/api/memos/${created.id}`, {})).status, 400);
+  assert.equal((await client.patch(`/api/memos/${created.id}`, { title: null })).status, 400);
+  assert.equal((await client.patch(`/api/memos/${created.id}`, { content: '' })).status, 400);
+});
+
+test('一括変更は作成・更新・削除をまとめて保存する', async () => {
+  const target = (await client.post('/api/memos', { title: '更新する', content: 'x' })).body;
+  const removed = (await client.post('/api/memos', { title: '削除する', content: 'x' })).body;
+
+  const response = await client.post('/api/memos/batch', {
+    operations: [
+      { op: 'create', memo: { title: '一括で作成', content: 'x', tags: ['一括'] } },
+      { op: 'update', id: target.id, version: 1, memo: { content: '一括で更新' } },
+      { op: 'delete', id: removed.id }
+    ]
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.results.map(r => r.op), ['create', 'update', 'delete']);
+  assert.equal(response.body.results[1].memo.version, 2);
+
+  const createdId = response.body.results[0].memo.id;
+  assert.deepEqual((await client.get(`/api/memos/${createdId}`)).body.tags, ['一括']);
+  assert.equal((await client.get(`/api/memos/${target.id}`)).body.content, '一括で更新');
+  assert.equal((await client.get(`/api/memos/${removed.id}`)).status, 404);
+  assert.ok((await client.get('/api/trash')).body.some(m => m.id === removed.id));
+});
+
+test('一括変更のどれかが失敗すると、何も保存しない', async () => {
+  const target = (await client.post('/api/memos', { title: '変えない', content: 'x' })).body;
+  const before = (await client.get('/api/memos')).body.total;
+
+  const missing = await client.post('/api/memos/batch', {
+    operations: [
+      { op: 'create', memo: { title: '作られない', content: 'x' } },
+      { op: 'update', id: target.id, memo: { title: '変わらない' } },
+      { op: 'delete', id: 9999 }
+    ]
+  });
+  assert.equal(missing.status, 404);
+  assert.match(missing.body.error, /^3件目の操作（delete）: メモが見つかりません/);
+
+  const conflict = await client.post('/api/memos/batch', {
+    operations: [
+      { op: 'update', id: target.id, memo: { title: '変わらない' } },
+      { op: 'update', id: target.id, version: 1, memo: { content: '古い版から' } }
+    ]
+  });
+  assert.equal(conflict.status, 409);
+
+  assert.equal((await client.get('/api/memos')).body.total, before);
+  const current = (await client.get(`/api/memos/${target.id}`)).body;
+  assert.equal(current.title, '変えない');
+  assert.equal(current.version, 1);
+});
+
+test('一括変更の操作の形式が正しくなければ 400', async () => {
+  assert.equal((await client.post('/api/memos/batch', { operations: [] })).status, 400);
+  assert.equal((await client.post('/api/memos/batch', { operations: [{ op: 'update', memo: { title: 'x' } }] })).status, 400);
+  assert.equal((await client.post('/api/memos/batch', { operations: [{ op: 'create', memo: { title: 'x' } }] })).status, 400);
+  assert.equal((await client.post('/api/memos/batch', { operations: [{ op: 'move', id: 1 }] })).status, 400);
+});
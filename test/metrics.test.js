@@ -0,0 +1,116 @@
+// ヘルスチェック（/healthz・/readyz）とPrometheus形式のメトリクス（/metrics）
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { createMetrics } = require('../lib/metrics');
+const { startApp } = require('./helpers/app');
+
+// メトリクスのテキストから、名前とラベルが一致する行の値を取り出す
+function sample(text, name) {
+  const line = text.split('\n').find(l => l.startsWith(`${name} `));
+  return line === undefined ? undefined : Number(line.slice(name.length + 1));
+}
+
+describe('メトリクスのテキスト', () => {
+  test('カウンター・ゲージ・ヒストグラムを Prometheus の形式で書き出す', async () => {
+    const metrics = createMetrics({ prefix: 'test_' });
+    const requests = metrics.counter('requests_total', 'リクエスト数');
+    requests.inc({ route: '/a', method: 'GET' });
+    requests.inc({ method: 'GET', route: '/a' }, 2);
+    requests.inc({ route: 'say "hi"\n' });
+    metrics.gauge('items', '件数', async () => [{ labels: { state: 'active' }, value: 3 }]);
+    const duration = metrics.histogram('duration_seconds', '時間', [0.1, 1]);
+    duration.observe({}, 0.05);
+    duration.observe({}, 0.5);
+    duration.observe({}, 5);
+
+    const text = await metrics.render();
+    assert.equal(text, [
+      '# HELP test_requests_total リクエスト数',
+      '# TYPE test_requests_total counter',
+      'test_requests_total{method="GET",route="/a"} 3',
+      'test_requests_total{route="say \\"hi\\"\\n"} 1',
+      '# HELP test_items 件数',
+      '# TYPE test_items gauge',
+      'test_items{state="active"} 3',
+      '# HELP test_duration_seconds 時間',
+      '# TYPE test_duration_seconds histogram',
+      'test_duration_seconds_bucket{le="0.1"} 1',
+      'test_duration_seconds_bucket{le="1"} 2',
+      'test_duration_seconds_bucket{le="+Inf"} 3',
+      'test_duration_seconds_sum 5.55',
+      'test_duration_seconds_count 3',
+      ''
+    ].join('\n'));
+  });
+
+  test('time は処理が失敗しても時間を記録する', async () => {
+    const metrics = createMetrics();
+    const duration = metrics.histogram('work_seconds', '処理時間');
+    await assert.rejects(duration.time({ job: 'x' }, async () => {
+      throw new Error('失敗');
+    }), /失敗/);
+    assert.equal(sample(await metrics.render(), 'work_seconds_count{job="x"}'), 1);
+  });
+});
+
+describe('ヘルスチェックとメトリクスのルート', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({ env: { RATE_LIMIT_MAX: '5' } });
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  test('/healthz と /readyz は、ログインしていなくても何度でも呼べる', async () => {
+    const client = app.client();
+    for (let i = 0; i < 6; i++) {
+      assert.deepEqual((await client.get('/healthz')).body, { status: 'ok' });
+      assert.deepEqual((await client.get('/readyz')).body, { status: 'ok' });
+    }
+  });
+
+  test('メモ数・キャッシュ・保存・ルートごとの時間を数える', async () => {
+    const client = await app.client().login();
+    const created = await client.post('/api/memos', { title: 'メトリクス', content: 'x' });
+    await client.post('/api/memos', { title: '捨てる', content: 'x' }).then(r => client.delete(`/api/memos/${r.body.id}`));
+    await client.get(`/api/memos/${created.body.id}`);
+    await client.get('/api/memos');
+    await client.get('/api/memos');
+
+    const response = await app.client().get('/metrics');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+
+    const text = response.body;
+    assert.equal(sample(text, 'memo_app_memos{state="active"}'), 1);
+    assert.equal(sample(text, 'memo_app_memos{state="trashed"}'), 1);
+    assert.ok(sample(text, 'memo_app_cache_requests_total{result="hit"}') >= 1);
+    assert.ok(sample(text, 'memo_app_save_duration_seconds_count') >= 3);
+    assert.equal(sample(text, 'memo_app_save_failures_total{reason="error"}'), 0);
+    assert.equal(sample(text, 'memo_app_http_request_duration_seconds_count{method="GET",route="/api/memos/:id",status_code="200"}'), 1);
+    assert.equal(sample(text, 'memo_app_http_request_duration_seconds_count{method="GET",route="/api/memos",status_code="200"}'), 2);
+  });
+});
+
+test('METRICS_PORT を指定すると、メトリクスはそのポートだけで返す', async () => {
+  const port = await new Promise((resolve) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port: free } = server.address();
+      server.close(() => resolve(free));
+    });
+  });
+  const app = await startApp({ env: { METRICS_PORT: String(port) } });
+  try {
+    assert.equal((await app.client().get('/metrics')).status, 404);
+    const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /# TYPE memo_app_memos gauge/);
+  } finally {
+    await app.stop();
+  }
+});
@@ -0,0 +1,69 @@
+// 日本語の日時の入力（lib/natural-date.js）
+// 日時はサーバーのタイムゾーンで解釈するので、期待値もローカル時刻で作る
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDateInput } = require('../lib/natural-date');
+
+// 2025年10月20日（月）14時10分
+const now = new Date(2025, 9, 20, 14, 10, 30);
+
+test('日付の言葉と時刻', () => {
+  assert.deepEqual(parseDateInput('明日15時', now), new Date(2025, 9, 21, 15, 0));
+  assert.deepEqual(parseDateInput('明後日 午後3時半', now), new Date(2025, 9, 22, 15, 30));
+  assert.deepEqual(parseDateInput('3日後', now), new Date(2025, 9, 23, 9, 0));
+  assert.deepEqual(parseDateInput('来週月曜10時', now), new Date(2025, 9, 27, 10, 0));
+  assert.deepEqual(parseDateInput('金曜 夜8時', now), new Date(2025, 9, 24, 20, 0));
+  assert.deepEqual(parseDateInput('10/25 9:00', now), new Date(2025, 9, 25, 9, 0));
+});
+
+test('全角の数字も読み取る', () => {
+  assert.deepEqual(parseDateInput('１０月２５日　１５時', now), new Date(2025, 9, 25, 15, 0));
+});
+
+test('今からの時間は分単位に切り捨てる', () => {
+  assert.deepEqual(parseDateInput('30分後', now), new Date(2025, 9, 20, 14, 40));
+  assert.deepEqual(parseDateInput('1時間30分後', now), new Date(2025, 9, 20, 15, 40));
+});
+
+test('過ぎた日時は次の日・来週・来年にする', () => {
+  // 日付を省略して時刻が過ぎていれば明日
+  assert.deepEqual(parseDateInput('9時', now), new Date(2025, 9, 21, 9, 0));
+  assert.deepEqual(parseDateInput('15時', now), new Date(2025, 9, 20, 15, 0));
+  // 今日と同じ曜日で時刻が過ぎていれば来週
+  assert.deepEqual(parseDateInput('月曜9時', now), new Date(2025, 9, 27, 9, 0));
+  // 年を省略した日付が過ぎていれば来年
+  assert.deepEqual(parseDateInput('1月5日', now), new Date(2026, 0, 5, 9, 0));
+});
+
+test('「N日」が今月では過ぎていれば来月', () => {
+  assert.deepEqual(parseDateInput('25日', now), new Date(2025, 9, 25, 9, 0));
+  assert.deepEqual(parseDateInput('5日', now), new Date(2025, 10, 5, 9, 0));
+});
+
+test('12月に過ぎた「N日」を指定すると翌年の1月', () => {
+  const december = new Date(2025, 11, 20, 14, 0);
+  assert.deepEqual(parseDateInput('5日', december), new Date(2026, 0, 5, 9, 0));
+  assert.deepEqual(parseDateInput('10日 15時', december), new Date(2026, 0, 10, 15, 0));
+});
+
+test('その月にその日がなければ、その日がある次の月', () => {
+  // 1月31日に「30日」→ 今月は過ぎていて2月30日はないので、3月30日
+  const january = new Date(2026, 0, 31, 12, 0);
+  assert.deepEqual(parseDateInput('30日', january), new Date(2026, 2, 30, 9, 0));
+  // 4月に「31日」→ 4月31日はないので、5月31日
+  const april = new Date(2026, 3, 10, 12, 0);
+  assert.deepEqual(parseDateInput('31日', april), new Date(2026, 4, 31, 9, 0));
+  assert.deepEqual(parseDateInput('31日 18時', april), new Date(2026, 4, 31, 18, 0));
+  assert.equal(parseDateInput('32日', april), null);
+});
+
+test('ISO 8601 はそのまま読み取る', () => {
+  assert.deepEqual(parseDateInput('2026-10-25T15:00:00.000Z', now), new Date('2026-10-25T15:00:00.000Z'));
+});
+
+test('読み取れない入力と実在しない日付は null', () => {
+  assert.equal(parseDateInput('そのうち', now), null);
+  assert.equal(parseDateInput('', now), null);
+  assert.equal(parseDateInput('2月30日', now), null);
+  assert.equal(parseDateInput('明日25時', now), null);
+});
@@ -0,0 +1,106 @@
+// ルートの定義から作るOpenAPIドキュメントと、APIドキュメントの画面
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApiDocument } = require('../lib/openapi');
+const { startApp } = require('./helpers/app');
+
+describe('ドキュメントの作成', () => {
+  test('ルートのスキーマをパス・パラメータ・本文・レスポンスにする', () => {
+    const api = createApiDocument({ info: { title: 'テスト', version: '1.0.0' } });
+    api.addRoute({
+      method: ['GET', 'HEAD'],
+      url: '/api/memos/:id',
+      schema: {
+        tags: ['メモ'],
+        summary: 'メモの取得',
+        params: { type: 'object', properties: { id: { type: 'string', description: 'メモのID' } } },
+        querystring: { type: 'object', required: ['q'], properties: { q: { type: 'string' }, limit: { type: 'integer' } } },
+        response: { 200: { description: 'メモ', type: 'object' }, '4xx': { type: 'object' } }
+      }
+    });
+    api.addRoute({
+      method: 'PATCH',
+      url: '/api/memos/:id',
+      schema: { consumes: ['application/merge-patch+json'], body: { type: 'object' } }
+    });
+    api.addRoute({ method: 'GET', url: '/hidden', schema: { hide: true } });
+    api.addRoute({ method: 'GET', url: '/no-schema' });
+
+    const document = api.build();
+    assert.equal(document.openapi, '3.1.0');
+    assert.deepEqual(Object.keys(document.paths), ['/api/memos/{id}']);
+    assert.deepEqual(Object.keys(document.paths['/api/memos/{id}']), ['get', 'patch']);
+
+    const get = document.paths['/api/memos/{id}'].get;
+    assert.equal(get.summary, 'メモの取得');
+    assert.deepEqual(get.parameters, [
+      { name: 'id', in: 'path', required: true, description: 'メモのID', schema: { type: 'string' } },
+      { name: 'q', in: 'query', required: true, schema: { type: 'string' } },
+      { name: 'limit', in: 'query', required: false, schema: { type: 'integer' } }
+    ]);
+    assert.deepEqual(get.responses['200'], {
+      description: 'メモ',
+      content: { 'application/json': { schema: { type: 'object' } } }
+    });
+    assert.ok(get.responses['4XX'].description);
+
+    const patch = document.paths['/api/memos/{id}'].patch;
+    assert.deepEqual(Object.keys(patch.requestBody.content), ['application/merge-patch+json']);
+    assert.deepEqual(patch.responses, { default: { description: '成功' } });
+  });
+});
+
+describe('APIドキュメントのルート', () => {
+  let app;
+  let document;
+
+  before(async () => {
+    app = await startApp();
+    const response = await app.client().get('/api/openapi.json');
+    assert.equal(response.status, 200);
+    document = response.body;
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  test('すべてのAPIのルートを、日本語の説明付きで載せる', () => {
+    for (const path of ['/api/memos', '/api/memos/{id}', '/api/memos/batch', '/api/tags', '/api/trash', '/api/export']) {
+      assert.ok(document.paths[path], path);
+    }
+    assert.deepEqual(Object.keys(document.paths['/api/memos/{id}']).sort(), ['delete', 'get', 'patch', 'put']);
+    for (const [path, operations] of Object.entries(document.paths)) {
+      for (const [method, operation] of Object.entries(operations)) {
+        assert.ok(operation.summary, `${method} ${path}`);
+      }
+    }
+    // 監視用やドキュメント自体のルートは載せない
+    assert.equal(document.paths['/api/openapi.json'], undefined);
+    assert.equal(document.paths['/healthz'], undefined);
+  });
+
+  test('認証方式・必要なスコープ・エラーの形式を載せる', () => {
+    const update = document.paths['/api/memos/{id}'].put;
+    assert.deepEqual(update.security, [{ session: [] }, { apiToken: [] }]);
+    assert.match(update.description, /memos:write/);
+    assert.deepEqual(update.responses['4XX'].content['application/json'].schema.required, ['error']);
+    assert.ok(update.responses['4XX'].content['application/json'].schema.properties.current);
+
+    const login = document.paths['/api/auth/login'].post;
+    assert.deepEqual(login.security, []);
+    assert.ok(document.components.securitySchemes.apiToken);
+  });
+
+  test('ドキュメントの画面は Swagger UI のファイルを読み込む', async () => {
+    const client = app.client();
+    const page = await client.get('/api/docs');
+    assert.equal(page.status, 200);
+    assert.match(page.body, /<div id="swagger-ui"><\/div>/);
+    assert.match(page.headers.get('content-security-policy'), /style-src 'self' 'unsafe-inline'/);
+    assert.doesNotMatch(page.headers.get('content-security-policy'), /script-src[^;]*unsafe-inline/);
+
+    const bundle = await client.get('/api/docs/static/swagger-ui-bundle.js');
+    assert.equal(bundle.status, 200);
+  });
+});
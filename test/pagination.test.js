@@ -0,0 +1,109 @@
+// メモ一覧の並べ替え・ページ分割・項目の選択
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { paginate, sortMemos, projectFields, INVALID_CURSOR_CODE } = require('../lib/pagination');
+const { startApp } = require('./helpers/app');
+
+const memo = (id, title, updatedAt, extra = {}) =>
+  ({ id, title, content: '', createdAt: updatedAt, updatedAt, ...extra });
+
+describe('並べ替えとページ分割', () => {
+  const memos = [
+    memo(1, 'いちご', '2025-01-01T00:00:00.000Z'),
+    memo(2, 'あめ', '2025-01-03T00:00:00.000Z'),
+    memo(3, 'うどん', '2025-01-02T00:00:00.000Z'),
+    memo(4, 'えび', '2025-01-02T00:00:00.000Z', { pinned: true })
+  ];
+
+  test('ピン留めしたメモを先頭に、同じ日時ならIDの順に並べる', () => {
+    assert.deepEqual(sortMemos(memos).map(m => m.id), [4, 2, 3, 1]);
+    assert.deepEqual(sortMemos(memos, { sort: 'updatedAt', order: 'asc' }).map(m => m.id), [4, 1, 3, 2]);
+  });
+
+  test('タイトルは日本語の読み順で並べる', () => {
+    assert.deepEqual(sortMemos(memos, { sort: 'title', order: 'asc' }).map(m => m.title), ['えび', 'あめ', 'いちご', 'うどん']);
+  });
+
+  test('カーソルで続きのページを重複なく取り出す', () => {
+    const first = paginate(memos, { limit: 3 });
+    assert.deepEqual(first.items.map(m => m.id), [4, 2, 3]);
+    assert.equal(first.total, 4);
+    assert.ok(first.nextCursor);
+
+    // 取得の間にメモが増えても、続きから取り出す
+    const second = paginate([...memos, memo(5, 'おでん', '2025-01-04T00:00:00.000Z')], { limit: 3, cursor: first.nextCursor });
+    assert.deepEqual(second.items.map(m => m.id), [1]);
+    assert.equal(second.nextCursor, null);
+  });
+
+  test('並べ替えの条件が変わったカーソルや壊れたカーソルは拒否する', () => {
+    const { nextCursor } = paginate(memos, { limit: 1 });
+    assert.throws(() => paginate(memos, { limit: 1, cursor: nextCursor, sort: 'title' }),
+      error => error.code === INVALID_CURSOR_CODE);
+    assert.throws(() => paginate(memos, { limit: 1, cursor: 'not-a-cursor' }),
+      error => error.code === INVALID_CURSOR_CODE);
+  });
+
+  test('指定した項目だけを取り出す', () => {
+    assert.deepEqual(projectFields(memos[3], 'id,pinned,tags'), { id: 4, pinned: true });
+    assert.equal(projectFields(memos[0], undefined), memos[0]);
+  });
+});
+
+describe('メモ一覧API', () => {
+  let app;
+  let client;
+
+  before(async () => {
+    app = await startApp({ env: { PAGE_SIZE: '2' } });
+    client = await app.client().login();
+    for (const title of ['かき', 'あんず', 'いちじく']) {
+      await client.post('/api/memos', { title, content: '本文' });
+    }
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  test('オフセット方式とカーソル方式で全件を取り出せる', async () => {
+    const first = await client.get('/api/memos?limit=2');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.total, 3);
+    assert.deepEqual(first.body.memos.map(m => m.title), ['いちじく', 'あんず']);
+
+    const next = await client.get(`/api/memos?limit=2&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(next.body.memos.map(m => m.title), ['かき']);
+    assert.equal(next.body.nextCursor, null);
+
+    const offset = await client.get('/api/memos?limit=2&offset=2');
+    assert.deepEqual(offset.body.memos.map(m => m.title), ['かき']);
+  });
+
+  test('並べ替えと項目の選択', async () => {
+    const response = await client.get('/api/memos?sort=title&order=asc&fields=id,title');
+    assert.deepEqual(response.body.memos.map(m => m.title), ['あんず', 'いちじく', 'かき']);
+    assert.deepEqual(Object.keys(response.body.memos[0]).sort(), ['id', 'title']);
+  });
+
+  test('不正なクエリは 400', async () => {
+    assert.equal((await client.get('/api/memos?limit=0')).status, 400);
+    assert.equal((await client.get('/api/memos?limit=101')).status, 400);
+    assert.equal((await client.get('/api/memos?sort=content')).status, 400);
+    assert.equal((await client.get('/api/memos?fields=id,password')).status, 400);
+    assert.equal((await client.get('/api/memos?cursor=abc')).status, 400);
+
+    const { body } = await client.get('/api/memos?limit=1');
+    const mixed = await client.get(`/api/memos?limit=1&offset=0&cursor=${body.nextCursor}`);
+    assert.equal(mixed.status, 400);
+  });
+
+  test('画面の一覧は PAGE_SIZE ごとにページを分ける', async () => {
+    const first = await client.get('/');
+    assert.match(first.body, /いちじく/);
+    assert.doesNotMatch(first.body, />かき</);
+    const second = await client.get('/?page=2');
+    assert.match(second.body, /かき/);
+    assert.doesNotMatch(second.body, /いちじく/);
+  });
+});
@@ -0,0 +1,77 @@
+// インストールできるPWA（マニフェスト・サービスワーカー・オフライン用のファイル）
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+
+let app;
+let client;
+
+before(async () => {
+  app = await startApp();
+  client = await app.client().login();
+});
+
+after(async () => {
+  await app.stop();
+});
+
+test('マニフェストはアプリとして起動するための項目と、取得できるアイコンを返す', async () => {
+  const response = await app.client().get('/manifest.webmanifest');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^application\/manifest\+json/);
+
+  const manifest = response.body;
+  assert.equal(manifest.start_url, '/');
+  assert.equal(manifest.scope, '/');
+  assert.equal(manifest.display, 'standalone');
+  assert.equal(manifest.lang, 'ja');
+  assert.equal(manifest.icons.length, 1);
+
+  const icon = await app.client().get(manifest.icons[0].src);
+  assert.equal(icon.status, 200);
+  assert.match(icon.headers.get('content-type'), /image\/svg\+xml/);
+});
+
+test('サービスワーカーはサイトの直下で、キャッシュさせずに配信する', async () => {
+  const response = await app.client().get('/sw.js');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /javascript/);
+  assert.equal(response.headers.get('cache-control'), 'public, max-age=0');
+  assert.match(response.body, /importScripts\('\/public\/js\/offline-store\.js'\)/);
+
+  // サービスワーカーが読み込むファイルは、ハッシュのないURLでも取得できる
+  assert.equal((await app.client().get('/public/js/offline-store.js')).status, 200);
+});
+
+test('画面はマニフェストとオフライン用のスクリプトを読み込み、そのURLはサービスワーカーが保存の対象にする', async () => {
+  const page = await client.get('/');
+  assert.match(page.body, /<link rel="manifest" href="\/manifest.webmanifest">/);
+  assert.match(page.body, /<script src="\/public\/js\/offline-store\.[0-9a-f]{8}\.js"><\/script>/);
+
+  // sw.js のハッシュ付きURLの判定と、画面が読み込むファイルのURLが食い違っていない
+  const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'sw.js'), 'utf8');
+  const [, pattern] = /const HASHED_ASSET = \/(.+)\/;/.exec(source);
+  const hashedAsset = new RegExp(pattern);
+  const urls = [...page.body.matchAll(/(?:src|href)="(\/public\/[^"]+)"/g)].map(match => match[1]);
+  assert.ok(urls.length >= 3);
+  for (const url of urls) {
+    assert.match(url, hashedAsset);
+  }
+});
+
+test('オフラインのキューから送る変更は、版が古ければ 412 で現在のメモを受け取り、削除済みなら 404 になる', async () => {
+  const created = await client.post('/api/memos', { title: '電車で書いた', content: '下書き' });
+  const etag = created.headers.get('etag');
+  await client.put(`/api/memos/${created.body.id}`, { title: '別の端末で更新', content: '下書き' });
+
+  const queued = await client.put(`/api/memos/${created.body.id}`, { title: '電車で書いた', content: '清書' },
+    { headers: { 'If-Match': etag } });
+  assert.equal(queued.status, 412);
+  assert.equal(queued.body.current.title, '別の端末で更新');
+  assert.ok(queued.body.merged);
+
+  await client.delete(`/api/memos/${created.body.id}`);
+  assert.equal((await client.delete(`/api/memos/${created.body.id}`)).status, 404);
+});
@@ -0,0 +1,122 @@
+// 期限とリマインダー（日本語での指定・memo.reminder の通知・REMINDER_WEBHOOK_URL への Webhook）
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp, startReceiver, sleep } = require('./helpers/app');
+
+// 通知したことが記録されるまで待ち、そのメモを返す
+async function waitForReminded(client, id) {
+  for (let i = 0; i < 50; i++) {
+    const memo = (await client.get(`/api/memos/${id}`)).body;
+    if (memo.remindedAt) {
+      return memo;
+    }
+    await sleep(100);
+  }
+  throw new Error(`メモ${id}の remindedAt が記録されませんでした`);
+}
+
+describe('リマインダーのAPI', () => {
+  let dir;
+  let app;
+  let client;
+  let remindAt;
+
+  before(async () => {
+    // リマインダーは分単位で指定するので、数秒後の予定はデータファイルに書いて起動する
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+    const now = new Date().toISOString();
+    remindAt = new Date(Date.now() + 4000).toISOString();
+    fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify([
+      { id: 1, title: 'もうすぐ', content: '通知される', version: 1, createdAt: now, updatedAt: now, remindAt }
+    ]));
+    app = await startApp({ dir });
+    client = await app.client().login();
+  });
+
+  after(async () => {
+    await app.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('期限とリマインダーを日本語で指定でき、過ぎている日時のリマインダーは 400', async () => {
+    const created = await client.post('/api/memos', { title: '会議の準備', content: '資料', dueAt: '明日15時', remindAt: '3日後' });
+    assert.equal(created.status, 201);
+    assert.ok(new Date(created.body.dueAt) > new Date());
+    assert.ok(new Date(created.body.remindAt) > new Date());
+
+    const past = await client.post('/api/memos', { title: '過去', content: 'x', remindAt: new Date(Date.now() - 60 * 1000).toISOString() });
+    assert.equal(past.status, 400);
+    assert.equal((await client.post('/api/memos', { title: '読めない', content: 'x', dueAt: 'そのうち' })).status, 400);
+  });
+
+  test('リマインダーの日時になると memo.reminder を送り、版を変えずに remindedAt を記録する', async () => {
+    const events = await client.events();
+    try {
+      const event = await events.next('memo.reminder', 10000);
+      assert.equal(event.data.memo.id, 1);
+      assert.equal(event.data.memo.remindAt, remindAt);
+      assert.ok(Date.now() >= new Date(remindAt).getTime());
+    } finally {
+      events.close();
+    }
+
+    const memo = await waitForReminded(client, 1);
+    assert.equal(memo.version, 1);
+  });
+});
+
+describe('リマインダーの Webhook', () => {
+  let dir;
+  let receiver;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+    const past = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify([
+      { id: 1, title: '止まっている間のリマインダー', content: '本文', tags: ['仕事'], createdAt: past, updatedAt: past, remindAt: past }
+    ]));
+    // 1回目は失敗させ、送り直しを確かめる
+    receiver = await startReceiver({ status: count => (count === 1 ? 500 : 200) });
+  });
+
+  after(async () => {
+    await receiver.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('止まっている間に過ぎたリマインダーを起動時に送り、失敗すれば送り直す。通知済みのものは再起動しても送らない', async () => {
+    const env = { REMINDER_WEBHOOK_URL: receiver.url };
+    let app;
+    try {
+      app = await startApp({ dir, env });
+      const failed = await receiver.next();
+      const retried = await receiver.next();
+      assert.equal(retried.body, failed.body);
+      assert.match(retried.headers['content-type'], /application\/json/);
+
+      const payload = JSON.parse(retried.body);
+      assert.equal(payload.type, 'memo.reminder');
+      assert.equal(payload.text, '🔔 リマインダー: 止まっている間のリマインダー');
+      assert.equal(payload.user.username, 'admin');
+      assert.deepEqual(payload.memo.tags, ['仕事']);
+      assert.equal(payload.memo.id, 1);
+
+      await waitForReminded(await app.client().login(), 1);
+      await app.stop();
+
+      app = await startApp({ dir, env });
+      await assert.rejects(receiver.next(1000), /Webhook が届きませんでした/);
+    } finally {
+      if (app) {
+        await app.stop();
+      }
+    }
+  });
+
+  test('REMINDER_WEBHOOK_URL が http(s) のURLでなければ起動を止める', async () => {
+    await assert.rejects(startApp({ env: { REMINDER_WEBHOOK_URL: 'ftp://example.com/hook' } }), /REMINDER_WEBHOOK_URL には/);
+  });
+});
@@ -0,0 +1,135 @@
+// メモの変更履歴（行単位の差分、履歴一覧・差分・復元のAPI）
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines } = require('../lib/diff');
+const { startApp } = require('./helpers/app');
+
+describe('行単位の差分', () => {
+  test('追加・削除した行と、変更した行の中の文字を示す', () => {
+    const result = diffLines('牛乳\nパン\n卵', '牛乳\n食パン\n卵\nバター');
+    assert.equal(result.added, 2);
+    assert.equal(result.removed, 1);
+    assert.deepEqual(result.lines.map(l => [l.type, l.text]), [
+      ['equal', '牛乳'],
+      ['removed', 'パン'],
+      ['added', '食パン'],
+      ['equal', '卵'],
+      ['added', 'バター']
+    ]);
+    assert.deepEqual(result.lines[2].segments, [
+      { type: 'added', text: '食' },
+      { type: 'equal', text: 'パン' }
+    ]);
+  });
+
+  test('改行コードと濁点の合成・分解の違いは差分にしない', () => {
+    const result = diffLines('ガイド\r\n本文', 'ガイド\n本文');
+    assert.equal(result.added, 0);
+    assert.equal(result.removed, 0);
+  });
+
+  test('サロゲートペアを分割しない', () => {
+    const { lines } = diffLines('𠮷野家', '𠮷田家');
+    const texts = lines.flatMap(l => (l.segments || []).map(s => s.text));
+    assert.ok(texts.every(text => !/[\uD800-\uDBFF]$/.test(text)));
+    assert.ok(texts.includes('𠮷'));
+  });
+});
+
+describe('変更履歴のAPI', () => {
+  let app;
+  let client;
+  let id;
+
+  before(async () => {
+    app = await startApp({ env: { REVISION_LIMIT: '3' } });
+    client = await app.client().login();
+    id = (await client.post('/api/memos', { title: '買い物', content: '牛乳' })).body.id;
+    await client.put(`/api/memos/${id}`, { title: '買い物', content: '牛乳\nパン' });
+    await client.put(`/api/memos/${id}`, { title: '買い物リスト', content: '牛乳\n食パン' });
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  test('保存のたびに版が増え、新しい順に一覧を返す', async () => {
+    const response = await client.get(`/api/memos/${id}/revisions`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.currentRev, 3);
+    assert.deepEqual(response.body.revisions.map(r => r.rev), [3, 2, 1]);
+    assert.equal(response.body.revisions[0].title, '買い物リスト');
+  });
+
+  test('1つ前の版や、指定した版との差分を返す', async () => {
+    const previous = await client.get(`/api/memos/${id}/revisions/3/diff`);
+    assert.equal(previous.body.base, 2);
+    assert.deepEqual(previous.body.title, { changed: true, from: '買い物', to: '買い物リスト' });
+    assert.equal(previous.body.content.added, 1);
+    assert.equal(previous.body.content.removed, 1);
+
+    const first = await client.get(`/api/memos/${id}/revisions/1/diff`);
+    assert.equal(first.body.base, null);
+    assert.equal(first.body.content.added, 1);
+
+    const fromFirst = await client.get(`/api/memos/${id}/revisions/3/diff?base=1`);
+    assert.equal(fromFirst.body.base, 1);
+    assert.equal(fromFirst.body.title.changed, true);
+    assert.deepEqual(fromFirst.body.content.lines.map(l => [l.type, l.text]), [
+      ['equal', '牛乳'],
+      ['added', '食パン']
+    ]);
+
+    assert.equal((await client.get(`/api/memos/${id}/revisions/9/diff`)).status, 404);
+    assert.equal((await client.get(`/api/memos/${id}/revisions/3/diff?base=9`)).status, 404);
+  });
+
+  test('古い版に戻すと、新しい版として記録する', async () => {
+    const restored = await client.post(`/api/memos/${id}/revisions/1/restore`, {});
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.content, '牛乳');
+    assert.equal(restored.body.version, 4);
+    assert.equal(restored.headers.get('etag'), `"${id}-4"`);
+
+    const list = await client.get(`/api/memos/${id}/revisions`);
+    assert.equal(list.body.revisions[0].restoredFrom, 1);
+  });
+
+  test('REVISION_LIMIT を超えた古い版は消える', async () => {
+    const list = await client.get(`/api/memos/${id}/revisions`);
+    assert.deepEqual(list.body.revisions.map(r => r.rev), [4, 3, 2]);
+    assert.equal((await client.post(`/api/memos/${id}/revisions/1/restore`, {})).status, 404);
+  });
+
+  test('ピン留めや色の変更は履歴に記録せず、編集した版を押し出さない', async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await client.post(`/api/memos/${id}/pin`, {})).status, 200);
+      assert.equal((await client.delete(`/api/memos/${id}/pin`)).status, 200);
+    }
+    const colored = await client.post(`/api/memos/${id}/color`, { color: 'blue' });
+    assert.equal(colored.body.version, 11);
+
+    const list = await client.get(`/api/memos/${id}/revisions`);
+    assert.equal(list.body.currentRev, 11);
+    assert.deepEqual(list.body.revisions.map(r => r.rev), [4, 3, 2]);
+
+    // 内容を変えなかった版は、その時点の内容（第4版）として扱う
+    const pinned = await client.get(`/api/memos/${id}/revisions/7/diff`);
+    assert.equal(pinned.status, 200);
+    assert.equal(pinned.body.rev, 4);
+    assert.equal(pinned.body.base, 3);
+
+    const edited = await client.put(`/api/memos/${id}`, { title: '買い物リスト', content: '牛乳\n卵' });
+    assert.equal(edited.body.version, 12);
+    const after = await client.get(`/api/memos/${id}/revisions`);
+    assert.deepEqual(after.body.revisions.map(r => r.rev), [12, 4, 3]);
+  });
+
+  test('他のユーザーのメモの履歴は見えない', async () => {
+    const alice = app.client();
+    await alice.csrf();
+    await alice.post('/api/auth/register', { username: 'alice', password: 'alice-password' });
+    assert.equal((await alice.get(`/api/memos/${id}/revisions`)).status, 404);
+    assert.equal((await alice.post(`/api/memos/${id}/revisions/2/restore`, {})).status, 404);
+  });
+});
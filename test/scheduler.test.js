@@ -0,0 +1,83 @@
+// 指定した日時に処理を実行するスケジューラー（lib/scheduler.js）
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler } = require('../lib/scheduler');
+const { sleep } = require('./helpers/app');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+const later = ms => new Date(Date.now() + ms);
+
+test('指定した日時になると1回だけ実行し、予定から外す', async () => {
+  const scheduler = createScheduler({ logger: silentLogger });
+  const calls = [];
+  scheduler.schedule(1, later(50), () => calls.push(1));
+  assert.equal(scheduler.size(), 1);
+
+  await sleep(150);
+  assert.deepEqual(calls, [1]);
+  assert.equal(scheduler.size(), 0);
+});
+
+test('過ぎている日時を指定すると、すぐに実行する', async () => {
+  const scheduler = createScheduler({ logger: silentLogger });
+  const calls = [];
+  scheduler.schedule('past', new Date(Date.now() - 60 * 1000), () => calls.push('past'));
+
+  await sleep(20);
+  assert.deepEqual(calls, ['past']);
+});
+
+test('同じキーで登録し直すと、前の予定は実行しない', async () => {
+  const scheduler = createScheduler({ logger: silentLogger });
+  const calls = [];
+  scheduler.schedule(1, later(50), () => calls.push('前'));
+  scheduler.schedule(1, later(80), () => calls.push('後'));
+  assert.equal(scheduler.size(), 1);
+
+  await sleep(200);
+  assert.deepEqual(calls, ['後']);
+});
+
+test('取り消した予定と、clear した予定は実行しない', async () => {
+  const scheduler = createScheduler({ logger: silentLogger });
+  const calls = [];
+  scheduler.schedule(1, later(50), () => calls.push(1));
+  scheduler.schedule(2, later(50), () => calls.push(2));
+  scheduler.schedule(3, later(50), () => calls.push(3));
+  scheduler.cancel(1);
+  scheduler.cancel(99);
+  assert.equal(scheduler.size(), 2);
+  scheduler.clear();
+  assert.equal(scheduler.size(), 0);
+
+  await sleep(150);
+  assert.deepEqual(calls, []);
+});
+
+test('setTimeout で待てない先の予定も登録でき、実行しないまま待つ', async () => {
+  const scheduler = createScheduler({ logger: silentLogger });
+  const calls = [];
+  scheduler.schedule(1, later(60 * 24 * 60 * 60 * 1000), () => calls.push(1));
+
+  await sleep(50);
+  assert.deepEqual(calls, []);
+  assert.equal(scheduler.size(), 1);
+  scheduler.clear();
+});
+
+test('処理の失敗はログに残し、他の予定は実行する', async () => {
+  const errors = [];
+  const scheduler = createScheduler({ logger: { ...silentLogger, error: (data, message) => errors.push({ data, message }) } });
+  const calls = [];
+  scheduler.schedule('fail', later(20), async () => {
+    throw new Error('失敗');
+  });
+  scheduler.schedule('ok', later(40), () => calls.push('ok'));
+
+  await sleep(150);
+  assert.deepEqual(calls, ['ok']);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].data.key, 'fail');
+  assert.equal(errors[0].data.err.message, '失敗');
+});
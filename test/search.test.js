@@ -0,0 +1,132 @@
+// 日本語対応の全文検索（正規化・N-gramインデックス・ハイライト、検索API）
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSearchIndex, normalizeText } = require('../lib/search');
+const { startApp } = require('./helpers/app');
+
+const memo = (id, title, content, updatedAt = '2025-01-02T12:00:00.000Z') =>
+  ({ id, title, content, createdAt: updatedAt, updatedAt });
+
+describe('正規化', () => {
+  test('全角/半角・大文字/小文字・カタカナ/ひらがなの違いをなくす', () => {
+    assert.equal(normalizeText('ＡＢＣ abc'), 'abc abc');
+    assert.equal(normalizeText('ｶﾞｲﾄﾞ'), 'がいど');
+    assert.equal(normalizeText('メモ'), 'めも');
+    assert.equal(normalizeText('１２３'), '123');
+  });
+});
+
+describe('インデックス', () => {
+  test('表記ゆれがあっても見つかる', () => {
+    const index = createSearchIndex();
+    index.add(memo(1, '買い物リスト', '牛乳とパン'));
+    index.add(memo(2, 'ガイド', 'ＪａｖａＳｃｒｉｐｔ の入門'));
+
+    assert.deepEqual(index.search('りすと').results.map(r => r.id), [1]);
+    assert.deepEqual(index.search('ｶﾞｲﾄﾞ').results.map(r => r.id), [2]);
+    assert.deepEqual(index.search('javascript').results.map(r => r.id), [2]);
+    assert.deepEqual(index.search('ぱん').results.map(r => r.id), [1]);
+  });
+
+  test('空白で区切った語はすべて含むメモだけを返す（全角スペースも区切り）', () => {
+    const index = createSearchIndex();
+    index.add(memo(1, '会議', '東京で打ち合わせ'));
+    index.add(memo(2, '会議', '大阪で打ち合わせ'));
+    assert.deepEqual(index.search('会議　東京').results.map(r => r.id), [1]);
+    assert.equal(index.search('会議 名古屋').total, 0);
+  });
+
+  test('バイグラムがそろっていても、続けて現れない語は一致しない', () => {
+    const index = createSearchIndex();
+    index.add(memo(1, '東京と京都', '旅行'));
+    assert.equal(index.search('東京都').total, 0);
+    assert.equal(index.search('京').total, 1);
+  });
+
+  test('タイトルの一致を本文より重視する', () => {
+    const index = createSearchIndex();
+    index.add(memo(1, '日記', '今日は予定を確認した'));
+    index.add(memo(2, '予定', '日記を書いた'));
+    assert.deepEqual(index.search('予定').results.map(r => r.id), [2, 1]);
+  });
+
+  test('一致した箇所をエスケープした上で <mark> で囲む', () => {
+    const index = createSearchIndex();
+    index.add(memo(1, '<script>メモ', 'a & b の メモ'));
+    const [result] = index.search('めも').results;
+    assert.equal(result.titleHighlight, '&lt;script&gt;<mark>メモ</mark>');
+    assert.equal(result.snippet, 'a &amp; b の <mark>メモ</mark>');
+  });
+
+  test('半角カナの濁点を1文字としてハイライトする', () => {
+    const index = createSearchIndex();
+    index.add(memo(1, 'ｶﾞｲﾄﾞ', '本文'));
+    assert.equal(index.search('がいど').results[0].titleHighlight, '<mark>ｶﾞｲﾄﾞ</mark>');
+  });
+
+  test('長い本文は一致した箇所の前後だけを切り出す', () => {
+    const index = createSearchIndex();
+    index.add(memo(1, 'タイトル', `${'あ'.repeat(100)}目印${'い'.repeat(100)}`));
+    const { snippet } = index.search('目印').results[0];
+    assert.ok(snippet.startsWith('…'));
+    assert.ok(snippet.endsWith('…'));
+    assert.match(snippet, /<mark>目印<\/mark>/);
+  });
+
+  test('更新・削除したメモはインデックスから置き換わる', () => {
+    const index = createSearchIndex();
+    index.add(memo(1, '古いタイトル', '本文'));
+    index.add(memo(1, '新しいタイトル', '本文'));
+    assert.equal(index.search('古い').total, 0);
+    assert.equal(index.search('新しい').total, 1);
+    assert.equal(index.size, 1);
+
+    index.remove(1);
+    assert.equal(index.search('新しい').total, 0);
+    assert.equal(index.size, 0);
+  });
+
+  test('filter と limit で対象と件数を絞る', () => {
+    const index = createSearchIndex();
+    for (let id = 1; id <= 5; id++) {
+      index.add({ ...memo(id, `メモ${id}`, '共通'), ownerId: id % 2 });
+    }
+    const { total, results } = index.search('共通', { limit: 2, filter: m => m.ownerId === 1 });
+    assert.equal(total, 3);
+    assert.equal(results.length, 2);
+  });
+});
+
+describe('検索API', () => {
+  let app;
+  let client;
+
+  before(async () => {
+    app = await startApp();
+    client = await app.client().login();
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  test('自分のメモのうち、ゴミ箱にないものだけを検索する', async () => {
+    const kept = await client.post('/api/memos', { title: '検索テスト', content: '残すメモ' });
+    const trashed = await client.post('/api/memos', { title: '検索テスト', content: '捨てるメモ' });
+    await client.delete(`/api/memos/${trashed.body.id}`);
+
+    const alice = app.client();
+    await alice.csrf();
+    await alice.post('/api/auth/register', { username: 'alice', password: 'alice-password' });
+    await alice.post('/api/memos', { title: '検索テスト', content: 'アリスのメモ' });
+
+    const response = await client.get(`/api/memos/search?q=${encodeURIComponent('てすと')}`);
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.results.map(r => r.id), [kept.body.id]);
+
+    // 更新した内容で検索できる
+    await client.put(`/api/memos/${kept.body.id}`, { title: '検索テスト', content: '書き換えた本文' });
+    const updated = await client.get(`/api/memos/search?q=${encodeURIComponent('書き換え')}`);
+    assert.equal(updated.body.total, 1);
+  });
+});
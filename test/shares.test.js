@@ -0,0 +1,128 @@
+// メモの共有リンク（URL・閲覧数・パスワード・有効期限・取り消し）
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp } = require('./helpers/app');
+
+// 有効期限のテストで、保存された共有リンクを書き換えて起動し直すため、データの場所を自分で決める
+let dir;
+let app;
+let client;
+let memo;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+  app = await startApp({ dir });
+  client = await app.client().login();
+  memo = (await client.post('/api/memos', { title: '共有 & 公開するメモ', content: '**太字**の本文' })).body;
+});
+
+after(async () => {
+  await app.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function share(body = {}) {
+  const response = await client.post(`/api/memos/${memo.id}/share`, body);
+  assert.equal(response.status, 201);
+  return response.body;
+}
+
+test('PUBLIC_BASE_URL がなければ url はパスだけで、Host ヘッダーを使わない', async () => {
+  const created = await client.post(`/api/memos/${memo.id}/share`, {}, { headers: { Host: 'evil.example.com' } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.url, `/s/${created.body.token}`);
+
+  const list = await client.get('/api/shares', { headers: { Host: 'evil.example.com' } });
+  assert.ok(list.body.shares.every(s => s.url.startsWith('/s/')));
+});
+
+test('PUBLIC_BASE_URL を設定すると、そのURLから完全なURLを作る', async () => {
+  const other = await startApp({ env: { PUBLIC_BASE_URL: 'https://memo.example.com/' } });
+  try {
+    const owner = await other.client().login();
+    const created = await owner.post('/api/memos', { title: 'x', content: 'y' });
+    const response = await owner.post(`/api/memos/${created.body.id}/share`, {}, { headers: { Host: 'evil.example.com' } });
+    assert.equal(response.body.url, `https://memo.example.com/s/${response.body.token}`);
+  } finally {
+    await other.stop();
+  }
+  await assert.rejects(startApp({ env: { PUBLIC_BASE_URL: 'memo.example.com' } }), /PUBLIC_BASE_URL には/);
+});
+
+test('ログインしていなくても表示でき、表示するたびに閲覧数を数える', async () => {
+  const created = await share();
+  const visitor = app.client();
+  const page = await visitor.get(created.url);
+  assert.equal(page.status, 200);
+  assert.equal(page.headers.get('cache-control'), 'no-store');
+  assert.match(page.headers.get('x-robots-tag'), /noindex/);
+  assert.match(page.body, /共有 &amp; 公開するメモ/);
+  assert.match(page.body, /<strong>太字<\/strong>/);
+  await visitor.get(created.url);
+
+  const list = await client.get(`/api/memos/${memo.id}/shares`);
+  const counted = list.body.shares.find(s => s.id === created.id);
+  assert.equal(counted.views, 2);
+  assert.ok(counted.lastViewedAt);
+});
+
+test('パスワード付きのリンクは、正しいパスワードを入力するまで本文を見せない', async () => {
+  const created = await share({ password: 'himitsu' });
+  assert.equal(created.hasPassword, true);
+  assert.equal('passwordHash' in created, false);
+
+  const visitor = app.client();
+  const form = await visitor.get(created.url);
+  assert.equal(form.status, 200);
+  assert.match(form.body, /sharePasswordForm/);
+  assert.doesNotMatch(form.body, /太字/);
+
+  await visitor.csrf();
+  assert.equal((await visitor.post(created.url, { password: 'wrong' })).status, 401);
+  assert.equal((await visitor.post(created.url, { password: 'himitsu' })).status, 200);
+  const page = await visitor.get(created.url);
+  assert.match(page.body, /<strong>太字<\/strong>/);
+
+  // パスワードを確かめたのは別のリンクなので、同じメモでも他のリンクでは確かめ直す
+  const another = await share({ password: 'himitsu' });
+  assert.match((await visitor.get(another.url)).body, /sharePasswordForm/);
+});
+
+test('取り消したリンクと、メモがゴミ箱にあるリンクは 404', async () => {
+  const created = await share();
+  const visitor = app.client();
+
+  await client.delete(`/api/memos/${memo.id}`);
+  assert.equal((await visitor.get(created.url)).status, 404);
+  await client.post(`/api/trash/${memo.id}/restore`, {});
+  assert.equal((await visitor.get(created.url)).status, 200);
+
+  assert.equal((await client.delete(`/api/shares/${created.id}`)).status, 200);
+  const revoked = await visitor.get(created.url);
+  assert.equal(revoked.status, 404);
+  assert.match(revoked.body, /このメモは表示できません/);
+});
+
+test('過ぎた有効期限では作れず、期限の切れたリンクは表示も一覧もされない', async () => {
+  const past = await client.post(`/api/memos/${memo.id}/share`, { expiresAt: '2020-01-01T00:00:00Z' });
+  assert.equal(past.status, 400);
+
+  const created = await share({ expiresAt: '3日後' });
+  assert.ok(new Date(created.expiresAt) > new Date());
+
+  // 保存されている有効期限を過去にして、読み込み直す
+  await app.stop();
+  const file = path.join(dir, 'data.shares.json');
+  const shares = JSON.parse(fs.readFileSync(file, 'utf8'));
+  shares.find(s => s.id === created.id).expiresAt = new Date(Date.now() - 60 * 1000).toISOString();
+  fs.writeFileSync(file, JSON.stringify(shares));
+  app = await startApp({ dir });
+  client = await app.client().login();
+
+  assert.equal((await app.client().get(created.url)).status, 404);
+  const list = await client.get('/api/shares');
+  assert.equal(list.body.shares.some(s => s.id === created.id), false);
+});
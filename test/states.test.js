@@ -0,0 +1,118 @@
+// メモのピン留め・アーカイブ・色ラベル
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+let app;
+let client;
+
+before(async () => {
+  app = await startApp();
+  client = await app.client().login();
+});
+
+after(async () => {
+  await app.stop();
+});
+
+// 一覧のメモのタイトル（並び順どおり）
+async function listTitles(query = '') {
+  const { body } = await client.get(`/api/memos?fields=title${query}`);
+  return body.memos.map(memo => memo.title);
+}
+
+test('ピン留めしたメモは並べ替えの条件に関係なく先頭に並び、変わらない操作では版を上げない', async () => {
+  const first = (await client.post('/api/memos', { title: 'A 古いメモ', content: 'x' })).body;
+  const second = (await client.post('/api/memos', { title: 'B 新しいメモ', content: 'x' })).body;
+
+  const pinned = await client.post(`/api/memos/${first.id}/pin`);
+  assert.equal(pinned.status, 200);
+  assert.equal(pinned.body.pinned, true);
+  assert.equal(pinned.body.version, 2);
+  assert.equal(pinned.headers.get('etag'), `"${first.id}-2"`);
+  assert.deepEqual(await listTitles('&sort=title&order=desc'), ['A 古いメモ', 'B 新しいメモ']);
+  assert.deepEqual(await listTitles('&sort=createdAt'), ['A 古いメモ', 'B 新しいメモ']);
+
+  // もうピン留めしているので保存しない
+  assert.equal((await client.post(`/api/memos/${first.id}/pin`)).body.version, 2);
+
+  const unpinned = await client.delete(`/api/memos/${first.id}/pin`);
+  assert.equal('pinned' in unpinned.body, false);
+  assert.equal(unpinned.body.version, 3);
+  assert.deepEqual(await listTitles('&sort=title&order=desc'), ['B 新しいメモ', 'A 古いメモ']);
+  await client.delete(`/api/memos/${first.id}`);
+  await client.delete(`/api/memos/${second.id}`);
+});
+
+test('アーカイブしたメモは archived=true の場合だけ一覧に含め、ピン留めは外れる', async () => {
+  const memo = (await client.post('/api/memos', { title: 'しまっておく', content: 'x' })).body;
+  await client.post(`/api/memos/${memo.id}/pin`);
+
+  const archived = await client.post(`/api/memos/${memo.id}/archive`);
+  assert.equal(archived.status, 200);
+  assert.equal(archived.body.archived, true);
+  assert.equal('pinned' in archived.body, false);
+  assert.equal((await listTitles()).includes('しまっておく'), false);
+  assert.ok((await listTitles('&archived=true')).includes('しまっておく'));
+  assert.equal((await client.get(`/api/memos/${memo.id}`)).status, 200);
+
+  const pin = await client.post(`/api/memos/${memo.id}/pin`);
+  assert.equal(pin.status, 400);
+  assert.match(pin.body.error, /アーカイブしたメモはピン留めできません/);
+
+  const restored = await client.delete(`/api/memos/${memo.id}/archive`);
+  assert.equal('archived' in restored.body, false);
+  assert.ok((await listTitles()).includes('しまっておく'));
+  await client.delete(`/api/memos/${memo.id}`);
+});
+
+test('色ラベルは決められた色か null だけを受け付ける', async () => {
+  const memo = (await client.post('/api/memos', { title: '色', content: 'x' })).body;
+
+  const colored = await client.post(`/api/memos/${memo.id}/color`, { color: 'green' });
+  assert.equal(colored.status, 200);
+  assert.equal(colored.body.color, 'green');
+
+  assert.equal((await client.post(`/api/memos/${memo.id}/color`, { color: 'pink' })).status, 400);
+  assert.equal((await client.post(`/api/memos/${memo.id}/color`, {})).status, 400);
+
+  const cleared = await client.post(`/api/memos/${memo.id}/color`, { color: null });
+  assert.equal('color' in cleared.body, false);
+  await client.delete(`/api/memos/${memo.id}`);
+});
+
+test('If-Match の版が古い場合は変更せず 412 を返し、他のユーザーのメモは変更できない', async () => {
+  const memo = (await client.post('/api/memos', { title: '版', content: 'x' })).body;
+  await client.put(`/api/memos/${memo.id}`, { title: '版（更新）', content: 'x' });
+
+  const stale = await client.post(`/api/memos/${memo.id}/pin`, undefined, { headers: { 'If-Match': `"${memo.id}-1"` } });
+  assert.equal(stale.status, 412);
+  assert.equal('pinned' in (await client.get(`/api/memos/${memo.id}`)).body, false);
+
+  const alice = app.client();
+  await alice.csrf();
+  await alice.post('/api/auth/register', { username: 'alice', password: 'alice-password' });
+  assert.equal((await alice.post(`/api/memos/${memo.id}/archive`)).status, 404);
+  assert.equal((await alice.post(`/api/memos/${memo.id}/color`, { color: 'red' })).status, 404);
+  await client.delete(`/api/memos/${memo.id}`);
+});
+
+test('画面は色ラベルをメモの枠に使い、状態ごとの件数を表示する', async () => {
+  const pinned = (await client.post('/api/memos', { title: '画面のピン', content: 'x' })).body;
+  const archived = (await client.post('/api/memos', { title: '画面のアーカイブ', content: 'x' })).body;
+  await client.post('/api/memos', { title: '画面の通常', content: 'x' });
+  await client.post(`/api/memos/${pinned.id}/pin`);
+  await client.post(`/api/memos/${pinned.id}/color`, { color: 'red' });
+  await client.post(`/api/memos/${archived.id}/archive`);
+
+  const page = await client.get('/');
+  assert.match(page.body, /<div class="memo-item color-red"/);
+  assert.match(page.body, /<span id="pinnedCount">1<\/span>/);
+  assert.match(page.body, /<span id="normalCount">1<\/span>/);
+  assert.match(page.body, /<span id="archivedCount">1<\/span>/);
+  assert.doesNotMatch(page.body, /画面のアーカイブ/);
+
+  const withArchived = await client.get('/?archived=true');
+  assert.match(withArchived.body, /<div class="memo-item archived"/);
+  assert.match(withArchived.body, /画面のアーカイブ/);
+});
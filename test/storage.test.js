@@ -0,0 +1,112 @@
+// アトミックで同時実行に安全なJSONファイルストレージ（lib/storage.js）
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFile, CORRUPT_ERROR_CODE } = require('../lib/storage');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+  file = path.join(dir, 'data.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const readJson = target => JSON.parse(fs.readFileSync(target, 'utf8'));
+
+test('ファイルがなければ初期値を返す', async () => {
+  const store = createJsonFile(file, { logger: silentLogger });
+  assert.deepEqual(await store.read(), []);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('同時に更新しても変更が失われない', async () => {
+  const store = createJsonFile(file, { logger: silentLogger });
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.update((memos) => {
+    memos.push({ id: i + 1 });
+    return memos.length;
+  })));
+  const saved = readJson(file);
+  assert.equal(saved.length, 20);
+  assert.deepEqual(saved.map(m => m.id).sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => i + 1));
+});
+
+test('mutator が undefined を返した場合は書き込まない', async () => {
+  const store = createJsonFile(file, { logger: silentLogger });
+  await store.write([{ id: 1 }]);
+  const before = fs.statSync(file).mtimeMs;
+  const result = await store.update(() => undefined);
+  assert.equal(result, undefined);
+  assert.equal(fs.statSync(file).mtimeMs, before);
+  assert.equal(fs.existsSync(`${file}.bak.1`), false);
+});
+
+test('書き込みのたびに過去世代を指定した数だけ残す', async () => {
+  const store = createJsonFile(file, { logger: silentLogger, generations: 2 });
+  for (let version = 1; version <= 4; version++) {
+    await store.write([{ version }]);
+  }
+  assert.deepEqual(readJson(file), [{ version: 4 }]);
+  assert.deepEqual(readJson(`${file}.bak.1`), [{ version: 3 }]);
+  assert.deepEqual(readJson(`${file}.bak.2`), [{ version: 2 }]);
+  assert.equal(fs.existsSync(`${file}.bak.3`), false);
+});
+
+test('JSONが壊れていたら最新の正常な世代から復旧し、壊れたファイルを残す', async () => {
+  const store = createJsonFile(file, { logger: silentLogger });
+  await store.write([{ id: 1 }]);
+  await store.write([{ id: 1 }, { id: 2 }]);
+  fs.writeFileSync(file, '[{"id": 1}, {"id"');
+
+  assert.deepEqual(await store.read(), [{ id: 1 }]);
+  assert.deepEqual(readJson(file), [{ id: 1 }]);
+  const corrupt = fs.readdirSync(dir).filter(name => name.startsWith('data.json.corrupt-'));
+  assert.equal(corrupt.length, 1);
+  assert.equal(fs.readFileSync(path.join(dir, corrupt[0]), 'utf8'), '[{"id": 1}, {"id"');
+});
+
+test('形式が不正なファイルも壊れたものとして扱う', async () => {
+  const store = createJsonFile(file, { logger: silentLogger });
+  await store.write([{ id: 1 }]);
+  await store.write([{ id: 2 }]);
+  fs.writeFileSync(file, '{"id": 2}');
+  assert.deepEqual(await store.read(), [{ id: 1 }]);
+});
+
+test('正常なコピーがなければ破損エラーにする（データを空にしない）', async () => {
+  fs.writeFileSync(file, 'not json');
+  const store = createJsonFile(file, { logger: silentLogger });
+  await assert.rejects(store.read(), error => error.code === CORRUPT_ERROR_CODE);
+  assert.equal(fs.readFileSync(file, 'utf8'), 'not json');
+});
+
+test('失敗した更新のあとも、次の処理を続けられる', async () => {
+  const store = createJsonFile(file, { logger: silentLogger });
+  await assert.rejects(store.update(() => {
+    throw new Error('失敗');
+  }), /失敗/);
+  await store.update((memos) => {
+    memos.push({ id: 1 });
+    return true;
+  });
+  assert.deepEqual(readJson(file), [{ id: 1 }]);
+});
+
+test('前回の異常終了で残った一時ファイルを削除する', async () => {
+  const leftover = path.join(dir, '.data.json.1234.abcd.tmp');
+  const other = path.join(dir, '.other.json.1234.abcd.tmp');
+  fs.writeFileSync(leftover, '[]');
+  fs.writeFileSync(other, '[]');
+  const store = createJsonFile(file, { logger: silentLogger });
+  await store.cleanupTempFiles();
+  assert.equal(fs.existsSync(leftover), false);
+  assert.equal(fs.existsSync(other), true);
+});
@@ -0,0 +1,113 @@
+// タグとフォルダ（正規化・件数・絞り込み・名前の変更と統合）
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeTags, normalizeFolder, countTags, matchesFilter, replaceTags } = require('../lib/tags');
+const { startApp } = require('./helpers/app');
+
+describe('正規化', () => {
+  test('全角英数字・空白の違いをなくし、空のタグと重複を取り除く', () => {
+    assert.deepEqual(normalizeTags(['ＪＳ', ' JS ', '', '　', '日用  品']), ['JS', '日用 品']);
+    assert.equal(normalizeFolder('  仕事　'), '仕事');
+    assert.equal(normalizeFolder('   '), null);
+    assert.equal(normalizeFolder(undefined), null);
+  });
+
+  test('件数の多い順、同数なら名前順に並べる', () => {
+    const memos = [{ tags: ['b', 'a'] }, { tags: ['b'] }, { tags: ['c'] }, {}];
+    assert.deepEqual(countTags(memos), [
+      { name: 'b', count: 2 },
+      { name: 'a', count: 1 },
+      { name: 'c', count: 1 }
+    ]);
+  });
+
+  test('条件の名前も正規化して比べる', () => {
+    const memo = { tags: ['JS'], folder: '仕事' };
+    assert.equal(matchesFilter(memo, { tag: 'ＪＳ', folder: ' 仕事 ' }), true);
+    assert.equal(matchesFilter(memo, { tag: 'TS' }), false);
+    assert.equal(matchesFilter(memo, {}), true);
+  });
+
+  test('置き換えで重複したタグは1つにまとめ、並び順を保つ', () => {
+    assert.deepEqual(replaceTags(['a', 'x', 'b'], ['a', 'b'], 'x'), ['x']);
+    assert.deepEqual(replaceTags(['z', 'a'], ['a'], 'b'), ['z', 'b']);
+  });
+});
+
+describe('タグ・フォルダのAPI', () => {
+  let app;
+  let client;
+
+  before(async () => {
+    app = await startApp();
+    client = await app.client().login();
+    await client.post('/api/memos', { title: '牛乳', content: 'x', tags: ['買い物', '日用品'], folder: '家' });
+    await client.post('/api/memos', { title: '洗剤', content: 'x', tags: ['日用品'], folder: '家' });
+    await client.post('/api/memos', { title: '議事録', content: 'x', tags: ['ＭＴＧ'], folder: '仕事' });
+    await client.post('/api/memos', { title: 'タグなし', content: 'x' });
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  test('不正なタグ・フォルダは保存しない', async () => {
+    assert.equal((await client.post('/api/memos', { title: 'x', content: 'y', tags: ['<b>'] })).status, 400);
+    assert.equal((await client.post('/api/memos', { title: 'x', content: 'y', tags: ['a,b'] })).status, 400);
+    assert.equal((await client.post('/api/memos', { title: 'x', content: 'y', tags: ['a'.repeat(31)] })).status, 400);
+  });
+
+  test('タグとフォルダの一覧をメモ数付きで返す', async () => {
+    const tags = await client.get('/api/tags');
+    assert.equal(tags.status, 200);
+    assert.deepEqual(tags.body.tags, [
+      { name: '日用品', count: 2 },
+      { name: 'MTG', count: 1 },
+      { name: '買い物', count: 1 }
+    ]);
+    const folders = await client.get('/api/folders');
+    assert.deepEqual(folders.body.folders, [
+      { name: '家', count: 2 },
+      { name: '仕事', count: 1 }
+    ]);
+  });
+
+  test('タグ・フォルダでメモ一覧を絞り込む', async () => {
+    const byTag = await client.get(`/api/memos?tag=${encodeURIComponent('日用品')}`);
+    assert.deepEqual(byTag.body.memos.map(m => m.title).sort(), ['洗剤', '牛乳']);
+
+    const both = await client.get(`/api/memos?tag=${encodeURIComponent('買い物')}&folder=${encodeURIComponent('家')}`);
+    assert.deepEqual(both.body.memos.map(m => m.title), ['牛乳']);
+
+    const page = await client.get(`/?folder=${encodeURIComponent('仕事')}`);
+    assert.match(page.body, /議事録/);
+    assert.doesNotMatch(page.body, /洗剤/);
+  });
+
+  test('タグ名を変更・統合すると、付いているメモをまとめて書き換える', async () => {
+    const renamed = await client.post('/api/tags/rename', { from: 'mtg', to: '会議' });
+    assert.equal(renamed.status, 404);
+
+    const ok = await client.post('/api/tags/rename', { from: 'MTG', to: '会議' });
+    assert.deepEqual(ok.body, { success: true, tag: '会議', updated: 1 });
+
+    const merged = await client.post('/api/tags/merge', { sources: ['買い物', '日用品'], target: '生活' });
+    assert.deepEqual(merged.body, { success: true, tag: '生活', updated: 2 });
+
+    const tags = await client.get('/api/tags');
+    assert.deepEqual(tags.body.tags, [
+      { name: '生活', count: 2 },
+      { name: '会議', count: 1 }
+    ]);
+    const milk = (await client.get(`/api/memos?tag=${encodeURIComponent('生活')}`)).body.memos.find(m => m.title === '牛乳');
+    assert.deepEqual(milk.tags, ['生活']);
+  });
+
+  test('他のユーザーのタグは数えず、変更もしない', async () => {
+    const alice = app.client();
+    await alice.csrf();
+    await alice.post('/api/auth/register', { username: 'alice', password: 'alice-password' });
+    assert.deepEqual((await alice.get('/api/tags')).body.tags, []);
+    assert.equal((await alice.post('/api/tags/rename', { from: '生活', to: '暮らし' })).status, 404);
+  });
+});
@@ -0,0 +1,135 @@
+// APIトークン（発行・スコープ・無効化・トークンごとのリクエスト数の上限）
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenService } = require('../lib/tokens');
+const { startApp } = require('./helpers/app');
+
+let app;
+let client;
+
+before(async () => {
+  app = await startApp({ env: { API_TOKEN_RATE_LIMIT: '5' } });
+  client = await app.client().login();
+});
+
+after(async () => {
+  await app.stop();
+});
+
+async function issue(scopes) {
+  const response = await client.post('/api/tokens', { name: scopes.join(' '), scopes });
+  assert.equal(response.status, 201);
+  assert.match(response.body.token, /^memo_/);
+  return response.body;
+}
+
+function withToken(token, method, url, body) {
+  return fetch(app.url + url, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(body && { 'Content-Type': 'application/json' })
+    },
+    body: body && JSON.stringify(body)
+  });
+}
+
+test('発行したときだけトークンを返し、一覧には末尾の4文字と最終使用日時だけを載せる', async () => {
+  const issued = await issue(['memos:read']);
+  assert.equal((await withToken(issued.token, 'GET', '/api/memos')).status, 200);
+
+  const { body } = await client.get('/api/tokens');
+  const listed = body.tokens.find(t => t.id === issued.id);
+  assert.equal(listed.hint, issued.token.slice(-4));
+  assert.ok(listed.lastUsedAt);
+  assert.equal('token' in listed, false);
+  assert.equal('tokenHash' in listed, false);
+});
+
+test('スコープのない操作は 403、CSRFトークンなしで書き込めるが、トークンの管理はブラウザのセッションだけ', async () => {
+  const { token } = await issue(['memos:read']);
+  assert.equal((await withToken(token, 'GET', '/api/memos')).status, 200);
+  assert.equal((await withToken(token, 'POST', '/api/memos', { title: 'x', content: 'y' })).status, 403);
+
+  const writer = await issue(['memos:read', 'memos:write']);
+  assert.equal((await withToken(writer.token, 'POST', '/api/memos', { title: 'x', content: 'y' })).status, 201);
+  assert.equal((await withToken(writer.token, 'GET', '/api/tokens')).status, 403);
+});
+
+test('無効にしたトークンと不正なトークンは 401', async () => {
+  const issued = await issue(['memos:read']);
+  assert.equal((await client.delete(`/api/tokens/${issued.id}`)).status, 200);
+  assert.equal((await withToken(issued.token, 'GET', '/api/memos')).status, 401);
+  assert.equal((await withToken('memo_invalid', 'GET', '/api/memos')).status, 401);
+});
+
+test('API_TOKEN_RATE_LIMIT を超えると 429 になり、上限はトークンごとに数える', async () => {
+  const { token } = await issue(['memos:read']);
+  for (let i = 0; i < 5; i++) {
+    const response = await withToken(token, 'GET', '/api/memos');
+    assert.equal(response.status, 200, `${i + 1}回目`);
+  }
+  const limited = await withToken(token, 'GET', '/api/memos');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+  const other = await issue(['memos:read']);
+  assert.equal((await withToken(other.token, 'GET', '/api/memos')).status, 200);
+});
+
+test('API_TOKEN_RATE_LIMIT が読めない場合は無制限にせず、デフォルトの60回で 429 になり、警告を出す', async () => {
+  const fallback = await startApp({ env: { API_TOKEN_RATE_LIMIT: 'sixty', LOG_LEVEL: 'info' } });
+  try {
+    const owner = await fallback.client().login();
+    const { token } = (await owner.post('/api/tokens', { name: 'fallback', scopes: ['memos:read'] })).body;
+    const list = () => fetch(`${fallback.url}/api/memos`, { headers: { Authorization: `Bearer ${token}` } });
+    for (let i = 0; i < 60; i++) {
+      assert.equal((await list()).status, 200, `${i + 1}回目`);
+    }
+    assert.equal((await list()).status, 429);
+    assert.match(fallback.output, /API_TOKEN_RATE_LIMIT の「sixty」を数値として読み取れない/);
+  } finally {
+    await fallback.stop();
+  }
+});
+
+test('使い続けているトークンも、最終使用日時を1分ごとに保存する', async () => {
+  // 保存した内容を覚えておくだけのコレクション
+  const saved = new Map();
+  const collection = {
+    list: async () => [...saved.values()].map(t => ({ ...t })),
+    put: async (token) => { saved.set(token.id, { ...token }); },
+    update: async (id, mutator) => { mutator(saved.get(id)); },
+    delete: async (id) => { saved.delete(id); }
+  };
+  const start = Date.parse('2025-01-02T00:00:00.000Z');
+  let now = start;
+  mock.method(Date, 'now', () => now);
+  try {
+    const service = createTokenService({ collection });
+    await service.init();
+    const { token: secret } = await service.issue('u1', { name: 'cron', scopes: ['memos:read'] });
+    const token = service.verify(secret);
+    const savedLastUsed = () => saved.get(token.id).lastUsedAt;
+
+    service.touch(token);
+    assert.equal(savedLastUsed(), new Date(start).toISOString());
+
+    // 1分以内の呼び出しは保存しない（lastUsedAt は進む）
+    for (const seconds of [20, 40, 59]) {
+      now = start + seconds * 1000;
+      service.touch(token);
+    }
+    assert.equal(token.lastUsedAt, new Date(start + 59 * 1000).toISOString());
+    assert.equal(savedLastUsed(), new Date(start).toISOString());
+
+    // 最後に保存してから1分たてば、20秒ごとに使われ続けていても保存する
+    for (const seconds of [61, 80, 100, 120, 122]) {
+      now = start + seconds * 1000;
+      service.touch(token);
+    }
+    assert.equal(savedLastUsed(), new Date(start + 122 * 1000).toISOString());
+  } finally {
+    mock.restoreAll();
+  }
+});
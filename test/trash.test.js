@@ -0,0 +1,151 @@
+// ゴミ箱（移動・元に戻す・完全に削除・保存期間を過ぎたメモの自動削除）と、そのときに送る変更の通知・Webhook
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp, startReceiver } = require('./helpers/app');
+
+let app;
+let client;
+let receiver;
+
+before(async () => {
+  app = await startApp();
+  client = await app.client().login();
+  receiver = await startReceiver();
+  const webhook = await client.post('/api/webhooks', { url: receiver.url });
+  assert.equal(webhook.status, 201);
+});
+
+after(async () => {
+  await app.stop();
+  await receiver.close();
+});
+
+// Webhook の配信を、指定したイベントが届くまで読み飛ばす
+async function nextWebhook(event) {
+  for (;;) {
+    const request = await receiver.next();
+    if (request.headers['x-memo-event'] === event) {
+      return JSON.parse(request.body);
+    }
+  }
+}
+
+test('削除したメモはゴミ箱に移り、一覧・取得・検索から消える', async () => {
+  const created = await client.post('/api/memos', { title: '捨てるメモ', content: 'x' });
+  const { id } = created.body;
+
+  const deleted = await client.delete(`/api/memos/${id}`);
+  assert.equal(deleted.status, 200);
+  assert.equal((await client.get(`/api/memos/${id}`)).status, 404);
+  assert.equal((await client.get('/api/memos')).body.memos.some(m => m.id === id), false);
+  assert.equal((await client.get(`/api/memos/search?q=${encodeURIComponent('捨てる')}`)).body.total, 0);
+
+  const trash = await client.get('/api/trash');
+  assert.deepEqual(trash.body.map(m => m.id), [id]);
+  assert.ok(trash.body[0].deletedAt);
+  assert.equal(new Date(trash.body[0].purgeAt) - new Date(trash.body[0].deletedAt), 30 * 24 * 60 * 60 * 1000);
+});
+
+test('ゴミ箱から元に戻すと memo.created ではなく memo.restored を送る', async () => {
+  const created = await client.post('/api/memos', { title: '戻すメモ', content: 'y' });
+  const { id } = created.body;
+  await client.delete(`/api/memos/${id}`);
+  await nextWebhook('memo.deleted');
+
+  const events = await client.events();
+  try {
+    const restored = await client.post(`/api/trash/${id}/restore`, {});
+    assert.equal(restored.status, 200);
+    assert.equal('deletedAt' in restored.body, false);
+
+    const event = await events.next('memo.restored');
+    assert.equal(event.data.memo.id, id);
+    assert.match(event.data.html, /memo-item/);
+    assert.equal('restored' in event.data, false);
+  } finally {
+    events.close();
+  }
+
+  const delivery = await nextWebhook('memo.restored');
+  assert.equal(delivery.event, 'memo.restored');
+  assert.equal(delivery.data.memo.id, id);
+  assert.equal((await client.get(`/api/memos/${id}`)).status, 200);
+});
+
+test('Webhook の events を省略すると memo.restored も購読する', async () => {
+  const list = await client.get('/api/webhooks');
+  assert.ok(list.body.events.includes('memo.restored'));
+  assert.deepEqual(list.body.webhooks[0].events, list.body.events);
+});
+
+test('ゴミ箱にないメモは元に戻せず、完全に削除もできない', async () => {
+  const created = await client.post('/api/memos', { title: '残すメモ', content: 'z' });
+  assert.equal((await client.post(`/api/trash/${created.body.id}/restore`, {})).status, 404);
+  assert.equal((await client.delete(`/api/trash/${created.body.id}`)).status, 404);
+});
+
+test('完全に削除すると purged: true の memo.deleted を送り、ゴミ箱からも消える', async () => {
+  const created = await client.post('/api/memos', { title: '消すメモ', content: 'w' });
+  const { id } = created.body;
+  await client.delete(`/api/memos/${id}`);
+  await nextWebhook('memo.deleted');
+
+  const purged = await client.delete(`/api/trash/${id}`);
+  assert.equal(purged.status, 200);
+  assert.equal(purged.body.id, id);
+  const delivery = await nextWebhook('memo.deleted');
+  assert.equal(delivery.data.purged, true);
+  assert.equal(delivery.data.memo.id, id);
+
+  const trash = await client.get('/api/trash');
+  assert.equal(trash.body.some(m => m.id === id), false);
+  assert.equal((await client.post(`/api/trash/${id}/restore`, {})).status, 404);
+});
+
+test('保存期間を過ぎたゴミ箱のメモは、起動したときに完全に削除する', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const memo = (id, deletedAt) => ({
+    id,
+    title: `メモ${id}`,
+    content: '本文',
+    createdAt: daysAgo(60),
+    updatedAt: daysAgo(60),
+    ...(deletedAt && { deletedAt })
+  });
+  fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify([
+    memo(1),
+    memo(2, daysAgo(8)),
+    memo(3, daysAgo(2))
+  ]));
+
+  let expiring;
+  try {
+    expiring = await startApp({ dir, env: { TRASH_RETENTION_DAYS: '7' } });
+    const admin = await expiring.client().login();
+    const trash = await admin.get('/api/trash');
+    assert.deepEqual(trash.body.map(m => m.id), [3]);
+    assert.deepEqual((await admin.get('/api/memos')).body.memos.map(m => m.id), [1]);
+  } finally {
+    if (expiring) {
+      await expiring.stop();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('TRASH_RETENTION_DAYS=0 の場合は自動で削除しない', async () => {
+  const keeping = await startApp({ env: { TRASH_RETENTION_DAYS: '0' } });
+  try {
+    const other = await keeping.client().login();
+    const created = await other.post('/api/memos', { title: '残り続けるメモ', content: 'x' });
+    await other.delete(`/api/memos/${created.body.id}`);
+    const trash = await other.get('/api/trash');
+    assert.equal(trash.body[0].purgeAt, null);
+  } finally {
+    await keeping.stop();
+  }
+});
@@ -0,0 +1,192 @@
+// メモの変更を知らせる Webhook（登録・署名・送り直し・配信履歴・再起動後の続き）
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { signPayload, publicWebhook } = require('../lib/webhooks');
+const { startApp, startReceiver, sleep } = require('./helpers/app');
+
+// 配信履歴が条件を満たすまで待つ
+async function waitForDelivery(client, webhookId, predicate, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const { body } = await client.get(`/api/webhooks/${webhookId}/deliveries`);
+    const found = body.deliveries.find(predicate);
+    if (found) {
+      return found;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`配信履歴が条件を満たしませんでした: ${JSON.stringify(body.deliveries)}`);
+    }
+    await sleep(50);
+  }
+}
+
+describe('署名', () => {
+  test('「<タイムスタンプ>.<本文>」の HMAC-SHA256 を16進数で返す', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+    assert.equal(signPayload('whsec_test', 1700000000, '{"a":1}'), expected);
+  });
+
+  test('APIで返す Webhook には secret と userId を含めない', () => {
+    const webhook = publicWebhook({ id: 'w', userId: 'u', url: 'https://example.com', secret: 'whsec_x', events: [] });
+    assert.equal('secret' in webhook, false);
+    assert.equal('userId' in webhook, false);
+  });
+});
+
+describe('Webhook の配信', () => {
+  let app;
+  let client;
+
+  before(async () => {
+    app = await startApp({ env: { WEBHOOK_RETRY_DELAY: '200', WEBHOOK_MAX_ATTEMPTS: '3' } });
+    client = await app.client().login();
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  test('登録したときだけ secret を返し、不正なURLは登録しない', async () => {
+    const created = await client.post('/api/webhooks', { url: 'https://example.com/hook', description: ' 通知 ' });
+    assert.equal(created.status, 201);
+    assert.match(created.body.secret, /^whsec_/);
+    assert.equal(created.body.description, '通知');
+
+    const found = await client.get(`/api/webhooks/${created.body.id}`);
+    assert.equal('secret' in found.body, false);
+    assert.equal((await client.post('/api/webhooks', { url: 'ftp://example.com' })).status, 400);
+    assert.equal((await client.post('/api/webhooks', { url: 'https://example.com', events: ['memo.moved'] })).status, 400);
+
+    const alice = app.client();
+    await alice.csrf();
+    await alice.post('/api/auth/register', { username: 'alice', password: 'alice-password' });
+    assert.equal((await alice.get(`/api/webhooks/${created.body.id}`)).status, 404);
+    assert.equal((await alice.delete(`/api/webhooks/${created.body.id}`)).status, 404);
+
+    assert.equal((await client.delete(`/api/webhooks/${created.body.id}`)).status, 200);
+  });
+
+  test('購読したイベントだけを、署名付きで送る', async () => {
+    const receiver = await startReceiver();
+    try {
+      const webhook = (await client.post('/api/webhooks', { url: receiver.url, events: ['memo.created'] })).body;
+      const memo = (await client.post('/api/memos', { title: 'Webhook', content: '本文' })).body;
+      await client.put(`/api/memos/${memo.id}`, { title: 'Webhook（更新）', content: '本文' });
+
+      const { headers, body } = await receiver.next();
+      assert.equal(headers['x-memo-event'], 'memo.created');
+      assert.match(headers['content-type'], /^application\/json/);
+      const timestamp = headers['x-memo-timestamp'];
+      assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 60);
+      assert.equal(headers['x-memo-signature'], `sha256=${signPayload(webhook.secret, timestamp, body)}`);
+
+      const payload = JSON.parse(body);
+      assert.equal(payload.id, headers['x-memo-delivery']);
+      assert.equal(payload.event, 'memo.created');
+      assert.equal(payload.data.memo.id, memo.id);
+
+      // 購読していない memo.updated は送らない
+      await assert.rejects(receiver.next(500), /Webhook が届きませんでした/);
+      const delivery = await waitForDelivery(client, webhook.id, d => d.status === 'succeeded');
+      assert.equal(delivery.attempts, 1);
+      assert.equal(delivery.history[0].responseStatus, 200);
+      await client.delete(`/api/webhooks/${webhook.id}`);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('失敗した配信は間隔を倍にしながら送り直し、配信履歴に残す', async () => {
+    let count = 0;
+    const times = [];
+    const receiver = await startReceiver({
+      status: () => {
+        times.push(Date.now());
+        count++;
+        return count < 3 ? 500 : 200;
+      }
+    });
+    try {
+      const webhook = (await client.post('/api/webhooks', { url: receiver.url })).body;
+      await client.post('/api/memos', { title: '送り直し', content: 'x' });
+
+      const delivery = await waitForDelivery(client, webhook.id, d => d.status === 'succeeded');
+      assert.equal(delivery.attempts, 3);
+      assert.deepEqual(delivery.history.map(h => h.responseStatus), [500, 500, 200]);
+      assert.ok(delivery.history[0].error);
+      assert.equal(delivery.nextAttemptAt, null);
+      assert.ok(times[1] - times[0] >= 180, `1回目の送り直しまで ${times[1] - times[0]}ms`);
+      assert.ok(times[2] - times[1] >= 380, `2回目の送り直しまで ${times[2] - times[1]}ms`);
+
+      // 同じ配信は同じIDで送り直す
+      const ids = new Set();
+      for (let i = 0; i < 3; i++) {
+        ids.add((await receiver.next()).headers['x-memo-delivery']);
+      }
+      assert.deepEqual([...ids], [delivery.id]);
+      await client.delete(`/api/webhooks/${webhook.id}`);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('送る回数の上限まで失敗すると failed にし、無効にした Webhook には送らない', async () => {
+    const receiver = await startReceiver({ status: 503 });
+    try {
+      const webhook = (await client.post('/api/webhooks', { url: receiver.url })).body;
+      await client.post('/api/memos', { title: '届かない', content: 'x' });
+      const failed = await waitForDelivery(client, webhook.id, d => d.status === 'failed');
+      assert.equal(failed.attempts, 3);
+
+      const failedOnly = await client.get(`/api/webhooks/${webhook.id}/deliveries?status=failed`);
+      assert.deepEqual(failedOnly.body.deliveries.map(d => d.id), [failed.id]);
+
+      const disabled = await client.patch(`/api/webhooks/${webhook.id}`, { active: false });
+      assert.equal(disabled.body.active, false);
+      await client.post('/api/memos', { title: '送らない', content: 'x' });
+      await sleep(300);
+      const { body } = await client.get(`/api/webhooks/${webhook.id}/deliveries`);
+      assert.equal(body.deliveries.length, 1);
+
+      assert.equal((await client.delete(`/api/webhooks/${webhook.id}`)).status, 200);
+      assert.equal((await client.get(`/api/webhooks/${webhook.id}/deliveries`)).status, 404);
+    } finally {
+      await receiver.close();
+    }
+  });
+});
+
+test('送り直し待ちの配信は保存され、起動し直すと続きから送る', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memo-test-'));
+  const env = { WEBHOOK_RETRY_DELAY: '1500' };
+  let healthy = false;
+  const receiver = await startReceiver({ status: () => (healthy ? 200 : 500) });
+  let app;
+  try {
+    app = await startApp({ dir, env });
+    let client = await app.client().login();
+    const webhook = (await client.post('/api/webhooks', { url: receiver.url })).body;
+    await client.post('/api/memos', { title: '再起動をまたぐ', content: 'x' });
+    const first = await receiver.next();
+    await waitForDelivery(client, webhook.id, d => d.attempts === 1);
+    await app.stop();
+
+    healthy = true;
+    app = await startApp({ dir, env });
+    client = await app.client().login();
+    const retried = await receiver.next();
+    assert.equal(retried.headers['x-memo-delivery'], first.headers['x-memo-delivery']);
+    const delivery = await waitForDelivery(client, webhook.id, d => d.status === 'succeeded');
+    assert.equal(delivery.attempts, 2);
+  } finally {
+    if (app) {
+      await app.stop();
+    }
+    await receiver.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});